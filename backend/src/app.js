@@ -0,0 +1,66 @@
+/**
+ * Express Application
+ * 
+ * PURPOSE:
+ * Builds the Express app (middleware + routes) without starting a server,
+ * so the same app is used by server.js and by the automated tests
+ * 
+ * VIVA EXPLANATION:
+ * Separating the app from app.listen() lets tests start it on a random port
+ * with the in-memory storage adapter and local auth tokens.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import authRoutes from './routes/authRoutes.js';
+import attendanceRoutes from './routes/attendanceRoutes.js';
+import courseRoutes from './routes/courseRoutes.js';
+import timetableRoutes from './routes/timetableRoutes.js';
+import roomRoutes from './routes/roomRoutes.js';
+import deviceRoutes from './routes/deviceRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import eligibilityRoutes from './routes/eligibilityRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+
+const app = express();
+
+// Middleware
+app.use(cors({
+    origin: 'http://localhost:5173', // Vite dev server
+    credentials: true
+}));
+app.use(express.json()); // Parse JSON request bodies
+app.use(express.text({ type: 'text/csv', limit: '1mb' })); // Roster CSV uploads
+
+// Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/timetables', timetableRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/eligibility', eligibilityRoutes);
+app.use('/api/webhooks', webhookRoutes);
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+    res.json({
+        success: true,
+        message: 'Smart Attendance System API is running',
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    console.error('Error:', err);
+    res.status(500).json({
+        success: false,
+        message: err.message || 'Internal server error'
+    });
+});
+
+export default app;
@@ -0,0 +1,55 @@
+/**
+ * Audit Logging for Routes
+ * 
+ * PURPOSE:
+ * Record who changed what through the API (see auditService)
+ * 
+ * GREEN CODING:
+ * - One small write per change; the caller's role reuses the profile cached on req.user
+ * 
+ * VIVA EXPLANATION:
+ * Routes that create, change or delete user profiles, sessions or attendance
+ * records call recordAudit() once the change is saved. It fills in what the
+ * request knows: the signed-in actor and their role, the client IP (through
+ * trusted proxies only) and the route. A failed audit write is logged on the
+ * server but doesn't fail the request: the change itself already happened.
+ */
+
+import { loadUserRole, getInstitutionId } from './roleMiddleware.js';
+import { getClientIp } from '../services/presenceService.js';
+import { buildAuditEvent } from '../services/auditService.js';
+import { createAuditEvent } from '../repositories/auditRepository.js';
+
+/**
+ * Who made a request and from where, as audit entries record it (call after verifyToken)
+ * For services that write their own audit entries (see sessionService.createCourseSession).
+ * 
+ * @param {Object} req - Express request
+ * @returns {{actor: Object, ip: string|null, route: string}}
+ */
+export async function auditContext(req) {
+    await loadUserRole(req);
+
+    return {
+        actor: { ...req.user, institutionId: getInstitutionId(req.user) },
+        ip: getClientIp(req),
+        route: `${req.method} ${req.baseUrl}${req.route?.path || ''}`
+    };
+}
+
+/**
+ * Write an audit log entry for a change made by this request (call after verifyToken)
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} change - { action, target: { type, id }, before, after }
+ *        (before/after are the document before and after; null when there was none)
+ */
+export async function recordAudit(req, change) {
+    try {
+        await createAuditEvent(buildAuditEvent({ ...change, ...await auditContext(req) }));
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+}
+
+export default recordAudit;
@@ -0,0 +1,80 @@
+/**
+ * Authentication Middleware
+ * 
+ * PURPOSE:
+ * Verify the Firebase ID token sent by the client on every protected request
+ * 
+ * GREEN CODING:
+ * - Token verified locally with cached Google public keys (no extra round trip per request)
+ * - Stateless: identity travels with the request, nothing stored on the server
+ * 
+ * VIVA EXPLANATION:
+ * The client sends `Authorization: Bearer <idToken>`. We verify the token with
+ * the Firebase Admin SDK and attach the decoded user to `req.user`. Routes then
+ * read the caller's uid and email from the token instead of trusting body fields,
+ * so nobody can mark attendance on behalf of someone else.
+ * 
+ * CONFIGURATION:
+ * AUTH_PROVIDER=firebase (default) - Firebase Admin verifyIdToken
+ * AUTH_PROVIDER=local              - HS256 tokens from utils/localAuth.js (dev/tests)
+ */
+
+import dotenv from 'dotenv';
+import { verifyLocalToken } from '../utils/localAuth.js';
+
+dotenv.config();
+
+// Firebase Admin is only loaded when it is actually used, so local mode needs no credentials
+const verifyIdToken = process.env.AUTH_PROVIDER === 'local'
+    ? verifyLocalToken
+    : await import('../utils/firebase.js').then(({ auth }) => (idToken) => auth.verifyIdToken(idToken));
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @returns Token string or null
+ */
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return null;
+    }
+
+    return token;
+}
+
+/**
+ * Require a valid Firebase ID token
+ * Attaches the decoded token to req.user ({ uid, email, ... })
+ */
+export async function verifyToken(req, res, next) {
+    const idToken = getBearerToken(req);
+
+    if (!idToken) {
+        return res.status(401).json({
+            success: false,
+            message: 'Missing or malformed Authorization header'
+        });
+    }
+
+    try {
+        const decodedToken = await verifyIdToken(idToken);
+
+        req.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email || null,
+            token: decodedToken
+        };
+
+        next();
+    } catch (error) {
+        console.error('Token verification failed:', error.code || error.message);
+        res.status(401).json({
+            success: false,
+            message: 'Invalid or expired authentication token'
+        });
+    }
+}
+
+export default verifyToken;
@@ -0,0 +1,83 @@
+/**
+ * Role-Based Authorization Middleware
+ * 
+ * PURPOSE:
+ * Restrict endpoints by the `role` stored in the users collection
+ * 
+ * GREEN CODING:
+ * - Profile fetched at most once per request and cached on req.user
+ * - Only routes that need a role pay for the extra database read
+ * 
+ * VIVA EXPLANATION:
+ * The ID token only proves who the caller is. What they may do depends on the
+ * `role` field ('teacher', 'student', ...) written to `users/{uid}` at
+ * registration. These middlewares must run after verifyToken.
+ */
+
+import { getUser } from '../repositories/usersRepository.js';
+
+// Roles that may read other users' data (never self-assignable at registration)
+export const PRIVILEGED_ROLES = ['admin'];
+
+/**
+ * Check whether a user has a privileged role
+ */
+export function isPrivileged(user) {
+    return PRIVILEGED_ROLES.includes(user?.role);
+}
+
+// Institution of users whose profile doesn't name one (single-institution installs)
+export const DEFAULT_INSTITUTION_ID = 'default';
+
+/**
+ * Institution the caller belongs to (call loadUserRole first)
+ */
+export function getInstitutionId(user) {
+    return user?.profile?.institutionId || DEFAULT_INSTITUTION_ID;
+}
+
+/**
+ * Load the caller's profile and role into req.user (cached per request)
+ * @returns Role string or null when no profile exists
+ */
+export async function loadUserRole(req) {
+    if (req.user.role !== undefined) {
+        return req.user.role;
+    }
+
+    const profile = await getUser(req.user.uid);
+
+    req.user.profile = profile;
+    req.user.role = profile?.role || null;
+
+    return req.user.role;
+}
+
+/**
+ * Require the caller to have one of the given roles
+ * Usage: router.post('/session', requireRole('teacher'), handler)
+ */
+export function requireRole(...roles) {
+    return async (req, res, next) => {
+        try {
+            const role = await loadUserRole(req);
+
+            if (!roles.includes(role)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `This action requires one of the roles: ${roles.join(', ')}`
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Error loading user role:', error);
+            res.status(500).json({
+                success: false,
+                message: error.message
+            });
+        }
+    };
+}
+
+export default requireRole;
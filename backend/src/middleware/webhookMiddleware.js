@@ -0,0 +1,38 @@
+/**
+ * Webhook Events for Routes
+ * 
+ * PURPOSE:
+ * Send an attendance event to the institution's webhooks (see webhookService)
+ * 
+ * GREEN CODING:
+ * - The request only waits for the delivery log to be written; the
+ *   endpoints are called after the response
+ * 
+ * VIVA EXPLANATION:
+ * Routes call emitWebhook() once the change is saved, like recordAudit().
+ * The institution is the signed-in user's. A failure is logged on the
+ * server but doesn't fail the request: the change itself already happened.
+ */
+
+import { loadUserRole, getInstitutionId } from './roleMiddleware.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+
+/**
+ * Emit a webhook event for a change made by this request (call after verifyToken)
+ * 
+ * @param {Object} req - Express request
+ * @param {string} event - A WEBHOOK_EVENTS value
+ * @param {Object} data - The event's `data`
+ */
+export async function emitWebhook(req, event, data) {
+    try {
+        await loadUserRole(req);
+
+        const { sent } = await emitWebhookEvent(getInstitutionId(req.user), event, data);
+        sent.catch((error) => console.error(`Error delivering ${event} webhooks:`, error));
+    } catch (error) {
+        console.error(`Error emitting ${event} webhook:`, error);
+    }
+}
+
+export default emitWebhook;
@@ -0,0 +1,160 @@
+/**
+ * Firestore Storage Adapter
+ * 
+ * PURPOSE:
+ * Implements the storage interface on top of Firebase Admin Firestore
+ * 
+ * GREEN CODING:
+ * - Queries pushed down to Firestore (indexes, limits) instead of filtering in memory
+ * - Multi-document writes grouped into a single batch commit
+ * 
+ * VIVA EXPLANATION:
+ * Repositories talk to this small interface (get, set, create, update, delete,
+ * add, query, commit, transact). This file is the only place that knows about
+ * db.collection(...), so the rest of the backend can also run on the
+ * in-memory adapter without Firebase credentials.
+ */
+
+import admin from 'firebase-admin';
+import { db } from '../../utils/firebase.js';
+import { DOCUMENT_ID, StoreError, STORE_ERRORS } from '../storeTypes.js';
+
+// gRPC status codes returned by Firestore
+const GRPC_ALREADY_EXISTS = 6;
+const GRPC_NOT_FOUND = 5;
+
+function toField(field) {
+    return field === DOCUMENT_ID ? admin.firestore.FieldPath.documentId() : field;
+}
+
+function translateError(error) {
+    if (error.code === GRPC_ALREADY_EXISTS) {
+        return new StoreError(STORE_ERRORS.ALREADY_EXISTS, error.message);
+    }
+    if (error.code === GRPC_NOT_FOUND) {
+        return new StoreError(STORE_ERRORS.NOT_FOUND, error.message);
+    }
+    return error;
+}
+
+async function get(collection, id) {
+    const doc = await db.collection(collection).doc(id).get();
+    return doc.exists ? doc.data() : null;
+}
+
+async function set(collection, id, data) {
+    await db.collection(collection).doc(id).set(data);
+}
+
+async function create(collection, id, data) {
+    try {
+        await db.collection(collection).doc(id).create(data);
+    } catch (error) {
+        throw translateError(error);
+    }
+}
+
+async function update(collection, id, patch) {
+    try {
+        await db.collection(collection).doc(id).update(patch);
+    } catch (error) {
+        throw translateError(error);
+    }
+}
+
+async function remove(collection, id) {
+    await db.collection(collection).doc(id).delete();
+}
+
+async function add(collection, data) {
+    const ref = await db.collection(collection).add(data);
+    return ref.id;
+}
+
+/**
+ * Run a query
+ * @param {object} options - { where: [[field, op, value]], orderBy: [[field, 'asc'|'desc']], startAfter, limit }
+ * @returns Array of { id, ...data }
+ */
+async function query(collection, { where = [], orderBy = [], startAfter, limit } = {}) {
+    let ref = db.collection(collection);
+
+    for (const [field, op, value] of where) {
+        ref = ref.where(toField(field), op, value);
+    }
+    for (const [field, direction = 'asc'] of orderBy) {
+        ref = ref.orderBy(toField(field), direction);
+    }
+    if (startAfter !== undefined) {
+        ref = ref.startAfter(...[].concat(startAfter));
+    }
+    if (limit) {
+        ref = ref.limit(limit);
+    }
+
+    const snapshot = await ref.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Apply several writes atomically
+ * @param {Array} writes - [{ op: 'set'|'create'|'update'|'delete', collection, id, data }]
+ */
+async function commit(writes) {
+    const batch = db.batch();
+
+    for (const { op, collection, id, data } of writes) {
+        const ref = db.collection(collection).doc(id);
+        if (op === 'delete') {
+            batch.delete(ref);
+        } else {
+            batch[op](ref, data);
+        }
+    }
+
+    try {
+        await batch.commit();
+    } catch (error) {
+        throw translateError(error);
+    }
+}
+
+/**
+ * Read a document and apply the patch `change` builds from it in a transaction
+ * (Firestore runs `change` again when the document changed in the meantime)
+ * @param {Function} change - (data) => patch, or null to write nothing
+ * @returns The patch written
+ */
+async function transact(collection, id, change) {
+    const ref = db.collection(collection).doc(id);
+
+    try {
+        return await db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            if (!doc.exists) {
+                throw new StoreError(STORE_ERRORS.NOT_FOUND, `${collection}/${id} not found`);
+            }
+
+            const patch = change(doc.data()) || null;
+            if (patch) {
+                transaction.update(ref, patch);
+            }
+            return patch;
+        });
+    } catch (error) {
+        throw translateError(error);
+    }
+}
+
+export default {
+    name: 'firestore',
+    get,
+    set,
+    create,
+    update,
+    delete: remove,
+    add,
+    query,
+    commit,
+    transact
+};
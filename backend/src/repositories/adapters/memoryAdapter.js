@@ -0,0 +1,184 @@
+/**
+ * In-Memory Storage Adapter
+ * 
+ * PURPOSE:
+ * Local implementation of the storage interface for development and tests.
+ * Lets the API start without Firebase credentials (STORAGE_ADAPTER=memory).
+ * 
+ * GREEN CODING:
+ * - No network, no disk: zero infrastructure for local runs and CI
+ * 
+ * VIVA EXPLANATION:
+ * Each collection is a Map of document id -> data. Documents are deep-copied
+ * on the way in and out so callers cannot mutate stored data by accident,
+ * the same guarantee Firestore gives. Data is lost when the process exits.
+ */
+
+import crypto from 'crypto';
+import { DOCUMENT_ID, StoreError, STORE_ERRORS } from '../storeTypes.js';
+
+const collections = new Map();
+
+function getCollection(name) {
+    if (!collections.has(name)) {
+        collections.set(name, new Map());
+    }
+    return collections.get(name);
+}
+
+function readField(id, data, field) {
+    return field === DOCUMENT_ID ? id : data[field];
+}
+
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : 1;
+}
+
+const OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a !== undefined && compare(a, b) < 0,
+    '<=': (a, b) => a !== undefined && compare(a, b) <= 0,
+    '>': (a, b) => a !== undefined && compare(a, b) > 0,
+    '>=': (a, b) => a !== undefined && compare(a, b) >= 0,
+    'in': (a, b) => b.includes(a),
+    'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+async function get(collection, id) {
+    const data = getCollection(collection).get(id);
+    return data ? structuredClone(data) : null;
+}
+
+async function set(collection, id, data) {
+    getCollection(collection).set(id, structuredClone(data));
+}
+
+async function create(collection, id, data) {
+    if (getCollection(collection).has(id)) {
+        throw new StoreError(STORE_ERRORS.ALREADY_EXISTS, `${collection}/${id} already exists`);
+    }
+    await set(collection, id, data);
+}
+
+async function update(collection, id, patch) {
+    const docs = getCollection(collection);
+    if (!docs.has(id)) {
+        throw new StoreError(STORE_ERRORS.NOT_FOUND, `${collection}/${id} not found`);
+    }
+    docs.set(id, { ...docs.get(id), ...structuredClone(patch) });
+}
+
+async function remove(collection, id) {
+    getCollection(collection).delete(id);
+}
+
+async function add(collection, data) {
+    const id = crypto.randomBytes(10).toString('hex');
+    await set(collection, id, data);
+    return id;
+}
+
+/**
+ * Run a query (same options as the Firestore adapter)
+ * @returns Array of { id, ...data }
+ */
+async function query(collection, { where = [], orderBy = [], startAfter, limit } = {}) {
+    let results = [...getCollection(collection).entries()]
+        .filter(([id, data]) => where.every(([field, op, value]) => OPERATORS[op](readField(id, data, field), value)));
+
+    if (orderBy.length) {
+        results.sort(([idA, a], [idB, b]) => {
+            for (const [field, direction = 'asc'] of orderBy) {
+                const order = compare(readField(idA, a, field), readField(idB, b, field));
+                if (order !== 0) return direction === 'desc' ? -order : order;
+            }
+            return 0;
+        });
+    }
+
+    if (startAfter !== undefined) {
+        const cursor = [].concat(startAfter);
+        results = results.filter(([id, data]) => {
+            for (let i = 0; i < cursor.length; i++) {
+                const [field, direction = 'asc'] = orderBy[i];
+                const order = compare(readField(id, data, field), cursor[i]);
+                if (order !== 0) return direction === 'desc' ? order < 0 : order > 0;
+            }
+            return false;
+        });
+    }
+
+    if (limit) {
+        results = results.slice(0, limit);
+    }
+
+    return results.map(([id, data]) => ({ id, ...structuredClone(data) }));
+}
+
+/**
+ * Apply several writes atomically (validated first, then applied)
+ */
+async function commit(writes) {
+    for (const { op, collection, id } of writes) {
+        const exists = getCollection(collection).has(id);
+        if (op === 'create' && exists) {
+            throw new StoreError(STORE_ERRORS.ALREADY_EXISTS, `${collection}/${id} already exists`);
+        }
+        if (op === 'update' && !exists) {
+            throw new StoreError(STORE_ERRORS.NOT_FOUND, `${collection}/${id} not found`);
+        }
+    }
+
+    for (const { op, collection, id, data } of writes) {
+        if (op === 'delete') {
+            await remove(collection, id);
+        } else if (op === 'update') {
+            await update(collection, id, data);
+        } else {
+            await set(collection, id, data);
+        }
+    }
+}
+
+/**
+ * Read a document and apply the patch `change` builds from it, with no other
+ * write in between (nothing is awaited while the patch is built)
+ * @returns The patch written (null when `change` returned nothing)
+ */
+async function transact(collection, id, change) {
+    const docs = getCollection(collection);
+    if (!docs.has(id)) {
+        throw new StoreError(STORE_ERRORS.NOT_FOUND, `${collection}/${id} not found`);
+    }
+
+    const patch = change(structuredClone(docs.get(id))) || null;
+    if (patch) {
+        docs.set(id, { ...docs.get(id), ...structuredClone(patch) });
+    }
+    return patch;
+}
+
+/**
+ * Remove all data (used between tests)
+ */
+function clear() {
+    collections.clear();
+}
+
+export default {
+    name: 'memory',
+    get,
+    set,
+    create,
+    update,
+    delete: remove,
+    add,
+    query,
+    commit,
+    transact,
+    clear
+};
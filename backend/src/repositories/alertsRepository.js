@@ -0,0 +1,63 @@
+/**
+ * Alerts Repository
+ * 
+ * PURPOSE:
+ * Read and write the low-attendance alert level last reached by each student
+ * of a course (`alertStates`) and the log of alert emails (`alertLog`)
+ */
+
+import { store } from './store.js';
+
+const STATES_COLLECTION = 'alertStates';
+const LOG_COLLECTION = 'alertLog';
+
+export function alertStateId(courseId, studentId) {
+    return `${courseId}_${studentId}`;
+}
+
+export async function listCourseAlertStates(courseId) {
+    return store.query(STATES_COLLECTION, {
+        where: [['courseId', '==', courseId]]
+    });
+}
+
+/**
+ * Save the states that changed in one batch
+ * @param {Array} states - [{ courseId, studentId, level, percentage, updatedAt }]
+ */
+export async function saveAlertStates(states) {
+    if (states.length === 0) return;
+
+    await store.commit(states.map((state) => ({
+        op: 'set',
+        collection: STATES_COLLECTION,
+        id: alertStateId(state.courseId, state.studentId),
+        data: state
+    })));
+}
+
+/**
+ * @returns New log entry id
+ */
+export async function createAlertLogEntry(entry) {
+    return store.add(LOG_COLLECTION, entry);
+}
+
+/**
+ * A course's alert emails, newest first
+ */
+export async function listCourseAlertLog(courseId, limit = 100) {
+    return store.query(LOG_COLLECTION, {
+        where: [['courseId', '==', courseId]],
+        orderBy: [['sentAt', 'desc']],
+        limit
+    });
+}
+
+export default {
+    alertStateId,
+    listCourseAlertStates,
+    saveAlertStates,
+    createAlertLogEntry,
+    listCourseAlertLog
+};
@@ -0,0 +1,248 @@
+/**
+ * Attendance Repository
+ * 
+ * PURPOSE:
+ * Read and write attendance records (`attendance` collection)
+ * 
+ * VIVA EXPLANATION:
+ * Each record's document id is derived from (sessionId, studentId), so a
+ * student can only ever have one record per session. Creating it is a single
+ * atomic "create if absent" write: two simultaneous requests cannot both win.
+ * The device used is claimed for the session in the same batch
+ * (`sessionDevices`), so one phone can only mark one student per session.
+ * A student's first device is registered in that batch too (`deviceBindings`),
+ * so it is only registered by a check-in that was saved.
+ * 
+ * Every change a teacher makes by hand is written together with an entry in
+ * `attendanceAudit` (one batch), so the history can never miss a change.
+ */
+
+import crypto from 'crypto';
+import { store } from './store.js';
+import { DOCUMENT_ID } from './storeTypes.js';
+
+const COLLECTION = 'attendance';
+const DEVICE_CLAIMS_COLLECTION = 'sessionDevices';
+const AUDIT_COLLECTION = 'attendanceAudit';
+const DEVICE_BINDINGS_COLLECTION = 'deviceBindings';
+
+/**
+ * Deterministic record id: one record per student per session
+ */
+export function attendanceId(sessionId, studentId) {
+    return `${sessionId}_${studentId}`;
+}
+
+export async function getAttendance(sessionId, studentId) {
+    const id = attendanceId(sessionId, studentId);
+    const record = await store.get(COLLECTION, id);
+    return record ? { id, ...record } : null;
+}
+
+function deviceClaimId(sessionId, deviceId) {
+    return `${sessionId}_${deviceId}`;
+}
+
+/**
+ * The student who marked a session from a device, if any
+ * @returns { studentId, ... } or null
+ */
+export async function getSessionDeviceClaim(sessionId, deviceId) {
+    return store.get(DEVICE_CLAIMS_COLLECTION, deviceClaimId(sessionId, deviceId));
+}
+
+/**
+ * Create the student's record for a session (and, with `claimDevice`, claim its device;
+ * with `bindDevice`, register it as the student's first device)
+ * Throws StoreError(ALREADY_EXISTS) if the student already has a record,
+ * another student already marked this session from the same device,
+ * or (with `bindDevice`) a device was registered to the student in the meantime
+ * @returns Record id
+ */
+export async function createAttendance(record, { claimDevice = true, bindDevice = null } = {}) {
+    const id = attendanceId(record.sessionId, record.studentId);
+    const writes = [{ op: 'create', collection: COLLECTION, id, data: record }];
+
+    if (claimDevice && record.deviceId) {
+        writes.push({
+            op: 'create',
+            collection: DEVICE_CLAIMS_COLLECTION,
+            id: deviceClaimId(record.sessionId, record.deviceId),
+            data: { sessionId: record.sessionId, studentId: record.studentId, claimedAt: record.markedAt }
+        });
+    }
+
+    if (bindDevice) {
+        writes.push({ op: 'create', collection: DEVICE_BINDINGS_COLLECTION, id: record.studentId, data: bindDevice });
+    }
+
+    await store.commit(writes);
+    return id;
+}
+
+/**
+ * List every record of a session (needed to work out who was absent)
+ */
+export async function listAllSessionAttendance(sessionId) {
+    return store.query(COLLECTION, {
+        where: [['sessionId', '==', sessionId]],
+        orderBy: [['markedAt', 'desc']]
+    });
+}
+
+export async function updateAttendance(id, data) {
+    await store.update(COLLECTION, id, data);
+}
+
+/**
+ * Records of a session sent from exactly the same coordinates (see anomalyService.locationKey)
+ */
+export async function listRecordsAtLocation(sessionId, locationKey) {
+    return store.query(COLLECTION, {
+        where: [['sessionId', '==', sessionId], ['locationKey', '==', locationKey]]
+    });
+}
+
+/**
+ * A student's most recent check-in in any session
+ */
+export async function getLatestStudentAttendance(studentId) {
+    const [record] = await store.query(COLLECTION, {
+        where: [['studentId', '==', studentId]],
+        orderBy: [['markedAt', 'desc']],
+        limit: 1
+    });
+    return record || null;
+}
+
+/**
+ * Check-ins waiting for a teacher's review, oldest first
+ */
+export async function listTeacherAttendanceByStatus(teacherId, status, limit = 100) {
+    return store.query(COLLECTION, {
+        where: [['teacherId', '==', teacherId], ['status', '==', status]],
+        orderBy: [['markedAt', 'asc']],
+        limit
+    });
+}
+
+/**
+ * Write a teacher's change to a record together with its audit entry
+ * 
+ * @param {Object|null} existing - The record as it was (with id), or null when there was none
+ * @param {Object|null} record - The new record, or null to delete it
+ * @param {Object} audit - Audit entry
+ * Throws StoreError(ALREADY_EXISTS) when the student marked in the meantime
+ * and StoreError(NOT_FOUND) when the record was deleted in the meantime
+ */
+export async function saveAttendanceChange({ sessionId, studentId, existing, record, audit }) {
+    const id = attendanceId(sessionId, studentId);
+    const writes = [];
+
+    if (record) {
+        // update (not set) fails if the record was deleted since it was read
+        writes.push({ op: existing ? 'update' : 'create', collection: COLLECTION, id, data: record });
+    } else {
+        writes.push({ op: 'delete', collection: COLLECTION, id });
+
+        // Release the device, so the student can mark again from their own phone
+        if (existing?.deviceId) {
+            writes.push({
+                op: 'delete',
+                collection: DEVICE_CLAIMS_COLLECTION,
+                id: deviceClaimId(sessionId, existing.deviceId)
+            });
+        }
+    }
+
+    writes.push({
+        op: 'create',
+        collection: AUDIT_COLLECTION,
+        id: crypto.randomBytes(10).toString('hex'),
+        data: audit
+    });
+
+    await store.commit(writes);
+}
+
+/**
+ * Audit history of a session, newest first
+ */
+export async function listSessionAudit(sessionId) {
+    return store.query(AUDIT_COLLECTION, {
+        where: [['sessionId', '==', sessionId]],
+        orderBy: [['at', 'desc']]
+    });
+}
+
+/**
+ * Records of a session for some students (at most 30: one 'in' query)
+ */
+export async function getSessionAttendanceFor(sessionId, studentIds) {
+    return store.query(COLLECTION, {
+        where: [[DOCUMENT_ID, 'in', studentIds.map((studentId) => attendanceId(sessionId, studentId))]]
+    });
+}
+
+/**
+ * One page of a session's records in id order (exports read them page by page)
+ * @param {Object} options - { startAfter: last record id of the previous page, limit }
+ */
+export async function listSessionAttendancePage(sessionId, { startAfter, limit }) {
+    return store.query(COLLECTION, {
+        where: [['sessionId', '==', sessionId]],
+        orderBy: [[DOCUMENT_ID, 'asc']],
+        startAfter,
+        limit
+    });
+}
+
+/**
+ * Records of some students (at most 30) in every session of a course
+ */
+export async function listCourseAttendanceFor(courseId, studentIds) {
+    return store.query(COLLECTION, {
+        where: [['courseId', '==', courseId], ['studentId', 'in', studentIds]]
+    });
+}
+
+/**
+ * One page of a course's records in id order (analytics read them page by page)
+ * @param {Object} options - { startAfter: last record id of the previous page, limit }
+ */
+export async function listCourseAttendancePage(courseId, { startAfter, limit }) {
+    return store.query(COLLECTION, {
+        where: [['courseId', '==', courseId]],
+        orderBy: [[DOCUMENT_ID, 'asc']],
+        startAfter,
+        limit
+    });
+}
+
+/**
+ * Every record of a student (a few per class day, so a term is a few hundred)
+ */
+export async function listStudentAttendance(studentId) {
+    return store.query(COLLECTION, {
+        where: [['studentId', '==', studentId]]
+    });
+}
+
+export default {
+    attendanceId,
+    getAttendance,
+    getSessionDeviceClaim,
+    createAttendance,
+    updateAttendance,
+    listAllSessionAttendance,
+    listRecordsAtLocation,
+    getLatestStudentAttendance,
+    listTeacherAttendanceByStatus,
+    saveAttendanceChange,
+    listSessionAudit,
+    getSessionAttendanceFor,
+    listSessionAttendancePage,
+    listCourseAttendanceFor,
+    listCourseAttendancePage,
+    listStudentAttendance
+};
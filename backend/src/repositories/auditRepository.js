@@ -0,0 +1,39 @@
+/**
+ * Audit Repository
+ * 
+ * PURPOSE:
+ * Write and query the global audit log (`auditLog`): one entry per change
+ * made through the API to a user profile, session or attendance record
+ */
+
+import { store } from './store.js';
+import { DOCUMENT_ID } from './storeTypes.js';
+
+const COLLECTION = 'auditLog';
+
+/**
+ * @returns New entry id
+ */
+export async function createAuditEvent(event) {
+    return store.add(COLLECTION, event);
+}
+
+/**
+ * An institution's audit entries, newest first
+ * 
+ * @param {string} institutionId
+ * @param {Object} options - { where: [[field, op, value]], cursor: [at, id], limit }
+ */
+export async function queryAuditEvents(institutionId, { where = [], cursor, limit }) {
+    return store.query(COLLECTION, {
+        where: [['institutionId', '==', institutionId], ...where],
+        orderBy: [['at', 'desc'], [DOCUMENT_ID, 'desc']],
+        startAfter: cursor,
+        limit
+    });
+}
+
+export default {
+    createAuditEvent,
+    queryAuditEvents
+};
@@ -0,0 +1,71 @@
+/**
+ * Courses Repository
+ * 
+ * PURPOSE:
+ * Read and write courses (`courses` collection): code, title,
+ * owning teacher and the enrolled students' uids
+ */
+
+import { store } from './store.js';
+
+const COLLECTION = 'courses';
+
+export async function getCourse(courseId) {
+    const course = await store.get(COLLECTION, courseId);
+    return course ? { id: courseId, ...course } : null;
+}
+
+/**
+ * @returns New course id
+ */
+export async function createCourse(course) {
+    return store.add(COLLECTION, course);
+}
+
+export async function updateCourse(courseId, patch) {
+    await store.update(COLLECTION, courseId, patch);
+}
+
+/**
+ * Add a student (with their roll number) to a course's roster
+ * Read and written in one transaction, so students enrolled at the same
+ * time are all kept.
+ * @throws StoreError NOT_FOUND when the course no longer exists
+ */
+export async function enrollStudent(courseId, studentId, rollNumber) {
+    await store.transact(COLLECTION, courseId, (course) => ({
+        studentIds: [...new Set([...(course.studentIds || []), studentId])],
+        rollNumbers: { ...(course.rollNumbers || {}), [studentId]: rollNumber },
+        updatedAt: new Date().toISOString()
+    }));
+}
+
+export async function listTeacherCourses(teacherId) {
+    return store.query(COLLECTION, {
+        where: [['teacherId', '==', teacherId]],
+        orderBy: [['code', 'asc']]
+    });
+}
+
+export async function listStudentCourses(studentId) {
+    return store.query(COLLECTION, {
+        where: [['studentIds', 'array-contains', studentId]]
+    });
+}
+
+/**
+ * Check whether a student is enrolled in a course
+ */
+export function isEnrolled(course, studentId) {
+    return Array.isArray(course?.studentIds) && course.studentIds.includes(studentId);
+}
+
+export default {
+    getCourse,
+    createCourse,
+    updateCourse,
+    enrollStudent,
+    listTeacherCourses,
+    listStudentCourses,
+    isEnrolled
+};
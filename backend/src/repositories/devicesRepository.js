@@ -0,0 +1,103 @@
+/**
+ * Devices Repository
+ * 
+ * PURPOSE:
+ * Read and write each student's registered device (`deviceBindings`,
+ * keyed by student uid), their requests to move to a new device
+ * (`deviceRebindRequests`, one per student) and the device conflicts
+ * reported to teachers (`deviceConflicts`)
+ */
+
+import { store } from './store.js';
+
+const BINDINGS_COLLECTION = 'deviceBindings';
+const REQUESTS_COLLECTION = 'deviceRebindRequests';
+const CONFLICTS_COLLECTION = 'deviceConflicts';
+
+export async function getDeviceBinding(studentId) {
+    return store.get(BINDINGS_COLLECTION, studentId);
+}
+
+export async function setDeviceBinding(studentId, binding) {
+    await store.set(BINDINGS_COLLECTION, studentId, binding);
+}
+
+/**
+ * Register a student's first device
+ * Throws StoreError(ALREADY_EXISTS) if a device was registered in the meantime
+ */
+export async function createDeviceBinding(studentId, binding) {
+    await store.create(BINDINGS_COLLECTION, studentId, binding);
+}
+
+export async function getRebindRequest(studentId) {
+    const request = await store.get(REQUESTS_COLLECTION, studentId);
+    return request ? { id: studentId, ...request } : null;
+}
+
+/**
+ * Save a student's request, replacing any earlier one
+ */
+export async function saveRebindRequest(studentId, request) {
+    await store.set(REQUESTS_COLLECTION, studentId, request);
+}
+
+export async function updateRebindRequest(studentId, patch) {
+    await store.update(REQUESTS_COLLECTION, studentId, patch);
+}
+
+/**
+ * Pending requests from students in one of the teacher's courses, oldest first
+ */
+export async function listTeacherRebindRequests(teacherId) {
+    return store.query(REQUESTS_COLLECTION, {
+        where: [['teacherIds', 'array-contains', teacherId], ['status', '==', 'pending']],
+        orderBy: [['requestedAt', 'asc']]
+    });
+}
+
+/**
+ * Pending requests of an institution (admins), oldest first
+ */
+export async function listInstitutionRebindRequests(institutionId) {
+    return store.query(REQUESTS_COLLECTION, {
+        where: [['institutionId', '==', institutionId], ['status', '==', 'pending']],
+        orderBy: [['requestedAt', 'asc']]
+    });
+}
+
+/**
+ * @returns New conflict id
+ */
+export async function createDeviceConflict(conflict) {
+    return store.add(CONFLICTS_COLLECTION, conflict);
+}
+
+export async function listSessionDeviceConflicts(sessionId) {
+    return store.query(CONFLICTS_COLLECTION, {
+        where: [['sessionId', '==', sessionId]],
+        orderBy: [['detectedAt', 'asc']]
+    });
+}
+
+export async function listTeacherDeviceConflicts(teacherId, limit = 50) {
+    return store.query(CONFLICTS_COLLECTION, {
+        where: [['teacherId', '==', teacherId]],
+        orderBy: [['detectedAt', 'desc']],
+        limit
+    });
+}
+
+export default {
+    getDeviceBinding,
+    setDeviceBinding,
+    createDeviceBinding,
+    getRebindRequest,
+    saveRebindRequest,
+    updateRebindRequest,
+    listTeacherRebindRequests,
+    listInstitutionRebindRequests,
+    createDeviceConflict,
+    listSessionDeviceConflicts,
+    listTeacherDeviceConflicts
+};
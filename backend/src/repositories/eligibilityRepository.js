@@ -0,0 +1,35 @@
+/**
+ * Eligibility Repository
+ * 
+ * PURPOSE:
+ * Read and write signed-off exam eligibility lists (`eligibilityReports`,
+ * one per course, keyed by the course id)
+ */
+
+import { store } from './store.js';
+
+const COLLECTION = 'eligibilityReports';
+const COURSES_COLLECTION = 'courses';
+
+export async function getEligibilityReport(courseId) {
+    return store.get(COLLECTION, courseId);
+}
+
+/**
+ * Store a signed-off list and freeze the course in one batch
+ * Throws StoreError(ALREADY_EXISTS) if the course was already signed off
+ * 
+ * @param {Object} report - The signed report (planSignOff)
+ * @param {Object} signOff - Kept on the course as `eligibilitySignOff`
+ */
+export async function signOffEligibilityReport(report, signOff) {
+    await store.commit([
+        { op: 'create', collection: COLLECTION, id: report.courseId, data: report },
+        { op: 'update', collection: COURSES_COLLECTION, id: report.courseId, data: { eligibilitySignOff: signOff } }
+    ]);
+}
+
+export default {
+    getEligibilityReport,
+    signOffEligibilityReport
+};
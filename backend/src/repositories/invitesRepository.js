@@ -0,0 +1,50 @@
+/**
+ * Invites Repository
+ * 
+ * PURPOSE:
+ * Pending course invitations (`invites` collection) for roster rows whose
+ * email has no registered user yet. Claimed when that user registers.
+ */
+
+import { store } from './store.js';
+
+const COLLECTION = 'invites';
+
+/**
+ * Deterministic id: re-importing a roster updates the same invite
+ */
+export function inviteId(courseId, email) {
+    return `${courseId}_${email}`;
+}
+
+export async function saveInvite(invite) {
+    await store.set(COLLECTION, inviteId(invite.courseId, invite.email), invite);
+}
+
+export async function listCourseInvites(courseId, status = 'pending') {
+    return store.query(COLLECTION, {
+        where: [['courseId', '==', courseId], ['status', '==', status]]
+    });
+}
+
+export async function listPendingInvitesForEmail(email) {
+    return store.query(COLLECTION, {
+        where: [['email', '==', email], ['status', '==', 'pending']]
+    });
+}
+
+export async function acceptInvite(id, uid) {
+    await store.update(COLLECTION, id, {
+        status: 'accepted',
+        acceptedBy: uid,
+        acceptedAt: new Date().toISOString()
+    });
+}
+
+export default {
+    inviteId,
+    saveInvite,
+    listCourseInvites,
+    listPendingInvitesForEmail,
+    acceptInvite
+};
@@ -0,0 +1,46 @@
+/**
+ * Rooms Repository
+ * 
+ * PURPOSE:
+ * Read and write the saved classroom locations (`rooms` collection):
+ * building, room number, centre coordinates and radius, per institution
+ */
+
+import { store } from './store.js';
+
+const COLLECTION = 'rooms';
+
+export async function getRoom(roomId) {
+    const room = await store.get(COLLECTION, roomId);
+    return room ? { id: roomId, ...room } : null;
+}
+
+/**
+ * @returns New room id
+ */
+export async function createRoom(room) {
+    return store.add(COLLECTION, room);
+}
+
+export async function updateRoom(roomId, patch) {
+    await store.update(COLLECTION, roomId, patch);
+}
+
+export async function deleteRoom(roomId) {
+    await store.delete(COLLECTION, roomId);
+}
+
+export async function listInstitutionRooms(institutionId) {
+    return store.query(COLLECTION, {
+        where: [['institutionId', '==', institutionId]],
+        orderBy: [['building', 'asc'], ['roomNumber', 'asc']]
+    });
+}
+
+export default {
+    getRoom,
+    createRoom,
+    updateRoom,
+    deleteRoom,
+    listInstitutionRooms
+};
@@ -0,0 +1,104 @@
+/**
+ * Sessions Repository
+ * 
+ * PURPOSE:
+ * Read and write attendance sessions (`sessions`), their
+ * backend-only QR secrets (`sessionSecrets`) and the timetable
+ * occurrences already turned into a session (`sessionOccurrences`)
+ */
+
+import { store } from './store.js';
+
+const COLLECTION = 'sessions';
+const SECRETS_COLLECTION = 'sessionSecrets';
+const OCCURRENCES_COLLECTION = 'sessionOccurrences';
+
+export async function getSession(sessionId) {
+    return store.get(COLLECTION, sessionId);
+}
+
+/**
+ * Create a session together with its QR secret
+ * GREEN CODING: Both documents written in a single batch
+ * 
+ * With an occurrenceId (timetable class) a marker document is created in the
+ * same batch, so a second attempt for that class fails with ALREADY_EXISTS.
+ */
+export async function createSession(session, secret, occurrenceId = null) {
+    const writes = [
+        { op: 'create', collection: COLLECTION, id: session.sessionId, data: session },
+        { op: 'create', collection: SECRETS_COLLECTION, id: session.sessionId, data: secret }
+    ];
+
+    if (occurrenceId) {
+        writes.push({
+            op: 'create',
+            collection: OCCURRENCES_COLLECTION,
+            id: occurrenceId,
+            data: { sessionId: session.sessionId, createdAt: session.createdAt }
+        });
+    }
+
+    await store.commit(writes);
+}
+
+/**
+ * Session created for a timetable occurrence, if any
+ */
+export async function getSessionOccurrence(occurrenceId) {
+    return store.get(OCCURRENCES_COLLECTION, occurrenceId);
+}
+
+export async function getSessionSecret(sessionId) {
+    return store.get(SECRETS_COLLECTION, sessionId);
+}
+
+export async function updateSession(sessionId, data) {
+    await store.update(COLLECTION, sessionId, data);
+}
+
+/**
+ * A teacher's most recent sessions, newest first
+ * GREEN CODING: Always limited
+ */
+export async function listTeacherSessions(teacherId, limit) {
+    return store.query(COLLECTION, {
+        where: [['teacherId', '==', teacherId]],
+        orderBy: [['createdAt', 'desc']],
+        limit
+    });
+}
+
+/**
+ * A course's sessions, oldest first, optionally created within [from, to] (ISO times)
+ */
+export async function listCourseSessions(courseId, { from, to } = {}) {
+    const where = [['courseId', '==', courseId]];
+    if (from) where.push(['createdAt', '>=', from]);
+    if (to) where.push(['createdAt', '<=', to]);
+
+    return store.query(COLLECTION, {
+        where,
+        orderBy: [['createdAt', 'asc']]
+    });
+}
+
+/**
+ * Sessions whose scheduled end falls within (from, to] (ISO times)
+ */
+export async function listSessionsEndedBetween(from, to) {
+    return store.query(COLLECTION, {
+        where: [['expiresAt', '>', from], ['expiresAt', '<=', to]]
+    });
+}
+
+export default {
+    getSession,
+    createSession,
+    getSessionSecret,
+    getSessionOccurrence,
+    updateSession,
+    listTeacherSessions,
+    listCourseSessions,
+    listSessionsEndedBetween
+};
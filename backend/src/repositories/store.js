@@ -0,0 +1,33 @@
+/**
+ * Storage Adapter Selection
+ * 
+ * PURPOSE:
+ * Pick the storage backend once at startup from configuration
+ * 
+ * CONFIGURATION:
+ * STORAGE_ADAPTER=firestore (default) - Firebase Admin Firestore
+ * STORAGE_ADAPTER=memory              - In-memory store, no credentials needed
+ * 
+ * VIVA EXPLANATION:
+ * Adapters are loaded with a dynamic import, so choosing the memory adapter
+ * never initialises the Firebase Admin SDK (which needs a service account).
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const ADAPTERS = {
+    firestore: () => import('./adapters/firestoreAdapter.js'),
+    memory: () => import('./adapters/memoryAdapter.js')
+};
+
+const adapterName = process.env.STORAGE_ADAPTER || 'firestore';
+
+if (!ADAPTERS[adapterName]) {
+    throw new Error(`Unknown STORAGE_ADAPTER "${adapterName}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`);
+}
+
+export const store = (await ADAPTERS[adapterName]()).default;
+
+export default store;
@@ -0,0 +1,25 @@
+/**
+ * Storage Types
+ * 
+ * PURPOSE:
+ * Adapter-independent constants and errors, so repositories and routes never
+ * depend on Firestore (gRPC) or in-memory implementation details
+ */
+
+// Field name used to sort, filter or paginate on the document id
+export const DOCUMENT_ID = '__id__';
+
+export const STORE_ERRORS = {
+    ALREADY_EXISTS: 'already-exists',
+    NOT_FOUND: 'not-found'
+};
+
+export class StoreError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'StoreError';
+        this.code = code;
+    }
+}
+
+export default StoreError;
@@ -0,0 +1,56 @@
+/**
+ * Timetables Repository
+ * 
+ * PURPOSE:
+ * Read and write class timetables (`timetables` collection):
+ * weekly slots, term dates, holidays and time zone of one teacher
+ */
+
+import { store } from './store.js';
+
+const COLLECTION = 'timetables';
+
+export async function getTimetable(timetableId) {
+    const timetable = await store.get(COLLECTION, timetableId);
+    return timetable ? { id: timetableId, ...timetable } : null;
+}
+
+/**
+ * @returns New timetable id
+ */
+export async function createTimetable(timetable) {
+    return store.add(COLLECTION, timetable);
+}
+
+export async function updateTimetable(timetableId, patch) {
+    await store.update(COLLECTION, timetableId, patch);
+}
+
+export async function deleteTimetable(timetableId) {
+    await store.delete(COLLECTION, timetableId);
+}
+
+export async function listTeacherTimetables(teacherId) {
+    return store.query(COLLECTION, {
+        where: [['teacherId', '==', teacherId]]
+    });
+}
+
+/**
+ * Timetables whose term has not ended before the given date (YYYY-MM-DD)
+ * GREEN CODING: Finished terms are skipped by the query, not in memory
+ */
+export async function listCurrentTimetables(fromDate) {
+    return store.query(COLLECTION, {
+        where: [['termEnd', '>=', fromDate]]
+    });
+}
+
+export default {
+    getTimetable,
+    createTimetable,
+    updateTimetable,
+    deleteTimetable,
+    listTeacherTimetables,
+    listCurrentTimetables
+};
@@ -0,0 +1,57 @@
+/**
+ * Users Repository
+ * 
+ * PURPOSE:
+ * Read and write user profiles (`users` collection, keyed by Firebase uid)
+ */
+
+import { store } from './store.js';
+import { DOCUMENT_ID } from './storeTypes.js';
+
+const COLLECTION = 'users';
+
+// Firestore allows at most 30 values in an 'in' filter
+const IN_QUERY_LIMIT = 30;
+
+export async function getUser(uid) {
+    return store.get(COLLECTION, uid);
+}
+
+export async function saveUser(uid, profile) {
+    await store.set(COLLECTION, uid, profile);
+}
+
+/**
+ * Find a user profile by email (case-insensitive input)
+ * @returns { id, ...profile } or null
+ */
+export async function findUserByEmail(email) {
+    const [user] = await store.query(COLLECTION, {
+        where: [['email', '==', String(email).trim().toLowerCase()]],
+        limit: 1
+    });
+    return user || null;
+}
+
+/**
+ * Fetch many profiles by uid
+ * GREEN CODING: Batched 'in' queries instead of one read per user
+ * @returns Array of { id, ...profile } (missing uids are skipped)
+ */
+export async function getUsers(uids) {
+    const users = [];
+
+    for (let i = 0; i < uids.length; i += IN_QUERY_LIMIT) {
+        const chunk = uids.slice(i, i + IN_QUERY_LIMIT);
+        users.push(...await store.query(COLLECTION, { where: [[DOCUMENT_ID, 'in', chunk]] }));
+    }
+
+    return users;
+}
+
+export default {
+    getUser,
+    saveUser,
+    findUserByEmail,
+    getUsers
+};
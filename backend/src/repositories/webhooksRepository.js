@@ -0,0 +1,137 @@
+/**
+ * Webhooks Repository
+ * 
+ * PURPOSE:
+ * Read and write webhook endpoints registered by admins (`webhooks`) and the
+ * log of every delivery to them (`webhookDeliveries`)
+ */
+
+import { store } from './store.js';
+
+const COLLECTION = 'webhooks';
+const DELIVERIES_COLLECTION = 'webhookDeliveries';
+
+export async function getWebhook(webhookId) {
+    const webhook = await store.get(COLLECTION, webhookId);
+    return webhook ? { id: webhookId, ...webhook } : null;
+}
+
+/**
+ * @returns New webhook id
+ */
+export async function createWebhook(webhook) {
+    return store.add(COLLECTION, webhook);
+}
+
+export async function updateWebhook(webhookId, patch) {
+    await store.update(COLLECTION, webhookId, patch);
+}
+
+export async function deleteWebhook(webhookId) {
+    await store.delete(COLLECTION, webhookId);
+}
+
+export async function listInstitutionWebhooks(institutionId) {
+    return store.query(COLLECTION, {
+        where: [['institutionId', '==', institutionId]],
+        orderBy: [['createdAt', 'asc']]
+    });
+}
+
+/**
+ * Enabled webhooks of an institution subscribed to an event
+ */
+export async function listSubscribedWebhooks(institutionId, event) {
+    return store.query(COLLECTION, {
+        where: [
+            ['institutionId', '==', institutionId],
+            ['events', 'array-contains', event],
+            ['enabled', '==', true]
+        ]
+    });
+}
+
+export function deliveryId(eventId, webhookId) {
+    return `${eventId}_${webhookId}`;
+}
+
+export async function getDelivery(id) {
+    const delivery = await store.get(DELIVERIES_COLLECTION, id);
+    return delivery ? { id, ...delivery } : null;
+}
+
+/**
+ * Log the deliveries of one event (one per webhook) in one batch
+ * @param {Array} deliveries - [{ eventId, webhookId, ... }]
+ * @returns The deliveries with their ids
+ */
+export async function createDeliveries(deliveries) {
+    if (deliveries.length === 0) return [];
+
+    const withIds = deliveries.map((delivery) => ({ id: deliveryId(delivery.eventId, delivery.webhookId), ...delivery }));
+
+    await store.commit(withIds.map(({ id, ...data }) => ({
+        op: 'create',
+        collection: DELIVERIES_COLLECTION,
+        id,
+        data
+    })));
+
+    return withIds;
+}
+
+export async function updateDelivery(id, patch) {
+    await store.update(DELIVERIES_COLLECTION, id, patch);
+}
+
+/**
+ * Deliveries waiting for an attempt that is due by `now`, oldest first
+ */
+export async function listDueDeliveries(now, limit = 50) {
+    return store.query(DELIVERIES_COLLECTION, {
+        where: [
+            ['status', '==', 'pending'],
+            ['nextAttemptAt', '<=', now]
+        ],
+        orderBy: [['nextAttemptAt', 'asc']],
+        limit
+    });
+}
+
+/**
+ * Every delivery still waiting for an attempt, soonest first
+ */
+export async function listPendingDeliveries(limit = 500) {
+    return store.query(DELIVERIES_COLLECTION, {
+        where: [['status', '==', 'pending']],
+        orderBy: [['nextAttemptAt', 'asc']],
+        limit
+    });
+}
+
+/**
+ * A webhook's deliveries, newest first
+ */
+export async function listWebhookDeliveries(webhookId, limit = 50) {
+    return store.query(DELIVERIES_COLLECTION, {
+        where: [['webhookId', '==', webhookId]],
+        orderBy: [['createdAt', 'desc']],
+        limit
+    });
+}
+
+export default {
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listInstitutionWebhooks,
+    listSubscribedWebhooks,
+    deliveryId,
+    getDelivery,
+    createDeliveries,
+    updateDelivery,
+    listDueDeliveries,
+    listPendingDeliveries,
+    listWebhookDeliveries
+};
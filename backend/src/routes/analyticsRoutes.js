@@ -0,0 +1,127 @@
+/**
+ * Analytics Routes - Attendance Percentages and Turnout
+ * 
+ * ENDPOINTS:
+ * - GET /api/analytics/me - My attendance percentage in each course (Student)
+ * - GET /api/analytics/courses/:courseId - Session turnout, weekly trend and
+ *   student percentages of a course (owning Teacher or Admin)
+ * 
+ * AUTHENTICATION:
+ * Every endpoint requires `Authorization: Bearer <Firebase ID token>`.
+ * 
+ * GREEN CODING:
+ * - Worked out on request from the records (see analyticsService); nothing
+ *   is stored, so there is nothing to keep up to date on every scan
+ * - `from` / `to` limit the sessions read to a term or a month
+ */
+
+import express from 'express';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { requireRole, loadUserRole, isPrivileged } from '../middleware/roleMiddleware.js';
+import { getCourse, listStudentCourses } from '../repositories/coursesRepository.js';
+import { listCourseSessions } from '../repositories/sessionsRepository.js';
+import { buildCourseAnalytics, buildStudentAnalytics } from '../services/analyticsService.js';
+import { normalizeDateRange } from '../utils/dateRange.js';
+
+const router = express.Router();
+
+// All analytics endpoints require a verified Firebase ID token
+router.use(verifyToken);
+
+/**
+ * Validate `from` / `to`
+ * @returns The range, or null when a 400 response has been sent
+ */
+function loadRange(req, res) {
+    const range = normalizeDateRange(req.query);
+
+    if (range.error) {
+        res.status(400).json({
+            success: false,
+            message: range.error
+        });
+        return null;
+    }
+
+    return range;
+}
+
+/**
+ * GET /api/analytics/me?from=&to=
+ * The student's attendance in each enrolled course and overall.
+ * Sessions still running are left out until they finish.
+ */
+router.get('/me', requireRole('student'), async (req, res) => {
+    try {
+        const range = loadRange(req, res);
+        if (!range) return;
+
+        const courses = await listStudentCourses(req.user.uid);
+        const withSessions = await Promise.all(courses.map(async (course) => ({
+            course,
+            sessions: await listCourseSessions(course.id, range)
+        })));
+
+        const analytics = await buildStudentAnalytics(req.user.uid, withSessions);
+
+        res.json({
+            success: true,
+            range,
+            ...analytics
+        });
+    } catch (error) {
+        console.error('Error building student analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/analytics/courses/:courseId?from=&to=
+ * Turnout of each session, turnout per week and each enrolled student's
+ * percentage (owning Teacher or Admin)
+ */
+router.get('/courses/:courseId', async (req, res) => {
+    try {
+        const range = loadRange(req, res);
+        if (!range) return;
+
+        const course = await getCourse(req.params.courseId);
+
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        await loadUserRole(req);
+
+        if (course.teacherId !== req.user.uid && !isPrivileged(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view analytics of your own courses'
+            });
+        }
+
+        const sessions = await listCourseSessions(course.id, range);
+        const analytics = await buildCourseAnalytics(course, sessions);
+
+        res.json({
+            success: true,
+            course: { id: course.id, code: course.code, title: course.title },
+            range,
+            ...analytics
+        });
+    } catch (error) {
+        console.error('Error building course analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+export default router;
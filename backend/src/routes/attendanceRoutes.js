@@ -3,54 +3,335 @@
  * 
  * ENDPOINTS:
  * - POST /api/attendance/session - Create attendance session (Teacher)
+ * - GET /api/attendance/sessions - List the teacher's recent sessions with their state (Teacher)
+ * - PATCH /api/attendance/session/:sessionId - Close, extend or reopen a session (Teacher)
  * - POST /api/attendance/mark - Mark attendance (Student)
  * - GET /api/attendance/session/:sessionId - Get session details
+ * - GET /api/attendance/session/:sessionId/qr - Get current rotating QR payload (Teacher)
  * - GET /api/attendance/records/:sessionId - Get attendance records for session
+ * - GET /api/attendance/review - Flagged (suspicious) check-ins waiting for review (Teacher)
+ * - PATCH /api/attendance/records/:sessionId/:studentId/review - Confirm or reject a flagged check-in (Teacher)
+ * - PUT /api/attendance/records/:sessionId/:studentId - Set a student's attendance by hand (Teacher)
+ * - DELETE /api/attendance/records/:sessionId/:studentId - Revoke a student's record (Teacher)
+ * - GET /api/attendance/records/:sessionId/audit - History of manual changes (Teacher)
+ * - GET /api/attendance/records/:sessionId/export - Download the session's attendance as CSV or XLSX (Teacher)
+ * 
+ * AUTHENTICATION:
+ * Every endpoint requires `Authorization: Bearer <Firebase ID token>`.
+ * Student and teacher identity always comes from the verified token.
+ * Creating sessions requires the 'teacher' role; records and lifecycle
+ * changes are limited to the teacher who owns the session.
+ * Every change to a session or record is written to the audit log (see auditService).
+ * Closing a session or changing a record of a finished one re-checks the
+ * course's low-attendance alerts (see alertService).
+ * Sessions in a term whose exam eligibility list has been signed off can no
+ * longer be changed (see eligibilityService).
+ * Creating and closing sessions, check-ins and rejected check-ins are sent
+ * to the institution's webhooks (see webhookService).
  * 
  * GREEN CODING:
- * - Efficient Firestore queries with indexes
+ * - Efficient queries with indexes (through the repository layer)
  * - Single database write per attendance mark
  * - Batch operations where possible
  * - No polling - event-driven architecture
  */
 
 import express from 'express';
-import { db } from '../utils/firebase.js';
-import { verifyLocation } from '../services/locationService.js';
+import {
+    getSession,
+    getSessionSecret,
+    updateSession,
+    listTeacherSessions
+} from '../repositories/sessionsRepository.js';
+import {
+    attendanceId,
+    getAttendance,
+    getSessionDeviceClaim,
+    createAttendance,
+    listAllSessionAttendance,
+    listTeacherAttendanceByStatus,
+    saveAttendanceChange,
+    listSessionAudit
+} from '../repositories/attendanceRepository.js';
+import { getCourse, isEnrolled } from '../repositories/coursesRepository.js';
+import { getUser } from '../repositories/usersRepository.js';
+import { getRoom } from '../repositories/roomsRepository.js';
+import { STORE_ERRORS } from '../repositories/storeTypes.js';
+import { isValidAccuracy, isValidPosition, normalizeGeofence } from '../services/locationService.js';
+import {
+    QR_ERRORS,
+    DEFAULT_ROTATION_SECONDS,
+    getCurrentToken,
+    buildQrPayload,
+    parseQrPayload
+} from '../services/qrTokenService.js';
+import { buildSessionReport } from '../services/attendanceReportService.js';
+import {
+    SESSION_STATES,
+    SESSION_ACTIONS,
+    normalizeExpiresAt,
+    createCourseSession,
+    getSessionState,
+    planSessionChange
+} from '../services/sessionService.js';
+import {
+    ATTENDANCE_STATUSES,
+    locationKey,
+    detectAnomalies,
+    flagSharedCoordinates,
+    planReview
+} from '../services/anomalyService.js';
+import { DEVICE_HEADER, DEVICE_ERRORS, reportDeviceConflict } from '../services/deviceService.js';
+import { DEFAULT_PRESENCE_MODE, normalizePresenceMode, usesGps } from '../services/presenceService.js';
+import {
+    normalizeVerificationPolicy,
+    resolveVerificationPolicy,
+    geofenceWithoutLocation,
+    runVerification
+} from '../services/verification/index.js';
+import { normalizeCheckInWindow } from '../services/verification/timeWindowVerifier.js';
+import {
+    RECORD_SOURCES,
+    AUDIT_ACTIONS,
+    buildAuditEntry,
+    planOverride,
+    planRevoke
+} from '../services/overrideService.js';
+import { getDeviceBinding, listSessionDeviceConflicts } from '../repositories/devicesRepository.js';
+import { AUDIT_LOG_ACTIONS, AUDIT_TARGET_TYPES } from '../services/auditService.js';
+import {
+    normalizeExportFormat,
+    exportHeaders,
+    createTableWriter,
+    writeSessionExport
+} from '../services/exportService.js';
+import { checkCourseAlertsLater } from '../services/alertService.js';
+import { isSessionFrozen } from '../services/eligibilityService.js';
+import { WEBHOOK_EVENTS, sessionEventData, attendanceEventData } from '../services/webhookService.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { requireRole, getInstitutionId } from '../middleware/roleMiddleware.js';
+import { recordAudit, auditContext } from '../middleware/auditMiddleware.js';
+import { emitWebhook } from '../middleware/webhookMiddleware.js';
+import { STREAM_ERRORS } from '../utils/streams.js';
 
 const router = express.Router();
 
+// Longest accepted Idempotency-Key header value
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Build the /mark success response from a stored record
+ * (also used to replay the original response for idempotent retries)
+ */
+function markSuccessResponse(record) {
+    // Students are not told why a check-in was flagged
+    const suspicious = record.status === ATTENDANCE_STATUSES.SUSPICIOUS;
+
+    return {
+        success: true,
+        message: suspicious
+            ? 'Attendance recorded - your teacher will review this check-in'
+            : 'Attendance marked successfully',
+        status: record.status || ATTENDANCE_STATUSES.PRESENT,
+        courseName: record.courseName,
+        distance: record.distance,
+        confidence: record.confidence ?? null,
+        verification: record.verification || []
+    };
+}
+
+function deviceSharedResponse(res) {
+    return res.status(409).json({
+        success: false,
+        code: DEVICE_ERRORS.SHARED,
+        message: 'Another student has already marked this session from this device'
+    });
+}
+
+/**
+ * Load a session the signed-in teacher owns
+ * @returns The session, or null after sending a 404/403 response
+ */
+async function loadOwnedSession(req, res, forbiddenMessage) {
+    const session = await getSession(req.params.sessionId);
+
+    if (!session) {
+        res.status(404).json({
+            success: false,
+            message: 'Session not found'
+        });
+        return null;
+    }
+
+    if (session.teacherId !== req.user.uid) {
+        res.status(403).json({
+            success: false,
+            message: forbiddenMessage
+        });
+        return null;
+    }
+
+    return session;
+}
+
+// A manual change lost a race with a check-in or another change
+function recordChangedResponse(res) {
+    return res.status(409).json({
+        success: false,
+        message: 'This record changed in the meantime - reload and try again'
+    });
+}
+
+/**
+ * Re-check the course's low-attendance alerts after a change that can lower
+ * a percentage, in the background (call after sending the response).
+ * A running session doesn't count yet, so it is skipped.
+ */
+function checkAlertsAfterChange(session) {
+    if (!session.courseId || getSessionState(session) === SESSION_STATES.ACTIVE) return;
+    checkCourseAlertsLater(session.courseId);
+}
+
+/**
+ * Refuse to change a session of a term whose eligibility list was signed off
+ * @returns true when a 409 response has been sent
+ */
+async function rejectFrozenSession(session, res) {
+    const course = session.courseId ? await getCourse(session.courseId) : null;
+    if (!isSessionFrozen(course, session)) return false;
+
+    res.status(409).json({
+        success: false,
+        message: 'The eligibility list for this session\'s term has been signed off - its attendance can no longer be changed'
+    });
+    return true;
+}
+
+// Success messages for PATCH /session/:sessionId
+const SESSION_CHANGE_MESSAGES = {
+    close: 'Session closed',
+    extend: 'Session extended',
+    reopen: 'Session reopened'
+};
+
+// All attendance endpoints require a verified Firebase ID token
+router.use(verifyToken);
+
 /**
  * POST /api/attendance/session
- * Create a new attendance session (Teacher only)
+ * Create a new attendance session for one of the teacher's courses (Teacher only)
+ * 
+ * `expiresAt` (required) is the ISO time the session ends; it must be in the future.
+ * The classroom is either a saved room (`roomId`) or an explicit `location`:
+ * a circle, a GeoJSON Polygon, or { zones: [...] } (see locationService).
+ * Optional `maxAccuracyMeters`: the worst GPS accuracy accepted when marking.
+ * Optional `presenceMode`: 'gps' (default), 'network', 'either' or 'both'
+ * (see presenceService). A 'network' session needs no classroom location.
+ * Optional `verificationPolicy`: verifier levels on top of the course's,
+ * e.g. { geofence: 'warn' }, and `checkInWindowMinutes` (see services/verification).
  */
-router.post('/session', async (req, res) => {
+router.post('/session', requireRole('teacher'), async (req, res) => {
     try {
-        const { sessionId, courseName, teacherId, teacherEmail, location, expiresAt } = req.body;
+        const { courseId, roomId, location, expiresAt, qrRotationSeconds, maxAccuracyMeters } = req.body;
+        const { uid: teacherId, email: teacherEmail } = req.user;
+        const presence = normalizePresenceMode(req.body.presenceMode);
+        const verification = normalizeVerificationPolicy(req.body.verificationPolicy);
+        const checkInWindow = normalizeCheckInWindow(req.body.checkInWindowMinutes);
+        const invalid = presence.error || verification.error || checkInWindow.error;
+
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
 
-        if (!sessionId || !courseName || !teacherId || !location) {
+        if (!courseId || (!roomId && !location && usesGps(presence.mode))) {
             return res.status(400).json({
                 success: false,
                 message: 'Missing required fields'
             });
         }
 
-        // GREEN CODING: Single Firestore write
-        await db.collection('sessions').doc(sessionId).set({
-            sessionId,
-            courseName,
-            teacherId,
+        const course = await getCourse(courseId);
+
+        if (!course || course.teacherId !== teacherId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        const expiry = normalizeExpiresAt(expiresAt);
+
+        if (expiry.error) {
+            return res.status(400).json({
+                success: false,
+                message: expiry.error
+            });
+        }
+
+        let room = null;
+        let geofence = null;
+
+        if (roomId) {
+            room = await getRoom(roomId);
+
+            if (!room || room.institutionId !== getInstitutionId(req.user)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Room not found'
+                });
+            }
+        } else if (location) {
+            const result = normalizeGeofence(location);
+
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid location: ${result.error}`
+                });
+            }
+
+            geofence = result.geofence;
+        }
+
+        const checksMissingLocation = geofenceWithoutLocation({
+            roomId,
+            location: geofence,
+            presenceMode: presence.mode,
+            verificationPolicy: verification.policy
+        }, course);
+
+        if (checksMissingLocation) {
+            return res.status(400).json({
+                success: false,
+                message: 'The verification policy checks the geofence, but this session has no location - ' +
+                    'add a room or location, or set verificationPolicy.geofence to off'
+            });
+        }
+
+        const session = await createCourseSession(course, {
             teacherEmail,
-            location,
-            expiresAt,
-            createdAt: new Date().toISOString(),
-            active: true
-        });
+            location: geofence,
+            room,
+            expiresAt: expiry.expiresAt,
+            qrRotationSeconds,
+            maxAccuracyMeters,
+            presenceMode: presence.mode,
+            verificationPolicy: verification.policy,
+            checkInWindowMinutes: checkInWindow.minutes
+        }, await auditContext(req));
 
         res.json({
             success: true,
             message: 'Session created successfully',
-            sessionId
+            sessionId: session.sessionId,
+            qrRotationSeconds: session.qrRotationSeconds,
+            maxAccuracyMeters: session.maxAccuracyMeters,
+            presenceMode: session.presenceMode,
+            verificationPolicy: session.verificationPolicy,
+            checkInWindowMinutes: session.checkInWindowMinutes
         });
     } catch (error) {
         console.error('Error creating session:', error);
@@ -65,120 +346,367 @@ router.post('/session', async (req, res) => {
  * POST /api/attendance/mark
  * Mark attendance for a session (Student)
  * 
+ * Optional `Idempotency-Key` header: retrying with the same key returns
+ * the original success response instead of an "already marked" error.
+ * Required `X-Device-Id` header: the id the app generated for this device.
+ * 
  * VERIFICATION STEPS:
- * 1. Check if session exists and is active
- * 2. Verify session hasn't expired
- * 3. Validate student location within allowed radius
- * 4. Check if student hasn't already marked attendance
- * 5. Record attendance
+ * 0. Verify the QR envelope signature (no database read for forged codes)
+ *    and replay the original response for an idempotent retry
+ * 1. Check the session exists
+ * 2. Run the session's verification policy (services/verification): enrollment,
+ *    expiry, time window, rotating token, device, campus network and geofence,
+ *    each blocking, warning or switched off. The response lists every result
+ *    in `verification`; warnings flag the record for review
+ * 3. Look for signs of a faked location (flagged records are saved as 'suspicious')
+ * 4. Record attendance atomically (one record per student per session and device)
  */
 router.post('/mark', async (req, res) => {
     try {
-        const { sessionId, studentId, studentEmail, location } = req.body;
+        const { qrData, location } = req.body;
+        const { uid: studentId, email: studentEmail } = req.user;
+        const idempotencyKey = req.get('Idempotency-Key') || null;
+        const deviceId = req.get(DEVICE_HEADER) || null;
 
-        if (!sessionId || !studentId || !location) {
+        // `location` may be left out when the session accepts the campus network instead
+        if (!qrData) {
             return res.status(400).json({
                 success: false,
                 message: 'Missing required fields'
             });
         }
 
-        // Step 1: Get session details
-        const sessionDoc = await db.collection('sessions').doc(sessionId).get();
+        if (location && !isValidPosition(location)) {
+            return res.status(400).json({
+                success: false,
+                message: 'location.latitude and location.longitude must be numbers within range'
+            });
+        }
 
-        if (!sessionDoc.exists) {
-            return res.status(404).json({
+        if (location && !isValidAccuracy(location.accuracy)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Invalid QR code - session not found'
+                message: 'location.accuracy must be a positive number of metres'
             });
         }
 
-        const session = sessionDoc.data();
+        if (idempotencyKey && idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Idempotency-Key must be at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+            });
+        }
 
-        // Step 2: Check if session is expired
-        const now = new Date();
-        const expiryDate = new Date(session.expiresAt);
+        // Step 0: Verify the signed QR envelope
+        const envelope = parseQrPayload(qrData);
 
-        if (now > expiryDate) {
+        if (!envelope.valid) {
             return res.status(400).json({
                 success: false,
-                message: 'Session has expired'
+                code: envelope.code,
+                message: envelope.code === QR_ERRORS.UNSIGNED
+                    ? 'Invalid QR code - not issued by this system'
+                    : 'Invalid QR code - signature check failed'
             });
         }
 
-        // Step 3: Verify location
-        // Use default 50m radius if not specified
-        const allowedRadius = session.location.radiusMeters || 50;
+        const { sessionId, token, issuedAt } = envelope;
 
-        const locationCheck = verifyLocation(
-            location.latitude,
-            location.longitude,
-            session.location.latitude,
-            session.location.longitude,
-            allowedRadius
-        );
+        // A retry of a request that already succeeded gets the original response,
+        // even if the QR code has rotated or the session has expired since
+        if (idempotencyKey) {
+            const existing = await getAttendance(sessionId, studentId);
 
-        // Log for debugging
-        console.log('Location Verification:', {
-            studentLat: location.latitude,
-            studentLon: location.longitude,
-            classroomLat: session.location.latitude,
-            classroomLon: session.location.longitude,
-            distance: locationCheck.distance,
-            maxDistance: locationCheck.maxDistance,
-            valid: locationCheck.valid
-        });
+            if (existing && existing.idempotencyKey === idempotencyKey) {
+                res.set('Idempotent-Replayed', 'true');
+                return res.json(markSuccessResponse(existing));
+            }
+        }
 
-        if (!locationCheck.valid) {
-            return res.status(400).json({
+        // Step 1: Get session details
+        const session = await getSession(sessionId);
+
+        if (!session) {
+            return res.status(404).json({
                 success: false,
-                message: `You are ${locationCheck.distance}m away. Must be within ${locationCheck.maxDistance}m`,
-                debug: {
-                    yourLocation: `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}`,
-                    classLocation: `${session.location.latitude.toFixed(6)}, ${session.location.longitude.toFixed(6)}`,
-                    distance: locationCheck.distance,
-                    required: locationCheck.maxDistance
-                }
+                message: 'Invalid QR code - session not found'
             });
         }
 
-        // Step 4: Check for duplicate attendance
-        const existingAttendance = await db.collection('attendance')
-            .where('sessionId', '==', sessionId)
-            .where('studentId', '==', studentId)
-            .get();
+        // Step 2: Run the session's verifiers (the course and session decide which block or warn)
+        const course = session.courseId ? await getCourse(session.courseId) : null;
+        const presenceMode = session.presenceMode || DEFAULT_PRESENCE_MODE;
+        const context = {
+            req,
+            session,
+            course,
+            studentId,
+            studentEmail,
+            deviceId,
+            location,
+            token,
+            issuedAt,
+            presenceMode,
+            now: new Date()
+        };
+        const verification = await runVerification(context, resolveVerificationPolicy(session, course));
+
+        if (verification.blocked) {
+            const { httpStatus, code, message, response } = verification.blocked;
 
-        if (!existingAttendance.empty) {
-            return res.status(400).json({
+            await emitWebhook(req, WEBHOOK_EVENTS.ATTENDANCE_REJECTED, {
+                sessionId,
+                courseId: session.courseId || null,
+                courseName: session.courseName || null,
+                studentId,
+                studentEmail,
+                stage: 'check-in',
+                code,
+                reason: message,
+                at: context.now.toISOString()
+            });
+
+            return res.status(httpStatus).json({
                 success: false,
-                message: 'You have already marked attendance for this session'
+                code,
+                message,
+                ...response,
+                verification: verification.results
             });
         }
 
-        // Step 5: Record attendance (GREEN CODING: Single write)
+        // Step 3: Anomaly detection - saved either way, but flagged for the teacher
+        // (location-based, so a check-in without a GPS check has nothing to look at).
+        // Verifiers that only warn are flagged the same way.
+        const { locationCheck, networkCheck, classroom } = context;
+        const markedAt = context.now.toISOString();
+        const detected = locationCheck
+            ? await detectAnomalies({ sessionId, studentId, location, markedAt }, classroom)
+            : { anomalies: [], sharedWith: [] };
+        const anomalies = [
+            ...verification.warnings.map(({ verifier, code, message }) => ({ code, verifier, message })),
+            ...detected.anomalies
+        ];
+
+        // Step 4: Record attendance (GREEN CODING: Single write)
+        // The record id is derived from (sessionId, studentId) and created only if
+        // absent, so double taps and scanner restarts cannot create duplicates
         const attendanceData = {
             sessionId,
             studentId,
             studentEmail,
+            courseId: session.courseId || null,
+            teacherId: session.teacherId,
             courseName: session.courseName,
-            markedAt: new Date().toISOString(),
-            distance: locationCheck.distance,
-            location: {
+            status: anomalies.length > 0 ? ATTENDANCE_STATUSES.SUSPICIOUS : ATTENDANCE_STATUSES.PRESENT,
+            source: RECORD_SOURCES.QR,
+            anomalies,
+            markedAt,
+            distance: locationCheck ? locationCheck.distance : null,
+            location: locationCheck ? {
                 latitude: location.latitude,
-                longitude: location.longitude
-            }
+                longitude: location.longitude,
+                accuracy: location.accuracy ?? null
+            } : null,
+            locationKey: locationCheck ? locationKey(location.latitude, location.longitude) : null,
+            // Probability (0-1) that the student was really inside; null when the client sent no accuracy
+            confidence: locationCheck ? locationCheck.confidence : null,
+            // Which checks were made and what they found (null = not checked)
+            presence: {
+                mode: presenceMode,
+                gps: locationCheck ? {
+                    valid: locationCheck.valid,
+                    zone: locationCheck.zone,
+                    distance: locationCheck.distance,
+                    confidence: locationCheck.confidence
+                } : null,
+                network: networkCheck || null
+            },
+            verification: verification.results,
+            deviceId,
+            idempotencyKey
         };
 
-        await db.collection('attendance').add(attendanceData);
+        try {
+            // The device is only claimed for the session (and registered to a student
+            // without one) when the device check passed
+            await createAttendance(attendanceData, {
+                claimDevice: Boolean(context.claimDevice),
+                bindDevice: context.bindDevice || null
+            });
+        } catch (error) {
+            if (error.code !== STORE_ERRORS.ALREADY_EXISTS) throw error;
+
+            // Lost a race: the student already has a record, the device was just claimed,
+            // or another device was just registered to the student
+            const existing = await getAttendance(sessionId, studentId);
+            if (idempotencyKey && existing?.idempotencyKey === idempotencyKey) {
+                res.set('Idempotent-Replayed', 'true');
+                return res.json(markSuccessResponse(existing));
+            }
+
+            if (existing) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You have already marked attendance for this session'
+                });
+            }
+
+            // Another student marked from this device a moment ago
+            const claim = await getSessionDeviceClaim(sessionId, deviceId);
+
+            if (!context.bindDevice || (claim && claim.studentId !== studentId)) {
+                await reportDeviceConflict(session, { deviceId, studentId, studentEmail, markedStudentId: claim?.studentId || null });
+                return deviceSharedResponse(res);
+            }
+
+            // A first check-in from another phone registered that phone a moment ago
+            const binding = await getDeviceBinding(studentId);
+
+            if (binding && binding.deviceId !== deviceId) {
+                return res.status(403).json({
+                    success: false,
+                    code: DEVICE_ERRORS.MISMATCH,
+                    message: 'Your account is registered to another device. Ask your teacher to approve this one'
+                });
+            }
+
+            // ...or this phone, checking in to another session at the same moment
+            return res.status(409).json({
+                success: false,
+                message: 'Your device was registered a moment ago - please try again'
+            });
+        }
+
+        await recordAudit(req, {
+            action: AUDIT_LOG_ACTIONS.CREATE,
+            target: { type: AUDIT_TARGET_TYPES.ATTENDANCE, id: attendanceId(sessionId, studentId) },
+            before: null,
+            after: attendanceData
+        });
+
+        // Students who sent these exact coordinates earlier are flagged too
+        if (detected.sharedWith.length > 0) {
+            const flagged = await flagSharedCoordinates(detected.sharedWith, studentId);
+
+            for (const { record, update } of flagged) {
+                await recordAudit(req, {
+                    action: AUDIT_LOG_ACTIONS.UPDATE,
+                    target: { type: AUDIT_TARGET_TYPES.ATTENDANCE, id: record.id },
+                    before: record,
+                    after: { ...record, ...update }
+                });
+            }
+        }
+
+        await emitWebhook(req, WEBHOOK_EVENTS.ATTENDANCE_MARKED, attendanceEventData(attendanceData));
+
+        res.json(markSuccessResponse(attendanceData));
+    } catch (error) {
+        console.error('Error marking attendance:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/attendance/sessions
+ * The teacher's most recent sessions, each with its real `state`
+ * (active / expired / closed) computed from expiresAt and the active flag
+ */
+router.get('/sessions', requireRole('teacher'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50); // GREEN CODING: Capped page size
+        const sessions = await listTeacherSessions(req.user.uid, limit);
+        const now = new Date();
 
         res.json({
             success: true,
-            message: 'Attendance marked successfully',
-            courseName: session.courseName,
-            distance: locationCheck.distance
+            sessions: sessions.map((session) => ({
+                ...session,
+                state: getSessionState(session, now)
+            }))
         });
     } catch (error) {
-        console.error('Error marking attendance:', error);
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/attendance/session/:sessionId
+ * Change a session's lifecycle (owning Teacher only)
+ * 
+ * Body: { action: 'close' | 'extend' | 'reopen', minutes }
+ * - close: stop accepting attendance immediately
+ * - extend: add `minutes` (default 10) to an active session's expiry
+ * - reopen: accept late students again for `minutes` from now
+ * 
+ * Each change is recorded in the session's `history` with who made it and when.
+ */
+router.patch('/session/:sessionId', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const { action, minutes } = req.body;
+        const session = await getSession(sessionId);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (session.teacherId !== req.user.uid) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only change your own sessions'
+            });
+        }
+
+        if (await rejectFrozenSession(session, res)) return;
+
+        const change = planSessionChange(session, { action, minutes }, req.user.uid);
+
+        if (change.error) {
+            return res.status(400).json({
+                success: false,
+                message: change.error
+            });
+        }
+
+        await updateSession(sessionId, change.update);
+
+        const updated = { ...session, ...change.update };
+
+        await recordAudit(req, {
+            action: AUDIT_LOG_ACTIONS.UPDATE,
+            target: { type: AUDIT_TARGET_TYPES.SESSION, id: sessionId },
+            before: session,
+            after: updated
+        });
+
+        if (action === SESSION_ACTIONS.CLOSE) {
+            await emitWebhook(req, WEBHOOK_EVENTS.SESSION_CLOSED, sessionEventData(updated, getSessionState(updated)));
+        }
+
+        res.json({
+            success: true,
+            message: SESSION_CHANGE_MESSAGES[action],
+            session: {
+                ...updated,
+                state: getSessionState(updated)
+            }
+        });
+
+        checkAlertsAfterChange(updated);
+    } catch (error) {
+        console.error('Error updating session:', error);
         res.status(500).json({
             success: false,
             message: error.message
@@ -193,9 +721,9 @@ router.post('/mark', async (req, res) => {
 router.get('/session/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
-        const sessionDoc = await db.collection('sessions').doc(sessionId).get();
+        const session = await getSession(sessionId);
 
-        if (!sessionDoc.exists) {
+        if (!session) {
             return res.status(404).json({
                 success: false,
                 message: 'Session not found'
@@ -204,7 +732,7 @@ router.get('/session/:sessionId', async (req, res) => {
 
         res.json({
             success: true,
-            session: sessionDoc.data()
+            session
         });
     } catch (error) {
         console.error('Error fetching session:', error);
@@ -215,32 +743,108 @@ router.get('/session/:sessionId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/attendance/session/:sessionId/qr
+ * Get the QR payload valid right now (owning Teacher only)
+ * 
+ * GREEN CODING: The teacher's screen fetches a new code only when
+ * the current one rotates (expiresInSeconds), not on a fixed fast poll
+ */
+router.get('/session/:sessionId/qr', async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const session = await getSession(sessionId);
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (session.teacherId !== req.user.uid) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only display QR codes for your own sessions'
+            });
+        }
+
+        const sessionState = getSessionState(session);
+
+        if (sessionState !== SESSION_STATES.ACTIVE) {
+            return res.status(400).json({
+                success: false,
+                message: sessionState === SESSION_STATES.CLOSED ? 'Session has been closed' : 'Session has expired'
+            });
+        }
+
+        const sessionSecret = await getSessionSecret(sessionId);
+
+        if (!sessionSecret) {
+            return res.status(404).json({
+                success: false,
+                message: 'QR secret not found for this session'
+            });
+        }
+
+        const rotationSeconds = session.qrRotationSeconds || DEFAULT_ROTATION_SECONDS;
+        const { token, expiresInSeconds } = getCurrentToken(sessionSecret.secret, sessionId, rotationSeconds);
+
+        res.json({
+            success: true,
+            qrData: buildQrPayload(sessionId, token),
+            rotationSeconds,
+            expiresInSeconds
+        });
+    } catch (error) {
+        console.error('Error generating QR code:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 /**
  * GET /api/attendance/records/:sessionId
- * Get all attendance records for a session (Teacher)
+ * Get attendance for a session (owning Teacher only): present records and
+ * the absent list (roster minus present), with roll numbers from the roster.
+ * `records` keeps the original shape, newest first and capped by `limit`.
  * 
- * GREEN CODING: Paginated query with limit
+ * GREEN CODING: Absentees computed on read - no extra documents written
  */
 router.get('/records/:sessionId', async (req, res) => {
     try {
         const { sessionId } = req.params;
         const limit = parseInt(req.query.limit) || 100; // Default limit
 
-        const snapshot = await db.collection('attendance')
-            .where('sessionId', '==', sessionId)
-            .orderBy('markedAt', 'desc')
-            .limit(limit)
-            .get();
+        // Only the teacher who owns the session may read its records
+        const session = await getSession(sessionId);
 
-        const records = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-        }));
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (session.teacherId !== req.user.uid) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view records for your own sessions'
+            });
+        }
+
+        const report = await buildSessionReport(session, await listAllSessionAttendance(sessionId));
+        const records = report.present.slice(0, limit);
 
         res.json({
             success: true,
             count: records.length,
-            records
+            records,
+            ...report,
+            // Devices that tried to mark a second student
+            deviceConflicts: await listSessionDeviceConflicts(sessionId)
         });
     } catch (error) {
         console.error('Error fetching records:', error);
@@ -251,4 +855,304 @@ router.get('/records/:sessionId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/attendance/review
+ * The teacher's review queue: check-ins flagged as suspicious, oldest first
+ */
+router.get('/review', requireRole('teacher'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 100); // GREEN CODING: Capped page size
+        const records = await listTeacherAttendanceByStatus(req.user.uid, ATTENDANCE_STATUSES.SUSPICIOUS, limit);
+
+        res.json({
+            success: true,
+            count: records.length,
+            records
+        });
+    } catch (error) {
+        console.error('Error fetching review queue:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/attendance/records/:sessionId/:studentId/review
+ * Confirm (present) or reject (absent) a flagged check-in (owning Teacher only)
+ * 
+ * Body: { decision: 'confirm' | 'reject', note }
+ */
+router.patch('/records/:sessionId/:studentId/review', async (req, res) => {
+    try {
+        const { sessionId, studentId } = req.params;
+        const session = await loadOwnedSession(req, res, 'You can only review records for your own sessions');
+        if (!session) return;
+        if (await rejectFrozenSession(session, res)) return;
+
+        const record = await getAttendance(sessionId, studentId);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attendance record not found'
+            });
+        }
+
+        const review = planReview(record, req.body, req.user.uid);
+
+        if (review.error) {
+            return res.status(400).json({
+                success: false,
+                message: review.error
+            });
+        }
+
+        const { id, ...current } = record;
+        const reviewed = { ...current, ...review.update };
+        const audit = buildAuditEntry({
+            session,
+            studentId,
+            action: AUDIT_ACTIONS.REVIEW,
+            reason: review.update.review.note,
+            before: record,
+            after: reviewed
+        }, req.user);
+
+        try {
+            await saveAttendanceChange({ sessionId, studentId, existing: record, record: reviewed, audit });
+        } catch (error) {
+            if (error.code !== STORE_ERRORS.NOT_FOUND) throw error;
+            return recordChangedResponse(res);
+        }
+
+        await recordAudit(req, {
+            action: AUDIT_LOG_ACTIONS.UPDATE,
+            target: { type: AUDIT_TARGET_TYPES.ATTENDANCE, id },
+            before: record,
+            after: reviewed
+        });
+
+        if (reviewed.status === ATTENDANCE_STATUSES.REJECTED) {
+            await emitWebhook(req, WEBHOOK_EVENTS.ATTENDANCE_REJECTED, {
+                ...attendanceEventData(reviewed),
+                stage: 'review',
+                reason: reviewed.review.note || null,
+                at: reviewed.review.at
+            });
+        }
+
+        res.json({
+            success: true,
+            message: review.update.status === ATTENDANCE_STATUSES.PRESENT ? 'Check-in confirmed' : 'Check-in rejected',
+            record: { id, ...reviewed }
+        });
+
+        checkAlertsAfterChange(session);
+    } catch (error) {
+        console.error('Error reviewing record:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/attendance/records/:sessionId/:studentId
+ * Set a student's attendance by hand, e.g. when their phone died (owning Teacher only)
+ * The student must be on the course roster (or already have a record).
+ * 
+ * Body: { status: 'present' | 'late' | 'excused' | 'absent', reason }
+ */
+router.put('/records/:sessionId/:studentId', async (req, res) => {
+    try {
+        const { sessionId, studentId } = req.params;
+        const session = await loadOwnedSession(req, res, 'You can only change records for your own sessions');
+        if (!session) return;
+        if (await rejectFrozenSession(session, res)) return;
+
+        const existing = await getAttendance(sessionId, studentId);
+
+        if (!existing) {
+            const course = session.courseId ? await getCourse(session.courseId) : null;
+
+            if (!course || !isEnrolled(course, studentId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Student is not enrolled in this course'
+                });
+            }
+        }
+
+        const studentEmail = existing?.studentEmail || (await getUser(studentId))?.email || null;
+        const plan = planOverride(session, { studentId, studentEmail }, existing, req.body, req.user);
+
+        if (plan.error) {
+            return res.status(400).json({
+                success: false,
+                message: plan.error
+            });
+        }
+
+        try {
+            await saveAttendanceChange({ sessionId, studentId, existing, record: plan.record, audit: plan.audit });
+        } catch (error) {
+            if (error.code !== STORE_ERRORS.ALREADY_EXISTS && error.code !== STORE_ERRORS.NOT_FOUND) throw error;
+            return recordChangedResponse(res);
+        }
+
+        await recordAudit(req, {
+            action: existing ? AUDIT_LOG_ACTIONS.UPDATE : AUDIT_LOG_ACTIONS.CREATE,
+            target: { type: AUDIT_TARGET_TYPES.ATTENDANCE, id: attendanceId(sessionId, studentId) },
+            before: existing,
+            after: plan.record
+        });
+
+        res.json({
+            success: true,
+            message: 'Attendance updated',
+            record: { id: attendanceId(sessionId, studentId), ...plan.record },
+            audit: plan.audit
+        });
+
+        checkAlertsAfterChange(session);
+    } catch (error) {
+        console.error('Error overriding record:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/attendance/records/:sessionId/:studentId
+ * Revoke a student's record, e.g. a check-in made for someone else (owning Teacher only)
+ * The student can then mark again while the session is active.
+ * 
+ * Body: { reason }
+ */
+router.delete('/records/:sessionId/:studentId', async (req, res) => {
+    try {
+        const { sessionId, studentId } = req.params;
+        const session = await loadOwnedSession(req, res, 'You can only change records for your own sessions');
+        if (!session) return;
+        if (await rejectFrozenSession(session, res)) return;
+
+        const existing = await getAttendance(sessionId, studentId);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attendance record not found'
+            });
+        }
+
+        const plan = planRevoke(session, existing, req.body, req.user);
+
+        if (plan.error) {
+            return res.status(400).json({
+                success: false,
+                message: plan.error
+            });
+        }
+
+        try {
+            await saveAttendanceChange({ sessionId, studentId, existing, record: null, audit: plan.audit });
+        } catch (error) {
+            if (error.code !== STORE_ERRORS.ALREADY_EXISTS && error.code !== STORE_ERRORS.NOT_FOUND) throw error;
+            return recordChangedResponse(res);
+        }
+
+        await recordAudit(req, {
+            action: AUDIT_LOG_ACTIONS.DELETE,
+            target: { type: AUDIT_TARGET_TYPES.ATTENDANCE, id: existing.id },
+            before: existing,
+            after: null
+        });
+
+        res.json({
+            success: true,
+            message: 'Attendance record revoked',
+            audit: plan.audit
+        });
+
+        checkAlertsAfterChange(session);
+    } catch (error) {
+        console.error('Error revoking record:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/attendance/records/:sessionId/audit
+ * Every manual change and review of the session's records, newest first (owning Teacher only)
+ */
+router.get('/records/:sessionId/audit', async (req, res) => {
+    try {
+        const session = await loadOwnedSession(req, res, 'You can only view records for your own sessions');
+        if (!session) return;
+
+        const entries = await listSessionAudit(req.params.sessionId);
+
+        res.json({
+            success: true,
+            count: entries.length,
+            entries
+        });
+    } catch (error) {
+        console.error('Error fetching audit history:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/attendance/records/:sessionId/export?format=csv|xlsx
+ * Download every student of the session (owning Teacher only): roll number,
+ * name, email, status, time marked, distance and source. Not capped by `limit`.
+ * 
+ * GREEN CODING: Streamed in batches of students (see exportService)
+ */
+router.get('/records/:sessionId/export', async (req, res) => {
+    try {
+        const format = normalizeExportFormat(req.query.format);
+
+        if (format.error) {
+            return res.status(400).json({
+                success: false,
+                message: format.error
+            });
+        }
+
+        const session = await loadOwnedSession(req, res, 'You can only export records for your own sessions');
+        if (!session) return;
+
+        const course = session.courseId ? await getCourse(session.courseId) : null;
+
+        res.set(exportHeaders(format.format, `${session.courseCode || 'session'}-${session.createdAt.slice(0, 10)}`));
+        await writeSessionExport(createTableWriter(format.format, res, { sheetName: 'Attendance' }), session, course);
+    } catch (error) {
+        // The client went away mid-download: nothing left to answer
+        if (error.code === STREAM_ERRORS.CLOSED) return;
+
+        console.error('Error exporting records:', error);
+        // Once the file has started the only way to report the failure is to cut it off
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 export default router;
@@ -0,0 +1,63 @@
+/**
+ * Audit Routes - Global Audit Log
+ * 
+ * ENDPOINTS:
+ * - GET /api/audit - Filter and page through the institution's audit log (Admin)
+ * 
+ * AUTHENTICATION:
+ * Every endpoint requires `Authorization: Bearer <Firebase ID token>`
+ * and the 'admin' role. Admins only see entries of their own institution.
+ * 
+ * GREEN CODING:
+ * - Paged with a cursor instead of returning the whole log
+ */
+
+import express from 'express';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { requireRole, getInstitutionId } from '../middleware/roleMiddleware.js';
+import { queryAuditEvents } from '../repositories/auditRepository.js';
+import { normalizeAuditQuery, encodeAuditCursor } from '../services/auditService.js';
+
+const router = express.Router();
+
+// The audit log is for admins only
+router.use(verifyToken, requireRole('admin'));
+
+/**
+ * GET /api/audit
+ * Audit entries, newest first
+ * 
+ * Query (all optional): actorId, actorRole, action (create | update | delete),
+ * targetType (user | session | attendance), targetId, from, to (ISO times),
+ * limit (default 50, at most 200) and cursor (`nextCursor` of the previous page)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const query = normalizeAuditQuery(req.query);
+
+        if (query.error) {
+            return res.status(400).json({
+                success: false,
+                message: query.error
+            });
+        }
+
+        const events = await queryAuditEvents(getInstitutionId(req.user), query);
+
+        res.json({
+            success: true,
+            count: events.length,
+            events,
+            // null once the last page has been reached
+            nextCursor: events.length === query.limit ? encodeAuditCursor(events[events.length - 1]) : null
+        });
+    } catch (error) {
+        console.error('Error querying audit log:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+export default router;
@@ -4,7 +4,13 @@
  * ENDPOINTS:
  * - POST /api/auth/register - Register new user
  * - POST /api/auth/login - Login user (handled by Firebase client SDK)
- * - POST /api/auth/verify - Verify Firebase token
+ * - GET /api/auth/user/:uid - Get user profile
+ * 
+ * AUTHENTICATION:
+ * Every endpoint requires `Authorization: Bearer <Firebase ID token>`.
+ * The uid and email are taken from the verified token, never from the body.
+ * A profile can only be read by its owner or by a privileged role (admin).
+ * Profile changes are written to the audit log (see auditService).
  * 
  * GREEN CODING:
  * - Minimal endpoints (most auth handled by Firebase client SDK)
@@ -12,39 +18,75 @@
  */
 
 import express from 'express';
-import { db } from '../utils/firebase.js';
+import { getUser, saveUser } from '../repositories/usersRepository.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { loadUserRole, isPrivileged } from '../middleware/roleMiddleware.js';
+import { recordAudit } from '../middleware/auditMiddleware.js';
+import { claimInvites } from '../services/rosterService.js';
+import { AUDIT_LOG_ACTIONS, AUDIT_TARGET_TYPES } from '../services/auditService.js';
 
 const router = express.Router();
 
+// Roles a user may pick for themselves; privileged roles are assigned by an admin
+const SELF_ASSIGNABLE_ROLES = ['teacher', 'student'];
+
+// All auth endpoints require a verified Firebase ID token
+router.use(verifyToken);
+
 /**
  * POST /api/auth/register
  * Register a new user (additional metadata storage)
  * Note: Firebase Authentication is handled on frontend
- * This endpoint just stores additional user data in Firestore
+ * This endpoint just stores additional user data in the users collection.
+ * New students are enrolled in every course whose roster invited their email.
  */
 router.post('/register', async (req, res) => {
     try {
-        const { uid, email, name, role } = req.body;
+        const { name, role } = req.body;
+        const { uid, email } = req.user;
 
-        if (!uid || !email || !name || !role) {
+        if (!email || !name || !role) {
             return res.status(400).json({
                 success: false,
                 message: 'Missing required fields'
             });
         }
 
-        // Store user profile in Firestore
-        await db.collection('users').doc(uid).set({
+        if (!SELF_ASSIGNABLE_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${SELF_ASSIGNABLE_ROLES.join(', ')}`
+            });
+        }
+
+        // Store user profile (registering again replaces it)
+        const previous = await getUser(uid);
+        const profile = {
             uid,
             email,
             name,
             role,
             createdAt: new Date().toISOString()
+        };
+
+        await saveUser(uid, profile);
+        await recordAudit(req, {
+            action: previous ? AUDIT_LOG_ACTIONS.UPDATE : AUDIT_LOG_ACTIONS.CREATE,
+            target: { type: AUDIT_TARGET_TYPES.USER, id: uid },
+            before: previous,
+            after: profile
         });
 
+        // Claim pending roster invites sent to this email, once the student has
+        // shown it is theirs (registering again after verifying claims them)
+        const joinedCourses = role === 'student' && req.user.token?.email_verified === true
+            ? await claimInvites(uid, email)
+            : [];
+
         res.json({
             success: true,
-            message: 'User registered successfully'
+            message: 'User registered successfully',
+            joinedCourses
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -57,14 +99,27 @@ router.post('/register', async (req, res) => {
 
 /**
  * GET /api/auth/user/:uid
- * Get user profile data
+ * Get user profile data (own profile, or any profile for privileged roles)
  */
 router.get('/user/:uid', async (req, res) => {
     try {
         const { uid } = req.params;
-        const userDoc = await db.collection('users').doc(uid).get();
 
-        if (!userDoc.exists) {
+        // Users may read their own profile; privileged roles may read any
+        if (uid !== req.user.uid) {
+            await loadUserRole(req);
+
+            if (!isPrivileged(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You can only view your own profile'
+                });
+            }
+        }
+
+        const user = await getUser(uid);
+
+        if (!user) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
@@ -73,7 +128,7 @@ router.get('/user/:uid', async (req, res) => {
 
         res.json({
             success: true,
-            user: userDoc.data()
+            user
         });
     } catch (error) {
         console.error('Error fetching user:', error);
@@ -0,0 +1,592 @@
+/**
+ * Course Routes - Courses and Enrollment
+ * 
+ * ENDPOINTS:
+ * - POST /api/courses - Create a course (Teacher)
+ * - GET /api/courses - List my courses (taught or enrolled)
+ * - GET /api/courses/:courseId - Get course details
+ * - PATCH /api/courses/:courseId - Update code/title, the attendance verification policy, the low-attendance alert rules or the exam eligibility rules (owning Teacher)
+ * - GET /api/courses/:courseId/students - List enrolled students (owning Teacher)
+ * - POST /api/courses/:courseId/enrollments - Enroll students by email or uid (owning Teacher)
+ * - POST /api/courses/:courseId/roster - Import a roster CSV with roll numbers (owning Teacher)
+ * - DELETE /api/courses/:courseId/enrollments/:studentId - Remove a student (owning Teacher)
+ * - GET /api/courses/:courseId/attendance/export - Download the student-by-date attendance matrix (owning Teacher)
+ * - GET /api/courses/:courseId/alerts - Alert rules, students below a threshold and the emails sent (owning Teacher)
+ * - POST /api/courses/:courseId/alerts/check - Check the course's students for low attendance now (owning Teacher)
+ * 
+ * AUTHENTICATION:
+ * Every endpoint requires `Authorization: Bearer <Firebase ID token>`.
+ * 
+ * GREEN CODING:
+ * - Enrollment stored as a uid list on the course (one read to check a student)
+ * - Student profiles fetched with batched queries
+ */
+
+import express from 'express';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { requireRole, loadUserRole, isPrivileged } from '../middleware/roleMiddleware.js';
+import {
+    getCourse,
+    createCourse,
+    updateCourse,
+    listTeacherCourses,
+    listStudentCourses,
+    isEnrolled
+} from '../repositories/coursesRepository.js';
+import { getUser, getUsers, findUserByEmail } from '../repositories/usersRepository.js';
+import { listCourseInvites } from '../repositories/invitesRepository.js';
+import { importRoster } from '../services/rosterService.js';
+import { normalizeVerificationPolicy, geofenceWithoutLocation } from '../services/verification/index.js';
+import { listCourseSessions } from '../repositories/sessionsRepository.js';
+import { SESSION_STATES, getSessionState } from '../services/sessionService.js';
+import {
+    normalizeExportFormat,
+    exportHeaders,
+    createTableWriter,
+    writeCourseMatrix
+} from '../services/exportService.js';
+import { normalizeDateRange } from '../utils/dateRange.js';
+import {
+    ALERT_LEVELS,
+    resolveAlertRules,
+    normalizeAlertRules,
+    checkCourseAlerts
+} from '../services/alertService.js';
+import { listCourseAlertStates, listCourseAlertLog } from '../repositories/alertsRepository.js';
+import { resolveEligibilityRules, normalizeEligibilityRules } from '../services/eligibilityService.js';
+import { STREAM_ERRORS } from '../utils/streams.js';
+
+const router = express.Router();
+
+// All course endpoints require a verified Firebase ID token
+router.use(verifyToken);
+
+/**
+ * Students see a course without the enrollment list of their classmates
+ */
+function publicCourse(course) {
+    const { studentIds, rollNumbers, ...rest } = course;
+    return { ...rest, studentCount: studentIds?.length || 0 };
+}
+
+/**
+ * Load a course owned by the caller
+ * @returns Course, or null when a 404/403 response has been sent
+ */
+async function loadOwnedCourse(req, res) {
+    const course = await getCourse(req.params.courseId);
+
+    if (!course) {
+        res.status(404).json({
+            success: false,
+            message: 'Course not found'
+        });
+        return null;
+    }
+
+    if (course.teacherId !== req.user.uid) {
+        res.status(403).json({
+            success: false,
+            message: 'You can only manage your own courses'
+        });
+        return null;
+    }
+
+    return course;
+}
+
+/**
+ * POST /api/courses
+ * Create a course (Teacher only)
+ */
+router.post('/', requireRole('teacher'), async (req, res) => {
+    try {
+        const code = String(req.body.code || '').trim().toUpperCase();
+        const title = String(req.body.title || '').trim();
+
+        if (!code || !title) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields'
+            });
+        }
+
+        const existing = await listTeacherCourses(req.user.uid);
+        if (existing.some(course => course.code === code)) {
+            return res.status(409).json({
+                success: false,
+                message: `You already have a course with code ${code}`
+            });
+        }
+
+        const course = {
+            code,
+            title,
+            teacherId: req.user.uid,
+            teacherEmail: req.user.email,
+            studentIds: [],
+            createdAt: new Date().toISOString()
+        };
+
+        const courseId = await createCourse(course);
+
+        res.status(201).json({
+            success: true,
+            message: 'Course created successfully',
+            course: { id: courseId, ...course }
+        });
+    } catch (error) {
+        console.error('Error creating course:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/courses
+ * Teachers get the courses they own, students the courses they are enrolled in
+ */
+router.get('/', async (req, res) => {
+    try {
+        const role = await loadUserRole(req);
+
+        const courses = role === 'teacher'
+            ? await listTeacherCourses(req.user.uid)
+            : (await listStudentCourses(req.user.uid)).map(publicCourse);
+
+        res.json({
+            success: true,
+            count: courses.length,
+            courses
+        });
+    } catch (error) {
+        console.error('Error listing courses:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/courses/:courseId
+ * Full details for the owner (or admin), public details for enrolled students
+ */
+router.get('/:courseId', async (req, res) => {
+    try {
+        const course = await getCourse(req.params.courseId);
+
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+
+        await loadUserRole(req);
+
+        if (course.teacherId === req.user.uid || isPrivileged(req.user)) {
+            return res.json({ success: true, course });
+        }
+
+        if (isEnrolled(course, req.user.uid)) {
+            return res.json({ success: true, course: publicCourse(course) });
+        }
+
+        res.status(403).json({
+            success: false,
+            message: 'You are not enrolled in this course'
+        });
+    } catch (error) {
+        console.error('Error fetching course:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/courses/:courseId
+ * Update course code, title, `verificationPolicy`, `alertRules` or
+ * `eligibilityRules` (owning Teacher only)
+ * The policy sets how /mark treats each verifier for every session of the
+ * course, e.g. { geofence: 'warn' }; sessions can override it. null clears it.
+ * Alert rules only need the fields being changed, e.g. { warning: 80 } (see alertService).
+ * So do eligibility rules, e.g. { minPercentage: 70 } (see eligibilityService);
+ * they are fixed once the eligibility list is signed off.
+ */
+router.patch('/:courseId', async (req, res) => {
+    try {
+        const course = await loadOwnedCourse(req, res);
+        if (!course) return;
+
+        const patch = {};
+        if (req.body.code !== undefined) patch.code = String(req.body.code).trim().toUpperCase();
+        if (req.body.title !== undefined) patch.title = String(req.body.title).trim();
+
+        if (patch.code === '' || patch.title === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'Code and title cannot be empty'
+            });
+        }
+
+        if (req.body.verificationPolicy !== undefined) {
+            const { policy, error } = normalizeVerificationPolicy(req.body.verificationPolicy);
+
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+
+            // Running sessions without a location (network only) must not get a geofence check
+            const now = new Date();
+            const unchecked = (await listCourseSessions(course.id))
+                .filter((session) => getSessionState(session, now) === SESSION_STATES.ACTIVE)
+                .some((session) => geofenceWithoutLocation(session, { verificationPolicy: policy }));
+
+            if (unchecked) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The policy checks the geofence, but a running session of this course has no location - ' +
+                        'set geofence to off or wait for the session to end'
+                });
+            }
+
+            patch.verificationPolicy = policy;
+        }
+
+        if (req.body.alertRules !== undefined) {
+            const { rules, error } = normalizeAlertRules(req.body.alertRules, resolveAlertRules(course));
+
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+
+            patch.alertRules = rules;
+        }
+
+        if (req.body.eligibilityRules !== undefined) {
+            if (course.eligibilitySignOff) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'The eligibility list of this course has been signed off; its rules can no longer be changed'
+                });
+            }
+
+            const { rules, error } = normalizeEligibilityRules(req.body.eligibilityRules, resolveEligibilityRules(course));
+
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+
+            patch.eligibilityRules = rules;
+        }
+
+        patch.updatedAt = new Date().toISOString();
+        await updateCourse(course.id, patch);
+
+        res.json({
+            success: true,
+            message: 'Course updated successfully',
+            course: { ...course, ...patch }
+        });
+    } catch (error) {
+        console.error('Error updating course:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/courses/:courseId/students
+ * List enrolled students with profiles and roll numbers, plus pending
+ * roster invites (owning Teacher only)
+ */
+router.get('/:courseId/students', async (req, res) => {
+    try {
+        const course = await loadOwnedCourse(req, res);
+        if (!course) return;
+
+        const rollNumbers = course.rollNumbers || {};
+        const profiles = await getUsers(course.studentIds || []);
+        const students = profiles
+            .map(({ id, name, email }) => ({ uid: id, rollNumber: rollNumbers[id] || null, name, email }))
+            .sort((a, b) => String(a.rollNumber ?? '').localeCompare(String(b.rollNumber ?? ''), undefined, { numeric: true }));
+
+        const pendingInvites = (await listCourseInvites(course.id))
+            .map(({ rollNumber, name, email }) => ({ rollNumber, name, email }));
+
+        res.json({
+            success: true,
+            count: students.length,
+            students,
+            pendingInvites
+        });
+    } catch (error) {
+        console.error('Error listing students:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/courses/:courseId/enrollments
+ * Enroll registered students by email and/or uid (owning Teacher only)
+ * Body: { emails: string[], studentIds: string[] }
+ */
+router.post('/:courseId/enrollments', async (req, res) => {
+    try {
+        const course = await loadOwnedCourse(req, res);
+        if (!course) return;
+
+        const { emails = [], studentIds = [] } = req.body;
+
+        if (!Array.isArray(emails) || !Array.isArray(studentIds) || (!emails.length && !studentIds.length)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide emails and/or studentIds to enroll'
+            });
+        }
+
+        const enrolledIds = new Set(course.studentIds || []);
+        const enrolled = [];
+        const alreadyEnrolled = [];
+        const notFound = [];
+
+        const candidates = [
+            ...await Promise.all(emails.map(async (email) => ({ ref: email, user: await findUserByEmail(email) }))),
+            ...await Promise.all(studentIds.map(async (uid) => {
+                const user = await getUser(uid);
+                return { ref: uid, user: user && { id: uid, ...user } };
+            }))
+        ];
+
+        for (const { ref, user } of candidates) {
+            if (!user || user.role !== 'student') {
+                notFound.push(ref);
+            } else if (enrolledIds.has(user.id)) {
+                alreadyEnrolled.push(user.id);
+            } else {
+                enrolledIds.add(user.id);
+                enrolled.push(user.id);
+            }
+        }
+
+        if (enrolled.length) {
+            await updateCourse(course.id, {
+                studentIds: [...enrolledIds],
+                updatedAt: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${enrolled.length} student(s) enrolled`,
+            enrolled,
+            alreadyEnrolled,
+            notFound
+        });
+    } catch (error) {
+        console.error('Error enrolling students:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/courses/:courseId/roster
+ * Import a roster CSV (roll number, name, email) into the course (owning Teacher only)
+ * Body: raw CSV with `Content-Type: text/csv`, or JSON { csv }
+ * 
+ * Registered students are enrolled with their roll number; unknown emails get a
+ * pending invite. Row problems are reported in `errors` without failing the import.
+ */
+router.post('/:courseId/roster', async (req, res) => {
+    try {
+        const course = await loadOwnedCourse(req, res);
+        if (!course) return;
+
+        const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+        if (!csvText) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload a CSV file with roll number, name and email columns'
+            });
+        }
+
+        const result = await importRoster(course, csvText, req.user.uid);
+
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${result.enrolled.length} enrolled, ${result.invited.length} invited, ${result.errors.length} error(s)`,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error importing roster:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/courses/:courseId/enrollments/:studentId
+ * Remove a student from the course (owning Teacher only)
+ */
+router.delete('/:courseId/enrollments/:studentId', async (req, res) => {
+    try {
+        const course = await loadOwnedCourse(req, res);
+        if (!course) return;
+
+        const { studentId } = req.params;
+
+        if (!isEnrolled(course, studentId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student is not enrolled in this course'
+            });
+        }
+
+        const rollNumbers = { ...(course.rollNumbers || {}) };
+        delete rollNumbers[studentId];
+
+        await updateCourse(course.id, {
+            studentIds: course.studentIds.filter(id => id !== studentId),
+            rollNumbers,
+            updatedAt: new Date().toISOString()
+        });
+
+        res.json({
+            success: true,
+            message: 'Student removed from course'
+        });
+    } catch (error) {
+        console.error('Error removing student:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/courses/:courseId/attendance/export?format=csv|xlsx&from=&to=
+ * Download the course's attendance for a term (owning Teacher only): one row
+ * per student, one column per session with its status, then the totals.
+ * `from` / `to` (dates or ISO times) limit the sessions included.
+ * 
+ * GREEN CODING: Streamed in batches of students (see exportService)
+ */
+router.get('/:courseId/attendance/export', async (req, res) => {
+    try {
+        const format = normalizeExportFormat(req.query.format);
+        const range = normalizeDateRange(req.query);
+        const invalid = format.error || range.error;
+
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                message: invalid
+            });
+        }
+
+        const course = await loadOwnedCourse(req, res);
+        if (!course) return;
+
+        const sessions = await listCourseSessions(course.id, range);
+        const period = [range.from, range.to].filter(Boolean).map((time) => time.slice(0, 10)).join('_to_');
+
+        res.set(exportHeaders(format.format, `${course.code}-attendance${period ? `-${period}` : ''}`));
+        await writeCourseMatrix(createTableWriter(format.format, res, { sheetName: course.code }), course, sessions);
+    } catch (error) {
+        // The client went away mid-download: nothing left to answer
+        if (error.code === STREAM_ERRORS.CLOSED) return;
+
+        console.error('Error exporting course attendance:', error);
+        // Once the file has started the only way to report the failure is to cut it off
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/courses/:courseId/alerts
+ * The course's alert rules, the students currently below a threshold and
+ * the latest alert emails, newest first (owning Teacher only)
+ */
+router.get('/:courseId/alerts', async (req, res) => {
+    try {
+        const course = await loadOwnedCourse(req, res);
+        if (!course) return;
+
+        const [states, log] = await Promise.all([
+            listCourseAlertStates(course.id),
+            listCourseAlertLog(course.id)
+        ]);
+
+        res.json({
+            success: true,
+            rules: resolveAlertRules(course),
+            // Only students still on the roster
+            flagged: states.filter(({ level, studentId }) => level !== ALERT_LEVELS.OK && isEnrolled(course, studentId)),
+            log
+        });
+    } catch (error) {
+        console.error('Error fetching course alerts:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/courses/:courseId/alerts/check
+ * Check every student now instead of waiting for the next session to end
+ * (owning Teacher only). Students are only emailed when their level got worse.
+ */
+router.post('/:courseId/alerts/check', async (req, res) => {
+    try {
+        const course = await loadOwnedCourse(req, res);
+        if (!course) return;
+
+        const result = await checkCourseAlerts(course);
+
+        res.json({
+            success: true,
+            message: result.alerts ? `${result.alerts} student(s) alerted` : 'No new alerts',
+            ...result
+        });
+    } catch (error) {
+        console.error('Error checking course alerts:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+export default router;
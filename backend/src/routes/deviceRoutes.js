@@ -0,0 +1,224 @@
+/**
+ * Device Routes - Registered Devices and Rebind Approvals
+ * 
+ * ENDPOINTS:
+ * - GET /api/devices/me - My registered device and any pending request (Student)
+ * - POST /api/devices/rebind-requests - Ask to use this device instead (Student)
+ * - GET /api/devices/rebind-requests - Pending requests I can decide (Teacher/Admin)
+ * - PATCH /api/devices/rebind-requests/:studentId - Approve or reject a request (Teacher/Admin)
+ * - GET /api/devices/conflicts - Devices that tried to mark two students in my sessions (Teacher)
+ * 
+ * AUTHENTICATION:
+ * Every endpoint requires `Authorization: Bearer <Firebase ID token>`.
+ * Student endpoints read the device id from the `X-Device-Id` header.
+ * Teachers decide for students enrolled in one of their courses; admins
+ * for any student in their institution.
+ * 
+ * GREEN CODING:
+ * - One request document per student (a new request replaces the old one)
+ */
+
+import express from 'express';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { requireRole, isPrivileged, getInstitutionId } from '../middleware/roleMiddleware.js';
+import {
+    getDeviceBinding,
+    setDeviceBinding,
+    getRebindRequest,
+    updateRebindRequest,
+    listTeacherRebindRequests,
+    listInstitutionRebindRequests,
+    listTeacherDeviceConflicts
+} from '../repositories/devicesRepository.js';
+import { listStudentCourses } from '../repositories/coursesRepository.js';
+import { DEVICE_HEADER, requestRebind, planRebindDecision } from '../services/deviceService.js';
+
+const router = express.Router();
+
+// All device endpoints require a verified Firebase ID token
+router.use(verifyToken);
+
+/**
+ * Teachers may decide for students in their courses; admins for anyone in their institution
+ */
+async function canDecideRebind(user, request) {
+    if (isPrivileged(user)) {
+        return request.institutionId === getInstitutionId(user);
+    }
+
+    const courses = await listStudentCourses(request.studentId);
+    return courses.some(({ teacherId }) => teacherId === user.uid);
+}
+
+/**
+ * GET /api/devices/me
+ * `thisDevice` tells the app whether the device it is running on is the registered one
+ */
+router.get('/me', requireRole('student'), async (req, res) => {
+    try {
+        const binding = await getDeviceBinding(req.user.uid);
+        const request = await getRebindRequest(req.user.uid);
+
+        res.json({
+            success: true,
+            registered: Boolean(binding),
+            thisDevice: Boolean(binding) && binding.deviceId === req.get(DEVICE_HEADER),
+            boundAt: binding?.boundAt || null,
+            request: request && {
+                status: request.status,
+                requestedAt: request.requestedAt,
+                thisDevice: request.deviceId === req.get(DEVICE_HEADER)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching device:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/devices/rebind-requests
+ * Ask a teacher or admin to move the account to the device in X-Device-Id
+ */
+router.post('/rebind-requests', requireRole('student'), async (req, res) => {
+    try {
+        const result = await requestRebind({
+            uid: req.user.uid,
+            email: req.user.email,
+            institutionId: getInstitutionId(req.user)
+        }, req.get(DEVICE_HEADER));
+
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        if (result.binding) {
+            return res.json({
+                success: true,
+                message: 'This device is now registered to your account'
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Request sent - your teacher needs to approve this device',
+            request: {
+                status: result.request.status,
+                requestedAt: result.request.requestedAt
+            }
+        });
+    } catch (error) {
+        console.error('Error requesting device change:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/devices/rebind-requests
+ * Pending requests, oldest first: teachers see students in their courses,
+ * admins see their whole institution
+ */
+router.get('/rebind-requests', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const requests = isPrivileged(req.user)
+            ? await listInstitutionRebindRequests(getInstitutionId(req.user))
+            : await listTeacherRebindRequests(req.user.uid);
+
+        res.json({
+            success: true,
+            count: requests.length,
+            requests
+        });
+    } catch (error) {
+        console.error('Error listing device requests:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/devices/rebind-requests/:studentId
+ * Body: { decision: 'approve' | 'reject' }
+ * Approving makes the requested device the student's registered device.
+ */
+router.patch('/rebind-requests/:studentId', requireRole('teacher', 'admin'), async (req, res) => {
+    try {
+        const request = await getRebindRequest(req.params.studentId);
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Request not found'
+            });
+        }
+
+        if (!await canDecideRebind(req.user, request)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only a teacher of this student or an admin can decide this request'
+            });
+        }
+
+        const plan = planRebindDecision(request, req.body.decision, req.user.uid);
+
+        if (plan.error) {
+            return res.status(400).json({
+                success: false,
+                message: plan.error
+            });
+        }
+
+        if (plan.binding) {
+            await setDeviceBinding(request.studentId, plan.binding);
+        }
+        await updateRebindRequest(request.studentId, plan.update);
+
+        res.json({
+            success: true,
+            message: plan.binding ? 'New device approved' : 'Request rejected',
+            request: { ...request, ...plan.update }
+        });
+    } catch (error) {
+        console.error('Error deciding device request:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/devices/conflicts
+ * Most recent first: a device that marked one student and then tried another
+ */
+router.get('/conflicts', requireRole('teacher'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50); // GREEN CODING: Capped page size
+        const conflicts = await listTeacherDeviceConflicts(req.user.uid, limit);
+
+        res.json({
+            success: true,
+            count: conflicts.length,
+            conflicts
+        });
+    } catch (error) {
+        console.error('Error listing device conflicts:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+export default router;
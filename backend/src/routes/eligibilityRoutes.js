@@ -0,0 +1,364 @@
+/**
+ * Eligibility Routes - Exam Eligibility List and Sign-Off
+ * 
+ * ENDPOINTS:
+ * - GET /api/eligibility/courses/:courseId - Eligible, condonable and ineligible
+ *   students with the reason for each (owning Teacher or Admin)
+ * - GET /api/eligibility/courses/:courseId/export - Download it as CSV, XLSX or PDF (owning Teacher or Admin)
+ * - PUT /api/eligibility/courses/:courseId/waivers/:studentId - Waive the requirement for a student (owning Teacher)
+ * - DELETE /api/eligibility/courses/:courseId/waivers/:studentId - Remove a waiver (owning Teacher)
+ * - POST /api/eligibility/courses/:courseId/sign-off - Sign the list off and freeze the term (owning Teacher)
+ * 
+ * The rules themselves are part of the course: PATCH /api/courses/:courseId
+ * with `eligibilityRules`.
+ * 
+ * AUTHENTICATION:
+ * Every endpoint requires `Authorization: Bearer <Firebase ID token>`.
+ * 
+ * GREEN CODING:
+ * - The draft is worked out on request from the records (see eligibilityService)
+ * - Once signed off the stored list is served; nothing is recomputed
+ */
+
+import express from 'express';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { loadUserRole, isPrivileged } from '../middleware/roleMiddleware.js';
+import { recordAudit } from '../middleware/auditMiddleware.js';
+import { getCourse, updateCourse, isEnrolled } from '../repositories/coursesRepository.js';
+import { listCourseSessions } from '../repositories/sessionsRepository.js';
+import { getEligibilityReport, signOffEligibilityReport } from '../repositories/eligibilityRepository.js';
+import { STORE_ERRORS } from '../repositories/storeTypes.js';
+import {
+    buildEligibilityReport,
+    planWaiver,
+    signOffBlocker,
+    planSignOff,
+    writeEligibilityTable,
+    renderEligibilityPdf
+} from '../services/eligibilityService.js';
+import {
+    EXPORT_FORMATS,
+    normalizeExportFormat,
+    exportHeaders,
+    createTableWriter
+} from '../services/exportService.js';
+import { AUDIT_LOG_ACTIONS, AUDIT_TARGET_TYPES } from '../services/auditService.js';
+import { normalizeDateRange } from '../utils/dateRange.js';
+import { STREAM_ERRORS } from '../utils/streams.js';
+
+const router = express.Router();
+
+// All eligibility endpoints require a verified Firebase ID token
+router.use(verifyToken);
+
+const REPORT_FORMATS = [EXPORT_FORMATS.CSV, EXPORT_FORMATS.XLSX, EXPORT_FORMATS.PDF];
+
+/**
+ * Load the course from :courseId for its teacher (or, with `allowPrivileged`, an admin)
+ * @returns The course, or null when a 404 / 403 response has been sent
+ */
+async function loadCourse(req, res, { allowPrivileged = false } = {}) {
+    const course = await getCourse(req.params.courseId);
+
+    if (!course) {
+        res.status(404).json({
+            success: false,
+            message: 'Course not found'
+        });
+        return null;
+    }
+
+    if (course.teacherId !== req.user.uid) {
+        if (allowPrivileged) await loadUserRole(req);
+
+        if (!allowPrivileged || !isPrivileged(req.user)) {
+            res.status(403).json({
+                success: false,
+                message: 'You can only manage eligibility of your own courses'
+            });
+            return null;
+        }
+    }
+
+    return course;
+}
+
+/**
+ * Refuse to change a course whose list has been signed off
+ * @returns true when a 409 response has been sent
+ */
+function rejectSignedOff(course, res) {
+    if (!course.eligibilitySignOff) return false;
+
+    res.status(409).json({
+        success: false,
+        message: 'The eligibility list of this course has been signed off and can no longer be changed'
+    });
+    return true;
+}
+
+/**
+ * The signed-off list, or a draft for the requested period
+ * @returns The report, or null when a 400 response has been sent
+ */
+async function loadReport(req, res, course) {
+    if (course.eligibilitySignOff) {
+        return getEligibilityReport(course.id);
+    }
+
+    const range = normalizeDateRange(req.query);
+
+    if (range.error) {
+        res.status(400).json({
+            success: false,
+            message: range.error
+        });
+        return null;
+    }
+
+    return buildEligibilityReport(course, await listCourseSessions(course.id, range), range);
+}
+
+/**
+ * GET /api/eligibility/courses/:courseId?from=&to=
+ * The draft list for the period (`from` / `to`, dates or ISO times), or the
+ * signed-off list once there is one (owning Teacher or Admin)
+ */
+router.get('/courses/:courseId', async (req, res) => {
+    try {
+        const course = await loadCourse(req, res, { allowPrivileged: true });
+        if (!course) return;
+
+        const report = await loadReport(req, res, course);
+        if (!report) return;
+
+        res.json({
+            success: true,
+            signedOff: Boolean(course.eligibilitySignOff),
+            report
+        });
+    } catch (error) {
+        console.error('Error building eligibility report:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/eligibility/courses/:courseId/export?format=csv|xlsx|pdf&from=&to=
+ * Download the list (owning Teacher or Admin). The PDF carries the rules,
+ * the sign-off and the SHA-256 of the signed rows.
+ */
+router.get('/courses/:courseId/export', async (req, res) => {
+    try {
+        const format = normalizeExportFormat(req.query.format, REPORT_FORMATS);
+
+        if (format.error) {
+            return res.status(400).json({
+                success: false,
+                message: format.error
+            });
+        }
+
+        const course = await loadCourse(req, res, { allowPrivileged: true });
+        if (!course) return;
+
+        const report = await loadReport(req, res, course);
+        if (!report) return;
+
+        const baseName = `${course.code}-eligibility${report.signedAt ? '' : '-draft'}`;
+        res.set(exportHeaders(format.format, baseName));
+
+        if (format.format === EXPORT_FORMATS.PDF) {
+            return res.send(renderEligibilityPdf(report));
+        }
+
+        await writeEligibilityTable(createTableWriter(format.format, res, { sheetName: course.code }), report);
+    } catch (error) {
+        // The client went away mid-download: nothing left to answer
+        if (error.code === STREAM_ERRORS.CLOSED) return;
+
+        console.error('Error exporting eligibility report:', error);
+        // Once the file has started the only way to report the failure is to cut it off
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/eligibility/courses/:courseId/waivers/:studentId
+ * Let an enrolled student sit the exam whatever their attendance (owning Teacher only)
+ * 
+ * Body: { reason }
+ */
+router.put('/courses/:courseId/waivers/:studentId', async (req, res) => {
+    try {
+        const course = await loadCourse(req, res);
+        if (!course) return;
+        if (rejectSignedOff(course, res)) return;
+
+        const { studentId } = req.params;
+
+        if (!isEnrolled(course, studentId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student is not enrolled in this course'
+            });
+        }
+
+        const { waiver, error } = planWaiver(req.body, req.user);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const before = course.eligibilityWaivers || {};
+        const waivers = { ...before, [studentId]: waiver };
+        await updateCourse(course.id, { eligibilityWaivers: waivers, updatedAt: waiver.at });
+
+        await recordAudit(req, {
+            action: AUDIT_LOG_ACTIONS.UPDATE,
+            target: { type: AUDIT_TARGET_TYPES.ELIGIBILITY, id: course.id },
+            before: { eligibilityWaivers: before },
+            after: { eligibilityWaivers: waivers }
+        });
+
+        res.json({
+            success: true,
+            message: 'Attendance requirement waived',
+            waiver
+        });
+    } catch (error) {
+        console.error('Error waiving eligibility:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/eligibility/courses/:courseId/waivers/:studentId
+ * Remove a student's waiver (owning Teacher only)
+ */
+router.delete('/courses/:courseId/waivers/:studentId', async (req, res) => {
+    try {
+        const course = await loadCourse(req, res);
+        if (!course) return;
+        if (rejectSignedOff(course, res)) return;
+
+        const { studentId } = req.params;
+        const before = course.eligibilityWaivers || {};
+
+        if (!before[studentId]) {
+            return res.status(404).json({
+                success: false,
+                message: 'This student has no waiver'
+            });
+        }
+
+        const waivers = { ...before };
+        delete waivers[studentId];
+        await updateCourse(course.id, { eligibilityWaivers: waivers, updatedAt: new Date().toISOString() });
+
+        await recordAudit(req, {
+            action: AUDIT_LOG_ACTIONS.UPDATE,
+            target: { type: AUDIT_TARGET_TYPES.ELIGIBILITY, id: course.id },
+            before: { eligibilityWaivers: before },
+            after: { eligibilityWaivers: waivers }
+        });
+
+        res.json({
+            success: true,
+            message: 'Waiver removed'
+        });
+    } catch (error) {
+        console.error('Error removing eligibility waiver:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/eligibility/courses/:courseId/sign-off
+ * Store the list for the period and freeze it (owning Teacher only): after
+ * this the rules, the waivers and the attendance of the period's sessions
+ * can't be changed. Refused while a session is running or a check-in waits for review.
+ * 
+ * Body: { from?, to?, statement? } - `to` defaults to now
+ */
+router.post('/courses/:courseId/sign-off', async (req, res) => {
+    try {
+        const range = normalizeDateRange(req.body || {});
+
+        if (range.error) {
+            return res.status(400).json({
+                success: false,
+                message: range.error
+            });
+        }
+
+        const course = await loadCourse(req, res);
+        if (!course) return;
+        if (rejectSignedOff(course, res)) return;
+
+        const now = new Date();
+        const draft = await buildEligibilityReport(course, await listCourseSessions(course.id, range), range, now);
+        const blocker = signOffBlocker(draft);
+
+        if (blocker) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot sign off yet: ${blocker}`
+            });
+        }
+
+        const { report, signOff, error } = planSignOff(draft, req.body, req.user, now);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        try {
+            await signOffEligibilityReport(report, signOff);
+        } catch (error) {
+            if (error.code !== STORE_ERRORS.ALREADY_EXISTS) throw error;
+
+            // Signed off by another request in the meantime
+            return res.status(409).json({
+                success: false,
+                message: 'The eligibility list of this course has already been signed off'
+            });
+        }
+
+        await recordAudit(req, {
+            action: AUDIT_LOG_ACTIONS.UPDATE,
+            target: { type: AUDIT_TARGET_TYPES.ELIGIBILITY, id: course.id },
+            before: { eligibilitySignOff: null },
+            after: { eligibilitySignOff: signOff }
+        });
+
+        res.json({
+            success: true,
+            message: 'Eligibility list signed off',
+            report
+        });
+    } catch (error) {
+        console.error('Error signing off eligibility report:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+export default router;
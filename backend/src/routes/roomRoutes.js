@@ -0,0 +1,227 @@
+/**
+ * Room Routes - Saved Classroom Locations
+ * 
+ * ENDPOINTS:
+ * - GET /api/rooms - List my institution's rooms (Teacher/Admin)
+ * - POST /api/rooms - Add a room (Teacher/Admin)
+ * - GET /api/rooms/:roomId - Get a room (Teacher/Admin)
+ * - PATCH /api/rooms/:roomId - Update a room (creator or Admin)
+ * - DELETE /api/rooms/:roomId - Delete a room (creator or Admin)
+ * 
+ * AUTHENTICATION:
+ * Every endpoint requires `Authorization: Bearer <Firebase ID token>`
+ * and the 'teacher' or 'admin' role. Rooms are shared by everyone in
+ * the same institution.
+ * 
+ * GREEN CODING:
+ * - Rooms stored once per institution and referenced by sessions
+ */
+
+import express from 'express';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { requireRole, isPrivileged, getInstitutionId } from '../middleware/roleMiddleware.js';
+import {
+    getRoom,
+    createRoom,
+    updateRoom,
+    deleteRoom,
+    listInstitutionRooms
+} from '../repositories/roomsRepository.js';
+import { normalizeRoom, roomName } from '../services/roomService.js';
+
+const router = express.Router();
+
+// All room endpoints are for teachers and admins with a verified Firebase ID token
+router.use(verifyToken, requireRole('teacher', 'admin'));
+
+/**
+ * Load a room from the caller's institution
+ * With `manage`, only its creator or an admin may continue.
+ * @returns Room, or null when a 404/403 response has been sent
+ */
+async function loadRoom(req, res, { manage = false } = {}) {
+    const room = await getRoom(req.params.roomId);
+
+    if (!room || room.institutionId !== getInstitutionId(req.user)) {
+        res.status(404).json({
+            success: false,
+            message: 'Room not found'
+        });
+        return null;
+    }
+
+    if (manage && room.createdBy !== req.user.uid && !isPrivileged(req.user)) {
+        res.status(403).json({
+            success: false,
+            message: 'Only the teacher who added this room or an admin can change it'
+        });
+        return null;
+    }
+
+    return room;
+}
+
+/**
+ * Check that no other room in the institution has the same building and number
+ */
+async function isDuplicateRoom(institutionId, { building, roomNumber }, exceptRoomId = null) {
+    const rooms = await listInstitutionRooms(institutionId);
+    const name = roomName({ building, roomNumber }).toLowerCase();
+
+    return rooms.some((room) => room.id !== exceptRoomId && roomName(room).toLowerCase() === name);
+}
+
+/**
+ * GET /api/rooms
+ */
+router.get('/', async (req, res) => {
+    try {
+        const rooms = await listInstitutionRooms(getInstitutionId(req.user));
+
+        res.json({
+            success: true,
+            count: rooms.length,
+            rooms
+        });
+    } catch (error) {
+        console.error('Error listing rooms:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/rooms
+ * Body: { building, roomNumber, latitude, longitude, radiusMeters, notes }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { room, error } = normalizeRoom(req.body);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const institutionId = getInstitutionId(req.user);
+
+        if (await isDuplicateRoom(institutionId, room)) {
+            return res.status(409).json({
+                success: false,
+                message: `${roomName(room)} already exists`
+            });
+        }
+
+        const now = new Date().toISOString();
+        const data = {
+            notes: '',
+            ...room,
+            institutionId,
+            createdBy: req.user.uid,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const roomId = await createRoom(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Room added',
+            room: { id: roomId, ...data }
+        });
+    } catch (error) {
+        console.error('Error creating room:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/rooms/:roomId
+ */
+router.get('/:roomId', async (req, res) => {
+    try {
+        const room = await loadRoom(req, res);
+        if (!room) return;
+
+        res.json({ success: true, room });
+    } catch (error) {
+        console.error('Error fetching room:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/rooms/:roomId
+ * New coordinates apply to every session that uses the room
+ */
+router.patch('/:roomId', async (req, res) => {
+    try {
+        const existing = await loadRoom(req, res, { manage: true });
+        if (!existing) return;
+
+        const { room: patch, error } = normalizeRoom(req.body, { partial: true });
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const updated = { ...existing, ...patch };
+
+        if ((patch.building || patch.roomNumber) &&
+            await isDuplicateRoom(existing.institutionId, updated, existing.id)) {
+            return res.status(409).json({
+                success: false,
+                message: `${roomName(updated)} already exists`
+            });
+        }
+
+        patch.updatedAt = new Date().toISOString();
+        patch.updatedBy = req.user.uid;
+        await updateRoom(existing.id, patch);
+
+        res.json({
+            success: true,
+            message: 'Room updated',
+            room: { ...existing, ...patch }
+        });
+    } catch (error) {
+        console.error('Error updating room:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/rooms/:roomId
+ * Sessions that used the room keep their own copy of its location
+ */
+router.delete('/:roomId', async (req, res) => {
+    try {
+        const room = await loadRoom(req, res, { manage: true });
+        if (!room) return;
+
+        await deleteRoom(room.id);
+
+        res.json({
+            success: true,
+            message: 'Room deleted'
+        });
+    } catch (error) {
+        console.error('Error deleting room:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,339 @@
+/**
+ * Timetable Routes - Recurring Classes
+ * 
+ * ENDPOINTS:
+ * - POST /api/timetables - Create a timetable (Teacher)
+ * - GET /api/timetables - List my timetables (Teacher)
+ * - GET /api/timetables/today - Today's classes and their sessions (Teacher)
+ * - GET /api/timetables/:timetableId - Get a timetable (owning Teacher)
+ * - PUT /api/timetables/:timetableId - Replace a timetable (owning Teacher)
+ * - DELETE /api/timetables/:timetableId - Delete a timetable (owning Teacher)
+ * - POST /api/timetables/:timetableId/slots/:slotId/start - Start today's class now (owning Teacher)
+ * 
+ * AUTHENTICATION:
+ * Every endpoint requires `Authorization: Bearer <Firebase ID token>`
+ * and the 'teacher' role.
+ * 
+ * GREEN CODING:
+ * - Weekly slots stored once per term; classes are worked out when needed
+ * - Starting a class reuses its room and duration (no re-entry, no extra reads)
+ */
+
+import express from 'express';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { requireRole, getInstitutionId } from '../middleware/roleMiddleware.js';
+import { auditContext } from '../middleware/auditMiddleware.js';
+import { listTeacherCourses } from '../repositories/coursesRepository.js';
+import { listInstitutionRooms } from '../repositories/roomsRepository.js';
+import { getSessionOccurrence } from '../repositories/sessionsRepository.js';
+import {
+    getTimetable,
+    createTimetable,
+    updateTimetable,
+    deleteTimetable,
+    listTeacherTimetables
+} from '../repositories/timetablesRepository.js';
+import { normalizeTimetable, getOccurrencesOn, occurrenceId } from '../services/timetableService.js';
+import { startOccurrence } from '../services/timetableScheduler.js';
+import { roomLocation } from '../services/roomService.js';
+
+const router = express.Router();
+
+// All timetable endpoints are for teachers with a verified Firebase ID token
+router.use(verifyToken, requireRole('teacher'));
+
+/**
+ * Validate a timetable body and check every slot uses one of the teacher's
+ * courses and, when it names one, a saved room of the teacher's institution
+ * @returns Normalized timetable, or null when a 400 response has been sent
+ */
+async function validateTimetable(req, res) {
+    const { timetable, error } = normalizeTimetable(req.body);
+
+    if (error) {
+        res.status(400).json({ success: false, message: error });
+        return null;
+    }
+
+    const courseIds = new Set((await listTeacherCourses(req.user.uid)).map(({ id }) => id));
+    const unknown = timetable.slots.find(({ courseId }) => !courseIds.has(courseId));
+
+    if (unknown) {
+        res.status(400).json({
+            success: false,
+            message: `Course ${unknown.courseId} not found among your courses`
+        });
+        return null;
+    }
+
+    if (timetable.slots.some(({ roomId }) => roomId)) {
+        const roomIds = new Set((await listInstitutionRooms(getInstitutionId(req.user))).map(({ id }) => id));
+        const unknownRoom = timetable.slots.find(({ roomId }) => roomId && !roomIds.has(roomId));
+
+        if (unknownRoom) {
+            res.status(400).json({
+                success: false,
+                message: `Room ${unknownRoom.roomId} not found`
+            });
+            return null;
+        }
+    }
+
+    return timetable;
+}
+
+/**
+ * Load a timetable owned by the caller
+ * @returns Timetable, or null when a 404/403 response has been sent
+ */
+async function loadOwnedTimetable(req, res) {
+    const timetable = await getTimetable(req.params.timetableId);
+
+    if (!timetable) {
+        res.status(404).json({
+            success: false,
+            message: 'Timetable not found'
+        });
+        return null;
+    }
+
+    if (timetable.teacherId !== req.user.uid) {
+        res.status(403).json({
+            success: false,
+            message: 'You can only manage your own timetables'
+        });
+        return null;
+    }
+
+    return timetable;
+}
+
+/**
+ * POST /api/timetables
+ * Body: { name, timezone, termStart, termEnd, holidays: [YYYY-MM-DD],
+ *         slots: [{ courseId, day, startTime, durationMinutes, roomId | room: { name, latitude, longitude, radiusMeters } }] }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const timetable = await validateTimetable(req, res);
+        if (!timetable) return;
+
+        const now = new Date().toISOString();
+        const data = {
+            ...timetable,
+            teacherId: req.user.uid,
+            teacherEmail: req.user.email,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const timetableId = await createTimetable(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Timetable created successfully',
+            timetable: { id: timetableId, ...data }
+        });
+    } catch (error) {
+        console.error('Error creating timetable:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/timetables
+ */
+router.get('/', async (req, res) => {
+    try {
+        const timetables = await listTeacherTimetables(req.user.uid);
+
+        res.json({
+            success: true,
+            count: timetables.length,
+            timetables
+        });
+    } catch (error) {
+        console.error('Error listing timetables:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/timetables/today
+ * Today's classes from all of the teacher's timetables, each with the
+ * sessionId if it has already been started (by the teacher or the scheduler)
+ */
+router.get('/today', async (req, res) => {
+    try {
+        const now = new Date();
+        const [timetables, courses, rooms] = await Promise.all([
+            listTeacherTimetables(req.user.uid),
+            listTeacherCourses(req.user.uid),
+            listInstitutionRooms(getInstitutionId(req.user))
+        ]);
+        const coursesById = new Map(courses.map((course) => [course.id, course]));
+        const roomsById = new Map(rooms.map((room) => [room.id, room]));
+
+        const classes = [];
+
+        for (const timetable of timetables) {
+            for (const { slot, date, startsAt, endsAt } of getOccurrencesOn(timetable, now)) {
+                const occurrence = await getSessionOccurrence(occurrenceId(timetable.id, slot.id, date));
+                const course = coursesById.get(slot.courseId);
+                const room = slot.roomId ? roomsById.get(slot.roomId) : null;
+
+                classes.push({
+                    timetableId: timetable.id,
+                    timetableName: timetable.name,
+                    slotId: slot.id,
+                    courseId: slot.courseId,
+                    courseCode: course?.code || null,
+                    courseName: course?.title || null,
+                    roomId: slot.roomId || null,
+                    room: room ? roomLocation(room) : slot.room || null,
+                    date,
+                    startsAt: startsAt.toISOString(),
+                    endsAt: endsAt.toISOString(),
+                    sessionId: occurrence?.sessionId || null
+                });
+            }
+        }
+
+        classes.sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+
+        res.json({
+            success: true,
+            count: classes.length,
+            classes
+        });
+    } catch (error) {
+        console.error('Error listing today\'s classes:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/timetables/:timetableId
+ */
+router.get('/:timetableId', async (req, res) => {
+    try {
+        const timetable = await loadOwnedTimetable(req, res);
+        if (!timetable) return;
+
+        res.json({ success: true, timetable });
+    } catch (error) {
+        console.error('Error fetching timetable:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/timetables/:timetableId
+ * Replace the timetable (same body as POST). Send slots back with their
+ * `id` so classes already started today are not started a second time.
+ */
+router.put('/:timetableId', async (req, res) => {
+    try {
+        const existing = await loadOwnedTimetable(req, res);
+        if (!existing) return;
+
+        const timetable = await validateTimetable(req, res);
+        if (!timetable) return;
+
+        const patch = { ...timetable, updatedAt: new Date().toISOString() };
+        await updateTimetable(existing.id, patch);
+
+        res.json({
+            success: true,
+            message: 'Timetable updated',
+            timetable: { ...existing, ...patch }
+        });
+    } catch (error) {
+        console.error('Error updating timetable:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/timetables/:timetableId
+ * Sessions already created from the timetable are kept
+ */
+router.delete('/:timetableId', async (req, res) => {
+    try {
+        const timetable = await loadOwnedTimetable(req, res);
+        if (!timetable) return;
+
+        await deleteTimetable(timetable.id);
+
+        res.json({
+            success: true,
+            message: 'Timetable deleted'
+        });
+    } catch (error) {
+        console.error('Error deleting timetable:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/timetables/:timetableId/slots/:slotId/start
+ * "Start today's class": create the session for today's occurrence of the slot
+ * using its room and duration. Returns the existing session if it already started.
+ */
+router.post('/:timetableId/slots/:slotId/start', async (req, res) => {
+    try {
+        const timetable = await loadOwnedTimetable(req, res);
+        if (!timetable) return;
+
+        const now = new Date();
+        const occurrence = getOccurrencesOn(timetable, now).find(({ slot }) => slot.id === req.params.slotId);
+
+        if (!occurrence) {
+            return res.status(400).json({
+                success: false,
+                message: 'This class is not scheduled today (wrong day, outside the term, or a holiday)'
+            });
+        }
+
+        const result = await startOccurrence(timetable, occurrence, await auditContext(req), now);
+
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.status(result.created ? 201 : 200).json({
+            success: true,
+            message: result.created ? 'Class started' : 'Class already started',
+            session: result.session
+        });
+    } catch (error) {
+        console.error('Error starting class:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,294 @@
+/**
+ * Webhook Routes - Outgoing Attendance Events
+ * 
+ * ENDPOINTS:
+ * - GET /api/webhooks - List my institution's webhooks (Admin)
+ * - POST /api/webhooks - Register an endpoint URL for some events (Admin)
+ * - PATCH /api/webhooks/:webhookId - Change the URL, events, description or enabled flag (Admin)
+ * - DELETE /api/webhooks/:webhookId - Remove a webhook (Admin)
+ * - POST /api/webhooks/:webhookId/secret - Replace the signing secret (Admin)
+ * - GET /api/webhooks/:webhookId/deliveries - Delivery log, newest first (Admin)
+ * - POST /api/webhooks/:webhookId/deliveries/:deliveryId/retry - Send a delivery again now (Admin)
+ * 
+ * AUTHENTICATION:
+ * Every endpoint requires `Authorization: Bearer <Firebase ID token>`
+ * and the 'admin' role. Webhooks belong to the admin's institution.
+ * 
+ * GREEN CODING:
+ * - The delivery log is capped per request (at most 200 entries)
+ */
+
+import express from 'express';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { requireRole, getInstitutionId } from '../middleware/roleMiddleware.js';
+import {
+    getWebhook,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listInstitutionWebhooks,
+    getDelivery,
+    updateDelivery,
+    listWebhookDeliveries
+} from '../repositories/webhooksRepository.js';
+import {
+    DELIVERY_STATUSES,
+    normalizeWebhook,
+    checkWebhookUrl,
+    generateWebhookSecret,
+    publicWebhook,
+    attemptDelivery
+} from '../services/webhookService.js';
+
+const router = express.Router();
+
+// Webhooks are managed by admins only
+router.use(verifyToken, requireRole('admin'));
+
+const DEFAULT_DELIVERY_PAGE_SIZE = 50;
+const MAX_DELIVERY_PAGE_SIZE = 200;
+
+/**
+ * Load a webhook of the caller's institution
+ * @returns Webhook, or null when a 404 response has been sent
+ */
+async function loadWebhook(req, res) {
+    const webhook = await getWebhook(req.params.webhookId);
+
+    if (!webhook || webhook.institutionId !== getInstitutionId(req.user)) {
+        res.status(404).json({
+            success: false,
+            message: 'Webhook not found'
+        });
+        return null;
+    }
+
+    return webhook;
+}
+
+/**
+ * GET /api/webhooks
+ * Secrets are not shown, only their last characters
+ */
+router.get('/', async (req, res) => {
+    try {
+        const webhooks = await listInstitutionWebhooks(getInstitutionId(req.user));
+
+        res.json({
+            success: true,
+            count: webhooks.length,
+            webhooks: webhooks.map(publicWebhook)
+        });
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * The response is the only time the signing secret is shown.
+ * 
+ * Body: { url, events: ['session.created', ...], description?, enabled? }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { webhook, error } = normalizeWebhook(req.body);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const { error: addressError } = await checkWebhookUrl(webhook.url);
+
+        if (addressError) {
+            return res.status(400).json({ success: false, message: addressError });
+        }
+
+        const now = new Date().toISOString();
+        const data = {
+            description: '',
+            enabled: true,
+            ...webhook,
+            secret: generateWebhookSecret(),
+            institutionId: getInstitutionId(req.user),
+            createdBy: req.user.uid,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const webhookId = await createWebhook(data);
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook registered - keep the secret to verify signatures, it is not shown again',
+            webhook: { id: webhookId, ...data }
+        });
+    } catch (error) {
+        console.error('Error registering webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /api/webhooks/:webhookId
+ * Body: any of { url, events, description, enabled }
+ */
+router.patch('/:webhookId', async (req, res) => {
+    try {
+        const current = await loadWebhook(req, res);
+        if (!current) return;
+
+        const { webhook, error } = normalizeWebhook(req.body, current);
+
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (webhook.url) {
+            const { error: addressError } = await checkWebhookUrl(webhook.url);
+
+            if (addressError) {
+                return res.status(400).json({ success: false, message: addressError });
+            }
+        }
+
+        const patch = { ...webhook, updatedAt: new Date().toISOString() };
+        await updateWebhook(current.id, patch);
+
+        res.json({
+            success: true,
+            message: 'Webhook updated',
+            webhook: publicWebhook({ ...current, ...patch })
+        });
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Its delivery log is kept; pending retries stop.
+ */
+router.delete('/:webhookId', async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        await deleteWebhook(webhook.id);
+
+        res.json({
+            success: true,
+            message: 'Webhook deleted'
+        });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/webhooks/:webhookId/secret
+ * Replace the signing secret, e.g. after it leaked; returned once, like on creation.
+ * Retries of earlier events are signed with the new secret.
+ */
+router.post('/:webhookId/secret', async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const secret = generateWebhookSecret();
+        await updateWebhook(webhook.id, { secret, updatedAt: new Date().toISOString() });
+
+        res.json({
+            success: true,
+            message: 'Signing secret replaced',
+            secret
+        });
+    } catch (error) {
+        console.error('Error replacing webhook secret:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/webhooks/:webhookId/deliveries?limit=
+ * Every delivery with its status, attempts and the endpoint's answers, newest first
+ */
+router.get('/:webhookId/deliveries', async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_DELIVERY_PAGE_SIZE, MAX_DELIVERY_PAGE_SIZE);
+        const deliveries = await listWebhookDeliveries(webhook.id, limit);
+
+        res.json({
+            success: true,
+            count: deliveries.length,
+            deliveries
+        });
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/webhooks/:webhookId/deliveries/:deliveryId/retry
+ * Send a delivery again now (same event id and body). A failed one gets a
+ * fresh set of retries.
+ */
+router.post('/:webhookId/deliveries/:deliveryId/retry', async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const delivery = await getDelivery(req.params.deliveryId);
+
+        if (!delivery || delivery.webhookId !== webhook.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found'
+            });
+        }
+
+        const restart = { status: DELIVERY_STATUSES.PENDING, attempts: 0, completedAt: null };
+        await updateDelivery(delivery.id, restart);
+
+        const result = await attemptDelivery({ ...delivery, ...restart });
+
+        res.json({
+            success: true,
+            message: result.status === DELIVERY_STATUSES.SUCCEEDED ? 'Delivered' : `Not delivered: ${result.lastAttempt.error}`,
+            delivery: result
+        });
+    } catch (error) {
+        console.error('Error retrying webhook delivery:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+export default router;
@@ -7,58 +7,46 @@
  * GREEN CODING:
  * - Stateless server design (scalable, energy efficient)
  * - Efficient middleware stack
- * - No continuous background processes
+ * - No continuous background processes (the timetable and alert schedulers are opt-in)
  * 
  * VIVA EXPLANATION:
- * This is the main server file that initializes Express, sets up middleware
- * for CORS and JSON parsing, mounts API routes, and starts the HTTP server.
+ * This is the main server file. It loads environment variables, takes the
+ * Express app (middleware + routes) from app.js and starts the HTTP server.
  */
 
-import express from 'express';
-import cors from 'cors';
 import dotenv from 'dotenv';
-import authRoutes from './routes/authRoutes.js';
-import attendanceRoutes from './routes/attendanceRoutes.js';
+import app from './app.js';
+import { store } from './repositories/store.js';
+import { startTimetableScheduler } from './services/timetableScheduler.js';
+import { startAlertScheduler } from './services/alertService.js';
+import { resumeWebhookRetries } from './services/webhookService.js';
 
 // Load environment variables
 dotenv.config();
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors({
-    origin: 'http://localhost:5173', // Vite dev server
-    credentials: true
-}));
-app.use(express.json()); // Parse JSON request bodies
-
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/attendance', attendanceRoutes);
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({
-        success: true,
-        message: 'Smart Attendance System API is running',
-        timestamp: new Date().toISOString()
-    });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Error:', err);
-    res.status(500).json({
-        success: false,
-        message: err.message || 'Internal server error'
-    });
-});
-
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+    console.log(`💾 Storage adapter: ${store.name}`);
+
+    // Create sessions for timetable classes as they start
+    if (process.env.TIMETABLE_SCHEDULER === 'on') {
+        startTimetableScheduler();
+        console.log('📅 Timetable scheduler: on');
+    }
+
+    // Low-attendance alerts for sessions that end without being closed
+    if (process.env.ALERT_SCHEDULER === 'on') {
+        startAlertScheduler();
+        console.log('🔔 Attendance alert scheduler: on');
+    }
+
+    // Retries of webhook deliveries that were waiting when the server stopped
+    resumeWebhookRetries()
+        .catch((error) => console.error('Error resuming webhook retries:', error));
 });
 
 export default app;
@@ -0,0 +1,365 @@
+/**
+ * Alert Service - Low-Attendance Warnings by Email
+ *
+ * GREEN CODING:
+ * - Checked when something can lower a percentage (a session ends, a record
+ *   is changed), not on every scan
+ * - Checked after the response is sent: a slow mail server doesn't hold up
+ *   the teacher's request
+ * - Mail only when a student's level gets worse; a saved level per student
+ *   stops the same warning going out on every check
+ *
+ * VIVA EXPLANATION:
+ * Each course has alert rules: a warning threshold (the 75% needed to sit
+ * exams), a lower critical threshold, and the number of sessions a student
+ * must have had before any alert (one missed lecture out of one is 0%).
+ * A check works out every student's percentage (see analyticsService) and
+ * compares it with the level saved last time:
+ * - worse (ok -> warning, ok/warning -> critical): email the student, and
+ *   the teacher gets one email listing every student who dropped
+ * - better: the level is saved quietly, so a later drop alerts again
+ * Every email, sent or failed, is written to the alert log.
+ */
+
+import { getCourse } from '../repositories/coursesRepository.js';
+import { listCourseSessions, listSessionsEndedBetween } from '../repositories/sessionsRepository.js';
+import {
+    listCourseAlertStates,
+    saveAlertStates,
+    createAlertLogEntry
+} from '../repositories/alertsRepository.js';
+import { buildCourseAnalytics } from './analyticsService.js';
+import { sendMail } from './mail/index.js';
+
+export const ALERT_LEVELS = {
+    OK: 'ok',
+    WARNING: 'warning',
+    CRITICAL: 'critical'
+};
+
+const LEVEL_RANK = {
+    [ALERT_LEVELS.OK]: 0,
+    [ALERT_LEVELS.WARNING]: 1,
+    [ALERT_LEVELS.CRITICAL]: 2
+};
+
+export const DEFAULT_ALERT_RULES = {
+    enabled: true,
+    warning: 75,
+    critical: 65,
+    minSessions: 3
+};
+
+export const ALERT_RECIPIENTS = {
+    STUDENT: 'student',
+    TEACHER: 'teacher'
+};
+
+export const ALERT_SCHEDULER_INTERVAL_MS = 15 * 60 * 1000;
+
+// Checks started by checkCourseAlertsLater that haven't finished yet
+const runningChecks = new Set();
+
+/**
+ * The rules that apply to a course (its own on top of the defaults)
+ */
+export function resolveAlertRules(course) {
+    return { ...DEFAULT_ALERT_RULES, ...course?.alertRules };
+}
+
+/**
+ * Validate alert rules sent for a course
+ * Only the fields being changed need to be sent; the rest are kept.
+ *
+ * @param {Object} input - e.g. { warning: 80, critical: 70 }
+ * @param {Object} current - The course's current rules (resolveAlertRules)
+ * @returns {{rules: Object}|{error: string}}
+ */
+export function normalizeAlertRules(input, current = DEFAULT_ALERT_RULES) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'alertRules must be an object such as { "warning": 75, "critical": 65 }' };
+    }
+
+    const unknown = Object.keys(input).find((field) => !(field in DEFAULT_ALERT_RULES));
+    if (unknown) {
+        return { error: `Unknown alert rule "${unknown}" - use ${Object.keys(DEFAULT_ALERT_RULES).join(', ')}` };
+    }
+
+    const rules = { ...current, ...input };
+
+    if (typeof rules.enabled !== 'boolean') {
+        return { error: 'alertRules.enabled must be true or false' };
+    }
+
+    for (const field of ['warning', 'critical']) {
+        if (typeof rules[field] !== 'number' || !(rules[field] > 0 && rules[field] <= 100)) {
+            return { error: `alertRules.${field} must be a percentage between 0 and 100` };
+        }
+    }
+
+    if (rules.critical > rules.warning) {
+        return { error: 'alertRules.critical must not be above alertRules.warning' };
+    }
+
+    if (!Number.isInteger(rules.minSessions) || rules.minSessions < 1) {
+        return { error: 'alertRules.minSessions must be a whole number of at least 1' };
+    }
+
+    return {
+        rules: {
+            enabled: rules.enabled,
+            warning: rules.warning,
+            critical: rules.critical,
+            minSessions: rules.minSessions
+        }
+    };
+}
+
+/**
+ * A student's level under the rules
+ * @param {Object} student - From buildCourseAnalytics (held, excused, percentage)
+ * @returns The level, or null when too few sessions count yet
+ */
+export function alertLevel(student, rules) {
+    if (student.held - student.excused < rules.minSessions || student.percentage === null) {
+        return null;
+    }
+    if (student.percentage < rules.critical) return ALERT_LEVELS.CRITICAL;
+    if (student.percentage < rules.warning) return ALERT_LEVELS.WARNING;
+    return ALERT_LEVELS.OK;
+}
+
+/**
+ * Compare every student's level with the saved one
+ *
+ * @param {Array} students - From buildCourseAnalytics
+ * @param {Map} previous - studentId -> saved state
+ * @returns {{alerts: Array, states: Array}} `alerts`: students whose level got
+ *          worse ({ student, level, previous }); `states`: the levels to save
+ */
+export function planAlerts(courseId, students, previous, rules, now = new Date()) {
+    const alerts = [];
+    const states = [];
+
+    for (const student of students) {
+        const level = alertLevel(student, rules);
+        if (!level) continue;
+
+        const before = previous.get(student.studentId)?.level || ALERT_LEVELS.OK;
+        if (level === before) continue;
+
+        states.push({
+            courseId,
+            studentId: student.studentId,
+            level,
+            percentage: student.percentage,
+            updatedAt: now.toISOString()
+        });
+
+        if (LEVEL_RANK[level] > LEVEL_RANK[before]) {
+            alerts.push({ student, level, previous: before });
+        }
+    }
+
+    return { alerts, states };
+}
+
+function levelLabel(level) {
+    return level === ALERT_LEVELS.CRITICAL ? 'critical' : 'warning';
+}
+
+/**
+ * The email to a student whose attendance dropped
+ */
+export function buildStudentAlertMail(course, { student, level }, rules) {
+    const threshold = level === ALERT_LEVELS.CRITICAL ? rules.critical : rules.warning;
+
+    return {
+        to: student.email,
+        subject: `[${course.code}] Attendance ${levelLabel(level)}: ${student.percentage}%`,
+        text: [
+            `Hello ${student.name || student.email},`,
+            '',
+            `Your attendance in ${course.code} ${course.title} is ${student.percentage}%`,
+            `(${student.attended} of ${student.held - student.excused} sessions), below ${threshold}%.`,
+            '',
+            `${rules.warning}% attendance is required. Please talk to your teacher`,
+            course.teacherEmail ? `(${course.teacherEmail}) if any of these absences should be excused.` : 'if any of these absences should be excused.',
+            '',
+            'This message was sent automatically by Smart Attendance.'
+        ].join('\n')
+    };
+}
+
+/**
+ * The email to the teacher listing every student who dropped in this check
+ */
+export function buildTeacherAlertMail(course, alerts, rules) {
+    const lines = alerts.map(({ student, level }) =>
+        `- ${[student.rollNumber, student.name || student.email].filter(Boolean).join(' ')}: ${student.percentage}% (${levelLabel(level)})`);
+
+    return {
+        to: course.teacherEmail,
+        subject: `[${course.code}] ${alerts.length} student(s) below ${rules.warning}% attendance`,
+        text: [
+            `These students of ${course.code} ${course.title} dropped below an attendance threshold`,
+            `(warning ${rules.warning}%, critical ${rules.critical}%):`,
+            '',
+            ...lines,
+            '',
+            'This message was sent automatically by Smart Attendance.'
+        ].join('\n')
+    };
+}
+
+/**
+ * Send one email and write it to the alert log (a failure is logged, not thrown)
+ * @returns {boolean} Whether it was sent
+ */
+async function deliver(mail, entry, now) {
+    const logEntry = {
+        ...entry,
+        to: mail.to || null,
+        subject: mail.subject,
+        sentAt: now.toISOString()
+    };
+
+    try {
+        const { transport, messageId } = await sendMail(mail);
+        await createAlertLogEntry({ ...logEntry, status: 'sent', transport, messageId });
+        return true;
+    } catch (error) {
+        console.error(`Error sending attendance alert for ${entry.courseId}:`, error);
+        await createAlertLogEntry({ ...logEntry, status: 'failed', error: error.message });
+        return false;
+    }
+}
+
+/**
+ * Check a course's students and email the ones who dropped below a threshold
+ *
+ * @param {Object} course - The course
+ * @returns {{checked: number, alerts: number, sent: number, failed: number}}
+ */
+export async function checkCourseAlerts(course, now = new Date()) {
+    const rules = resolveAlertRules(course);
+    const result = { checked: 0, alerts: 0, sent: 0, failed: 0 };
+
+    if (!rules.enabled || !course.studentIds?.length) return result;
+
+    const sessions = await listCourseSessions(course.id);
+    const { students } = await buildCourseAnalytics(course, sessions, now);
+    const previous = new Map((await listCourseAlertStates(course.id)).map((state) => [state.studentId, state]));
+    const { alerts, states } = planAlerts(course.id, students, previous, rules, now);
+
+    // Saved before sending: a failed email is logged, not repeated on every check
+    await saveAlertStates(states);
+
+    result.checked = students.length;
+    result.alerts = alerts.length;
+
+    const deliveries = alerts.map((alert) => deliver(buildStudentAlertMail(course, alert, rules), {
+        courseId: course.id,
+        studentId: alert.student.studentId,
+        recipient: ALERT_RECIPIENTS.STUDENT,
+        level: alert.level,
+        percentage: alert.student.percentage
+    }, now));
+
+    if (alerts.length && course.teacherEmail) {
+        deliveries.push(deliver(buildTeacherAlertMail(course, alerts, rules), {
+            courseId: course.id,
+            studentId: null,
+            recipient: ALERT_RECIPIENTS.TEACHER,
+            level: alerts.some(({ level }) => level === ALERT_LEVELS.CRITICAL) ? ALERT_LEVELS.CRITICAL : ALERT_LEVELS.WARNING,
+            percentage: null
+        }, now));
+    }
+
+    for (const sent of await Promise.all(deliveries)) {
+        if (sent) result.sent++;
+        else result.failed++;
+    }
+
+    return result;
+}
+
+/**
+ * Check a course's alerts in the background (call once the response is sent)
+ * A failure is only logged: the change that triggered the check is saved.
+ *
+ * @param {string} courseId - The course
+ */
+export function checkCourseAlertsLater(courseId) {
+    const check = getCourse(courseId)
+        .then((course) => course && checkCourseAlerts(course))
+        .catch((error) => console.error(`Error checking attendance alerts for course ${courseId}:`, error))
+        .finally(() => runningChecks.delete(check));
+
+    runningChecks.add(check);
+}
+
+/**
+ * Resolves once every background check has finished (used by the tests)
+ */
+export async function alertChecksSettled() {
+    await Promise.all(runningChecks);
+}
+
+/**
+ * Check the courses of every session that ended within (since, now]
+ * Sessions closed early were checked when they were closed; checking again is harmless.
+ * @returns {number} Number of courses checked
+ */
+export async function runAlertChecks(since, now = new Date()) {
+    const sessions = await listSessionsEndedBetween(since.toISOString(), now.toISOString());
+    const courseIds = [...new Set(sessions.map(({ courseId }) => courseId).filter(Boolean))];
+
+    for (const courseId of courseIds) {
+        try {
+            const course = await getCourse(courseId);
+            if (course) await checkCourseAlerts(course, now);
+        } catch (error) {
+            // One broken course must not stop the others
+            console.error(`Error checking attendance alerts for course ${courseId}:`, error);
+        }
+    }
+
+    return courseIds.length;
+}
+
+/**
+ * Check for sessions that ended on their own, every `intervalMs`
+ * @returns {Function} Stops the scheduler
+ */
+export function startAlertScheduler(intervalMs = ALERT_SCHEDULER_INTERVAL_MS) {
+    let since = new Date(Date.now() - intervalMs);
+
+    const timer = setInterval(() => {
+        const now = new Date();
+        runAlertChecks(since, now).catch((error) => {
+            console.error('Alert scheduler error:', error);
+        });
+        since = now;
+    }, intervalMs);
+
+    return () => clearInterval(timer);
+}
+
+export default {
+    ALERT_LEVELS,
+    DEFAULT_ALERT_RULES,
+    ALERT_RECIPIENTS,
+    ALERT_SCHEDULER_INTERVAL_MS,
+    resolveAlertRules,
+    normalizeAlertRules,
+    alertLevel,
+    planAlerts,
+    buildStudentAlertMail,
+    buildTeacherAlertMail,
+    checkCourseAlerts,
+    checkCourseAlertsLater,
+    alertChecksSettled,
+    runAlertChecks,
+    startAlertScheduler
+};
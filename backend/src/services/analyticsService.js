@@ -0,0 +1,250 @@
+/**
+ * Analytics Service - Attendance Percentages and Turnout
+ * 
+ * GREEN CODING:
+ * - One pass over a course's records, read a page at a time, builds every
+ *   figure (per session, per student and per week) at once
+ * - Nothing is stored: no counters to keep in step with every change
+ * 
+ * VIVA EXPLANATION:
+ * Figures are worked out from the records each time they are asked for, so
+ * they are always right: closing a session, a teacher's override or a review
+ * decision shows up on the next request with nothing to recalculate.
+ * 
+ * How a session counts for a student:
+ * - attended: present, late or suspicious (suspicious is also "pending":
+ *   the teacher hasn't reviewed it yet)
+ * - excused: left out of the student's percentage altogether
+ * - absent: absent, rejected, or no record at all
+ * Only sessions that have finished (closed or expired) count; a session that
+ * is still running would make everyone who hasn't scanned yet look absent.
+ */
+
+import { getUsers } from '../repositories/usersRepository.js';
+import { listCourseAttendancePage, listStudentAttendance } from '../repositories/attendanceRepository.js';
+import { ATTENDANCE_STATUSES } from './anomalyService.js';
+import { getSessionState, SESSION_STATES } from './sessionService.js';
+
+// Statuses that count as attending a session
+export const ATTENDED_STATUSES = [ATTENDANCE_STATUSES.PRESENT, ATTENDANCE_STATUSES.SUSPICIOUS, ATTENDANCE_STATUSES.LATE];
+
+// Records per page when reading a course's records
+const RECORD_PAGE_SIZE = 500;
+// Profiles per batch (Firestore allows at most 30 values in an 'in' filter)
+const PROFILE_BATCH_SIZE = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How a record (or its absence) counts: 'attended', 'excused' or 'absent'
+ */
+export function classifyStatus(status) {
+    if (ATTENDED_STATUSES.includes(status)) return 'attended';
+    if (status === ATTENDANCE_STATUSES.EXCUSED) return 'excused';
+    return 'absent';
+}
+
+/**
+ * Percentage with one decimal place, or null when nothing counts yet
+ */
+export function percentage(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+/**
+ * Monday (UTC) of the week a time falls in, as YYYY-MM-DD
+ */
+export function weekStart(time) {
+    const date = new Date(time);
+    const monday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+    return new Date(monday).toISOString().slice(0, 10);
+}
+
+export function emptyCounts() {
+    return { held: 0, attended: 0, late: 0, pending: 0, excused: 0, absent: 0 };
+}
+
+/**
+ * Add one student's session to a set of counts
+ */
+export function countStatus(counts, status) {
+    const kind = classifyStatus(status);
+
+    counts.held++;
+    counts[kind]++;
+    if (status === ATTENDANCE_STATUSES.LATE) counts.late++;
+    if (status === ATTENDANCE_STATUSES.SUSPICIOUS) counts.pending++;
+}
+
+/**
+ * A student's percentage: excused sessions are left out of the total
+ */
+export function withPercentage(counts) {
+    return { ...counts, percentage: percentage(counts.attended, counts.held - counts.excused) };
+}
+
+async function getProfiles(studentIds) {
+    const profiles = [];
+    for (let i = 0; i < studentIds.length; i += PROFILE_BATCH_SIZE) {
+        profiles.push(...await getUsers(studentIds.slice(i, i + PROFILE_BATCH_SIZE)));
+    }
+    return new Map(profiles.map((profile) => [profile.id, profile]));
+}
+
+/**
+ * Analytics of one course
+ * Students are the current roster; records of students who have left the
+ * course are not counted.
+ * 
+ * @param {Object} course - The course
+ * @param {Array} sessions - Its sessions in the period, oldest first
+ * @returns {{summary: Object, sessions: Array, students: Array, trend: Array}}
+ */
+export async function buildCourseAnalytics(course, sessions, now = new Date()) {
+    const roster = course.studentIds || [];
+    const onRoster = new Set(roster);
+    const rollNumbers = course.rollNumbers || {};
+
+    // Status of every roster student in every session (absent until a record says otherwise)
+    const statusBySession = new Map(sessions.map((session) => [session.sessionId, new Map()]));
+
+    let startAfter;
+    for (;;) {
+        const page = await listCourseAttendancePage(course.id, { startAfter, limit: RECORD_PAGE_SIZE });
+
+        for (const record of page) {
+            if (onRoster.has(record.studentId)) {
+                statusBySession.get(record.sessionId)?.set(record.studentId, record.status || ATTENDANCE_STATUSES.PRESENT);
+            }
+        }
+
+        if (page.length < RECORD_PAGE_SIZE) break;
+        startAfter = page[page.length - 1].id;
+    }
+
+    const studentCounts = new Map(roster.map((studentId) => [studentId, emptyCounts()]));
+    const weeks = new Map();
+
+    const sessionRows = sessions.map((session) => {
+        const state = getSessionState(session, now);
+        const final = state !== SESSION_STATES.ACTIVE;
+        const statuses = statusBySession.get(session.sessionId);
+        const counts = emptyCounts();
+
+        for (const studentId of roster) {
+            const status = statuses.get(studentId) || ATTENDANCE_STATUSES.ABSENT;
+            countStatus(counts, status);
+            if (final) countStatus(studentCounts.get(studentId), status);
+        }
+
+        const expected = counts.held - counts.excused;
+
+        if (final) {
+            const week = weekStart(session.createdAt);
+            const totals = weeks.get(week) || { weekStart: week, sessions: 0, attended: 0, expected: 0 };
+            totals.sessions++;
+            totals.attended += counts.attended;
+            totals.expected += expected;
+            weeks.set(week, totals);
+        }
+
+        return {
+            sessionId: session.sessionId,
+            date: session.occurrenceDate || session.createdAt.slice(0, 10),
+            createdAt: session.createdAt,
+            state,
+            final,
+            enrolled: counts.held,
+            attended: counts.attended,
+            late: counts.late,
+            pending: counts.pending,
+            excused: counts.excused,
+            absent: counts.absent,
+            turnout: percentage(counts.attended, expected)
+        };
+    });
+
+    const profiles = await getProfiles(roster);
+
+    const students = roster.map((studentId) => ({
+        studentId,
+        name: profiles.get(studentId)?.name || '',
+        email: profiles.get(studentId)?.email || '',
+        rollNumber: rollNumbers[studentId] || null,
+        ...withPercentage(studentCounts.get(studentId))
+    })).sort((a, b) => String(a.rollNumber ?? '').localeCompare(String(b.rollNumber ?? ''), undefined, { numeric: true }));
+
+    const trend = [...weeks.values()]
+        .sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+        .map((week) => ({ ...week, turnout: percentage(week.attended, week.expected) }));
+
+    const finalRows = sessionRows.filter(({ final }) => final);
+    const attended = finalRows.reduce((total, row) => total + row.attended, 0);
+    const expected = finalRows.reduce((total, row) => total + row.enrolled - row.excused, 0);
+    const rated = students.map(({ percentage: value }) => value).filter((value) => value !== null);
+
+    return {
+        summary: {
+            enrolled: roster.length,
+            sessions: sessions.length,
+            sessionsHeld: finalRows.length,
+            turnout: percentage(attended, expected),
+            averagePercentage: rated.length
+                ? Math.round((rated.reduce((total, value) => total + value, 0) / rated.length) * 10) / 10
+                : null
+        },
+        sessions: sessionRows,
+        students,
+        trend
+    };
+}
+
+/**
+ * Analytics of one student across their courses
+ * 
+ * @param {string} studentId - The student
+ * @param {Array<{course: Object, sessions: Array}>} courses - Each enrolled course
+ *        with its sessions in the period
+ * @returns {{overall: Object, courses: Array}}
+ */
+export async function buildStudentAnalytics(studentId, courses, now = new Date()) {
+    const records = await listStudentAttendance(studentId);
+    const statusBySession = new Map(records.map((record) => [record.sessionId, record.status || ATTENDANCE_STATUSES.PRESENT]));
+    const overall = emptyCounts();
+
+    const courseRows = courses.map(({ course, sessions }) => {
+        const counts = emptyCounts();
+
+        for (const session of sessions) {
+            if (getSessionState(session, now) === SESSION_STATES.ACTIVE) continue;
+
+            const status = statusBySession.get(session.sessionId) || ATTENDANCE_STATUSES.ABSENT;
+            countStatus(counts, status);
+            countStatus(overall, status);
+        }
+
+        return {
+            courseId: course.id,
+            code: course.code,
+            title: course.title,
+            ...withPercentage(counts)
+        };
+    });
+
+    return {
+        overall: withPercentage(overall),
+        courses: courseRows
+    };
+}
+
+export default {
+    ATTENDED_STATUSES,
+    classifyStatus,
+    percentage,
+    weekStart,
+    emptyCounts,
+    countStatus,
+    withPercentage,
+    buildCourseAnalytics,
+    buildStudentAnalytics
+};
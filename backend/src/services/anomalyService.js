@@ -0,0 +1,212 @@
+/**
+ * Anomaly Service - Suspicious Check-in Detection and Review
+ * 
+ * GREEN CODING:
+ * - Two indexed lookups per check-in (same spot in this session, student's last check-in)
+ * - No background job: signals are checked once, when the student marks
+ * 
+ * VIVA EXPLANATION:
+ * A browser's GPS is easy to fake, so /mark looks for tell-tale signs:
+ * - several students sending exactly the same coordinates (real fixes
+ *   always differ in the last decimals; copied fake locations don't)
+ * - coordinates exactly on the classroom centre (typed in from the room)
+ * - a speed between a student's consecutive check-ins that no one could travel
+ * The record is still saved, with status 'suspicious' and the reasons, and
+ * the teacher confirms it (present) or rejects it (counted as absent).
+ */
+
+import {
+    updateAttendance,
+    listRecordsAtLocation,
+    getLatestStudentAttendance
+} from '../repositories/attendanceRepository.js';
+import { calculateDistance, getZones } from './locationService.js';
+
+export const ATTENDANCE_STATUSES = {
+    PRESENT: 'present',
+    SUSPICIOUS: 'suspicious',
+    REJECTED: 'rejected',
+    // Only set by a teacher by hand (see overrideService)
+    LATE: 'late',
+    EXCUSED: 'excused',
+    ABSENT: 'absent'
+};
+
+// Where a record came from: a scanned QR code or a teacher (see overrideService)
+export const RECORD_SOURCES = {
+    QR: 'qr',
+    MANUAL: 'manual'
+};
+
+export const ANOMALY_CODES = {
+    SHARED_COORDINATES: 'SHARED_COORDINATES',
+    CLASSROOM_CENTRE: 'CLASSROOM_CENTRE',
+    IMPOSSIBLE_TRAVEL: 'IMPOSSIBLE_TRAVEL'
+};
+
+export const REVIEW_DECISIONS = {
+    CONFIRM: 'confirm',
+    REJECT: 'reject'
+};
+
+// Faster than this between two check-ins is treated as impossible travel
+export const MAX_TRAVEL_SPEED_KMH = 150;
+// Shorter hops are GPS noise around one campus, never "travel"
+export const MIN_TRAVEL_METERS = 1000;
+export const MAX_REVIEW_NOTE_LENGTH = 500;
+
+/**
+ * Exact coordinates as a single field, so identical fixes can be found with one query
+ */
+export function locationKey(latitude, longitude) {
+    return `${latitude},${longitude}`;
+}
+
+function isOnZoneCentre(location, classroom) {
+    return getZones(classroom).some((zone) => zone.type !== 'Polygon' &&
+        zone.latitude === location.latitude &&
+        zone.longitude === location.longitude);
+}
+
+/**
+ * Compare a check-in with the student's previous one
+ * @returns Anomaly, or null when the journey was possible
+ */
+function checkTravel(previous, { location, markedAt }) {
+    if (!previous?.location) return null;
+
+    const distance = calculateDistance(
+        previous.location.latitude,
+        previous.location.longitude,
+        location.latitude,
+        location.longitude
+    );
+
+    if (distance < MIN_TRAVEL_METERS) return null;
+
+    const hours = (new Date(markedAt) - new Date(previous.markedAt)) / 3600000;
+    const speedKmh = hours > 0 ? Math.round(distance / 1000 / hours) : Infinity;
+
+    if (speedKmh <= MAX_TRAVEL_SPEED_KMH) return null;
+
+    return {
+        code: ANOMALY_CODES.IMPOSSIBLE_TRAVEL,
+        message: `${(distance / 1000).toFixed(1)}km from the previous check-in (${previous.courseName || previous.sessionId}) ` +
+            `${Math.max(0, Math.round(hours * 60))} minutes earlier`,
+        previousSessionId: previous.sessionId,
+        distance,
+        speedKmh: Number.isFinite(speedKmh) ? speedKmh : null
+    };
+}
+
+/**
+ * Look for signs of a faked location in a new check-in
+ * 
+ * @param {Object} checkIn - { sessionId, studentId, location, markedAt }
+ * @param {Object} classroom - The session's geofence
+ * @returns {{anomalies: Array, sharedWith: Array}} `sharedWith` are the
+ *          session's other records with exactly the same coordinates
+ */
+export async function detectAnomalies(checkIn, classroom) {
+    const { sessionId, studentId, location } = checkIn;
+    const anomalies = [];
+
+    const sharedWith = (await listRecordsAtLocation(sessionId, locationKey(location.latitude, location.longitude)))
+        .filter((record) => record.studentId !== studentId);
+
+    if (sharedWith.length > 0) {
+        anomalies.push({
+            code: ANOMALY_CODES.SHARED_COORDINATES,
+            message: `Exactly the same coordinates as ${sharedWith.length} other student(s)`,
+            studentIds: sharedWith.map((record) => record.studentId)
+        });
+    }
+
+    if (isOnZoneCentre(location, classroom)) {
+        anomalies.push({
+            code: ANOMALY_CODES.CLASSROOM_CENTRE,
+            message: 'Coordinates are exactly the classroom centre'
+        });
+    }
+
+    const travel = checkTravel(await getLatestStudentAttendance(studentId), checkIn);
+    if (travel) anomalies.push(travel);
+
+    return { anomalies, sharedWith };
+}
+
+/**
+ * Flag earlier records once a later check-in turns out to share their coordinates
+ * Records a teacher has already reviewed or set by hand are left alone.
+ * @returns {Array<{record: Object, update: Object}>} The records flagged and their updates
+ */
+export async function flagSharedCoordinates(records, studentId) {
+    const changes = records
+        .filter((record) => !record.review && !record.override && record.source !== RECORD_SOURCES.MANUAL)
+        .map((record) => {
+            const anomalies = (record.anomalies || []).filter(({ code }) => code !== ANOMALY_CODES.SHARED_COORDINATES);
+            const studentIds = [
+                ...(record.anomalies || []).find(({ code }) => code === ANOMALY_CODES.SHARED_COORDINATES)?.studentIds || [],
+                studentId
+            ];
+
+            return {
+                record,
+                update: {
+                    status: ATTENDANCE_STATUSES.SUSPICIOUS,
+                    anomalies: [
+                        ...anomalies,
+                        {
+                            code: ANOMALY_CODES.SHARED_COORDINATES,
+                            message: `Exactly the same coordinates as ${studentIds.length} other student(s)`,
+                            studentIds
+                        }
+                    ]
+                }
+            };
+        });
+
+    await Promise.all(changes.map(({ record, update }) => updateAttendance(record.id, update)));
+    return changes;
+}
+
+/**
+ * Work out the update for a teacher's review of a flagged record
+ * confirm -> present, reject -> rejected (counted as absent). A decision can be changed.
+ * 
+ * @returns {{update: Object}|{error: string}}
+ */
+export function planReview(record, { decision, note }, by, now = new Date()) {
+    if (!Object.values(REVIEW_DECISIONS).includes(decision)) {
+        return { error: `decision must be one of: ${Object.values(REVIEW_DECISIONS).join(', ')}` };
+    }
+    if (!record.anomalies?.length) {
+        return { error: 'Only flagged check-ins can be reviewed' };
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > MAX_REVIEW_NOTE_LENGTH)) {
+        return { error: `note must be text of at most ${MAX_REVIEW_NOTE_LENGTH} characters` };
+    }
+
+    return {
+        update: {
+            status: decision === REVIEW_DECISIONS.CONFIRM ? ATTENDANCE_STATUSES.PRESENT : ATTENDANCE_STATUSES.REJECTED,
+            review: {
+                decision,
+                note: note?.trim() || '',
+                by,
+                at: now.toISOString()
+            }
+        }
+    };
+}
+
+export default {
+    ATTENDANCE_STATUSES,
+    RECORD_SOURCES,
+    ANOMALY_CODES,
+    REVIEW_DECISIONS,
+    locationKey,
+    detectAnomalies,
+    flagSharedCoordinates,
+    planReview
+};
@@ -0,0 +1,82 @@
+/**
+ * Attendance Report Service - Present and Absent Lists
+ * 
+ * GREEN CODING:
+ * - Absentees computed on read from the roster; no extra 'absent' documents written
+ * - Student profiles fetched with batched queries
+ * 
+ * VIVA EXPLANATION:
+ * The attendance collection only stores who was present. Everyone on the
+ * course roster without a record is absent. Once the session is closed or
+ * expired the absent list is final; while it is active it means "not marked yet".
+ * Check-ins the teacher rejected after review count as absent; ones still
+ * waiting for review are listed as present with status 'suspicious'.
+ * Records a teacher set by hand to 'absent' or 'excused' are listed as absent
+ * with that status; 'late' counts as present.
+ */
+
+import { getCourse } from '../repositories/coursesRepository.js';
+import { getUsers } from '../repositories/usersRepository.js';
+import { getSessionState, SESSION_STATES } from './sessionService.js';
+import { ATTENDANCE_STATUSES } from './anomalyService.js';
+
+function compareRollNumbers(a, b) {
+    return String(a.rollNumber ?? '').localeCompare(String(b.rollNumber ?? ''), undefined, { numeric: true });
+}
+
+/**
+ * Build the present/absent report for a session
+ * @param {object} session - Session document
+ * @param {Array} records - All attendance records of the session
+ */
+export async function buildSessionReport(session, records) {
+    const course = session.courseId ? await getCourse(session.courseId) : null;
+    const rollNumbers = course?.rollNumbers || {};
+    const roster = course?.studentIds || [];
+    const profiles = new Map((await getUsers(roster)).map(user => [user.id, user]));
+    const sessionState = getSessionState(session);
+
+    const absentStatuses = [ATTENDANCE_STATUSES.REJECTED, ATTENDANCE_STATUSES.ABSENT, ATTENDANCE_STATUSES.EXCUSED];
+    const absentRecords = new Map(records
+        .filter(record => absentStatuses.includes(record.status))
+        .map(record => [record.studentId, record]));
+
+    const present = records.filter(record => !absentRecords.has(record.studentId)).map(record => ({
+        ...record,
+        status: record.status || 'present',
+        rollNumber: rollNumbers[record.studentId] || null,
+        studentName: profiles.get(record.studentId)?.name || null
+    }));
+
+    const presentIds = new Set(present.map(record => record.studentId));
+
+    const absent = roster
+        .filter(studentId => !presentIds.has(studentId))
+        .map(studentId => ({
+            studentId,
+            studentEmail: profiles.get(studentId)?.email || null,
+            studentName: profiles.get(studentId)?.name || null,
+            rollNumber: rollNumbers[studentId] || null,
+            status: absentRecords.get(studentId)?.status || ATTENDANCE_STATUSES.ABSENT,
+            // Set when a teacher recorded the absence by hand
+            source: absentRecords.get(studentId)?.source || null,
+            override: absentRecords.get(studentId)?.override || null
+        }))
+        .sort(compareRollNumbers);
+
+    return {
+        sessionState,
+        final: sessionState !== SESSION_STATES.ACTIVE,
+        present,
+        absent,
+        summary: {
+            enrolled: roster.length,
+            present: present.length,
+            absent: absent.length
+        }
+    };
+}
+
+export default {
+    buildSessionReport
+};
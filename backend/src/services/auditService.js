@@ -0,0 +1,161 @@
+/**
+ * Audit Service - Global Audit Log of Changes
+ * 
+ * GREEN CODING:
+ * - Entries store only the fields that changed, not whole documents
+ * - Queries are paged (cursor + capped page size), newest first
+ * 
+ * VIVA EXPLANATION:
+ * For disputes and academic audits we must know who created, changed or
+ * deleted every user profile, session and attendance record. Each change
+ * made through the API writes one audit entry:
+ * - actor: uid and role of the signed-in user
+ * - action (create / update / delete) and target (type and id)
+ * - route, time and source IP address
+ * - diff: { field: { before, after } } for every field that changed
+ * Admins can filter the log of their institution.
+ */
+
+export const AUDIT_LOG_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete'
+};
+
+export const AUDIT_TARGET_TYPES = {
+    USER: 'user',
+    SESSION: 'session',
+    ATTENDANCE: 'attendance',
+    ELIGIBILITY: 'eligibility'
+};
+
+export const DEFAULT_AUDIT_PAGE_SIZE = 50;
+export const MAX_AUDIT_PAGE_SIZE = 200;
+
+// Query parameters that filter on the field of the same name with ==
+const EQUALITY_FILTERS = ['actorId', 'actorRole', 'action', 'targetType', 'targetId'];
+
+/**
+ * Fields that differ between two versions of a document
+ * (null stands for "no document" and for missing fields; Firestore rejects undefined)
+ * 
+ * @returns {{[field: string]: {before: *, after: *}}}
+ */
+export function diffRecords(before, after) {
+    const { id: beforeId, ...previous } = before || {};
+    const { id: afterId, ...next } = after || {};
+    const diff = {};
+
+    for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+        const oldValue = previous[field] ?? null;
+        const newValue = next[field] ?? null;
+
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            diff[field] = { before: oldValue, after: newValue };
+        }
+    }
+
+    return diff;
+}
+
+/**
+ * Build an audit log entry
+ * 
+ * @param {Object} change - { actor: { uid, email, role, institutionId }, ip, route,
+ *        action, target: { type, id }, before, after }
+ */
+export function buildAuditEvent({ actor, ip, route, action, target, before = null, after = null }, now = new Date()) {
+    return {
+        actorId: actor.uid,
+        actorEmail: actor.email || null,
+        actorRole: actor.role || null,
+        institutionId: actor.institutionId,
+        action,
+        targetType: target.type,
+        targetId: target.id,
+        route,
+        ip: ip || null,
+        at: now.toISOString(),
+        diff: diffRecords(before, after)
+    };
+}
+
+/**
+ * Opaque page cursor for the entry a page ended with
+ */
+export function encodeAuditCursor(event) {
+    return Buffer.from(JSON.stringify([event.at, event.id])).toString('base64url');
+}
+
+function decodeAuditCursor(cursor) {
+    try {
+        const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return Array.isArray(value) && value.length === 2 && value.every((part) => typeof part === 'string')
+            ? value
+            : null;
+    } catch {
+        return null;
+    }
+}
+
+function parseTime(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Validate the filters of an audit log query
+ * Query: actorId, actorRole, action, targetType, targetId, from, to (ISO times), limit, cursor
+ * 
+ * @returns {{where: Array, cursor: Array|undefined, limit: number}|{error: string}}
+ */
+export function normalizeAuditQuery(query) {
+    const where = [];
+
+    for (const field of EQUALITY_FILTERS) {
+        if (query[field] !== undefined && query[field] !== '') {
+            where.push([field, '==', String(query[field])]);
+        }
+    }
+
+    if (query.action && !Object.values(AUDIT_LOG_ACTIONS).includes(query.action)) {
+        return { error: `action must be one of: ${Object.values(AUDIT_LOG_ACTIONS).join(', ')}` };
+    }
+    if (query.targetType && !Object.values(AUDIT_TARGET_TYPES).includes(query.targetType)) {
+        return { error: `targetType must be one of: ${Object.values(AUDIT_TARGET_TYPES).join(', ')}` };
+    }
+
+    for (const [param, op] of [['from', '>='], ['to', '<=']]) {
+        if (query[param] === undefined || query[param] === '') continue;
+
+        const time = parseTime(query[param]);
+        if (!time) {
+            return { error: `${param} must be a date or ISO time` };
+        }
+        where.push(['at', op, time]);
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_AUDIT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_PAGE_SIZE) {
+        return { error: `limit must be a whole number from 1 to ${MAX_AUDIT_PAGE_SIZE}` };
+    }
+
+    let cursor;
+    if (query.cursor) {
+        cursor = decodeAuditCursor(query.cursor);
+        if (!cursor) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    return { where, cursor, limit };
+}
+
+export default {
+    AUDIT_LOG_ACTIONS,
+    AUDIT_TARGET_TYPES,
+    diffRecords,
+    buildAuditEvent,
+    encodeAuditCursor,
+    normalizeAuditQuery
+};
@@ -0,0 +1,102 @@
+/**
+ * CSV Service - Parsing and Formatting
+ * 
+ * GREEN CODING:
+ * - Small hand-written parser, no extra dependency in the bundle
+ * 
+ * VIVA EXPLANATION:
+ * Spreadsheet exports follow RFC 4180: fields separated by commas, optionally
+ * wrapped in double quotes, with "" meaning a literal quote inside a quoted field.
+ * Quoted fields may contain commas and line breaks.
+ * Exports write the same format, with CRLF line ends as Excel expects.
+ */
+
+/**
+ * Parse CSV text into rows of string fields
+ * @returns Array of { line, fields } (line is the 1-based line where the row starts)
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    // Strip a UTF-8 byte order mark added by Excel
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            rows.push({ line: rowLine, fields });
+        }
+        fields = [];
+        field = '';
+        rowLine = line;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || fields.length) {
+        endRow();
+    }
+
+    return rows;
+}
+
+// Spreadsheet apps run cells starting with these as formulas ("CSV injection")
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Text for a spreadsheet cell that can't be run as a formula
+ * (numbers are left alone: a negative number is not a formula)
+ */
+export function neutralizeFormula(value) {
+    if (typeof value !== 'string' || !FORMULA_PREFIXES.includes(value[0])) {
+        return value;
+    }
+    return `'${value}`;
+}
+
+/**
+ * Format one CSV row (with the line break)
+ * Fields are quoted only when they contain a comma, quote or line break.
+ */
+export function formatCsvRow(fields) {
+    return fields.map((value) => {
+        const text = String(neutralizeFormula(value ?? ''));
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+}
+
+export default {
+    parseCsv,
+    neutralizeFormula,
+    formatCsvRow
+};
@@ -0,0 +1,187 @@
+/**
+ * Device Service - Device Binding and Proxy-Attendance Checks
+ * 
+ * GREEN CODING:
+ * - One small document per student; one extra read per check-in
+ * - Device claim (and a first device's registration) written in the same
+ *   batch as the attendance record
+ * 
+ * VIVA EXPLANATION:
+ * The app generates a random device id on first launch, keeps it on the
+ * phone and sends it with every check-in (X-Device-Id header). The first
+ * device a student marks from becomes their registered device once that
+ * check-in is saved (a blocked check-in registers nothing); marking from
+ * any other device is refused until a teacher or admin approves the switch.
+ * Within a session a device can mark only one student, so logging into a
+ * friend's account on your own phone fails, and the teacher sees the conflict.
+ */
+
+import {
+    getDeviceBinding,
+    createDeviceBinding,
+    saveRebindRequest,
+    createDeviceConflict
+} from '../repositories/devicesRepository.js';
+import { listStudentCourses } from '../repositories/coursesRepository.js';
+import { STORE_ERRORS } from '../repositories/storeTypes.js';
+
+export const DEVICE_HEADER = 'X-Device-Id';
+
+// Error codes returned by /mark for device problems
+export const DEVICE_ERRORS = {
+    MISSING: 'DEVICE_MISSING',
+    MISMATCH: 'DEVICE_MISMATCH',
+    SHARED: 'DEVICE_SHARED'
+};
+
+export const REBIND_STATUSES = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected'
+};
+
+export const REBIND_DECISIONS = {
+    APPROVE: 'approve',
+    REJECT: 'reject'
+};
+
+// Random ids only (e.g. a UUID): safe to use inside document ids
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+export function isValidDeviceId(deviceId) {
+    return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+/**
+ * Check that a student is marking from their registered device
+ * Nothing is written: for a student without one, the binding to register
+ * is returned with `firstDevice` and saved with the attendance record.
+ * 
+ * @returns {{binding: Object, firstDevice: boolean}|{error: string}} error is a DEVICE_ERRORS code
+ */
+export async function checkStudentDevice(studentId, deviceId, now = new Date()) {
+    if (!isValidDeviceId(deviceId)) {
+        return { error: DEVICE_ERRORS.MISSING };
+    }
+
+    const binding = await getDeviceBinding(studentId);
+
+    if (!binding) {
+        return { binding: { deviceId, boundAt: now.toISOString(), approvedBy: null }, firstDevice: true };
+    }
+
+    if (binding.deviceId !== deviceId) {
+        return { error: DEVICE_ERRORS.MISMATCH };
+    }
+
+    return { binding, firstDevice: false };
+}
+
+/**
+ * Record that a device tried to mark a second student in a session
+ * @returns The stored conflict
+ */
+export async function reportDeviceConflict(session, { deviceId, studentId, studentEmail, markedStudentId }) {
+    const conflict = {
+        sessionId: session.sessionId,
+        courseName: session.courseName,
+        teacherId: session.teacherId,
+        deviceId,
+        // The student refused, and the one already marked from this device
+        studentId,
+        studentEmail,
+        markedStudentId,
+        detectedAt: new Date().toISOString()
+    };
+
+    const id = await createDeviceConflict(conflict);
+    return { id, ...conflict };
+}
+
+/**
+ * Ask to move a student's account to a new device
+ * A student without a registered device is simply registered.
+ * 
+ * @param {Object} student - { uid, email, institutionId }
+ * @returns {{request: Object}|{binding: Object}|{error: string}}
+ */
+export async function requestRebind(student, deviceId, now = new Date()) {
+    if (!isValidDeviceId(deviceId)) {
+        return { error: `Send the device id in the ${DEVICE_HEADER} header` };
+    }
+
+    const binding = await getDeviceBinding(student.uid);
+
+    if (!binding) {
+        const firstBinding = { deviceId, boundAt: now.toISOString(), approvedBy: null };
+
+        try {
+            await createDeviceBinding(student.uid, firstBinding);
+        } catch (error) {
+            if (error.code !== STORE_ERRORS.ALREADY_EXISTS) throw error;
+            return { error: 'A device was registered to your account a moment ago - please try again' };
+        }
+
+        return { binding: firstBinding };
+    }
+
+    if (binding.deviceId === deviceId) {
+        return { error: 'This device is already registered to your account' };
+    }
+
+    // Teachers who can approve: those teaching one of the student's courses
+    const courses = await listStudentCourses(student.uid);
+
+    const request = {
+        studentId: student.uid,
+        studentEmail: student.email || null,
+        deviceId,
+        previousDeviceId: binding.deviceId,
+        institutionId: student.institutionId,
+        teacherIds: [...new Set(courses.map(({ teacherId }) => teacherId))],
+        status: REBIND_STATUSES.PENDING,
+        requestedAt: now.toISOString()
+    };
+
+    await saveRebindRequest(student.uid, request);
+    return { request: { id: student.uid, ...request } };
+}
+
+/**
+ * Work out the changes for a teacher's or admin's decision on a rebind request
+ * 
+ * @returns {{update: Object, binding: Object|null}|{error: string}}
+ *          binding: the student's new registered device (approve only)
+ */
+export function planRebindDecision(request, decision, by, now = new Date()) {
+    if (!Object.values(REBIND_DECISIONS).includes(decision)) {
+        return { error: `decision must be one of: ${Object.values(REBIND_DECISIONS).join(', ')}` };
+    }
+    if (request.status !== REBIND_STATUSES.PENDING) {
+        return { error: `Request has already been ${request.status}` };
+    }
+
+    const at = now.toISOString();
+    const approved = decision === REBIND_DECISIONS.APPROVE;
+
+    return {
+        update: {
+            status: approved ? REBIND_STATUSES.APPROVED : REBIND_STATUSES.REJECTED,
+            decidedBy: by,
+            decidedAt: at
+        },
+        binding: approved ? { deviceId: request.deviceId, boundAt: at, approvedBy: by } : null
+    };
+}
+
+export default {
+    DEVICE_HEADER,
+    DEVICE_ERRORS,
+    REBIND_STATUSES,
+    REBIND_DECISIONS,
+    isValidDeviceId,
+    checkStudentDevice,
+    reportDeviceConflict,
+    requestRebind,
+    planRebindDecision
+};
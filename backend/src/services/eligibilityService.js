@@ -0,0 +1,391 @@
+/**
+ * Eligibility Service - End-of-Term Exam Eligibility List
+ * 
+ * GREEN CODING:
+ * - Built from the same single pass over the records as the analytics
+ * - A signed-off list is stored once and served as stored afterwards
+ * 
+ * VIVA EXPLANATION:
+ * Each course has eligibility rules:
+ * - minPercentage: attendance needed to sit the exam (75%)
+ * - excusedAsPresent: whether excused absences count as attended
+ *   (otherwise they count as absences)
+ * - medicalCondonation: how many percentage points short a student may be
+ *   and still be allowed in with a medical certificate (10 -> 65% to 75%)
+ * and the teacher can waive the requirement for a student, with a reason.
+ * Every student comes out eligible, condonable or ineligible, with the
+ * sentence that explains why.
+ * 
+ * Signing the list off stores it as it is (with a SHA-256 of its rows) and
+ * freezes the term: the rules, the waivers and the attendance of its
+ * sessions can no longer be changed, so the signed list stays true.
+ */
+
+import { createHash } from 'crypto';
+import { buildCourseAnalytics, percentage } from './analyticsService.js';
+import { charsPerLine, wrapText, buildTextPdf } from './pdfService.js';
+
+export const ELIGIBILITY_RESULTS = {
+    ELIGIBLE: 'eligible',
+    CONDONABLE: 'condonable',
+    INELIGIBLE: 'ineligible'
+};
+
+export const DEFAULT_ELIGIBILITY_RULES = {
+    minPercentage: 75,
+    excusedAsPresent: true,
+    medicalCondonation: 10
+};
+
+export const MAX_WAIVER_REASON_LENGTH = 500;
+export const MAX_SIGN_OFF_STATEMENT_LENGTH = 1000;
+
+export const ELIGIBILITY_COLUMNS = [
+    'Roll Number', 'Name', 'Email', 'Sessions', 'Attended', 'Excused', 'Attendance %', 'Result', 'Waived', 'Reason'
+];
+
+/**
+ * The rules that apply to a course (its own on top of the defaults)
+ */
+export function resolveEligibilityRules(course) {
+    return { ...DEFAULT_ELIGIBILITY_RULES, ...course?.eligibilityRules };
+}
+
+/**
+ * Validate eligibility rules sent for a course
+ * Only the fields being changed need to be sent; the rest are kept.
+ * @returns {{rules: Object}|{error: string}}
+ */
+export function normalizeEligibilityRules(input, current = DEFAULT_ELIGIBILITY_RULES) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'eligibilityRules must be an object such as { "minPercentage": 75 }' };
+    }
+
+    const unknown = Object.keys(input).find((field) => !(field in DEFAULT_ELIGIBILITY_RULES));
+    if (unknown) {
+        return { error: `Unknown eligibility rule "${unknown}" - use ${Object.keys(DEFAULT_ELIGIBILITY_RULES).join(', ')}` };
+    }
+
+    const rules = { ...current, ...input };
+
+    if (typeof rules.minPercentage !== 'number' || !(rules.minPercentage > 0 && rules.minPercentage <= 100)) {
+        return { error: 'eligibilityRules.minPercentage must be a percentage between 0 and 100' };
+    }
+
+    if (typeof rules.excusedAsPresent !== 'boolean') {
+        return { error: 'eligibilityRules.excusedAsPresent must be true or false' };
+    }
+
+    if (typeof rules.medicalCondonation !== 'number' || rules.medicalCondonation < 0 || rules.medicalCondonation > rules.minPercentage) {
+        return { error: 'eligibilityRules.medicalCondonation must be between 0 and minPercentage' };
+    }
+
+    return {
+        rules: {
+            minPercentage: rules.minPercentage,
+            excusedAsPresent: rules.excusedAsPresent,
+            medicalCondonation: rules.medicalCondonation
+        }
+    };
+}
+
+/**
+ * Validate a waiver request
+ * @returns {{waiver: Object}|{error: string}}
+ */
+export function planWaiver({ reason } = {}, actor, now = new Date()) {
+    const text = String(reason ?? '').trim();
+
+    if (!text) {
+        return { error: 'A reason is required to waive the attendance requirement' };
+    }
+
+    if (text.length > MAX_WAIVER_REASON_LENGTH) {
+        return { error: `reason must be at most ${MAX_WAIVER_REASON_LENGTH} characters` };
+    }
+
+    return {
+        waiver: {
+            reason: text,
+            by: actor.uid,
+            byEmail: actor.email || null,
+            at: now.toISOString()
+        }
+    };
+}
+
+/**
+ * Decide one student's eligibility
+ * 
+ * @param {Object} student - From buildCourseAnalytics (held, attended, excused)
+ * @param {Object} rules - resolveEligibilityRules
+ * @param {Object} [waiver] - The teacher's waiver for the student
+ * @returns {{attendedCounted: number, percentage: number|null, result: string, waived: boolean, reason: string}}
+ */
+export function evaluateEligibility(student, rules, waiver = null) {
+    const attendedCounted = student.attended + (rules.excusedAsPresent ? student.excused : 0);
+    const value = percentage(attendedCounted, student.held);
+    const condonableFrom = rules.minPercentage - rules.medicalCondonation;
+    const excusedNote = student.excused
+        ? ` (${student.excused} excused absence(s) counted as ${rules.excusedAsPresent ? 'present' : 'absent'})`
+        : '';
+    const attendance = value === null
+        ? 'No sessions were held in the period'
+        : `Attended ${attendedCounted} of ${student.held} sessions, ${value}%${excusedNote}`;
+
+    if (waiver) {
+        return {
+            attendedCounted,
+            percentage: value,
+            result: ELIGIBILITY_RESULTS.ELIGIBLE,
+            waived: true,
+            reason: `${attendance}. Requirement waived by ${waiver.byEmail || waiver.by}: ${waiver.reason}`
+        };
+    }
+
+    if (value === null || value >= rules.minPercentage) {
+        return {
+            attendedCounted,
+            percentage: value,
+            result: ELIGIBILITY_RESULTS.ELIGIBLE,
+            waived: false,
+            reason: value === null ? attendance : `${attendance}; meets the ${rules.minPercentage}% minimum`
+        };
+    }
+
+    if (rules.medicalCondonation > 0 && value >= condonableFrom) {
+        return {
+            attendedCounted,
+            percentage: value,
+            result: ELIGIBILITY_RESULTS.CONDONABLE,
+            waived: false,
+            reason: `${attendance}; below the ${rules.minPercentage}% minimum but within the ${rules.medicalCondonation}% medical condonation (eligible with a medical certificate)`
+        };
+    }
+
+    return {
+        attendedCounted,
+        percentage: value,
+        result: ELIGIBILITY_RESULTS.INELIGIBLE,
+        waived: false,
+        reason: rules.medicalCondonation > 0
+            ? `${attendance}; below the ${condonableFrom}% needed even with medical condonation`
+            : `${attendance}; below the ${rules.minPercentage}% minimum`
+    };
+}
+
+/**
+ * Build the eligibility list of a course from its records
+ * 
+ * @param {Object} course - The course (rules and waivers are read from it)
+ * @param {Array} sessions - Its sessions in the period, oldest first
+ * @param {Object} range - { from, to } as requested (ISO times)
+ * @returns The report: { courseId, code, title, range, rules, generatedAt, sessionsHeld, pending, summary, students }
+ */
+export async function buildEligibilityReport(course, sessions, range, now = new Date()) {
+    const rules = resolveEligibilityRules(course);
+    const waivers = course.eligibilityWaivers || {};
+    const analytics = await buildCourseAnalytics(course, sessions, now);
+    const summary = Object.fromEntries(Object.values(ELIGIBILITY_RESULTS).map((result) => [result, 0]));
+
+    const students = analytics.students.map((student) => {
+        const decision = evaluateEligibility(student, rules, waivers[student.studentId]);
+        summary[decision.result]++;
+
+        return {
+            studentId: student.studentId,
+            rollNumber: student.rollNumber,
+            name: student.name,
+            email: student.email,
+            held: student.held,
+            attended: decision.attendedCounted,
+            excused: student.excused,
+            percentage: decision.percentage,
+            result: decision.result,
+            waived: decision.waived,
+            reason: decision.reason
+        };
+    });
+
+    return {
+        courseId: course.id,
+        code: course.code,
+        title: course.title,
+        range: { from: range.from || null, to: range.to || null },
+        rules,
+        generatedAt: now.toISOString(),
+        sessionsHeld: analytics.summary.sessionsHeld,
+        // Sessions still running and check-ins still waiting for review
+        running: analytics.summary.sessions - analytics.summary.sessionsHeld,
+        pending: analytics.sessions.reduce((total, { final, pending }) => total + (final ? pending : 0), 0),
+        summary,
+        students
+    };
+}
+
+/**
+ * Why a report can't be signed off yet
+ * @returns The reason, or null when it can be
+ */
+export function signOffBlocker(report) {
+    if (report.running > 0) {
+        return `${report.running} session(s) in the period are still running - close them first`;
+    }
+    if (report.pending > 0) {
+        return `${report.pending} check-in(s) in the period are still waiting for review`;
+    }
+    return null;
+}
+
+/**
+ * The stored form of a signed-off report
+ * @returns {{report: Object, signOff: Object}|{error: string}} `signOff` is
+ *          kept on the course to freeze the term
+ */
+export function planSignOff(report, { statement } = {}, actor, now = new Date()) {
+    const text = String(statement ?? '').trim();
+
+    if (text.length > MAX_SIGN_OFF_STATEMENT_LENGTH) {
+        return { error: `statement must be at most ${MAX_SIGN_OFF_STATEMENT_LENGTH} characters` };
+    }
+
+    const signOff = {
+        signedAt: now.toISOString(),
+        signedBy: actor.uid,
+        signedByEmail: actor.email || null,
+        statement: text || null,
+        from: report.range.from,
+        // An open-ended period ends at the sign-off
+        to: report.range.to || now.toISOString()
+    };
+
+    return {
+        report: {
+            ...report,
+            ...signOff,
+            // Anyone can recompute this from the stored rows to check they weren't edited
+            dataHash: createHash('sha256').update(JSON.stringify(report.students)).digest('hex')
+        },
+        signOff
+    };
+}
+
+/**
+ * Whether a session belongs to a signed-off term of its course
+ */
+export function isSessionFrozen(course, session) {
+    const signOff = course?.eligibilitySignOff;
+    if (!signOff) return false;
+
+    return (!signOff.from || session.createdAt >= signOff.from) && session.createdAt <= signOff.to;
+}
+
+function studentRow(student) {
+    return [
+        student.rollNumber || '',
+        student.name || '',
+        student.email || '',
+        student.held,
+        student.attended,
+        student.excused,
+        student.percentage ?? '',
+        student.result,
+        student.waived ? 'yes' : '',
+        student.reason
+    ];
+}
+
+/**
+ * Write the report as a table (CSV or XLSX)
+ * @param {Object} writer - From createTableWriter (ended here)
+ */
+export async function writeEligibilityTable(writer, report) {
+    await writer.writeRow(ELIGIBILITY_COLUMNS);
+
+    for (const student of report.students) {
+        await writer.writeRow(studentRow(student));
+    }
+
+    await writer.end();
+}
+
+function periodText(range) {
+    const day = (time) => time?.slice(0, 10);
+    if (range.from && range.to) return `${day(range.from)} to ${day(range.to)}`;
+    if (range.from) return `from ${day(range.from)}`;
+    if (range.to) return `until ${day(range.to)}`;
+    return 'all sessions';
+}
+
+/**
+ * Render the report as a PDF (landscape A4)
+ * @returns {Buffer}
+ */
+export function renderEligibilityPdf(report) {
+    const options = { fontSize: 8, orientation: 'landscape' };
+    const width = charsPerLine(options);
+    const { rules } = report;
+
+    // Fixed-width columns; the reason takes the rest of the line
+    const columns = [['Roll No', 10], ['Name', 26], ['Held', 5], ['Att.', 5], ['Exc.', 5], ['%', 6], ['Result', 11]];
+    const reasonWidth = width - columns.reduce((total, [, size]) => total + size + 1, 0);
+    const cells = (values) => values.map((value, index) => String(value ?? '').slice(0, columns[index][1]).padEnd(columns[index][1])).join(' ');
+
+    const lines = [
+        { text: `Exam Eligibility Report - ${report.code} ${report.title}`, bold: true },
+        `Period: ${periodText(report.range)}   Sessions held: ${report.sessionsHeld}`,
+        `Rules: minimum ${rules.minPercentage}%, excused absences count as ${rules.excusedAsPresent ? 'present' : 'absent'}, `
+            + (rules.medicalCondonation > 0
+                ? `medical condonation up to ${rules.medicalCondonation}% (from ${rules.minPercentage - rules.medicalCondonation}%)`
+                : 'no medical condonation'),
+        `Eligible: ${report.summary.eligible}   Condonable: ${report.summary.condonable}   Ineligible: ${report.summary.ineligible}`,
+        report.signedAt
+            ? { text: `Signed off by ${report.signedByEmail || report.signedBy} on ${report.signedAt}`, bold: true }
+            : { text: `DRAFT generated ${report.generatedAt} - not signed off`, bold: true },
+        ...(report.statement ? wrapText(`Statement: ${report.statement}`, width) : []),
+        '',
+        { text: `${cells(columns.map(([heading]) => heading))} Reason`, bold: true }
+    ];
+
+    for (const student of report.students) {
+        const reason = wrapText(`${student.waived ? '[waived] ' : ''}${student.reason}`, reasonWidth);
+
+        lines.push(`${cells([
+            student.rollNumber,
+            student.name || student.email,
+            student.held,
+            student.attended,
+            student.excused,
+            student.percentage ?? '-',
+            student.result
+        ])} ${reason[0]}`);
+
+        for (const more of reason.slice(1)) {
+            lines.push(`${' '.repeat(width - reasonWidth)}${more}`);
+        }
+    }
+
+    return buildTextPdf(lines, {
+        ...options,
+        title: `${report.code} exam eligibility`,
+        footer: report.dataHash ? `SHA-256 ${report.dataHash}` : 'DRAFT'
+    });
+}
+
+export default {
+    ELIGIBILITY_RESULTS,
+    DEFAULT_ELIGIBILITY_RULES,
+    MAX_WAIVER_REASON_LENGTH,
+    MAX_SIGN_OFF_STATEMENT_LENGTH,
+    ELIGIBILITY_COLUMNS,
+    resolveEligibilityRules,
+    normalizeEligibilityRules,
+    planWaiver,
+    evaluateEligibility,
+    buildEligibilityReport,
+    signOffBlocker,
+    planSignOff,
+    isSessionFrozen,
+    writeEligibilityTable,
+    renderEligibilityPdf
+};
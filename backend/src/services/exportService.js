@@ -0,0 +1,267 @@
+/**
+ * Export Service - Attendance as CSV or XLSX
+ * 
+ * GREEN CODING:
+ * - Streamed: students are read 30 at a time and each row is sent as soon as
+ *   it is built, so memory use doesn't grow with the class or the term
+ * - No spreadsheet library (see csvService and xlsxService)
+ * 
+ * VIVA EXPLANATION:
+ * Teachers hand attendance to the registrar as a spreadsheet. Two exports:
+ * - one session: a row per student with status, time marked and distance
+ * - one course for a term: a student-by-date matrix with one column per
+ *   session and the student's totals
+ * Students are listed in roll number order (taken from the course, so no
+ * profile has to be read to sort them).
+ */
+
+import { getUsers } from '../repositories/usersRepository.js';
+import {
+    getSessionAttendanceFor,
+    listSessionAttendancePage,
+    listCourseAttendanceFor
+} from '../repositories/attendanceRepository.js';
+import { formatCsvRow } from './csvService.js';
+import { createXlsxWriter, XLSX_CONTENT_TYPE } from './xlsxService.js';
+import { PDF_CONTENT_TYPE } from './pdfService.js';
+import { writeChunk } from '../utils/streams.js';
+import { ATTENDANCE_STATUSES } from './anomalyService.js';
+import { emptyCounts, countStatus, withPercentage } from './analyticsService.js';
+import { getSessionState, SESSION_STATES } from './sessionService.js';
+
+export const EXPORT_FORMATS = {
+    CSV: 'csv',
+    XLSX: 'xlsx',
+    PDF: 'pdf'
+};
+
+// Formats of the attendance tables (PDF is only offered for reports)
+const TABLE_FORMATS = [EXPORT_FORMATS.CSV, EXPORT_FORMATS.XLSX];
+
+const CONTENT_TYPES = {
+    [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+    [EXPORT_FORMATS.XLSX]: XLSX_CONTENT_TYPE,
+    [EXPORT_FORMATS.PDF]: PDF_CONTENT_TYPE
+};
+
+// Students read per batch (Firestore allows at most 30 values in an 'in' filter)
+const EXPORT_BATCH_SIZE = 30;
+// Records per page when looking for students no longer on the roster
+const RECORD_PAGE_SIZE = 200;
+
+export const SESSION_EXPORT_COLUMNS = ['Roll Number', 'Name', 'Email', 'Status', 'Marked At', 'Distance (m)', 'Source'];
+
+/**
+ * Validate the requested format (CSV when none is given)
+ * @param {Array<string>} [formats] - The formats offered (CSV and XLSX by default)
+ * @returns {{format: string}|{error: string}}
+ */
+export function normalizeExportFormat(value, formats = TABLE_FORMATS) {
+    const format = String(value || EXPORT_FORMATS.CSV).toLowerCase();
+
+    if (!formats.includes(format)) {
+        return { error: `format must be one of: ${formats.join(', ')}` };
+    }
+
+    return { format };
+}
+
+/**
+ * Headers for a file download
+ * @param {string} baseName - File name without extension, e.g. 'CS101-2026-10-19'
+ */
+export function exportHeaders(format, baseName) {
+    const fileName = `${String(baseName).replace(/[^\w.-]+/g, '_')}.${format}`;
+
+    return {
+        'Content-Type': CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+        'Cache-Control': 'no-store'
+    };
+}
+
+/**
+ * A row writer for the format, streaming to `output` (ended by end())
+ * writeRow() waits while the output is busy and rejects once it has closed,
+ * which stops an export whose client went away.
+ * @returns {{writeRow: Function, end: Function}}
+ */
+export function createTableWriter(format, output, { sheetName } = {}) {
+    if (format === EXPORT_FORMATS.XLSX) {
+        return createXlsxWriter(output, { sheetName });
+    }
+
+    let started = false;
+
+    return {
+        async writeRow(cells) {
+            // Byte order mark, so Excel reads the file as UTF-8
+            const text = (started ? '' : '\uFEFF') + formatCsvRow(cells);
+            started = true;
+
+            await writeChunk(output, text);
+        },
+
+        async end() {
+            output.end();
+        }
+    };
+}
+
+/**
+ * The course roster sorted by roll number
+ */
+function sortedRoster(course) {
+    const rollNumbers = course?.rollNumbers || {};
+
+    return [...(course?.studentIds || [])].sort((a, b) =>
+        String(rollNumbers[a] ?? '').localeCompare(String(rollNumbers[b] ?? ''), undefined, { numeric: true }));
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+function sessionRow(studentId, profile, record, rollNumbers) {
+    return [
+        rollNumbers[studentId] || '',
+        profile?.name || '',
+        profile?.email || record?.studentEmail || '',
+        record?.status || ATTENDANCE_STATUSES.ABSENT,
+        record?.markedAt || '',
+        record?.distance ?? '',
+        record?.source || (record ? 'qr' : '')
+    ];
+}
+
+/**
+ * Write every student of a session: the roster (absent when there is no
+ * record), then anyone with a record who is no longer on the roster
+ * 
+ * @param {Object} writer - From createTableWriter (ended here)
+ * @param {Object} session - The session
+ * @param {Object|null} course - Its course
+ */
+export async function writeSessionExport(writer, session, course) {
+    const roster = sortedRoster(course);
+    const onRoster = new Set(roster);
+    const rollNumbers = course?.rollNumbers || {};
+
+    await writer.writeRow(SESSION_EXPORT_COLUMNS);
+
+    for (const studentIds of chunk(roster, EXPORT_BATCH_SIZE)) {
+        const [profiles, records] = await Promise.all([
+            getUsers(studentIds),
+            getSessionAttendanceFor(session.sessionId, studentIds)
+        ]);
+        const profileById = new Map(profiles.map((profile) => [profile.id, profile]));
+        const recordByStudent = new Map(records.map((record) => [record.studentId, record]));
+
+        for (const studentId of studentIds) {
+            await writer.writeRow(sessionRow(studentId, profileById.get(studentId), recordByStudent.get(studentId), rollNumbers));
+        }
+    }
+
+    // Records of students removed from the course since
+    let startAfter;
+    for (;;) {
+        const page = await listSessionAttendancePage(session.sessionId, { startAfter, limit: RECORD_PAGE_SIZE });
+        const others = page.filter((record) => !onRoster.has(record.studentId));
+
+        for (const records of chunk(others, EXPORT_BATCH_SIZE)) {
+            const profileById = new Map((await getUsers(records.map(({ studentId }) => studentId)))
+                .map((profile) => [profile.id, profile]));
+
+            for (const record of records) {
+                await writer.writeRow(sessionRow(record.studentId, profileById.get(record.studentId), record, rollNumbers));
+            }
+        }
+
+        if (page.length < RECORD_PAGE_SIZE) break;
+        startAfter = page[page.length - 1].id;
+    }
+
+    await writer.end();
+}
+
+/**
+ * Column headings for the sessions of a matrix: the class date (with the
+ * start time when a date has more than one session)
+ */
+function sessionHeadings(sessions) {
+    const dates = sessions.map((session) => session.occurrenceDate || session.createdAt.slice(0, 10));
+    const counts = dates.reduce((total, date) => total.set(date, (total.get(date) || 0) + 1), new Map());
+
+    return sessions.map((session, index) => (counts.get(dates[index]) > 1
+        ? `${dates[index]} ${session.createdAt.slice(11, 16)}`
+        : dates[index]));
+}
+
+/**
+ * Write a course's student-by-date matrix: one column per session with the
+ * student's status, then sessions attended, sessions held and the percentage
+ * The totals are counted as in the analytics: only finished sessions, and
+ * excused ones are left out of the percentage.
+ * 
+ * @param {Object} writer - From createTableWriter (ended here)
+ * @param {Object} course - The course
+ * @param {Array} sessions - Its sessions in the term, oldest first
+ */
+export async function writeCourseMatrix(writer, course, sessions, now = new Date()) {
+    const rollNumbers = course.rollNumbers || {};
+    const sessionIndex = new Map(sessions.map((session, index) => [session.sessionId, index]));
+    const finished = sessions.map((session) => getSessionState(session, now) !== SESSION_STATES.ACTIVE);
+
+    await writer.writeRow(['Roll Number', 'Name', 'Email', ...sessionHeadings(sessions), 'Attended', 'Sessions', 'Attendance %']);
+
+    for (const studentIds of chunk(sortedRoster(course), EXPORT_BATCH_SIZE)) {
+        const [profiles, records] = await Promise.all([
+            getUsers(studentIds),
+            listCourseAttendanceFor(course.id, studentIds)
+        ]);
+        const profileById = new Map(profiles.map((profile) => [profile.id, profile]));
+        const statuses = new Map(studentIds.map((studentId) => [studentId, sessions.map(() => ATTENDANCE_STATUSES.ABSENT)]));
+
+        for (const record of records) {
+            const index = sessionIndex.get(record.sessionId);
+            if (index !== undefined) {
+                statuses.get(record.studentId)[index] = record.status || ATTENDANCE_STATUSES.PRESENT;
+            }
+        }
+
+        for (const studentId of studentIds) {
+            const row = statuses.get(studentId);
+            const counts = emptyCounts();
+            row.forEach((status, index) => {
+                if (finished[index]) countStatus(counts, status);
+            });
+            const totals = withPercentage(counts);
+
+            await writer.writeRow([
+                rollNumbers[studentId] || '',
+                profileById.get(studentId)?.name || '',
+                profileById.get(studentId)?.email || '',
+                ...row,
+                totals.attended,
+                totals.held,
+                totals.percentage ?? ''
+            ]);
+        }
+    }
+
+    await writer.end();
+}
+
+export default {
+    EXPORT_FORMATS,
+    SESSION_EXPORT_COLUMNS,
+    normalizeExportFormat,
+    exportHeaders,
+    createTableWriter,
+    writeSessionExport,
+    writeCourseMatrix
+};
@@ -1,22 +1,56 @@
 /**
- * Location Service - Haversine Distance Calculation
+ * Location Service - Haversine Distance and Geofences
  * 
  * GREEN CODING:
  * - Pure JavaScript calculation (no external API calls)
  * - Server-side verification ensures data integrity
  * 
  * VIVA EXPLANATION:
- * This service validates that a student is within the allowed radius
- * of the classroom before marking attendance. Uses the Haversine formula
- * to calculate great-circle distance between GPS coordinates.
+ * This service validates that a student is inside the classroom before
+ * marking attendance. A classroom (geofence) is one or more zones:
+ * - circle: centre + radius, checked with the Haversine formula
+ *   (great-circle distance between GPS coordinates)
+ * - polygon: a GeoJSON Polygon (e.g. a rectangular hall or an L-shaped lab),
+ *   checked with the ray-casting point-in-polygon test
+ * The student passes if they are inside any zone. Otherwise we report the
+ * nearest zone and how many metres outside it they are.
+ * 
+ * GPS ACCURACY:
+ * A browser reports `coords.accuracy`, the radius (metres) the true position
+ * lies within with about 68% probability. Fixes worse than the session's
+ * `maxAccuracyMeters` are rejected. For the rest we treat the error as a
+ * 2D normal distribution and estimate the probability (confidence) that the
+ * student is really inside: Φ(margin / σ), where margin is the signed
+ * distance to the nearest zone edge (positive inside).
  */
 
+const EARTH_RADIUS_METERS = 6371000;
+
+export const MAX_ZONES = 20;
+export const MAX_POLYGON_VERTICES = 500;
+export const DEFAULT_RADIUS_METERS = 50;
+
+// Per-session limit on the reported GPS accuracy (metres)
+export const DEFAULT_MAX_ACCURACY_METERS = 100;
+export const MIN_MAX_ACCURACY_METERS = 10;
+export const MAX_MAX_ACCURACY_METERS = 500;
+
+// 68% of a 2D normal distribution lies within 1.51σ of its centre
+const ACCURACY_RADIUS_IN_SIGMAS = 1.51;
+
+// Error codes returned by /mark for rejected locations
+export const LOCATION_ERRORS = {
+    MISSING: 'LOCATION_MISSING',
+    LOW_ACCURACY: 'LOCATION_LOW_ACCURACY',
+    OUTSIDE_GEOFENCE: 'LOCATION_OUTSIDE_GEOFENCE'
+};
+
 /**
  * Calculate distance between two GPS coordinates
  * @returns Distance in meters
  */
 export function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371000; // Earth's radius in meters
+    const R = EARTH_RADIUS_METERS;
 
     const φ1 = (lat1 * Math.PI) / 180;
     const φ2 = (lat2 * Math.PI) / 180;
@@ -46,7 +80,289 @@ export function verifyLocation(studentLat, studentLon, classLat, classLon, maxDi
     };
 }
 
+/**
+ * Clamp a session's GPS accuracy limit to the allowed range
+ */
+export function normalizeMaxAccuracy(value) {
+    const meters = parseInt(value) || DEFAULT_MAX_ACCURACY_METERS;
+    return Math.min(MAX_MAX_ACCURACY_METERS, Math.max(MIN_MAX_ACCURACY_METERS, meters));
+}
+
+/**
+ * Check the accuracy a client reported with its location
+ * @returns {boolean} true when missing (older clients) or a positive number of metres
+ */
+export function isValidAccuracy(accuracy) {
+    return accuracy === undefined || accuracy === null ||
+        (typeof accuracy === 'number' && Number.isFinite(accuracy) && accuracy > 0);
+}
+
+/**
+ * Standard normal cumulative distribution Φ(x)
+ * (Abramowitz and Stegun 7.1.26, error below 1e-7)
+ */
+function normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+        t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-(x * x) / 2);
+
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Probability that the true position is inside a zone, given the signed
+ * distance to its edge and the fix's accuracy radius
+ */
+function insideProbability(margin, accuracy) {
+    return normalCdf(margin / (accuracy / ACCURACY_RADIUS_IN_SIGMAS));
+}
+
+function isCoordinate(value, limit) {
+    return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+/**
+ * Check the coordinates a client sent with its location
+ * @returns {boolean} true when latitude and longitude are numbers within range
+ */
+export function isValidPosition(location) {
+    return isCoordinate(location?.latitude, 90) && isCoordinate(location?.longitude, 180);
+}
+
+function isPosition(position) {
+    return Array.isArray(position) && isCoordinate(position[0], 180) && isCoordinate(position[1], 90);
+}
+
+/**
+ * Validate one zone: a circle or a GeoJSON Polygon
+ * @returns {{zone: Object}|{error: string}}
+ */
+function normalizeZone(input, label) {
+    const name = String(input?.name || '').trim();
+
+    if (input?.type === 'Polygon') {
+        const rings = input.coordinates;
+
+        if (!Array.isArray(rings) || rings.length === 0) {
+            return { error: `${label}: Polygon needs coordinates` };
+        }
+
+        const closedRings = [];
+        let vertices = 0;
+
+        for (const ring of rings) {
+            if (!Array.isArray(ring) || !ring.every(isPosition)) {
+                return { error: `${label}: Polygon coordinates must be [longitude, latitude] pairs` };
+            }
+
+            // GeoJSON rings repeat the first position at the end; close the ring if the client didn't
+            const [first] = ring;
+            const last = ring[ring.length - 1];
+            const closed = first && (first[0] !== last[0] || first[1] !== last[1]) ? [...ring, first] : ring;
+
+            if (closed.length < 4) {
+                return { error: `${label}: each Polygon ring needs at least 3 corners` };
+            }
+
+            vertices += closed.length;
+            closedRings.push(closed.map(([longitude, latitude]) => [longitude, latitude]));
+        }
+
+        if (vertices > MAX_POLYGON_VERTICES) {
+            return { error: `${label}: Polygon may have at most ${MAX_POLYGON_VERTICES} corners` };
+        }
+
+        return { zone: { type: 'Polygon', name, coordinates: closedRings } };
+    }
+
+    if (input?.type === undefined || input?.type === 'circle') {
+        const radiusMeters = input?.radiusMeters === undefined ? DEFAULT_RADIUS_METERS : Number(input.radiusMeters);
+
+        if (!isCoordinate(input?.latitude, 90) || !isCoordinate(input?.longitude, 180)) {
+            return { error: `${label}: circle needs a latitude and longitude` };
+        }
+        if (!(radiusMeters > 0)) {
+            return { error: `${label}: radiusMeters must be more than 0` };
+        }
+
+        return {
+            zone: { type: 'circle', name, latitude: input.latitude, longitude: input.longitude, radiusMeters }
+        };
+    }
+
+    return { error: `${label}: type must be 'circle' or 'Polygon'` };
+}
+
+/**
+ * Validate a session's location constraint
+ * 
+ * Accepted shapes:
+ * - circle: { latitude, longitude, radiusMeters }
+ * - GeoJSON Polygon: { type: 'Polygon', coordinates: [[[lng, lat], ...]] }
+ * - several zones: { zones: [circle | Polygon, ...] }
+ * 
+ * @returns {{geofence: Object}|{error: string}} A single zone, or { zones }
+ */
+export function normalizeGeofence(input) {
+    if (Array.isArray(input?.zones)) {
+        if (input.zones.length === 0 || input.zones.length > MAX_ZONES) {
+            return { error: `zones must be a list of 1 to ${MAX_ZONES} zones` };
+        }
+
+        const zones = [];
+
+        for (const [index, zoneInput] of input.zones.entries()) {
+            const { zone, error } = normalizeZone(zoneInput, `Zone ${index + 1}`);
+            if (error) return { error };
+            zones.push(zone);
+        }
+
+        return { geofence: { zones } };
+    }
+
+    const { zone, error } = normalizeZone(input, 'location');
+    return error ? { error } : { geofence: zone };
+}
+
+/**
+ * Zones of a stored geofence (older sessions store a plain circle)
+ */
+export function getZones(geofence) {
+    if (Array.isArray(geofence?.zones)) return geofence.zones;
+    return [geofence];
+}
+
+/**
+ * Project [longitude, latitude] to metres on a flat plane centred on a point
+ * (accurate to well under a metre across a campus)
+ */
+function projector(originLat, originLon) {
+    const metresPerDegree = (Math.PI / 180) * EARTH_RADIUS_METERS;
+    const lonScale = Math.cos((originLat * Math.PI) / 180);
+
+    return ([longitude, latitude]) => [
+        (longitude - originLon) * metresPerDegree * lonScale,
+        (latitude - originLat) * metresPerDegree
+    ];
+}
+
+/**
+ * Ray casting: does a horizontal ray from the origin cross the ring an odd number of times?
+ */
+function ringContainsOrigin(ring) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+
+        if ((yi > 0) !== (yj > 0) && 0 < ((xj - xi) * (0 - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Shortest distance from the origin to a line segment
+ */
+function distanceToSegment([x1, y1], [x2, y2]) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / lengthSquared));
+
+    return Math.hypot(x1 + t * dx, y1 + t * dy);
+}
+
+/**
+ * Check a point against one zone
+ * @returns {{inside: boolean, margin: number, outsideBy: number, distance: number, maxDistance: number|null}}
+ *          margin: signed metres to the zone's edge (positive inside)
+ *          outsideBy: metres outside the zone's edge (0 when inside)
+ *          distance / maxDistance: distance from the centre and radius (circles only)
+ */
+function checkZone(latitude, longitude, zone) {
+    if (zone.type === 'Polygon') {
+        const project = projector(latitude, longitude);
+        const rings = zone.coordinates.map((ring) => ring.map(project));
+        const [outer, ...holes] = rings;
+        const inside = ringContainsOrigin(outer) && !holes.some(ringContainsOrigin);
+
+        let edgeDistance = Infinity;
+        for (const ring of rings) {
+            for (let i = 1; i < ring.length; i++) {
+                edgeDistance = Math.min(edgeDistance, distanceToSegment(ring[i - 1], ring[i]));
+            }
+        }
+
+        const outsideBy = inside ? 0 : Math.round(edgeDistance);
+        return { inside, margin: inside ? edgeDistance : -edgeDistance, outsideBy, distance: outsideBy, maxDistance: null };
+    }
+
+    const maxDistance = zone.radiusMeters || DEFAULT_RADIUS_METERS;
+    const { valid, distance } = verifyLocation(latitude, longitude, zone.latitude, zone.longitude, maxDistance);
+
+    return {
+        inside: valid,
+        margin: maxDistance - distance,
+        outsideBy: Math.max(0, distance - maxDistance),
+        distance,
+        maxDistance
+    };
+}
+
+/**
+ * Verify a student's position against a geofence (one or more zones)
+ * 
+ * @param {number} [accuracy] - Reported accuracy radius in metres, if the client sent one
+ * @returns {{valid: boolean, zone: {index, name, type}, distance: number,
+ *            maxDistance: number|null, outsideBy: number, confidence: number|null}}
+ *          `zone` is the zone the student is in, or the nearest one when outside all zones
+ *          `confidence` is the probability (0-1) of being inside some zone (null without accuracy)
+ */
+export function verifyGeofence(latitude, longitude, geofence, accuracy = null) {
+    let best = null;
+    let confidence = null;
+
+    getZones(geofence).forEach((zone, index) => {
+        const result = { ...checkZone(latitude, longitude, zone), zone, index };
+
+        // The most likely zone sets the confidence (zones rarely overlap)
+        if (accuracy) {
+            confidence = Math.max(confidence ?? 0, insideProbability(result.margin, accuracy));
+        }
+
+        // Prefer a zone the student is inside, then the closest edge
+        if (!best || (result.inside && !best.inside) ||
+            (result.inside === best.inside && result.outsideBy < best.outsideBy)) {
+            best = result;
+        }
+    });
+
+    return {
+        valid: best.inside,
+        zone: {
+            index: best.index,
+            name: best.zone.name || null,
+            type: best.zone.type || 'circle'
+        },
+        distance: best.distance,
+        maxDistance: best.maxDistance,
+        outsideBy: best.outsideBy,
+        confidence: confidence === null ? null : Math.round(confidence * 100) / 100
+    };
+}
+
 export default {
     calculateDistance,
-    verifyLocation
+    verifyLocation,
+    LOCATION_ERRORS,
+    normalizeMaxAccuracy,
+    isValidAccuracy,
+    isValidPosition,
+    normalizeGeofence,
+    getZones,
+    verifyGeofence
 };
@@ -0,0 +1,118 @@
+/**
+ * Mail Service - Pluggable Email Transport
+ * 
+ * GREEN CODING:
+ * - Transport chosen once at startup
+ * - Plain text mail, no template engine or attachments
+ * 
+ * VIVA EXPLANATION:
+ * Code that sends mail only calls sendMail(); MAIL_TRANSPORT picks how the
+ * message leaves:
+ * - smtp: a real mail server, or a local mail catcher during development
+ *   (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_ALLOW_INSECURE_AUTH)
+ * - log: printed to the server log (the default, so nothing is sent by accident)
+ * - memory: kept in a list (used by the tests)
+ * Adding a provider (an HTTP mail API, for example) is one more transport
+ * with a `send(message)` function.
+ */
+
+import dotenv from 'dotenv';
+import { createSmtpTransport } from './smtpTransport.js';
+
+dotenv.config();
+
+export const MAIL_TRANSPORTS = {
+    SMTP: 'smtp',
+    LOG: 'log',
+    MEMORY: 'memory'
+};
+
+export const DEFAULT_MAIL_FROM = 'Smart Attendance <no-reply@localhost>';
+
+function createLogTransport() {
+    return {
+        name: MAIL_TRANSPORTS.LOG,
+        async send(message) {
+            console.log(`✉️  Mail to ${message.to.join(', ')}: ${message.subject}\n${message.text}`);
+            return { messageId: null };
+        }
+    };
+}
+
+function createMemoryTransport() {
+    const sent = [];
+
+    return {
+        name: MAIL_TRANSPORTS.MEMORY,
+        sent,
+        async send(message) {
+            sent.push(message);
+            return { messageId: `memory-${sent.length}` };
+        }
+    };
+}
+
+/**
+ * Build the transport named by the environment
+ * @throws When MAIL_TRANSPORT is not a known transport
+ */
+export function createMailTransport(env = process.env) {
+    const name = String(env.MAIL_TRANSPORT || MAIL_TRANSPORTS.LOG).toLowerCase();
+
+    switch (name) {
+        case MAIL_TRANSPORTS.SMTP:
+            return createSmtpTransport({
+                host: env.SMTP_HOST,
+                port: env.SMTP_PORT,
+                secure: env.SMTP_SECURE === 'true',
+                user: env.SMTP_USER,
+                pass: env.SMTP_PASS,
+                allowInsecureAuth: env.SMTP_ALLOW_INSECURE_AUTH === 'true'
+            });
+        case MAIL_TRANSPORTS.LOG:
+            return createLogTransport();
+        case MAIL_TRANSPORTS.MEMORY:
+            return createMemoryTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}" - use ${Object.values(MAIL_TRANSPORTS).join(', ')}`);
+    }
+}
+
+// Created once at startup (a typo here should stop the server)
+const transport = createMailTransport();
+const mailFrom = process.env.MAIL_FROM || DEFAULT_MAIL_FROM;
+
+export function getMailTransport() {
+    return transport;
+}
+
+/**
+ * Send a plain text email
+ * 
+ * @param {Object} message - { to: address or [addresses], subject, text }
+ * @returns {{transport: string, messageId: string|null}}
+ * @throws When the transport could not send it
+ */
+export async function sendMail({ to, subject, text }) {
+    const message = {
+        from: mailFrom,
+        to: [].concat(to).filter(Boolean),
+        subject,
+        text
+    };
+
+    if (message.to.length === 0) {
+        throw new Error('Mail has no recipient');
+    }
+
+    const { messageId } = await transport.send(message);
+    return { transport: transport.name, messageId };
+}
+
+export default {
+    MAIL_TRANSPORTS,
+    DEFAULT_MAIL_FROM,
+    createMailTransport,
+    getMailTransport,
+    sendMail
+};
@@ -0,0 +1,252 @@
+/**
+ * SMTP Transport - Minimal SMTP Client
+ * 
+ * GREEN CODING:
+ * - No mail library: one connection per message, plain text only
+ * 
+ * VIVA EXPLANATION:
+ * SMTP is a line-based conversation: the server answers every command with a
+ * three-digit code (2xx/3xx fine, 4xx/5xx refused). Sending one message is:
+ *   EHLO -> (STARTTLS -> EHLO) -> (AUTH) -> MAIL FROM -> RCPT TO -> DATA -> QUIT
+ * The message ends with a line holding a single dot, so a dot at the start of
+ * any other line is doubled ("dot-stuffing").
+ * The password is only sent once the connection is encrypted (TLS from the
+ * start, or upgraded with STARTTLS); a server that offers neither is refused
+ * unless allowInsecureAuth is set (SMTP_ALLOW_INSECURE_AUTH).
+ * 
+ * For development, point it at a local mail catcher such as Mailpit or
+ * MailHog (SMTP_HOST=localhost, SMTP_PORT=1025): nothing leaves the machine
+ * and every message shows up in the catcher's web page.
+ */
+
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import { randomBytes } from 'crypto';
+
+const DEFAULT_TIMEOUT_MS = 15 * 1000;
+
+// Body lines of base64 are at most 76 characters (RFC 2045)
+const BASE64_LINE_LENGTH = 76;
+
+/**
+ * Remove line breaks from a header value (a newline would start a new header)
+ */
+function headerValue(value) {
+    return String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * RFC 2047 encoding for header text that is not plain ASCII
+ */
+function encodeHeaderText(value) {
+    const text = headerValue(value);
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+/**
+ * The bare address of "Name <address>" or "address"
+ */
+export function mailboxAddress(value) {
+    const text = headerValue(value);
+    const match = text.match(/<([^<>]+)>\s*$/);
+    return (match ? match[1] : text).trim();
+}
+
+/**
+ * Build the raw message (headers and a base64 text body)
+ * 
+ * @param {Object} message - { from, to: [addresses], subject, text }
+ * @returns {{raw: string, messageId: string}}
+ */
+export function buildMimeMessage({ from, to, subject, text }, now = new Date()) {
+    const domain = mailboxAddress(from).split('@')[1] || 'localhost';
+    const messageId = `<${randomBytes(12).toString('hex')}@${domain}>`;
+    const body = Buffer.from(String(text ?? '').replace(/\r?\n/g, '\r\n')).toString('base64');
+
+    const headers = [
+        `From: ${headerValue(from)}`,
+        `To: ${to.map(headerValue).join(', ')}`,
+        `Subject: ${encodeHeaderText(subject)}`,
+        `Date: ${now.toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ];
+
+    const lines = body.match(new RegExp(`.{1,${BASE64_LINE_LENGTH}}`, 'g')) || [];
+
+    return { raw: `${headers.join('\r\n')}\r\n\r\n${lines.join('\r\n')}`, messageId };
+}
+
+/**
+ * Double every dot at the start of a line (RFC 5321 section 4.5.2)
+ */
+export function dotStuff(raw) {
+    return raw.replace(/^\./gm, '..');
+}
+
+/**
+ * Read the server's replies from a socket, one reply per call to next()
+ * A reply may span several lines ("250-..." continues, "250 ..." ends it).
+ */
+function createReplyReader() {
+    const replies = [];
+    const waiting = [];
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    let current = null;
+
+    const settle = () => {
+        while (waiting.length && (replies.length || failure)) {
+            const { resolve, reject } = waiting.shift();
+            if (replies.length) resolve(replies.shift());
+            else reject(failure);
+        }
+    };
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line.slice(4));
+
+            if (!/^\d{3}-/.test(line)) {
+                replies.push({ code: Number(line.slice(0, 3)), lines });
+                lines = [];
+            }
+        }
+        settle();
+    };
+
+    const onError = (error) => {
+        failure = error;
+        settle();
+    };
+
+    const onClose = () => onError(failure || new Error('SMTP connection closed'));
+
+    return {
+        // Listen to a socket (again after STARTTLS, on the TLS socket)
+        attach(next) {
+            if (current) {
+                current.off('data', onData).off('error', onError).off('close', onClose);
+            }
+            current = next;
+            current.on('data', onData).on('error', onError).on('close', onClose);
+        },
+
+        next() {
+            return new Promise((resolve, reject) => {
+                waiting.push({ resolve, reject });
+                settle();
+            });
+        }
+    };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+            : net.connect({ host, port }, () => resolve(socket));
+
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP server timed out')));
+        socket.once('error', reject);
+    });
+}
+
+function upgradeToTls(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+        secured.once('error', reject);
+    });
+}
+
+/**
+ * @param {Object} options - { host, port, secure (TLS from the start), user, pass,
+ *        allowInsecureAuth (send the password without TLS), timeoutMs }
+ * @returns {{name: string, send: Function}}
+ */
+export function createSmtpTransport({
+    host = 'localhost',
+    port,
+    secure = false,
+    user,
+    pass,
+    allowInsecureAuth = false,
+    timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) {
+    const serverPort = Number(port) || (secure ? 465 : 587);
+
+    /**
+     * Send one message
+     * @param {Object} message - { from, to: [addresses], subject, text }
+     * @returns {{messageId: string}}
+     * @throws When the server refuses the message or can't be reached
+     */
+    async function send(message) {
+        let socket = await connect({ host, port: serverPort, secure, timeoutMs });
+        let encrypted = secure;
+        const reader = createReplyReader();
+        reader.attach(socket);
+
+        const expect = async (codes, command) => {
+            const reply = await reader.next();
+            if (!codes.includes(reply.code)) {
+                throw new Error(`SMTP ${command || 'greeting'} refused: ${reply.code} ${reply.lines.join(' ')}`);
+            }
+            return reply;
+        };
+
+        const command = async (line, codes, label = line.split(' ')[0]) => {
+            socket.write(`${line}\r\n`);
+            return expect(codes, label);
+        };
+
+        try {
+            await expect([220]);
+            const hello = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+
+            if (!secure && hello.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+                await command('STARTTLS', [220]);
+                socket = await upgradeToTls(socket, host);
+                encrypted = true;
+                reader.attach(socket);
+                await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+            }
+
+            if (user) {
+                if (!encrypted && !allowInsecureAuth) {
+                    throw new Error('SMTP server offers no TLS - not sending the password in plain text (set SMTP_SECURE, or SMTP_ALLOW_INSECURE_AUTH=true for a local mail catcher)');
+                }
+
+                const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+                await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            }
+
+            await command(`MAIL FROM:<${mailboxAddress(message.from)}>`, [250], 'MAIL FROM');
+            for (const recipient of message.to) {
+                await command(`RCPT TO:<${mailboxAddress(recipient)}>`, [250, 251], 'RCPT TO');
+            }
+            await command('DATA', [354]);
+
+            const { raw, messageId } = buildMimeMessage(message);
+            await command(`${dotStuff(raw)}\r\n.`, [250], 'message');
+            await command('QUIT', [221]).catch(() => {});
+
+            return { messageId };
+        } finally {
+            socket.destroy();
+        }
+    }
+
+    return { name: 'smtp', send };
+}
+
+export default createSmtpTransport;
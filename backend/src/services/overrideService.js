@@ -0,0 +1,180 @@
+/**
+ * Override Service - Manual Attendance Changes by Teachers
+ * 
+ * GREEN CODING:
+ * - The record and its audit entry are written in one batch
+ * - Audit entries keep a small before/after snapshot, not whole records
+ * 
+ * VIVA EXPLANATION:
+ * Phones die and GPS fails, so a teacher can set a student's attendance for
+ * a session by hand (present, late, excused or absent) or revoke a record.
+ * A reason is mandatory and the record gets `source: 'manual'`, so it is
+ * never mistaken for a scanned check-in. Every change, including a review
+ * of a flagged check-in, adds an audit entry: who, when, why, and the
+ * record before and after.
+ */
+
+import { ATTENDANCE_STATUSES, RECORD_SOURCES } from './anomalyService.js';
+
+export { RECORD_SOURCES };
+
+// Statuses a teacher can set by hand
+export const MANUAL_STATUSES = [
+    ATTENDANCE_STATUSES.PRESENT,
+    ATTENDANCE_STATUSES.LATE,
+    ATTENDANCE_STATUSES.EXCUSED,
+    ATTENDANCE_STATUSES.ABSENT
+];
+
+export const AUDIT_ACTIONS = {
+    OVERRIDE: 'override',
+    REVOKE: 'revoke',
+    REVIEW: 'review'
+};
+
+export const MAX_OVERRIDE_REASON_LENGTH = 500;
+
+/**
+ * @returns {{reason: string}|{error: string}}
+ */
+function normalizeReason(reason) {
+    const text = typeof reason === 'string' ? reason.trim() : '';
+
+    if (!text) {
+        return { error: 'A reason is required' };
+    }
+    if (text.length > MAX_OVERRIDE_REASON_LENGTH) {
+        return { error: `reason must be at most ${MAX_OVERRIDE_REASON_LENGTH} characters` };
+    }
+
+    return { reason: text };
+}
+
+/**
+ * The part of a record shown in the audit history (null = no record)
+ */
+export function auditSnapshot(record) {
+    if (!record) return null;
+
+    return {
+        status: record.status || ATTENDANCE_STATUSES.PRESENT,
+        source: record.source || RECORD_SOURCES.QR,
+        markedAt: record.markedAt || null
+    };
+}
+
+/**
+ * Build an audit entry for a change to a student's record
+ * 
+ * @param {Object} change - { session, studentId, action, reason, before, after }
+ *        (before/after are records, or null when there was none)
+ * @param {Object} actor - The teacher ({ uid, email })
+ */
+export function buildAuditEntry({ session, studentId, action, reason, before, after }, actor, now = new Date()) {
+    return {
+        sessionId: session.sessionId,
+        studentId,
+        courseId: session.courseId || null,
+        teacherId: session.teacherId,
+        action,
+        reason,
+        actorId: actor.uid,
+        actorEmail: actor.email || null,
+        at: now.toISOString(),
+        before: auditSnapshot(before),
+        after: auditSnapshot(after)
+    };
+}
+
+/**
+ * Work out a teacher's manual change to a student's record
+ * An existing record keeps its scan details (location, verification);
+ * otherwise a manual record without any is created.
+ * 
+ * @param {Object} session - The session
+ * @param {Object} student - { studentId, studentEmail }
+ * @param {Object|null} existing - The student's current record
+ * @param {Object} input - { status, reason }
+ * @param {Object} actor - The teacher ({ uid, email })
+ * @returns {{record: Object, audit: Object}|{error: string}}
+ */
+export function planOverride(session, student, existing, { status, reason }, actor, now = new Date()) {
+    if (!MANUAL_STATUSES.includes(status)) {
+        return { error: `status must be one of: ${MANUAL_STATUSES.join(', ')}` };
+    }
+
+    const checked = normalizeReason(reason);
+    if (checked.error) return checked;
+
+    const override = { reason: checked.reason, by: actor.uid, at: now.toISOString() };
+    let record;
+
+    if (existing) {
+        const { id, ...current } = existing;
+        record = { ...current, status, source: RECORD_SOURCES.MANUAL, override };
+    } else {
+        record = {
+            sessionId: session.sessionId,
+            studentId: student.studentId,
+            studentEmail: student.studentEmail || null,
+            courseId: session.courseId || null,
+            teacherId: session.teacherId,
+            courseName: session.courseName,
+            status,
+            source: RECORD_SOURCES.MANUAL,
+            override,
+            anomalies: [],
+            markedAt: now.toISOString(),
+            distance: null,
+            location: null,
+            locationKey: null,
+            confidence: null,
+            presence: null,
+            verification: [],
+            deviceId: null,
+            idempotencyKey: null
+        };
+    }
+
+    return {
+        record,
+        audit: buildAuditEntry({
+            session,
+            studentId: student.studentId,
+            action: AUDIT_ACTIONS.OVERRIDE,
+            reason: checked.reason,
+            before: existing,
+            after: record
+        }, actor, now)
+    };
+}
+
+/**
+ * Work out the audit entry for revoking (deleting) a student's record
+ * @returns {{audit: Object}|{error: string}}
+ */
+export function planRevoke(session, existing, { reason }, actor, now = new Date()) {
+    const checked = normalizeReason(reason);
+    if (checked.error) return checked;
+
+    return {
+        audit: buildAuditEntry({
+            session,
+            studentId: existing.studentId,
+            action: AUDIT_ACTIONS.REVOKE,
+            reason: checked.reason,
+            before: existing,
+            after: null
+        }, actor, now)
+    };
+}
+
+export default {
+    RECORD_SOURCES,
+    MANUAL_STATUSES,
+    AUDIT_ACTIONS,
+    auditSnapshot,
+    buildAuditEntry,
+    planOverride,
+    planRevoke
+};
@@ -0,0 +1,148 @@
+/**
+ * PDF Service - Minimal Text PDF Writer
+ * 
+ * GREEN CODING:
+ * - No PDF library: the built-in Courier fonts, so nothing is embedded
+ *   and a page of a report is a few kilobytes
+ * 
+ * VIVA EXPLANATION:
+ * A PDF is a list of numbered objects (catalog, page tree, fonts, pages and
+ * their content streams) followed by a cross-reference table with the byte
+ * offset of every object. A content stream is a small drawing program:
+ *   BT /F1 8 Tf 36 559 Td 11 TL (a line) Tj T* (next line) Tj ET
+ * Courier is fixed-width, so tables are laid out as padded text columns.
+ * Text is written in the WinAnsi (Latin-1) encoding; other characters
+ * become "?".
+ */
+
+export const PDF_CONTENT_TYPE = 'application/pdf';
+
+// A4 in points (1/72 inch)
+const PAGE_SIZES = {
+    portrait: [595, 842],
+    landscape: [842, 595]
+};
+
+const MARGIN = 36;
+// Courier characters are 0.6 em wide
+const CHAR_WIDTH_EM = 0.6;
+
+/**
+ * Escape text for a PDF string literal
+ */
+function pdfString(text) {
+    const latin1 = [...String(text ?? '')]
+        .map((char) => (char.codePointAt(0) > 0xff ? '?' : char))
+        .join('')
+        .replace(/[\x00-\x1f\x7f]/g, ' ');
+
+    return `(${latin1.replace(/[\\()]/g, (char) => `\\${char}`)})`;
+}
+
+/**
+ * How many characters fit on a line
+ */
+export function charsPerLine({ fontSize = 8, orientation = 'portrait' } = {}) {
+    const [width] = PAGE_SIZES[orientation];
+    return Math.floor((width - 2 * MARGIN) / (fontSize * CHAR_WIDTH_EM));
+}
+
+/**
+ * Break text into lines of at most `width` characters (at spaces where possible)
+ */
+export function wrapText(text, width) {
+    const lines = [];
+
+    for (const paragraph of String(text ?? '').split('\n')) {
+        let line = '';
+
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            for (let part = word; part.length > 0; part = part.slice(width)) {
+                const piece = part.slice(0, width);
+                if (!line) line = piece;
+                else if (line.length + 1 + piece.length <= width) line += ` ${piece}`;
+                else {
+                    lines.push(line);
+                    line = piece;
+                }
+            }
+        }
+
+        lines.push(line);
+    }
+
+    return lines;
+}
+
+/**
+ * Build a PDF of text lines, split into pages, with "Page n of m" at the foot
+ * 
+ * @param {Array<string|{text: string, bold: boolean}>} lines - One entry per line
+ * @param {Object} options - { title, fontSize (default 8), orientation ('portrait' | 'landscape'), footer }
+ * @returns {Buffer}
+ */
+export function buildTextPdf(lines, { title = '', fontSize = 8, orientation = 'portrait', footer = '' } = {}) {
+    const [width, height] = PAGE_SIZES[orientation];
+    const leading = Math.round(fontSize * 1.4 * 10) / 10;
+    const perPage = Math.max(1, Math.floor((height - 2 * MARGIN - 2 * leading) / leading));
+
+    const pages = [];
+    for (let i = 0; i < Math.max(lines.length, 1); i += perPage) {
+        pages.push(lines.slice(i, i + perPage));
+    }
+
+    // 1 catalog, 2 page tree, 3 regular font, 4 bold font, 5 info, then a page and its content per page
+    const objects = [];
+    const pageIds = pages.map((_, index) => 6 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title ${pdfString(title)} /Producer (Smart Attendance) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`;
+
+    pages.forEach((pageLines, index) => {
+        const pageId = pageIds[index];
+        const operations = [`BT /F1 ${fontSize} Tf ${leading} TL ${MARGIN} ${height - MARGIN - fontSize} Td`];
+
+        for (const line of pageLines) {
+            const { text, bold } = typeof line === 'string' ? { text: line, bold: false } : line;
+            operations.push(`/F${bold ? 2 : 1} ${fontSize} Tf ${pdfString(text)} Tj T*`);
+        }
+        operations.push('ET');
+
+        const foot = `${footer ? `${footer}  -  ` : ''}Page ${index + 1} of ${pages.length}`;
+        operations.push(`BT /F1 ${fontSize} Tf ${MARGIN} ${MARGIN - fontSize} Td ${pdfString(foot)} Tj ET`);
+
+        const content = operations.join('\n');
+
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    // The binary comment tells transfer tools the file is not plain text
+    let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, 'latin1');
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+}
+
+export default {
+    PDF_CONTENT_TYPE,
+    charsPerLine,
+    wrapText,
+    buildTextPdf
+};
@@ -0,0 +1,192 @@
+/**
+ * Presence Service - Campus Network Check and Presence Modes
+ * 
+ * GREEN CODING:
+ * - Campus ranges parsed once at startup; each check is an in-memory lookup
+ * - No external API calls (no IP geolocation service)
+ * 
+ * VIVA EXPLANATION:
+ * GPS is unreliable inside concrete lecture halls, but a student in the hall
+ * is usually on the campus Wi-Fi. The backend can therefore check the
+ * request's source IP against the campus address ranges (CIDR blocks such as
+ * 10.20.0.0/16) instead of, or as well as, the GPS geofence.
+ * 
+ * Behind a reverse proxy the socket address is the proxy's, and the real
+ * client is in the X-Forwarded-For header. That header can be written by
+ * anyone, so we only believe the hops added by proxies we trust
+ * (TRUSTED_PROXIES): reading it from the right, the first address that is
+ * not a trusted proxy is the client.
+ * 
+ * Each session picks a presence mode:
+ * - gps: inside the geofence (the default)
+ * - network: on the campus network
+ * - either: on the campus network, or inside the geofence when it isn't
+ * - both: on the campus network and inside the geofence
+ */
+
+import net from 'net';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const PRESENCE_MODES = {
+    GPS: 'gps',
+    NETWORK: 'network',
+    EITHER: 'either',
+    BOTH: 'both'
+};
+
+export const DEFAULT_PRESENCE_MODE = PRESENCE_MODES.GPS;
+
+// Error codes returned by /mark when the network check fails
+export const NETWORK_ERRORS = {
+    OFF_CAMPUS: 'NETWORK_OFF_CAMPUS'
+};
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix, brackets and ports from an address
+ * @returns The bare address, or null when it isn't an IP address
+ */
+export function normalizeIp(value) {
+    let ip = String(value || '').trim();
+
+    // [2001:db8::1]:443 and 203.0.113.9:5000 (some proxies append the port)
+    const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/);
+    if (bracketed) {
+        ip = bracketed[1];
+    } else if (/^[\d.]+:\d+$/.test(ip)) {
+        ip = ip.split(':')[0];
+    }
+
+    if (ip.toLowerCase().startsWith('::ffff:') && net.isIPv4(ip.slice(7))) {
+        ip = ip.slice(7);
+    }
+
+    return net.isIP(ip) ? ip : null;
+}
+
+/**
+ * Parse a comma-separated list of CIDR blocks (a bare address is a single host)
+ * @throws When an entry is not a valid address or prefix
+ */
+export function parseCidrList(value, name = 'list') {
+    return String(value || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((cidr) => {
+            const [address, prefixText] = cidr.split('/');
+            const ip = normalizeIp(address);
+            const type = ip && net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+            const maxPrefix = type === 'ipv6' ? 128 : 32;
+            const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+
+            if (!ip || !/^\d*$/.test(prefixText ?? '') || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+                throw new Error(`Invalid address range in ${name}: ${cidr}`);
+            }
+
+            const blockList = new net.BlockList();
+            blockList.addSubnet(ip, prefix, type);
+
+            return { cidr: `${ip}/${prefix}`, blockList };
+        });
+}
+
+/**
+ * Find the range an address falls in
+ * @returns The matching CIDR string, or null
+ */
+function matchRange(ranges, ip) {
+    if (!ip) return null;
+    const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+    return ranges.find(({ blockList }) => blockList.check(ip, type))?.cidr || null;
+}
+
+// Parsed once at startup (a typo here should stop the server, not lock students out)
+const campusNetworks = parseCidrList(process.env.CAMPUS_NETWORKS, 'CAMPUS_NETWORKS');
+const trustedProxies = parseCidrList(process.env.TRUSTED_PROXIES, 'TRUSTED_PROXIES');
+
+/**
+ * Whether any campus network ranges are configured
+ */
+export function isCampusNetworkConfigured() {
+    return campusNetworks.length > 0;
+}
+
+/**
+ * Work out the client's IP address
+ * The socket address, unless it is a trusted proxy: then walk X-Forwarded-For
+ * from the right, skipping trusted proxies, and take the first other address.
+ * 
+ * @param {Object} req - Express request
+ * @returns The client IP, or null when the header holds something that isn't an address
+ */
+export function getClientIp(req) {
+    const forwardedFor = String(req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map((hop) => hop.trim())
+        .filter(Boolean);
+
+    // Nearest hop last: the socket peer is the hop closest to us
+    const hops = [...forwardedFor, req.socket?.remoteAddress];
+    let ip = null;
+
+    for (let i = hops.length - 1; i >= 0; i--) {
+        ip = normalizeIp(hops[i]);
+        if (!matchRange(trustedProxies, ip)) return ip;
+    }
+
+    // Every hop is a trusted proxy: the request started inside our own network
+    return ip;
+}
+
+/**
+ * Check whether a request comes from the campus network
+ * @returns {{valid: boolean, ip: string|null, range: string|null}}
+ */
+export function verifyCampusNetwork(req) {
+    const ip = getClientIp(req);
+    const range = matchRange(campusNetworks, ip);
+
+    return { valid: Boolean(range), ip, range };
+}
+
+/**
+ * Validate a session's presence mode (missing means the default)
+ * @returns {{mode: string}|{error: string}}
+ */
+export function normalizePresenceMode(value) {
+    const mode = value === undefined || value === null || value === ''
+        ? DEFAULT_PRESENCE_MODE
+        : String(value).toLowerCase();
+
+    if (!Object.values(PRESENCE_MODES).includes(mode)) {
+        return { error: `presenceMode must be one of: ${Object.values(PRESENCE_MODES).join(', ')}` };
+    }
+
+    if (mode !== PRESENCE_MODES.GPS && !isCampusNetworkConfigured()) {
+        return { error: 'The campus network check is not set up on this server (CAMPUS_NETWORKS)' };
+    }
+
+    return { mode };
+}
+
+/**
+ * Whether a presence mode can ever use GPS (and so needs a classroom location)
+ */
+export function usesGps(mode) {
+    return mode !== PRESENCE_MODES.NETWORK;
+}
+
+export default {
+    PRESENCE_MODES,
+    DEFAULT_PRESENCE_MODE,
+    NETWORK_ERRORS,
+    normalizeIp,
+    parseCidrList,
+    isCampusNetworkConfigured,
+    getClientIp,
+    verifyCampusNetwork,
+    normalizePresenceMode,
+    usesGps
+};
@@ -0,0 +1,188 @@
+/**
+ * QR Token Service - Signed, Rotating, Time-Limited QR Codes
+ * 
+ * GREEN CODING:
+ * - Tokens derived with a single HMAC (no database write per rotation)
+ * - Signature checked before any database read, so forged codes cost nothing
+ * 
+ * VIVA EXPLANATION:
+ * A static QR code can be photographed and shared with friends outside the room.
+ * Instead, each session gets a random secret kept only on the backend. The QR code
+ * carries a short token computed as HMAC(secret, sessionId + time step), where the
+ * time step changes every N seconds (like an authenticator app). The teacher's
+ * screen fetches the new code as it rotates, and /mark only accepts the current
+ * token or the one just before it.
+ * 
+ * The whole payload is wrapped in a compact signed envelope:
+ *   v1.<sessionId>.<issuedAt>.<token>.<signature>
+ * where signature = HMAC(QR_SIGNING_SECRET, everything before it). /mark
+ * rejects unsigned, tampered and stale envelopes with distinct error codes.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const DEFAULT_ROTATION_SECONDS = 30;
+export const MIN_ROTATION_SECONDS = 10;
+export const MAX_ROTATION_SECONDS = 300;
+
+// Envelope format: v1.<sessionId>.<issuedAt>.<token>.<signature>
+const ENVELOPE_VERSION = 'v1';
+const ENVELOPE_SEPARATOR = '.';
+
+// Error codes returned by /mark for rejected QR payloads
+export const QR_ERRORS = {
+    UNSIGNED: 'QR_UNSIGNED',
+    TAMPERED: 'QR_TAMPERED',
+    STALE: 'QR_STALE',
+    TOKEN_EXPIRED: 'QR_TOKEN_EXPIRED'
+};
+
+// Backend-wide signing key. Without one, codes stop verifying after a restart.
+const signingSecret = process.env.QR_SIGNING_SECRET || (() => {
+    console.warn('⚠️  QR_SIGNING_SECRET is not set - using a temporary key for this process');
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+/**
+ * Generate an unguessable session id (128 random bits)
+ */
+export function generateSessionId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Generate a new per-session secret
+ */
+export function generateSessionSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Clamp a requested rotation interval to the supported range
+ */
+export function normalizeRotationSeconds(value) {
+    const seconds = parseInt(value) || DEFAULT_ROTATION_SECONDS;
+    return Math.min(MAX_ROTATION_SECONDS, Math.max(MIN_ROTATION_SECONDS, seconds));
+}
+
+/**
+ * Get the time step number for a timestamp
+ */
+export function getTimeStep(rotationSeconds, now = Date.now()) {
+    return Math.floor(now / 1000 / rotationSeconds);
+}
+
+/**
+ * Compute the token for one time step
+ */
+export function generateToken(secret, sessionId, step) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${sessionId}:${step}`)
+        .digest('base64url')
+        .slice(0, 16);
+}
+
+/**
+ * Get the token that is valid right now
+ * @returns { token, expiresInSeconds }
+ */
+export function getCurrentToken(secret, sessionId, rotationSeconds, now = Date.now()) {
+    const step = getTimeStep(rotationSeconds, now);
+    const nextRotation = (step + 1) * rotationSeconds * 1000;
+
+    return {
+        token: generateToken(secret, sessionId, step),
+        expiresInSeconds: Math.max(1, Math.ceil((nextRotation - now) / 1000))
+    };
+}
+
+/**
+ * Verify a scanned token (current or previous time step only)
+ */
+export function verifyRotatingToken(secret, sessionId, token, rotationSeconds, now = Date.now()) {
+    if (typeof token !== 'string' || !token) {
+        return false;
+    }
+
+    const step = getTimeStep(rotationSeconds, now);
+
+    return [step, step - 1].some((candidate) => {
+        const expected = Buffer.from(generateToken(secret, sessionId, candidate));
+        const received = Buffer.from(token);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    });
+}
+
+/**
+ * Compute the envelope signature for the unsigned part
+ */
+function signEnvelope(unsigned) {
+    return crypto
+        .createHmac('sha256', signingSecret)
+        .update(unsigned)
+        .digest('base64url');
+}
+
+/**
+ * Build the signed string encoded in the QR code
+ */
+export function buildQrPayload(sessionId, token, issuedAt = Date.now()) {
+    const unsigned = [ENVELOPE_VERSION, sessionId, Math.floor(issuedAt / 1000), token].join(ENVELOPE_SEPARATOR);
+    return `${unsigned}${ENVELOPE_SEPARATOR}${signEnvelope(unsigned)}`;
+}
+
+/**
+ * Verify the envelope signature and unpack it
+ * Staleness depends on the session's rotation interval, so it is checked separately
+ * @returns { valid: true, sessionId, issuedAt, token } or { valid: false, code }
+ */
+export function parseQrPayload(qrData) {
+    const parts = String(qrData).split(ENVELOPE_SEPARATOR);
+
+    if (parts.length !== 5 || parts[0] !== ENVELOPE_VERSION || !parts[4]) {
+        return { valid: false, code: QR_ERRORS.UNSIGNED };
+    }
+
+    const [, sessionId, issuedAtSeconds, token, signature] = parts;
+    const unsigned = parts.slice(0, 4).join(ENVELOPE_SEPARATOR);
+    const expected = Buffer.from(signEnvelope(unsigned));
+    const received = Buffer.from(signature);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, code: QR_ERRORS.TAMPERED };
+    }
+
+    return {
+        valid: true,
+        sessionId,
+        issuedAt: parseInt(issuedAtSeconds) * 1000,
+        token
+    };
+}
+
+/**
+ * Check the envelope was issued within the current or previous rotation window
+ * (small allowance for clock skew between teacher screen and server)
+ */
+export function isQrPayloadStale(issuedAt, rotationSeconds, now = Date.now()) {
+    const maxAgeMs = rotationSeconds * 2 * 1000;
+    const clockSkewMs = 5000;
+
+    return !Number.isFinite(issuedAt) || now - issuedAt > maxAgeMs || issuedAt - now > clockSkewMs;
+}
+
+export default {
+    QR_ERRORS,
+    generateSessionId,
+    generateSessionSecret,
+    normalizeRotationSeconds,
+    getCurrentToken,
+    verifyRotatingToken,
+    buildQrPayload,
+    parseQrPayload,
+    isQrPayloadStale
+};
@@ -0,0 +1,104 @@
+/**
+ * Room Service - Saved Classroom Locations
+ * 
+ * GREEN CODING:
+ * - Coordinates stored once per room instead of in every session
+ * - A session's room is read only when a student marks attendance
+ * 
+ * VIVA EXPLANATION:
+ * Teachers pick a named room (building + room number) instead of typing
+ * coordinates. Sessions keep a reference (roomId) and the room's current
+ * coordinates are used when verifying a student's location, so correcting
+ * a room fixes every session that uses it. A copy of the location is kept
+ * on the session in case the room is deleted later.
+ */
+
+import { getRoom } from '../repositories/roomsRepository.js';
+
+export const DEFAULT_RADIUS_METERS = 50;
+export const MAX_RADIUS_METERS = 1000;
+export const MAX_NOTES_LENGTH = 500;
+
+function isCoordinate(value, limit) {
+    return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+/**
+ * Validate a room sent by a teacher
+ * With `partial`, only the fields present are checked (for updates).
+ * 
+ * @returns {{room: Object}|{error: string}} Only the editable fields
+ */
+export function normalizeRoom(input = {}, { partial = false } = {}) {
+    const room = {};
+    const has = (field) => !partial || input[field] !== undefined;
+
+    if (has('building')) {
+        room.building = String(input.building || '').trim();
+        if (!room.building) return { error: 'building is required' };
+    }
+    if (has('roomNumber')) {
+        room.roomNumber = String(input.roomNumber || '').trim();
+        if (!room.roomNumber) return { error: 'roomNumber is required' };
+    }
+    if (has('latitude')) {
+        if (!isCoordinate(input.latitude, 90)) return { error: 'latitude must be a number from -90 to 90' };
+        room.latitude = input.latitude;
+    }
+    if (has('longitude')) {
+        if (!isCoordinate(input.longitude, 180)) return { error: 'longitude must be a number from -180 to 180' };
+        room.longitude = input.longitude;
+    }
+    if (has('radiusMeters')) {
+        room.radiusMeters = input.radiusMeters === undefined ? DEFAULT_RADIUS_METERS : Number(input.radiusMeters);
+        if (!(room.radiusMeters > 0 && room.radiusMeters <= MAX_RADIUS_METERS)) {
+            return { error: `radiusMeters must be more than 0 and at most ${MAX_RADIUS_METERS}` };
+        }
+    }
+    if (input.notes !== undefined) {
+        room.notes = String(input.notes || '').trim();
+        if (room.notes.length > MAX_NOTES_LENGTH) {
+            return { error: `notes must be at most ${MAX_NOTES_LENGTH} characters` };
+        }
+    }
+
+    return { room };
+}
+
+/**
+ * Display name, e.g. "Main Block 101"
+ */
+export function roomName(room) {
+    return `${room.building} ${room.roomNumber}`;
+}
+
+/**
+ * Location constraint of a room, in the shape stored on sessions
+ */
+export function roomLocation(room) {
+    return {
+        latitude: room.latitude,
+        longitude: room.longitude,
+        radiusMeters: room.radiusMeters,
+        name: roomName(room)
+    };
+}
+
+/**
+ * Location to verify students against: the room's current coordinates,
+ * or the session's own location (no room, or the room was deleted)
+ */
+export async function resolveSessionLocation(session) {
+    if (session.roomId) {
+        const room = await getRoom(session.roomId);
+        if (room) return roomLocation(room);
+    }
+    return session.location;
+}
+
+export default {
+    normalizeRoom,
+    roomName,
+    roomLocation,
+    resolveSessionLocation
+};
@@ -0,0 +1,197 @@
+/**
+ * Roster Service - CSV Import with Roll Numbers
+ * 
+ * GREEN CODING:
+ * - Whole roster validated in memory first, then one course update
+ * - Users matched with one indexed email lookup per row
+ * 
+ * VIVA EXPLANATION:
+ * Teachers upload the class list they receive as a spreadsheet (roll number,
+ * name, email). Each row is validated and matched to a registered student by
+ * email. Students are enrolled with their roll number; emails that are not
+ * registered yet get a pending invite, which is claimed automatically when
+ * that student registers. Problems are reported per row instead of failing
+ * the whole file.
+ */
+
+import { parseCsv } from './csvService.js';
+import { findUserByEmail } from '../repositories/usersRepository.js';
+import { updateCourse, enrollStudent } from '../repositories/coursesRepository.js';
+import { STORE_ERRORS } from '../repositories/storeTypes.js';
+import { saveInvite, listCourseInvites, listPendingInvitesForEmail, acceptInvite } from '../repositories/invitesRepository.js';
+
+// Accepted header spellings (compared lowercase, without spaces/punctuation)
+const COLUMN_ALIASES = {
+    rollnumber: 'rollNumber',
+    rollno: 'rollNumber',
+    roll: 'rollNumber',
+    name: 'name',
+    studentname: 'name',
+    fullname: 'name',
+    email: 'email',
+    emailaddress: 'email'
+};
+
+const REQUIRED_COLUMNS = ['rollNumber', 'name', 'email'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const MAX_ROSTER_ROWS = 2000;
+
+/**
+ * Parse and validate roster CSV text
+ * @returns { rows: [{ row, rollNumber, name, email }], errors: [{ row, message }] }
+ *          or { error } when the file cannot be used at all
+ */
+export function parseRoster(csvText) {
+    const [header, ...lines] = parseCsv(csvText);
+
+    if (!header) {
+        return { error: 'The CSV file is empty' };
+    }
+
+    const errors = [];
+    const columns = header.fields.map((name) => {
+        const column = COLUMN_ALIASES[name.toLowerCase().replace(/[^a-z]/g, '')];
+        if (!column) {
+            errors.push({ row: header.line, message: `Unknown column "${name}" ignored` });
+        }
+        return column;
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length) {
+        return { error: `Missing required column(s): ${missing.join(', ')}` };
+    }
+
+    if (lines.length > MAX_ROSTER_ROWS) {
+        return { error: `A roster can have at most ${MAX_ROSTER_ROWS} rows` };
+    }
+
+    const rows = [];
+    const seenEmails = new Map();
+    const seenRollNumbers = new Map();
+
+    for (const { line, fields } of lines) {
+        const values = {};
+        columns.forEach((column, index) => {
+            if (column) values[column] = (fields[index] || '').trim();
+        });
+
+        const email = values.email.toLowerCase();
+        const { rollNumber, name } = values;
+
+        if (!rollNumber || !name || !email) {
+            errors.push({ row: line, message: 'Roll number, name and email are all required' });
+        } else if (!EMAIL_PATTERN.test(email)) {
+            errors.push({ row: line, message: `Malformed email "${values.email}"` });
+        } else if (seenEmails.has(email)) {
+            errors.push({ row: line, message: `Duplicate email ${email} (first seen on row ${seenEmails.get(email)})` });
+        } else if (seenRollNumbers.has(rollNumber)) {
+            errors.push({ row: line, message: `Duplicate roll number ${rollNumber} (first seen on row ${seenRollNumbers.get(rollNumber)})` });
+        } else {
+            seenEmails.set(email, line);
+            seenRollNumbers.set(rollNumber, line);
+            rows.push({ row: line, rollNumber, name, email });
+        }
+    }
+
+    return { rows, errors };
+}
+
+/**
+ * Import a roster into a course
+ * @returns { enrolled, invited, errors } or { error }
+ */
+export async function importRoster(course, csvText, invitedBy) {
+    const parsed = parseRoster(csvText);
+    if (parsed.error) return parsed;
+
+    const { rows, errors } = parsed;
+    const studentIds = new Set(course.studentIds || []);
+    const rollNumbers = { ...(course.rollNumbers || {}) };
+    const pendingInvites = await listCourseInvites(course.id);
+    const enrolled = [];
+    const invited = [];
+
+    // Roll numbers already taken in this course, by whom
+    const rollOwners = new Map(Object.entries(rollNumbers).map(([uid, roll]) => [roll, uid]));
+    pendingInvites.forEach(invite => rollOwners.set(invite.rollNumber, invite.email));
+
+    for (const { row, rollNumber, name, email } of rows) {
+        const user = await findUserByEmail(email);
+        const owner = rollOwners.get(rollNumber);
+
+        if (owner && owner !== user?.id && owner !== email) {
+            errors.push({ row, message: `Roll number ${rollNumber} is already assigned to another student` });
+            continue;
+        }
+
+        if (user && user.role !== 'student') {
+            errors.push({ row, message: `${email} is registered as ${user.role}, not student` });
+            continue;
+        }
+
+        if (user) {
+            studentIds.add(user.id);
+            rollNumbers[user.id] = rollNumber;
+            rollOwners.set(rollNumber, user.id);
+            enrolled.push({ row, uid: user.id, email, rollNumber });
+        } else {
+            await saveInvite({
+                courseId: course.id,
+                email,
+                name,
+                rollNumber,
+                status: 'pending',
+                invitedBy,
+                createdAt: new Date().toISOString()
+            });
+            rollOwners.set(rollNumber, email);
+            invited.push({ row, email, rollNumber });
+        }
+    }
+
+    if (enrolled.length) {
+        await updateCourse(course.id, {
+            studentIds: [...studentIds],
+            rollNumbers,
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    return { enrolled, invited, errors };
+}
+
+/**
+ * Enroll a newly registered student into every course that invited their email
+ * Only call this for a verified email: anyone can sign up with an address
+ * that isn't theirs.
+ * @returns Ids of the courses joined
+ */
+export async function claimInvites(uid, email) {
+    const invites = await listPendingInvitesForEmail(String(email).toLowerCase());
+    const joined = [];
+
+    for (const invite of invites) {
+        try {
+            await enrollStudent(invite.courseId, uid, invite.rollNumber);
+            joined.push(invite.courseId);
+        } catch (error) {
+            // The course was deleted since the invite was sent
+            if (error.code !== STORE_ERRORS.NOT_FOUND) throw error;
+        }
+
+        await acceptInvite(invite.id, uid);
+    }
+
+    return joined;
+}
+
+export default {
+    parseRoster,
+    importRoster,
+    claimInvites
+};
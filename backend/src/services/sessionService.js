@@ -0,0 +1,253 @@
+/**
+ * Session Service - Session Creation, State and Lifecycle
+ * 
+ * GREEN CODING:
+ * - State derived from stored fields on read; no background job flips flags
+ * - Each lifecycle change is a single document update
+ * 
+ * VIVA EXPLANATION:
+ * A session is 'closed' when the teacher closed it (active === false),
+ * 'expired' when its expiresAt time has passed, and 'active' otherwise.
+ * Computing this on read means an expired session can never be shown as
+ * active, even though nothing rewrote the document when it expired.
+ */
+
+import { createSession } from '../repositories/sessionsRepository.js';
+import { createAuditEvent } from '../repositories/auditRepository.js';
+import { AUDIT_LOG_ACTIONS, AUDIT_TARGET_TYPES, buildAuditEvent } from './auditService.js';
+import { WEBHOOK_EVENTS, emitWebhookEvent, sessionEventData } from './webhookService.js';
+import { generateSessionId, generateSessionSecret, normalizeRotationSeconds } from './qrTokenService.js';
+import { roomLocation } from './roomService.js';
+import { normalizeMaxAccuracy } from './locationService.js';
+import { DEFAULT_PRESENCE_MODE } from './presenceService.js';
+
+export const SESSION_STATES = {
+    ACTIVE: 'active',
+    EXPIRED: 'expired',
+    CLOSED: 'closed'
+};
+
+/**
+ * Validate the end time of a new session: a date-time in the future
+ * @returns {{expiresAt: string}|{error: string}} ISO time
+ */
+export function normalizeExpiresAt(value, now = new Date()) {
+    const time = new Date(typeof value === 'string' ? value : NaN);
+
+    if (Number.isNaN(time.getTime())) {
+        return { error: 'expiresAt must be an ISO time' };
+    }
+    if (time <= now) {
+        return { error: 'expiresAt must be in the future' };
+    }
+
+    return { expiresAt: time.toISOString() };
+}
+
+/**
+ * Open a new attendance session for a course
+ * Only stores it: create sessions with createCourseSession, which also
+ * writes the audit entry and sends the webhook.
+ * 
+ * @param {Object} course - Course the session belongs to
+ * @param {Object} options - { teacherEmail, location, room, expiresAt, qrRotationSeconds, maxAccuracyMeters,
+ *        presenceMode, verificationPolicy, checkInWindowMinutes }
+ *        With a saved `room` the session references it (roomId) and keeps a copy of its location
+ *        `maxAccuracyMeters` is the worst GPS accuracy /mark accepts
+ *        `presenceMode` (already validated) says whether /mark checks GPS, the campus network, either or both
+ *        `verificationPolicy` and `checkInWindowMinutes` (already validated) configure the /mark verifiers
+ * @param {Object} [occurrence] - { id, timetableId, slotId, date } for a timetable class
+ * @returns {Object} The stored session
+ */
+export async function openSession(course, options, occurrence = null) {
+    const {
+        teacherEmail,
+        location,
+        room,
+        expiresAt,
+        qrRotationSeconds,
+        maxAccuracyMeters,
+        presenceMode,
+        verificationPolicy,
+        checkInWindowMinutes
+    } = options;
+
+    // Random, unguessable document id (never taken from the client)
+    const sessionId = generateSessionId();
+    const createdAt = new Date().toISOString();
+
+    const session = {
+        sessionId,
+        courseId: course.id,
+        courseCode: course.code,
+        courseName: course.title,
+        teacherId: course.teacherId,
+        teacherEmail,
+        location: room ? roomLocation(room) : location || null,
+        expiresAt,
+        qrRotationSeconds: normalizeRotationSeconds(qrRotationSeconds),
+        maxAccuracyMeters: normalizeMaxAccuracy(maxAccuracyMeters),
+        presenceMode: presenceMode || DEFAULT_PRESENCE_MODE,
+        verificationPolicy: verificationPolicy || {},
+        checkInWindowMinutes: checkInWindowMinutes || null,
+        createdAt,
+        active: true
+    };
+
+    if (room) {
+        session.roomId = room.id;
+    }
+
+    if (occurrence) {
+        session.timetableId = occurrence.timetableId;
+        session.slotId = occurrence.slotId;
+        session.occurrenceDate = occurrence.date;
+    }
+
+    // GREEN CODING: Session and its QR secret written in a single batch
+    // The secret lives in a separate backend-only collection so clients never see it
+    await createSession(session, {
+        sessionId,
+        secret: generateSessionSecret(),
+        createdAt
+    }, occurrence?.id);
+
+    return session;
+}
+
+/**
+ * Open a session and report it: an audit entry and the session.created webhook
+ * Every way of creating a session (POST /session, starting a timetable class
+ * and the timetable scheduler) goes through here, so none of them skips either.
+ * A failed audit entry or webhook is logged, not thrown: the session exists.
+ * 
+ * @param {Object} course - Course the session belongs to
+ * @param {Object} options - As for openSession
+ * @param {Object} context - { actor: { uid, email, role, institutionId }, ip, route }
+ *        of the request (auditContext) or of the scheduler
+ * @param {Object} [occurrence] - As for openSession
+ * @returns {Object} The stored session
+ */
+export async function createCourseSession(course, options, context, occurrence = null) {
+    const session = await openSession(course, options, occurrence);
+
+    try {
+        await createAuditEvent(buildAuditEvent({
+            ...context,
+            action: AUDIT_LOG_ACTIONS.CREATE,
+            target: { type: AUDIT_TARGET_TYPES.SESSION, id: session.sessionId },
+            before: null,
+            after: session
+        }));
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+
+    try {
+        const { sent } = await emitWebhookEvent(
+            context.actor.institutionId,
+            WEBHOOK_EVENTS.SESSION_CREATED,
+            sessionEventData(session, SESSION_STATES.ACTIVE)
+        );
+        sent.catch((error) => console.error(`Error delivering ${WEBHOOK_EVENTS.SESSION_CREATED} webhooks:`, error));
+    } catch (error) {
+        console.error(`Error emitting ${WEBHOOK_EVENTS.SESSION_CREATED} webhook:`, error);
+    }
+
+    return session;
+}
+
+/**
+ * Get the real state of a session at a point in time
+ */
+export function getSessionState(session, now = new Date()) {
+    if (session.active === false) {
+        return SESSION_STATES.CLOSED;
+    }
+    if (now > new Date(session.expiresAt)) {
+        return SESSION_STATES.EXPIRED;
+    }
+    return SESSION_STATES.ACTIVE;
+}
+
+export const SESSION_ACTIONS = {
+    CLOSE: 'close',
+    EXTEND: 'extend',
+    REOPEN: 'reopen'
+};
+
+// Minutes added by extend / granted by reopen when the teacher doesn't say
+export const DEFAULT_CHANGE_MINUTES = 10;
+export const MAX_CHANGE_MINUTES = 240;
+
+/**
+ * Work out the update for a lifecycle action requested by a teacher
+ * 
+ * - close: end an active session now
+ * - extend: push an active session's expiresAt back by `minutes`
+ * - reopen: make a closed or expired session active for `minutes` from now
+ * 
+ * Every change is appended to the session's `history` as { action, by, at, expiresAt }.
+ * 
+ * @returns {{update: Object}|{error: string}}
+ */
+export function planSessionChange(session, { action, minutes }, by, now = new Date()) {
+    if (!Object.values(SESSION_ACTIONS).includes(action)) {
+        return { error: `action must be one of: ${Object.values(SESSION_ACTIONS).join(', ')}` };
+    }
+
+    const changeMinutes = minutes === undefined ? DEFAULT_CHANGE_MINUTES : Number(minutes);
+
+    if (action !== SESSION_ACTIONS.CLOSE &&
+        (!Number.isInteger(changeMinutes) || changeMinutes < 1 || changeMinutes > MAX_CHANGE_MINUTES)) {
+        return { error: `minutes must be a whole number from 1 to ${MAX_CHANGE_MINUTES}` };
+    }
+
+    const state = getSessionState(session, now);
+    let update;
+
+    if (action === SESSION_ACTIONS.CLOSE) {
+        if (state !== SESSION_STATES.ACTIVE) {
+            return { error: `Session is already ${state}` };
+        }
+        update = { active: false, expiresAt: session.expiresAt };
+    } else if (action === SESSION_ACTIONS.EXTEND) {
+        if (state !== SESSION_STATES.ACTIVE) {
+            return { error: `Session is ${state} - reopen it instead` };
+        }
+        if (Number.isNaN(new Date(session.expiresAt).getTime())) {
+            return { error: 'Session has no valid end time - close it and reopen it instead' };
+        }
+        const expiresAt = new Date(new Date(session.expiresAt).getTime() + changeMinutes * 60000);
+        update = { active: true, expiresAt: expiresAt.toISOString() };
+    } else {
+        if (state === SESSION_STATES.ACTIVE) {
+            return { error: 'Session is already active - extend it instead' };
+        }
+        const expiresAt = new Date(now.getTime() + changeMinutes * 60000);
+        update = { active: true, expiresAt: expiresAt.toISOString() };
+    }
+
+    const at = now.toISOString();
+
+    return {
+        update: {
+            ...update,
+            updatedAt: at,
+            history: [
+                ...(session.history || []),
+                { action, by, at, expiresAt: update.expiresAt }
+            ]
+        }
+    };
+}
+
+export default {
+    SESSION_STATES,
+    SESSION_ACTIONS,
+    normalizeExpiresAt,
+    openSession,
+    createCourseSession,
+    getSessionState,
+    planSessionChange
+};
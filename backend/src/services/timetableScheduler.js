@@ -0,0 +1,156 @@
+/**
+ * Timetable Scheduler - Sessions from the Weekly Timetable
+ * 
+ * GREEN CODING:
+ * - One light check per minute, only when TIMETABLE_SCHEDULER=on
+ * - Finished terms filtered out by the query; only today's slots examined
+ * - A class already turned into a session costs one document read
+ * 
+ * VIVA EXPLANATION:
+ * When a timetable class starts, a session is created for it automatically
+ * with the slot's room and duration, so the teacher only has to show the QR code.
+ * The same code runs when the teacher presses "Start" on today's class.
+ * Either way the session is audited and announced to webhooks like one the
+ * teacher created; the scheduler's entries name it as the actor.
+ * Each class (timetable + slot + date) can only ever produce one session,
+ * even if the scheduler and the teacher start it at the same moment.
+ */
+
+import { getCourse } from '../repositories/coursesRepository.js';
+import { getUser } from '../repositories/usersRepository.js';
+import { getSession, getSessionOccurrence } from '../repositories/sessionsRepository.js';
+import { listCurrentTimetables } from '../repositories/timetablesRepository.js';
+import { getRoom } from '../repositories/roomsRepository.js';
+import { STORE_ERRORS } from '../repositories/storeTypes.js';
+import { getOccurrencesOn, occurrenceId } from './timetableService.js';
+import { createCourseSession } from './sessionService.js';
+import { DEFAULT_INSTITUTION_ID } from '../middleware/roleMiddleware.js';
+
+export const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// Actor of the audit entries of sessions the scheduler creates
+export const SCHEDULER_ACTOR_ID = 'timetable-scheduler';
+
+/**
+ * Audit context of the scheduler, in the timetable owner's institution
+ */
+async function schedulerContext(timetable) {
+    const teacher = await getUser(timetable.teacherId);
+
+    return {
+        actor: {
+            uid: SCHEDULER_ACTOR_ID,
+            email: null,
+            role: 'system',
+            institutionId: teacher?.institutionId || DEFAULT_INSTITUTION_ID
+        },
+        ip: null,
+        route: 'timetable scheduler'
+    };
+}
+
+/**
+ * Start the session for one class occurrence (or return the one already started)
+ * 
+ * The session ends at the scheduled end; a class started after its scheduled
+ * end gets the slot's full duration from now.
+ * 
+ * @param {Object} context - Audit context of the teacher's request, or the scheduler's
+ * @returns {{session: Object, created: boolean}|{error: string}}
+ */
+export async function startOccurrence(timetable, { slot, date, endsAt }, context, now = new Date()) {
+    const id = occurrenceId(timetable.id, slot.id, date);
+
+    const existing = await getSessionOccurrence(id);
+    if (existing) {
+        return { session: await getSession(existing.sessionId), created: false };
+    }
+
+    const course = await getCourse(slot.courseId);
+
+    if (!course || course.teacherId !== timetable.teacherId) {
+        return { error: 'Course for this slot no longer exists' };
+    }
+
+    const room = slot.roomId ? await getRoom(slot.roomId) : null;
+
+    if (slot.roomId && !room) {
+        return { error: 'Room for this slot no longer exists' };
+    }
+
+    const expiresAt = endsAt > now ? endsAt : new Date(now.getTime() + slot.durationMinutes * 60000);
+
+    try {
+        const session = await createCourseSession(course, {
+            teacherEmail: timetable.teacherEmail,
+            room,
+            location: slot.room,
+            expiresAt: expiresAt.toISOString(),
+            qrRotationSeconds: slot.qrRotationSeconds,
+            maxAccuracyMeters: slot.maxAccuracyMeters,
+            presenceMode: slot.presenceMode
+        }, context, { id, timetableId: timetable.id, slotId: slot.id, date });
+
+        return { session, created: true };
+    } catch (error) {
+        if (error.code !== STORE_ERRORS.ALREADY_EXISTS) throw error;
+
+        // Started by someone else a moment ago
+        const winner = await getSessionOccurrence(id);
+        return { session: await getSession(winner.sessionId), created: false };
+    }
+}
+
+/**
+ * Create sessions for every timetable class that is in progress right now
+ * @returns {number} Number of sessions created
+ */
+export async function runScheduledSessions(now = new Date()) {
+    // A day's margin: the term end is a local date in each timetable's own time zone
+    const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const timetables = await listCurrentTimetables(yesterday);
+    let created = 0;
+
+    for (const timetable of timetables) {
+        for (const occurrence of getOccurrencesOn(timetable, now)) {
+            if (now < occurrence.startsAt || now >= occurrence.endsAt) continue;
+
+            try {
+                const result = await startOccurrence(timetable, occurrence, await schedulerContext(timetable), now);
+                if (result.created) created++;
+                if (result.error) {
+                    console.warn(`Timetable ${timetable.id} slot ${occurrence.slot.id}: ${result.error}`);
+                }
+            } catch (error) {
+                // One broken timetable must not stop the others
+                console.error(`Error starting timetable ${timetable.id} slot ${occurrence.slot.id}:`, error);
+            }
+        }
+    }
+
+    return created;
+}
+
+/**
+ * Check the timetables once a minute
+ * @returns {Function} Stops the scheduler
+ */
+export function startTimetableScheduler(intervalMs = SCHEDULER_INTERVAL_MS) {
+    const tick = () => runScheduledSessions().then((created) => {
+        if (created) console.log(`📅 Timetable: started ${created} session(s)`);
+    }).catch((error) => {
+        console.error('Timetable scheduler error:', error);
+    });
+
+    tick();
+    const timer = setInterval(tick, intervalMs);
+
+    return () => clearInterval(timer);
+}
+
+export default {
+    SCHEDULER_ACTOR_ID,
+    startOccurrence,
+    runScheduledSessions,
+    startTimetableScheduler
+};
@@ -0,0 +1,192 @@
+/**
+ * Timetable Service - Weekly Class Slots
+ * 
+ * GREEN CODING:
+ * - Occurrences are calculated from the weekly slots, never stored in advance
+ * - Only today's slots are looked at when starting classes
+ * 
+ * VIVA EXPLANATION:
+ * A timetable is a list of weekly slots (day, start time, duration, room, course)
+ * that repeats between a term start and end date, in the institution's time zone.
+ * For any day we can work out which slots happen ("occurrences"), skipping
+ * holidays, and each occurrence gets a fixed id (timetable + slot + date) so the
+ * same class is never turned into two sessions.
+ */
+
+import crypto from 'crypto';
+import { isValidTimeZone, getZonedParts, zonedTimeToUtc } from '../utils/timezone.js';
+import { normalizeRotationSeconds } from './qrTokenService.js';
+import { normalizeMaxAccuracy } from './locationService.js';
+import { normalizePresenceMode } from './presenceService.js';
+
+// Index matches Date.getUTCDay() (0 = Sunday)
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const MAX_SLOTS = 100;
+export const MAX_HOLIDAYS = 366;
+export const MAX_SLOT_MINUTES = 8 * 60;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function isCoordinate(value, limit) {
+    return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+/**
+ * Validate one weekly slot
+ * The classroom is a saved room (`roomId`) or an inline `room` with coordinates.
+ * @returns {{slot: Object}|{error: string}}
+ */
+function normalizeSlot(input, index) {
+    const label = `Slot ${index + 1}`;
+    const day = String(input?.day || '').toLowerCase();
+    const durationMinutes = Number(input?.durationMinutes);
+    const room = input?.room || {};
+
+    if (!input?.courseId) {
+        return { error: `${label}: courseId is required` };
+    }
+    if (!WEEKDAYS.includes(day)) {
+        return { error: `${label}: day must be one of ${WEEKDAYS.join(', ')}` };
+    }
+    if (!TIME_PATTERN.test(input.startTime || '')) {
+        return { error: `${label}: startTime must be HH:MM (24-hour)` };
+    }
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_SLOT_MINUTES) {
+        return { error: `${label}: durationMinutes must be a whole number from 1 to ${MAX_SLOT_MINUTES}` };
+    }
+    if (!input.roomId && (!isCoordinate(room.latitude, 90) || !isCoordinate(room.longitude, 180))) {
+        return { error: `${label}: choose a saved room or give the room a latitude and longitude` };
+    }
+
+    const presence = normalizePresenceMode(input.presenceMode);
+    if (presence.error) {
+        return { error: `${label}: ${presence.error}` };
+    }
+
+    const slot = {
+        // Existing ids are kept so today's occurrence isn't started twice after an edit
+        id: input.id ? String(input.id) : crypto.randomBytes(4).toString('hex'),
+        courseId: String(input.courseId),
+        day,
+        startTime: input.startTime,
+        durationMinutes,
+        qrRotationSeconds: normalizeRotationSeconds(input.qrRotationSeconds),
+        maxAccuracyMeters: normalizeMaxAccuracy(input.maxAccuracyMeters),
+        presenceMode: presence.mode
+    };
+
+    if (input.roomId) {
+        slot.roomId = String(input.roomId);
+    } else {
+        slot.room = {
+            name: String(room.name || '').trim(),
+            latitude: room.latitude,
+            longitude: room.longitude,
+            radiusMeters: Number(room.radiusMeters) > 0 ? Number(room.radiusMeters) : 50
+        };
+    }
+
+    return { slot };
+}
+
+/**
+ * Validate a timetable sent by a teacher
+ * @returns {{timetable: Object}|{error: string}} Only the editable fields
+ */
+export function normalizeTimetable(input) {
+    const name = String(input?.name || '').trim();
+    const { timezone, termStart, termEnd } = input || {};
+    const holidays = input?.holidays || [];
+    const slots = input?.slots || [];
+
+    if (!name) {
+        return { error: 'name is required' };
+    }
+    if (!isValidTimeZone(timezone)) {
+        return { error: 'timezone must be an IANA time zone such as Asia/Kolkata' };
+    }
+    if (!isValidDate(termStart) || !isValidDate(termEnd)) {
+        return { error: 'termStart and termEnd must be dates (YYYY-MM-DD)' };
+    }
+    if (termEnd < termStart) {
+        return { error: 'termEnd must not be before termStart' };
+    }
+    if (!Array.isArray(holidays) || holidays.length > MAX_HOLIDAYS || !holidays.every(isValidDate)) {
+        return { error: `holidays must be a list of at most ${MAX_HOLIDAYS} dates (YYYY-MM-DD)` };
+    }
+    if (!Array.isArray(slots) || slots.length === 0 || slots.length > MAX_SLOTS) {
+        return { error: `slots must be a list of 1 to ${MAX_SLOTS} weekly slots` };
+    }
+
+    const normalizedSlots = [];
+
+    for (const [index, input] of slots.entries()) {
+        const result = normalizeSlot(input, index);
+        if (result.error) return result;
+        normalizedSlots.push(result.slot);
+    }
+
+    if (new Set(normalizedSlots.map(({ id }) => id)).size !== normalizedSlots.length) {
+        return { error: 'Slot ids must be unique' };
+    }
+
+    return {
+        timetable: {
+            name,
+            timezone,
+            termStart,
+            termEnd,
+            holidays: [...new Set(holidays)].sort(),
+            slots: normalizedSlots
+        }
+    };
+}
+
+/**
+ * Fixed id of one class: the same timetable slot on the same local date
+ */
+export function occurrenceId(timetableId, slotId, date) {
+    return `${timetableId}_${slotId}_${date}`;
+}
+
+/**
+ * Today's classes from a timetable (in the timetable's own time zone)
+ * Nothing is returned outside the term or on a holiday.
+ * 
+ * @returns {Array<{slot, date, startsAt: Date, endsAt: Date}>} Sorted by start time
+ */
+export function getOccurrencesOn(timetable, now = new Date()) {
+    const { date, weekday } = getZonedParts(now, timetable.timezone);
+
+    if (date < timetable.termStart || date > timetable.termEnd || timetable.holidays?.includes(date)) {
+        return [];
+    }
+
+    return timetable.slots
+        .filter((slot) => slot.day === WEEKDAYS[weekday])
+        .map((slot) => {
+            const startsAt = zonedTimeToUtc(date, slot.startTime, timetable.timezone);
+            return {
+                slot,
+                date,
+                startsAt,
+                endsAt: new Date(startsAt.getTime() + slot.durationMinutes * 60000)
+            };
+        })
+        .sort((a, b) => a.startsAt - b.startsAt);
+}
+
+export default {
+    WEEKDAYS,
+    normalizeTimetable,
+    occurrenceId,
+    getOccurrencesOn
+};
@@ -0,0 +1,57 @@
+/**
+ * Device Verifier
+ * 
+ * The student must mark from their registered device, and no other student
+ * may have marked this session from it (see deviceService). A shared device
+ * is reported to the teacher even when the policy only warns.
+ * When the check passes, the device is claimed for the session together
+ * with the attendance record, and a student's first device is registered
+ * in that same write.
+ */
+
+import { getSessionDeviceClaim } from '../../repositories/attendanceRepository.js';
+import { DEVICE_ERRORS, checkStudentDevice, reportDeviceConflict } from '../deviceService.js';
+
+export default {
+    name: 'device',
+
+    async verify(context) {
+        const { session, studentId, studentEmail, deviceId } = context;
+        const device = await checkStudentDevice(studentId, deviceId);
+
+        if (device.error === DEVICE_ERRORS.MISSING) {
+            return {
+                passed: false,
+                httpStatus: 400,
+                code: DEVICE_ERRORS.MISSING,
+                message: 'This app could not identify your device - please reload and try again'
+            };
+        }
+
+        if (device.error === DEVICE_ERRORS.MISMATCH) {
+            return {
+                passed: false,
+                httpStatus: 403,
+                code: DEVICE_ERRORS.MISMATCH,
+                message: 'Your account is registered to another device. Ask your teacher to approve this one'
+            };
+        }
+
+        const claim = await getSessionDeviceClaim(session.sessionId, deviceId);
+
+        if (claim && claim.studentId !== studentId) {
+            await reportDeviceConflict(session, { deviceId, studentId, studentEmail, markedStudentId: claim.studentId });
+
+            return {
+                passed: false,
+                httpStatus: 409,
+                code: DEVICE_ERRORS.SHARED,
+                message: 'Another student has already marked this session from this device'
+            };
+        }
+
+        context.claimDevice = true;
+        context.bindDevice = device.firstDevice ? device.binding : null;
+        return { passed: true };
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * Enrollment Verifier
+ * 
+ * Only students enrolled in the session's course may mark it.
+ * Sessions without a course (created before courses existed) accept anyone.
+ */
+
+import { isEnrolled } from '../../repositories/coursesRepository.js';
+
+export const ENROLLMENT_ERRORS = {
+    NOT_ENROLLED: 'NOT_ENROLLED'
+};
+
+export default {
+    name: 'enrollment',
+
+    async verify({ session, course, studentId }) {
+        if (!session.courseId || isEnrolled(course, studentId)) {
+            return { passed: true };
+        }
+
+        return {
+            passed: false,
+            httpStatus: 403,
+            code: ENROLLMENT_ERRORS.NOT_ENROLLED,
+            message: 'You are not enrolled in this course'
+        };
+    }
+};
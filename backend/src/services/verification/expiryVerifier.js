@@ -0,0 +1,36 @@
+/**
+ * Expiry Verifier
+ * 
+ * The session must still be open: not closed by the teacher and not past
+ * its expiresAt time (state computed on read, see sessionService).
+ */
+
+import { SESSION_STATES, getSessionState } from '../sessionService.js';
+
+export const EXPIRY_ERRORS = {
+    CLOSED: 'SESSION_CLOSED',
+    EXPIRED: 'SESSION_EXPIRED'
+};
+
+export default {
+    name: 'expiry',
+
+    async verify({ session, now }) {
+        const state = getSessionState(session, now);
+        const details = { state, expiresAt: session.expiresAt };
+
+        if (state === SESSION_STATES.ACTIVE) {
+            return { passed: true, details };
+        }
+
+        const closed = state === SESSION_STATES.CLOSED;
+
+        return {
+            passed: false,
+            httpStatus: 400,
+            code: closed ? EXPIRY_ERRORS.CLOSED : EXPIRY_ERRORS.EXPIRED,
+            message: closed ? 'Session has been closed' : 'Session has expired',
+            details
+        };
+    }
+};
@@ -0,0 +1,107 @@
+/**
+ * Geofence Verifier
+ * 
+ * The student's GPS fix must be precise enough (the session's
+ * maxAccuracyMeters) and inside one of the session's zones
+ * (see locationService). A saved room's current coordinates win over the
+ * copy stored on the session.
+ */
+
+import {
+    LOCATION_ERRORS,
+    normalizeMaxAccuracy,
+    getZones,
+    verifyGeofence
+} from '../locationService.js';
+import { resolveSessionLocation } from '../roomService.js';
+import { PRESENCE_MODES } from '../presenceService.js';
+
+export default {
+    name: 'geofence',
+
+    async verify(context) {
+        const { session, location, presenceMode, networkCheck } = context;
+        // Students who could have used the campus Wi-Fi instead are told so
+        const wifiHint = presenceMode === PRESENCE_MODES.EITHER && networkCheck ? ' (or connect to the campus Wi-Fi)' : '';
+        const classroom = await resolveSessionLocation(session);
+
+        // A session saved without a location (e.g. network only) has nothing to check against
+        if (!classroom) {
+            return {
+                passed: false,
+                httpStatus: 400,
+                code: LOCATION_ERRORS.MISSING,
+                message: 'This session has no classroom location to check against - ask your teacher'
+            };
+        }
+
+        if (!location) {
+            return {
+                passed: false,
+                httpStatus: 400,
+                code: LOCATION_ERRORS.MISSING,
+                message: `Location is required for this session${wifiHint}`
+            };
+        }
+
+        // A fix that is too vague can't tell inside from outside - ask for a better one
+        const accuracy = location.accuracy ?? null;
+        const maxAccuracy = normalizeMaxAccuracy(session.maxAccuracyMeters);
+
+        if (accuracy !== null && accuracy > maxAccuracy) {
+            return {
+                passed: false,
+                httpStatus: 400,
+                code: LOCATION_ERRORS.LOW_ACCURACY,
+                message: `Your GPS fix is only accurate to ±${Math.round(accuracy)}m. ` +
+                    `This session needs ±${maxAccuracy}m or better - wait for a better signal and scan again${wifiHint}`,
+                response: {
+                    accuracy: Math.round(accuracy),
+                    maxAccuracyMeters: maxAccuracy
+                }
+            };
+        }
+
+        const locationCheck = verifyGeofence(location.latitude, location.longitude, classroom, accuracy);
+
+        // Kept for anomaly detection and the attendance record
+        context.classroom = classroom;
+        context.locationCheck = locationCheck;
+
+        const zones = getZones(classroom);
+        const nearest = zones[locationCheck.zone.index];
+        const zoneLabel = locationCheck.zone.name || (zones.length > 1 ? `zone ${locationCheck.zone.index + 1}` : 'the classroom');
+        const details = {
+            yourLocation: `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}`,
+            // Polygon zones have no centre to show, only their name
+            classLocation: locationCheck.zone.type === 'circle'
+                ? `${nearest.latitude.toFixed(6)}, ${nearest.longitude.toFixed(6)}`
+                : zoneLabel,
+            zone: locationCheck.zone,
+            distance: locationCheck.distance,
+            required: locationCheck.maxDistance,
+            accuracy,
+            confidence: locationCheck.confidence
+        };
+
+        if (locationCheck.valid) {
+            return { passed: true, details };
+        }
+
+        return {
+            passed: false,
+            httpStatus: 400,
+            code: LOCATION_ERRORS.OUTSIDE_GEOFENCE,
+            message: (zones.length === 1 && locationCheck.zone.type === 'circle'
+                ? `You are ${locationCheck.distance}m away. Must be within ${locationCheck.maxDistance}m`
+                : `You are ${locationCheck.outsideBy}m outside ${zoneLabel}, the nearest allowed zone`) + wifiHint,
+            response: {
+                nearestZone: {
+                    ...locationCheck.zone,
+                    distance: locationCheck.outsideBy
+                }
+            },
+            details
+        };
+    }
+};
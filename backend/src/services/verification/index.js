@@ -0,0 +1,230 @@
+/**
+ * Verification Pipeline - Configurable Checks for /mark
+ * 
+ * GREEN CODING:
+ * - Checks run in a fixed order, cheapest and most likely to fail first
+ * - A blocking failure stops the pipeline: later checks do no database reads
+ * 
+ * VIVA EXPLANATION:
+ * Each check a student must pass to mark attendance is a separate verifier
+ * module with a `verify(context)` function: enrollment, expiry, time window,
+ * rotating token, device, network and geofence. A policy gives every
+ * verifier a level:
+ * - block: a failure refuses the check-in
+ * - warn: a failure is recorded and the check-in is flagged for review
+ * - off: the verifier does not run
+ * 
+ * The policy is built in layers: the defaults below, then the session's
+ * presence mode (which of GPS / campus network it uses), then the course's
+ * `verificationPolicy`, then the session's own `verificationPolicy`.
+ * The response lists what every verifier found.
+ */
+
+import enrollmentVerifier from './enrollmentVerifier.js';
+import expiryVerifier from './expiryVerifier.js';
+import timeWindowVerifier from './timeWindowVerifier.js';
+import tokenVerifier from './tokenVerifier.js';
+import deviceVerifier from './deviceVerifier.js';
+import networkVerifier from './networkVerifier.js';
+import geofenceVerifier from './geofenceVerifier.js';
+import { PRESENCE_MODES, DEFAULT_PRESENCE_MODE } from '../presenceService.js';
+
+// Run order
+const VERIFIERS = [
+    enrollmentVerifier,
+    expiryVerifier,
+    timeWindowVerifier,
+    tokenVerifier,
+    deviceVerifier,
+    networkVerifier,
+    geofenceVerifier
+];
+
+export const VERIFIER_NAMES = VERIFIERS.map(({ name }) => name);
+
+export const VERIFIER_LEVELS = {
+    BLOCK: 'block',
+    WARN: 'warn',
+    OFF: 'off'
+};
+
+export const VERIFICATION_STATUSES = {
+    PASSED: 'passed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+};
+
+export const DEFAULT_VERIFIER_LEVELS = {
+    enrollment: VERIFIER_LEVELS.BLOCK,
+    expiry: VERIFIER_LEVELS.BLOCK,
+    timeWindow: VERIFIER_LEVELS.BLOCK,
+    token: VERIFIER_LEVELS.BLOCK,
+    device: VERIFIER_LEVELS.BLOCK,
+    network: VERIFIER_LEVELS.OFF,
+    geofence: VERIFIER_LEVELS.BLOCK
+};
+
+// Levels of the two presence verifiers for each presence mode
+const PRESENCE_LEVELS = {
+    [PRESENCE_MODES.GPS]: { network: VERIFIER_LEVELS.OFF, geofence: VERIFIER_LEVELS.BLOCK },
+    [PRESENCE_MODES.NETWORK]: { network: VERIFIER_LEVELS.BLOCK, geofence: VERIFIER_LEVELS.OFF },
+    [PRESENCE_MODES.EITHER]: { network: VERIFIER_LEVELS.BLOCK, geofence: VERIFIER_LEVELS.BLOCK },
+    [PRESENCE_MODES.BOTH]: { network: VERIFIER_LEVELS.BLOCK, geofence: VERIFIER_LEVELS.BLOCK }
+};
+
+/**
+ * Validate a policy sent for a course or session
+ * A policy only lists the verifiers it changes: { geofence: 'warn', device: 'off' }
+ * @returns {{policy: Object}|{error: string}}
+ */
+export function normalizeVerificationPolicy(input) {
+    if (input === undefined || input === null) {
+        return { policy: {} };
+    }
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'verificationPolicy must be an object such as { "geofence": "warn" }' };
+    }
+
+    const levels = Object.values(VERIFIER_LEVELS);
+    const policy = {};
+
+    for (const [name, level] of Object.entries(input)) {
+        if (!VERIFIER_NAMES.includes(name)) {
+            return { error: `Unknown verifier "${name}" - use ${VERIFIER_NAMES.join(', ')}` };
+        }
+        if (!levels.includes(level)) {
+            return { error: `verificationPolicy.${name} must be one of: ${levels.join(', ')}` };
+        }
+        policy[name] = level;
+    }
+
+    return { policy };
+}
+
+/**
+ * Work out the levels that apply to a session
+ * 
+ * @param {Object} session - The session (presenceMode, verificationPolicy)
+ * @param {Object} [course] - The session's course (verificationPolicy)
+ * @returns {{levels: Object, anyOf: Array<Array<string>>}} `anyOf` groups are
+ *          alternatives: one passing verifier in a group is enough
+ */
+export function resolveVerificationPolicy(session, course = null) {
+    const presenceMode = session.presenceMode || DEFAULT_PRESENCE_MODE;
+
+    return {
+        levels: {
+            ...DEFAULT_VERIFIER_LEVELS,
+            ...PRESENCE_LEVELS[presenceMode],
+            ...course?.verificationPolicy,
+            ...session.verificationPolicy
+        },
+        anyOf: presenceMode === PRESENCE_MODES.EITHER ? [['network', 'geofence']] : []
+    };
+}
+
+/**
+ * Whether the policy runs the geofence check for a session that has no
+ * location to check against (a network-only session): every /mark would fail
+ * 
+ * @param {Object} session - { roomId, location, presenceMode, verificationPolicy }
+ * @param {Object} [course] - The session's course (verificationPolicy)
+ */
+export function geofenceWithoutLocation(session, course = null) {
+    if (session.roomId || session.location) return false;
+
+    return resolveVerificationPolicy(session, course).levels.geofence !== VERIFIER_LEVELS.OFF;
+}
+
+/**
+ * One verifier's result as shown to the student and stored on the record
+ * (fields without a value are left out; Firestore rejects undefined)
+ */
+function resultEntry(name, level, status, outcome = {}) {
+    const entry = { verifier: name, level, status };
+
+    for (const field of ['code', 'message', 'details']) {
+        if (outcome[field] !== undefined) entry[field] = outcome[field];
+    }
+
+    return entry;
+}
+
+/**
+ * Run every verifier of a policy in order
+ * 
+ * @param {Object} context - { req, session, course, studentId, studentEmail, deviceId,
+ *        location, token, issuedAt, presenceMode, now }. Verifiers add what the
+ *        attendance record needs (locationCheck, classroom, networkCheck, claimDevice, bindDevice).
+ * @param {Object} policy - From resolveVerificationPolicy
+ * @returns {{results: Array, warnings: Array, blocked: Object|null}}
+ *          `blocked` is the failure that refused the check-in: { httpStatus, code, message, response }
+ */
+export async function runVerification(context, { levels, anyOf = [] }) {
+    const results = [];
+    const warnings = [];
+    const passed = new Set();
+    let blocked = null;
+
+    for (const [index, verifier] of VERIFIERS.entries()) {
+        const { name } = verifier;
+        const level = levels[name];
+
+        if (blocked) {
+            results.push(resultEntry(name, level, VERIFICATION_STATUSES.SKIPPED, { message: 'Not checked' }));
+            continue;
+        }
+
+        if (level === VERIFIER_LEVELS.OFF) {
+            results.push(resultEntry(name, level, VERIFICATION_STATUSES.SKIPPED));
+            continue;
+        }
+
+        // Alternatives that are switched on, e.g. campus network or GPS
+        const alternatives = (anyOf.find((group) => group.includes(name)) || [])
+            .filter((other) => other !== name && levels[other] !== VERIFIER_LEVELS.OFF);
+
+        if (alternatives.some((other) => passed.has(other))) {
+            results.push(resultEntry(name, level, VERIFICATION_STATUSES.SKIPPED, {
+                message: `Not needed - ${alternatives.find((other) => passed.has(other))} check passed`
+            }));
+            continue;
+        }
+
+        const outcome = await verifier.verify(context);
+
+        if (outcome.passed) {
+            passed.add(name);
+            results.push(resultEntry(name, level, VERIFICATION_STATUSES.PASSED, outcome));
+            continue;
+        }
+
+        const entry = resultEntry(name, level, VERIFICATION_STATUSES.FAILED, outcome);
+        results.push(entry);
+
+        // A later alternative can still make up for this failure
+        if (alternatives.some((other) => VERIFIER_NAMES.indexOf(other) > index)) {
+            continue;
+        }
+
+        if (level === VERIFIER_LEVELS.WARN) {
+            warnings.push(entry);
+        } else {
+            blocked = outcome;
+        }
+    }
+
+    return { results, warnings, blocked };
+}
+
+export default {
+    VERIFIER_NAMES,
+    VERIFIER_LEVELS,
+    VERIFICATION_STATUSES,
+    DEFAULT_VERIFIER_LEVELS,
+    normalizeVerificationPolicy,
+    resolveVerificationPolicy,
+    geofenceWithoutLocation,
+    runVerification
+};
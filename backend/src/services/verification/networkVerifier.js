@@ -0,0 +1,33 @@
+/**
+ * Network Verifier
+ * 
+ * The request must come from the campus network: its client IP (read through
+ * trusted proxies only) inside one of the CAMPUS_NETWORKS ranges
+ * (see presenceService).
+ */
+
+import { NETWORK_ERRORS, verifyCampusNetwork } from '../presenceService.js';
+
+export default {
+    name: 'network',
+
+    async verify(context) {
+        const networkCheck = verifyCampusNetwork(context.req);
+        const details = { ip: networkCheck.ip, range: networkCheck.range };
+
+        // Kept for the record's `presence`
+        context.networkCheck = networkCheck;
+
+        if (networkCheck.valid) {
+            return { passed: true, details };
+        }
+
+        return {
+            passed: false,
+            httpStatus: 400,
+            code: NETWORK_ERRORS.OFF_CAMPUS,
+            message: 'Connect to the campus Wi-Fi to mark attendance for this session',
+            details
+        };
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * Time Window Verifier
+ * 
+ * A session can limit check-in to its first N minutes (`checkInWindowMinutes`),
+ * so students who arrive late are refused (or, with 'warn', flagged).
+ * Sessions without a window always pass.
+ */
+
+export const MAX_CHECK_IN_WINDOW_MINUTES = 240;
+
+export const TIME_WINDOW_ERRORS = {
+    CLOSED: 'CHECK_IN_WINDOW_CLOSED'
+};
+
+/**
+ * Validate a session's check-in window (missing means no window)
+ * @returns {{minutes: number|null}|{error: string}}
+ */
+export function normalizeCheckInWindow(value) {
+    if (value === undefined || value === null || value === '') {
+        return { minutes: null };
+    }
+
+    const minutes = Number(value);
+
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_CHECK_IN_WINDOW_MINUTES) {
+        return { error: `checkInWindowMinutes must be a whole number from 1 to ${MAX_CHECK_IN_WINDOW_MINUTES}` };
+    }
+
+    return { minutes };
+}
+
+export default {
+    name: 'timeWindow',
+
+    async verify({ session, now }) {
+        if (!session.checkInWindowMinutes) {
+            return { passed: true };
+        }
+
+        const opensAt = new Date(session.createdAt);
+        const closesAt = new Date(opensAt.getTime() + session.checkInWindowMinutes * 60000);
+        const details = { opensAt: opensAt.toISOString(), closesAt: closesAt.toISOString() };
+
+        if (now <= closesAt) {
+            return { passed: true, details };
+        }
+
+        return {
+            passed: false,
+            httpStatus: 400,
+            code: TIME_WINDOW_ERRORS.CLOSED,
+            message: `Check-in closed ${session.checkInWindowMinutes} minutes after the session started`,
+            details
+        };
+    }
+};
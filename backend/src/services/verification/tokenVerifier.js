@@ -0,0 +1,45 @@
+/**
+ * Rotating Token Verifier
+ * 
+ * The scanned code must be recent (issuedAt within the rotation window) and
+ * carry the session's current rotating token, so screenshots shared with
+ * friends outside the room stop working (see qrTokenService).
+ */
+
+import { getSessionSecret } from '../../repositories/sessionsRepository.js';
+import {
+    QR_ERRORS,
+    DEFAULT_ROTATION_SECONDS,
+    verifyRotatingToken,
+    isQrPayloadStale
+} from '../qrTokenService.js';
+
+export default {
+    name: 'token',
+
+    async verify({ session, token, issuedAt }) {
+        const rotationSeconds = session.qrRotationSeconds || DEFAULT_ROTATION_SECONDS;
+
+        if (isQrPayloadStale(issuedAt, rotationSeconds)) {
+            return {
+                passed: false,
+                httpStatus: 400,
+                code: QR_ERRORS.STALE,
+                message: 'QR code is too old - scan the code currently shown on screen'
+            };
+        }
+
+        const sessionSecret = await getSessionSecret(session.sessionId);
+
+        if (!sessionSecret || !verifyRotatingToken(sessionSecret.secret, session.sessionId, token, rotationSeconds)) {
+            return {
+                passed: false,
+                httpStatus: 400,
+                code: QR_ERRORS.TOKEN_EXPIRED,
+                message: 'QR code has expired - scan the code currently shown on screen'
+            };
+        }
+
+        return { passed: true };
+    }
+};
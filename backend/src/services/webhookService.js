@@ -0,0 +1,530 @@
+/**
+ * Webhook Service - Outgoing Attendance Events
+ * 
+ * GREEN CODING:
+ * - Pushed once when something happens; other systems don't have to poll
+ * - The request only stores the deliveries; sending happens after the response
+ * - Retries back off exponentially (30 s, 1, 2, 4 and 8 minutes) and stop
+ * - No polling: a failed attempt sets a timer for its own retry
+ * 
+ * VIVA EXPLANATION:
+ * Admins register endpoint URLs (a department dashboard, a Slack bot) for
+ * the events they want:
+ * - session.created, session.closed
+ * - attendance.marked: a student checked in
+ * - attendance.rejected: a check-in was turned away, or a flagged one was
+ *   rejected by the teacher
+ * Every event is POSTed as JSON { id, type, createdAt, data } to each
+ * subscribed endpoint of the institution. The body is signed with the
+ * endpoint's secret:
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ * with the timestamp sent in X-Webhook-Timestamp, so a receiver can check
+ * the event came from us and is not an old one being replayed.
+ * Any 2xx answer is a success; anything else (or no answer within 10 s) is
+ * retried later, up to 6 attempts. Every attempt is kept in the delivery log.
+ * Delivery is "at least once": receivers should ignore an event id they have
+ * already seen.
+ * 
+ * The URL is typed by an admin, but the request comes from inside our own
+ * network. Its host is therefore resolved at registration and again before
+ * every attempt, and private or reserved addresses (localhost, the LAN, the
+ * cloud metadata service at 169.254.169.254) are refused unless they are in
+ * WEBHOOK_ALLOWED_NETWORKS.
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { lookup } from 'dns/promises';
+import net from 'net';
+import dotenv from 'dotenv';
+import { normalizeIp, parseCidrList } from './presenceService.js';
+import {
+    getWebhook,
+    listSubscribedWebhooks,
+    createDeliveries,
+    getDelivery,
+    updateDelivery,
+    listDueDeliveries,
+    listPendingDeliveries
+} from '../repositories/webhooksRepository.js';
+
+export const WEBHOOK_EVENTS = {
+    SESSION_CREATED: 'session.created',
+    SESSION_CLOSED: 'session.closed',
+    ATTENDANCE_MARKED: 'attendance.marked',
+    ATTENDANCE_REJECTED: 'attendance.rejected'
+};
+
+export const DELIVERY_STATUSES = {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+export const WEBHOOK_HEADERS = {
+    EVENT: 'X-Webhook-Event',
+    ID: 'X-Webhook-Id',
+    TIMESTAMP: 'X-Webhook-Timestamp',
+    SIGNATURE: 'X-Webhook-Signature'
+};
+
+export const MAX_DELIVERY_ATTEMPTS = 6;
+export const RETRY_BASE_DELAY_MS = 30 * 1000;
+export const DELIVERY_TIMEOUT_MS = 10 * 1000;
+export const MAX_WEBHOOK_DESCRIPTION_LENGTH = 200;
+
+// Attempts kept in a delivery's log, and how much of a response body
+const MAX_ATTEMPT_LOG = 20;
+const MAX_RESPONSE_EXCERPT = 500;
+
+dotenv.config();
+
+// Addresses a webhook may not point at: this host, private networks,
+// link-local (cloud metadata), carrier NAT, documentation, multicast and reserved
+const RESERVED_NETWORKS = parseCidrList([
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+    '172.16.0.0/12', '192.0.0.0/24', '192.0.2.0/24', '192.168.0.0/16', '198.18.0.0/15',
+    '198.51.100.0/24', '203.0.113.0/24', '224.0.0.0/4', '240.0.0.0/4',
+    '::/128', '::1/128', '64:ff9b::/96', '100::/64', '2001:db8::/32', 'fc00::/7',
+    'fe80::/10', 'ff00::/8'
+].join(','), 'reserved networks');
+
+// Parsed once at startup, like CAMPUS_NETWORKS
+const allowedNetworks = parseCidrList(process.env.WEBHOOK_ALLOWED_NETWORKS, 'WEBHOOK_ALLOWED_NETWORKS');
+
+function inRanges(ranges, ip) {
+    const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+    return ranges.some(({ blockList }) => blockList.check(ip, type));
+}
+
+/**
+ * Whether a webhook may be sent to an address
+ * Public addresses are; private and reserved ones only when allowed.
+ */
+export function isAllowedWebhookAddress(address) {
+    const ip = normalizeIp(address);
+    if (!ip) return false;
+
+    return inRanges(allowedNetworks, ip) || !inRanges(RESERVED_NETWORKS, ip);
+}
+
+/**
+ * Resolve a webhook URL's host and check every address it resolves to
+ * (one allowed address among private ones would not be enough: the request
+ * may use any of them).
+ * 
+ * @returns {{addresses: string[]}|{error: string}}
+ */
+export async function checkWebhookUrl(url) {
+    const { hostname } = new URL(url);
+    let addresses;
+
+    try {
+        addresses = (await lookup(hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true }))
+            .map(({ address }) => address);
+    } catch {
+        return { error: `The host ${hostname} could not be resolved` };
+    }
+
+    const refused = addresses.find((address) => !isAllowedWebhookAddress(address));
+    if (refused) {
+        return { error: `The host ${hostname} resolves to ${refused}, a private or reserved address - webhooks can only be sent to public addresses (see WEBHOOK_ALLOWED_NETWORKS)` };
+    }
+
+    return { addresses };
+}
+
+/**
+ * Validate a webhook sent by an admin
+ * Only the fields being changed need to be sent when `current` is given.
+ * 
+ * @param {Object} input - { url, events, description, enabled }
+ * @param {Object} [current] - The stored webhook when updating
+ * @returns {{webhook: Object}|{error: string}} The validated fields
+ */
+export function normalizeWebhook(input, current = null) {
+    const { url, events, description, enabled } = input || {};
+    const webhook = {};
+
+    if (url !== undefined || !current) {
+        let parsed;
+        try {
+            parsed = new URL(String(url ?? ''));
+        } catch {
+            return { error: 'url must be an absolute http(s) URL' };
+        }
+
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return { error: 'url must be an absolute http(s) URL' };
+        }
+        if (parsed.username || parsed.password) {
+            return { error: 'url must not contain credentials - verify the signature instead' };
+        }
+
+        webhook.url = parsed.toString();
+    }
+
+    if (events !== undefined || !current) {
+        const known = Object.values(WEBHOOK_EVENTS);
+
+        if (!Array.isArray(events) || events.length === 0) {
+            return { error: `events must be a list of one or more of: ${known.join(', ')}` };
+        }
+
+        const unknown = events.find((event) => !known.includes(event));
+        if (unknown) {
+            return { error: `Unknown event "${unknown}" - use ${known.join(', ')}` };
+        }
+
+        webhook.events = [...new Set(events)];
+    }
+
+    if (description !== undefined) {
+        const text = String(description ?? '').trim();
+
+        if (text.length > MAX_WEBHOOK_DESCRIPTION_LENGTH) {
+            return { error: `description must be at most ${MAX_WEBHOOK_DESCRIPTION_LENGTH} characters` };
+        }
+
+        webhook.description = text;
+    }
+
+    if (enabled !== undefined) {
+        if (typeof enabled !== 'boolean') {
+            return { error: 'enabled must be true or false' };
+        }
+
+        webhook.enabled = enabled;
+    }
+
+    return { webhook };
+}
+
+/**
+ * A new signing secret (shown to the admin once, when the webhook is created)
+ */
+export function generateWebhookSecret() {
+    return `whsec_${randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * A webhook as shown in lists: the secret is replaced by its last characters
+ */
+export function publicWebhook({ secret, ...webhook }) {
+    return { ...webhook, secretHint: `…${secret.slice(-4)}` };
+}
+
+/**
+ * Signature of a delivery: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`) in hex
+ */
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a received delivery (what a receiver does; also used by the tests)
+ * 
+ * @param {number} toleranceSeconds - How old the timestamp may be
+ */
+export function verifyWebhookSignature(secret, timestamp, body, signature, toleranceSeconds = 300, now = new Date()) {
+    if (Math.abs(now.getTime() / 1000 - Number(timestamp)) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature ?? ''));
+
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * Wait before attempt `attempts + 1`: 30 s after the first failure, then doubling
+ */
+export function retryDelayMs(attempts) {
+    return RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+}
+
+/**
+ * What a delivery looks like after an attempt
+ * 
+ * @param {Object} delivery - The stored delivery
+ * @param {Object} outcome - { ok, statusCode, error, durationMs, response }
+ * @returns The update to store
+ */
+export function planAttemptResult(delivery, outcome, now = new Date()) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const at = now.toISOString();
+    const attempt = {
+        at,
+        statusCode: outcome.statusCode ?? null,
+        error: outcome.error || null,
+        durationMs: outcome.durationMs,
+        response: outcome.response ?? null
+    };
+    const update = {
+        attempts,
+        lastAttempt: attempt,
+        attemptLog: [...(delivery.attemptLog || []), attempt].slice(-MAX_ATTEMPT_LOG),
+        updatedAt: at
+    };
+
+    if (outcome.ok) {
+        return { ...update, status: DELIVERY_STATUSES.SUCCEEDED, nextAttemptAt: null, completedAt: at };
+    }
+
+    if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+        return { ...update, status: DELIVERY_STATUSES.FAILED, nextAttemptAt: null, completedAt: at };
+    }
+
+    return {
+        ...update,
+        status: DELIVERY_STATUSES.PENDING,
+        nextAttemptAt: new Date(now.getTime() + retryDelayMs(attempts)).toISOString()
+    };
+}
+
+/**
+ * POST a delivery's body to the webhook's URL
+ * @returns {{ok: boolean, statusCode: number|null, error: string|null, durationMs: number, response: string|null}}
+ */
+export async function sendDelivery(delivery, webhook, now = new Date()) {
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const started = Date.now();
+
+    // Checked on every attempt: the name may resolve elsewhere since it was registered
+    const { error: addressError } = await checkWebhookUrl(webhook.url);
+    if (addressError) {
+        return { ok: false, statusCode: null, error: addressError, durationMs: Date.now() - started, response: null };
+    }
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'SmartAttendance-Webhooks/1.0',
+                [WEBHOOK_HEADERS.EVENT]: delivery.event,
+                [WEBHOOK_HEADERS.ID]: delivery.eventId,
+                [WEBHOOK_HEADERS.TIMESTAMP]: String(timestamp),
+                [WEBHOOK_HEADERS.SIGNATURE]: signPayload(webhook.secret, timestamp, delivery.payload)
+            },
+            body: delivery.payload,
+            // A redirect is reported, not followed: the signed body is for this URL
+            redirect: 'manual',
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+        const text = await response.text().catch(() => '');
+
+        return {
+            ok: response.ok,
+            statusCode: response.status,
+            error: response.ok ? null : `HTTP ${response.status}`,
+            durationMs: Date.now() - started,
+            response: text.slice(0, MAX_RESPONSE_EXCERPT) || null
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            statusCode: null,
+            error: error.name === 'TimeoutError' ? `No response within ${DELIVERY_TIMEOUT_MS / 1000} s` : (error.cause?.message || error.message),
+            durationMs: Date.now() - started,
+            response: null
+        };
+    }
+}
+
+/**
+ * Make one attempt at a delivery and store the outcome
+ * The webhook is read again, so a changed URL or secret applies to retries
+ * and a deleted or disabled webhook stops them.
+ * 
+ * @returns The delivery after the attempt
+ */
+export async function attemptDelivery(delivery, now = new Date()) {
+    const webhook = await getWebhook(delivery.webhookId);
+
+    if (!webhook || !webhook.enabled) {
+        const update = {
+            status: DELIVERY_STATUSES.FAILED,
+            nextAttemptAt: null,
+            lastAttempt: { at: now.toISOString(), statusCode: null, error: webhook ? 'Webhook disabled' : 'Webhook deleted', durationMs: 0, response: null },
+            completedAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+        await updateDelivery(delivery.id, update);
+        return { ...delivery, ...update };
+    }
+
+    // Claimed until the attempt is over, so a retry timer doesn't send it twice
+    await updateDelivery(delivery.id, { nextAttemptAt: new Date(now.getTime() + 2 * DELIVERY_TIMEOUT_MS).toISOString() });
+
+    const outcome = await sendDelivery(delivery, webhook, now);
+    const update = planAttemptResult(delivery, outcome, new Date(now.getTime() + outcome.durationMs));
+
+    await updateDelivery(delivery.id, update);
+
+    if (update.status === DELIVERY_STATUSES.PENDING) {
+        scheduleRetry({ id: delivery.id, nextAttemptAt: update.nextAttemptAt });
+    }
+
+    return { ...delivery, ...update };
+}
+
+/**
+ * Send deliveries one after the other; a failure is logged, not thrown
+ */
+async function dispatch(deliveries, now) {
+    for (const delivery of deliveries) {
+        try {
+            await attemptDelivery(delivery, now);
+        } catch (error) {
+            console.error(`Error delivering webhook ${delivery.id}:`, error);
+        }
+    }
+}
+
+/**
+ * Send an event to every enabled webhook of the institution subscribed to it
+ * Only the delivery log is written before this returns; the first attempts
+ * are made in the background and a failure schedules its retry.
+ * 
+ * @param {string} institutionId - Whose webhooks receive it
+ * @param {string} event - A WEBHOOK_EVENTS value
+ * @param {Object} data - The event's `data`
+ * @returns {{eventId: string, deliveries: Array, sent: Promise}} `sent` settles
+ *          when the first attempts are over
+ */
+export async function emitWebhookEvent(institutionId, event, data, now = new Date()) {
+    const eventId = `evt_${randomUUID().replace(/-/g, '')}`;
+    const webhooks = await listSubscribedWebhooks(institutionId, event);
+
+    if (webhooks.length === 0) {
+        return { eventId, deliveries: [], sent: Promise.resolve() };
+    }
+
+    const createdAt = now.toISOString();
+    const payload = JSON.stringify({ id: eventId, type: event, createdAt, data });
+
+    const deliveries = await createDeliveries(webhooks.map((webhook) => ({
+        eventId,
+        webhookId: webhook.id,
+        institutionId,
+        event,
+        payload,
+        status: DELIVERY_STATUSES.PENDING,
+        attempts: 0,
+        attemptLog: [],
+        lastAttempt: null,
+        nextAttemptAt: createdAt,
+        createdAt,
+        updatedAt: createdAt,
+        completedAt: null
+    })));
+
+    return { eventId, deliveries, sent: dispatch(deliveries, now) };
+}
+
+/**
+ * Retry every delivery that is due
+ * @returns {number} Number of deliveries attempted
+ */
+export async function dispatchDueDeliveries(now = new Date()) {
+    const due = await listDueDeliveries(now.toISOString());
+    await dispatch(due, now);
+    return due.length;
+}
+
+/**
+ * Make a delivery's next attempt when its retry is due
+ * The timer only holds the id: the delivery is read again when it fires, so
+ * one that was sent by hand or finished in the meantime is left alone.
+ */
+export function scheduleRetry(delivery) {
+    const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+
+    const timer = setTimeout(async () => {
+        try {
+            const current = await getDelivery(delivery.id);
+
+            if (current?.status === DELIVERY_STATUSES.PENDING && current.nextAttemptAt <= new Date().toISOString()) {
+                await attemptDelivery(current);
+            }
+        } catch (error) {
+            console.error(`Error retrying webhook delivery ${delivery.id}:`, error);
+        }
+    }, delay);
+
+    // A waiting retry must not keep the process alive on shutdown
+    timer.unref();
+}
+
+/**
+ * Schedule the retries that were waiting when the server stopped (run once at startup)
+ * @returns {number} Number of deliveries scheduled
+ */
+export async function resumeWebhookRetries() {
+    const pending = await listPendingDeliveries();
+    pending.forEach(scheduleRetry);
+    return pending.length;
+}
+
+/**
+ * `data` of session events
+ */
+export function sessionEventData(session, state) {
+    return {
+        sessionId: session.sessionId,
+        courseId: session.courseId || null,
+        courseCode: session.courseCode || null,
+        courseName: session.courseName || null,
+        teacherId: session.teacherId,
+        teacherEmail: session.teacherEmail || null,
+        roomId: session.roomId || null,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        state
+    };
+}
+
+/**
+ * `data` of attendance events
+ */
+export function attendanceEventData(record) {
+    return {
+        sessionId: record.sessionId,
+        courseId: record.courseId || null,
+        courseName: record.courseName || null,
+        studentId: record.studentId,
+        studentEmail: record.studentEmail || null,
+        status: record.status,
+        source: record.source || null,
+        markedAt: record.markedAt || null,
+        anomalies: (record.anomalies || []).map(({ code }) => code)
+    };
+}
+
+export default {
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES,
+    WEBHOOK_HEADERS,
+    MAX_DELIVERY_ATTEMPTS,
+    RETRY_BASE_DELAY_MS,
+    DELIVERY_TIMEOUT_MS,
+    MAX_WEBHOOK_DESCRIPTION_LENGTH,
+    normalizeWebhook,
+    isAllowedWebhookAddress,
+    checkWebhookUrl,
+    generateWebhookSecret,
+    publicWebhook,
+    signPayload,
+    verifyWebhookSignature,
+    retryDelayMs,
+    planAttemptResult,
+    sendDelivery,
+    attemptDelivery,
+    emitWebhookEvent,
+    dispatchDueDeliveries,
+    scheduleRetry,
+    resumeWebhookRetries,
+    sessionEventData,
+    attendanceEventData
+};
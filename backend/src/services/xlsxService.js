@@ -0,0 +1,274 @@
+/**
+ * XLSX Service - Streaming Excel Workbooks
+ * 
+ * GREEN CODING:
+ * - No spreadsheet library: a workbook is a ZIP of a few XML files
+ * - Rows are compressed and sent as they are written; the file is never held in memory
+ * 
+ * VIVA EXPLANATION:
+ * An .xlsx file is a ZIP archive. Besides a few fixed parts (content types,
+ * workbook, styles), the data lives in xl/worksheets/sheet1.xml, one <row>
+ * per line with the text written inline (no shared string table, which would
+ * need every string up front).
+ * 
+ * A ZIP entry normally starts with its size and checksum, which we only know
+ * at the end. The format allows a "data descriptor" instead: the entry header
+ * says "sizes follow the data", we stream the deflated XML, and then write the
+ * CRC-32 and sizes. The central directory at the end lists every entry.
+ */
+
+import zlib from 'zlib';
+import { neutralizeFormula } from './csvService.js';
+import { waitForEvent, ensureWritable, writeChunk } from '../utils/streams.js';
+
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// ZIP flags: sizes in a data descriptor after the data (bit 3), UTF-8 names (bit 11)
+const ZIP_FLAGS = 0x0808;
+const ZIP_DEFLATE = 8;
+const ZIP_VERSION = 20;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+    let c = crc ^ 0xFFFFFFFF;
+    for (const byte of buffer) {
+        c = CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time, as stored in ZIP headers
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function cellXml(value, ref, style) {
+    const styleAttr = style ? ` s="${style}"` : '';
+
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(neutralizeFormula(String(value)))}</t></is></c>`;
+}
+
+function fixedParts(sheetName) {
+    return {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+            '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>',
+        // Style 1 is the bold header row
+        'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+            '</styleSheet>'
+    };
+}
+
+/**
+ * Stream a one-sheet workbook to a writable stream (e.g. an HTTP response)
+ * 
+ * @param {Writable} output - Where the file is written; ended by end()
+ * @param {Object} [options] - { sheetName }
+ * @returns {{writeRow: Function, end: Function}} The first row written is styled as the header.
+ *          Both return promises that wait for the output when it is busy, and
+ *          reject once the output has closed (the client went away).
+ */
+export function createXlsxWriter(output, { sheetName } = {}) {
+    // Excel rejects sheet names over 31 characters or containing []:*?/\
+    const safeSheetName = String(sheetName || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet1';
+    const modified = dosDateTime(new Date());
+    const entries = [];
+    let offset = 0;
+    let rowCount = 0;
+    let sheet = null;
+
+    async function writeOut(buffer) {
+        offset += buffer.length;
+        await writeChunk(output, buffer);
+    }
+
+    function localHeader(nameBuffer) {
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(ZIP_VERSION, 4);
+        header.writeUInt16LE(ZIP_FLAGS, 6);
+        header.writeUInt16LE(ZIP_DEFLATE, 8);
+        header.writeUInt16LE(modified.time, 10);
+        header.writeUInt16LE(modified.date, 12);
+        // CRC and sizes (bytes 14-25) are zero: they follow in the data descriptor
+        header.writeUInt16LE(nameBuffer.length, 26);
+        return Buffer.concat([header, nameBuffer]);
+    }
+
+    function dataDescriptor({ crc, compressedSize, size }) {
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(size, 12);
+        return descriptor;
+    }
+
+    async function startEntry(name) {
+        const entry = { name: Buffer.from(name), offset, crc: 0, size: 0, compressedSize: 0 };
+        entries.push(entry);
+        await writeOut(localHeader(entry.name));
+        return entry;
+    }
+
+    async function addSmallEntry(name, content) {
+        const entry = await startEntry(name);
+        const data = Buffer.from(content);
+        const compressed = zlib.deflateRawSync(data);
+
+        Object.assign(entry, { crc: crc32(data), size: data.length, compressedSize: compressed.length });
+        await writeOut(compressed);
+        await writeOut(dataDescriptor(entry));
+    }
+
+    // The worksheet entry: XML goes through a deflate stream straight to the output
+    async function startSheet() {
+        for (const [name, content] of Object.entries(fixedParts(safeSheetName))) {
+            await addSmallEntry(name, content);
+        }
+
+        const entry = await startEntry('xl/worksheets/sheet1.xml');
+        const deflate = zlib.createDeflateRaw();
+
+        deflate.on('data', (chunk) => {
+            entry.compressedSize += chunk.length;
+            offset += chunk.length;
+            if (!output.write(chunk)) {
+                deflate.pause();
+                // A closed output never drains: stop compressing (the next write fails)
+                waitForEvent(output, 'drain').then(() => deflate.resume(), () => deflate.destroy());
+            }
+        });
+
+        sheet = { entry, deflate };
+        await writeXml('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+    }
+
+    async function writeXml(xml) {
+        const data = Buffer.from(xml);
+        sheet.entry.crc = crc32(data, sheet.entry.crc);
+        sheet.entry.size += data.length;
+        await writeChunk(sheet.deflate, data);
+    }
+
+    async function writeCentralDirectory() {
+        const start = offset;
+
+        for (const entry of entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(ZIP_VERSION, 4);
+            header.writeUInt16LE(ZIP_VERSION, 6);
+            header.writeUInt16LE(ZIP_FLAGS, 8);
+            header.writeUInt16LE(ZIP_DEFLATE, 10);
+            header.writeUInt16LE(modified.time, 12);
+            header.writeUInt16LE(modified.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            await writeOut(Buffer.concat([header, entry.name]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await writeOut(end);
+    }
+
+    return {
+        async writeRow(cells) {
+            ensureWritable(output);
+            if (!sheet) await startSheet();
+
+            rowCount++;
+            const style = rowCount === 1 ? 1 : 0;
+            const xml = cells.map((value, index) => cellXml(value, `${columnName(index)}${rowCount}`, style)).join('');
+            await writeXml(`<row r="${rowCount}">${xml}</row>`);
+        },
+
+        async end() {
+            if (!sheet) await startSheet();
+
+            await writeXml('</sheetData></worksheet>');
+            const finished = waitForEvent(sheet.deflate, 'end');
+            sheet.deflate.end();
+            await finished;
+
+            await writeOut(dataDescriptor(sheet.entry));
+            await writeCentralDirectory();
+            output.end();
+        }
+    };
+}
+
+export default {
+    XLSX_CONTENT_TYPE,
+    createXlsxWriter
+};
@@ -0,0 +1,40 @@
+/**
+ * Date Range Helpers
+ * 
+ * PURPOSE:
+ * Validate the optional `from` / `to` query parameters of exports and analytics
+ * 
+ * VIVA EXPLANATION:
+ * Teachers usually pick whole days ("2026-07-01" to "2026-11-30"), so a bare
+ * date covers the whole day (UTC): `from` starts at midnight and `to` ends
+ * just before the next midnight. Full ISO times are used as given.
+ */
+
+/**
+ * @param {Object} query - { from, to } (either may be missing)
+ * @returns {{from: string|undefined, to: string|undefined}|{error: string}} ISO times
+ */
+export function normalizeDateRange({ from, to }) {
+    const range = {};
+
+    for (const [name, value, endOfDay] of [['from', from, false], ['to', to, true]]) {
+        if (value === undefined || value === '') continue;
+
+        const text = String(value);
+        const isDate = /^\d{4}-\d{2}-\d{2}$/.test(text);
+        const time = new Date(isDate ? `${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : text);
+
+        if (Number.isNaN(time.getTime())) {
+            return { error: `${name} must be a date (YYYY-MM-DD) or ISO time` };
+        }
+        range[name] = time.toISOString();
+    }
+
+    if (range.from && range.to && range.from > range.to) {
+        return { error: 'to must not be before from' };
+    }
+
+    return range;
+}
+
+export default normalizeDateRange;
@@ -0,0 +1,79 @@
+/**
+ * Local Authentication Tokens
+ * 
+ * PURPOSE:
+ * Stand-in for Firebase ID tokens when running without Firebase
+ * (AUTH_PROVIDER=local), e.g. local development and the test suite
+ * 
+ * GREEN CODING:
+ * - Pure HMAC signing with Node's crypto module, no external services
+ * 
+ * VIVA EXPLANATION:
+ * Tokens are standard HS256 JWTs signed with LOCAL_AUTH_SECRET and carry the
+ * same claims the middleware reads from a Firebase ID token (uid, email,
+ * email_verified).
+ * They are refused in production so they can never replace real Firebase auth.
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+function getSecret() {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('Local authentication tokens are disabled in production');
+    }
+    if (!process.env.LOCAL_AUTH_SECRET) {
+        throw new Error('LOCAL_AUTH_SECRET must be set when AUTH_PROVIDER=local');
+    }
+    return process.env.LOCAL_AUTH_SECRET;
+}
+
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(unsigned) {
+    return crypto.createHmac('sha256', getSecret()).update(unsigned).digest('base64url');
+}
+
+/**
+ * Issue a local token
+ * @param {object} claims - { uid, email, emailVerified (default true) }
+ */
+export function signLocalToken({ uid, email, emailVerified = true }, ttlSeconds = DEFAULT_TTL_SECONDS) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { uid, email, email_verified: emailVerified, iat: now, exp: now + ttlSeconds };
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+    return `${unsigned}.${sign(unsigned)}`;
+}
+
+/**
+ * Verify a local token (same contract as auth.verifyIdToken)
+ * @returns Decoded claims; throws when invalid or expired
+ */
+export async function verifyLocalToken(token) {
+    const [header, payload, signature] = String(token).split('.');
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const received = Buffer.from(signature || '');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid local token signature');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+    if (!claims.uid || claims.exp < Math.floor(Date.now() / 1000)) {
+        throw new Error('Local token expired or missing uid');
+    }
+
+    return claims;
+}
+
+export default {
+    signLocalToken,
+    verifyLocalToken
+};
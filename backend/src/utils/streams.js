@@ -0,0 +1,81 @@
+/**
+ * Stream Helpers
+ *
+ * PURPOSE:
+ * Write file exports to an HTTP response a piece at a time without waiting
+ * forever for a client that has gone away
+ *
+ * VIVA EXPLANATION:
+ * write() returns false when the response's buffer is full, and the writer
+ * waits for 'drain' before writing more (backpressure). When the client
+ * disconnects the response is closed instead and 'drain' never comes, so
+ * every wait also ends on 'close' or 'error', with an error that stops the
+ * export.
+ */
+
+export const STREAM_ERRORS = {
+    CLOSED: 'STREAM_CLOSED'
+};
+
+function closedError() {
+    const error = new Error('The download was cancelled - the connection closed');
+    error.code = STREAM_ERRORS.CLOSED;
+    return error;
+}
+
+/**
+ * Wait for an event of a stream, failing when it closes or errors first
+ * @throws An error with code STREAM_ERRORS.CLOSED when the stream closed
+ */
+export function waitForEvent(stream, event) {
+    if (stream.destroyed) {
+        return Promise.reject(closedError());
+    }
+
+    return new Promise((resolve, reject) => {
+        function settle(error) {
+            stream.off(event, onEvent);
+            stream.off('close', onClose);
+            stream.off('error', onError);
+
+            if (error) reject(error);
+            else resolve();
+        }
+
+        const onEvent = () => settle();
+        const onClose = () => settle(closedError());
+        const onError = (error) => settle(error);
+
+        stream.on(event, onEvent);
+        stream.on('close', onClose);
+        stream.on('error', onError);
+    });
+}
+
+/**
+ * @throws An error with code STREAM_ERRORS.CLOSED when the stream can no longer be written
+ */
+export function ensureWritable(stream) {
+    if (stream.destroyed || stream.writableEnded) {
+        throw closedError();
+    }
+}
+
+/**
+ * Write a chunk, waiting for 'drain' when the stream's buffer is full
+ * @throws An error with code STREAM_ERRORS.CLOSED when the stream is (or gets) closed
+ */
+export async function writeChunk(stream, chunk) {
+    ensureWritable(stream);
+
+    if (!stream.write(chunk)) {
+        await waitForEvent(stream, 'drain');
+    }
+}
+
+export default {
+    STREAM_ERRORS,
+    waitForEvent,
+    ensureWritable,
+    writeChunk
+};
@@ -0,0 +1,94 @@
+/**
+ * Time Zone Helpers
+ * 
+ * PURPOSE:
+ * Convert between UTC instants and wall-clock time in an IANA time zone
+ * (e.g. "Asia/Kolkata") for the class timetable
+ * 
+ * GREEN CODING:
+ * - Uses the Intl API built into Node.js (no time zone library to install)
+ * 
+ * VIVA EXPLANATION:
+ * A timetable says "Monday 09:00 in Asia/Kolkata". The server runs in UTC,
+ * so we ask Intl what the local date and time is in that zone, and convert
+ * a local date + time back to a UTC instant (handling daylight saving shifts).
+ */
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Check that a string is a time zone name Intl understands
+ */
+export function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {{date: string, weekday: number, hour: number, minute: number, second: number}}
+ *          date as YYYY-MM-DD, weekday 0 (Sunday) to 6 (Saturday)
+ */
+export function getZonedParts(instant, timeZone) {
+    const parts = Object.fromEntries(
+        getFormatter(timeZone).formatToParts(instant).map(({ type, value }) => [type, value])
+    );
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+
+    return {
+        date,
+        weekday: new Date(`${date}T00:00:00Z`).getUTCDay(),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second)
+    };
+}
+
+/**
+ * UTC instant of a local date (YYYY-MM-DD) and time (HH:MM) in a time zone
+ */
+export function zonedTimeToUtc(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Offset of the zone at a given instant, in milliseconds
+    const offsetAt = (instant) => {
+        const local = getZonedParts(new Date(instant), timeZone);
+        const [y, m, d] = local.date.split('-').map(Number);
+        return Date.UTC(y, m - 1, d, local.hour, local.minute, local.second) - instant;
+    };
+
+    // Two passes so times just after a daylight saving change use the right offset
+    let instant = wallClock - offsetAt(wallClock);
+    instant = wallClock - offsetAt(instant);
+
+    return new Date(instant);
+}
+
+export default {
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToUtc
+};
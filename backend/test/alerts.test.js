@@ -0,0 +1,337 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { once } from 'events';
+import { startServer, createUser, resetStore, store, sentMail } from './helpers.js';
+import { runAlertChecks, normalizeAlertRules, alertChecksSettled, DEFAULT_ALERT_RULES } from '../src/services/alertService.js';
+import { createSmtpTransport, dotStuff } from '../src/services/mail/smtpTransport.js';
+import { getMailTransport } from '../src/services/mail/index.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.97163, longitude: 77.59464 };
+
+/**
+ * A tiny SMTP server that accepts everything and keeps the conversation
+ * (stands in for a mail catcher such as Mailpit)
+ */
+async function startMailCatcher() {
+    const messages = [];
+    const commands = [];
+
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let data = null;
+
+        socket.write('220 catcher ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString();
+
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push(data.join('\r\n'));
+                        data = null;
+                        socket.write('250 Queued\r\n');
+                    } else {
+                        data.push(line);
+                    }
+                    continue;
+                }
+
+                commands.push(line);
+                if (line.startsWith('EHLO')) socket.write('250-catcher\r\n250-8BITMIME\r\n250 AUTH PLAIN\r\n');
+                else if (line === 'DATA') { data = []; socket.write('354 Go ahead\r\n'); }
+                else if (line === 'QUIT') socket.end('221 Bye\r\n');
+                else if (line.startsWith('AUTH')) socket.write('235 Authenticated\r\n');
+                else if (line.startsWith('RCPT TO:<nobody@')) socket.write('550 No such user\r\n');
+                else socket.write('250 OK\r\n');
+            }
+        });
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    return { port: server.address().port, messages, commands, close: () => server.close() };
+}
+
+describe('low-attendance alerts', () => {
+    let api;
+    let teacher;
+    let student;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        student = await createUser({ uid: 'student-1', role: 'student', name: 'Asha Rao' });
+        await createUser({ uid: 'student-2', role: 'student', name: 'Ben Lee' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1', 'student-2'] }
+        });
+    });
+
+    function setRules(alertRules) {
+        return api.request('PATCH', `/courses/${courseId}`, { user: teacher, body: { alertRules } });
+    }
+
+    async function createSession() {
+        const { body } = await api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: { courseId, location: CLASSROOM, expiresAt: new Date(Date.now() + 15 * 60000).toISOString() }
+        });
+        return body.sessionId;
+    }
+
+    async function mark(sessionId) {
+        const qr = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+        return api.request('POST', '/attendance/mark', {
+            user: student,
+            body: { qrData: qr.body.qrData, location: INSIDE },
+            headers: { 'X-Device-Id': student.deviceId }
+        });
+    }
+
+    // Alerts are checked after the response: wait for the check too
+    async function close(sessionId) {
+        const response = await api.request('PATCH', `/attendance/session/${sessionId}`, { user: teacher, body: { action: 'close' } });
+        await alertChecksSettled();
+        return response;
+    }
+
+    describe('rules', () => {
+        it('uses the defaults until the teacher changes them', async () => {
+            const { body } = await api.request('GET', `/courses/${courseId}/alerts`, { user: teacher });
+            assert.deepEqual(body.rules, DEFAULT_ALERT_RULES);
+
+            const { status } = await setRules({ warning: 80 });
+            assert.equal(status, 200);
+
+            const after = await api.request('GET', `/courses/${courseId}/alerts`, { user: teacher });
+            assert.deepEqual(after.body.rules, { ...DEFAULT_ALERT_RULES, warning: 80 });
+        });
+
+        it('rejects invalid rules', async () => {
+            assert.equal((await setRules({ critical: 90 })).status, 400);
+            assert.equal((await setRules({ warning: 120 })).status, 400);
+            assert.equal((await setRules({ minSessions: 0 })).status, 400);
+            assert.equal((await setRules({ sms: true })).status, 400);
+            assert.equal((await setRules('75')).status, 400);
+        });
+
+        it('keeps the fields not being changed', () => {
+            const { rules } = normalizeAlertRules({ enabled: false }, { ...DEFAULT_ALERT_RULES, warning: 80 });
+            assert.deepEqual(rules, { enabled: false, warning: 80, critical: 65, minSessions: 3 });
+        });
+    });
+
+    describe('checks', () => {
+        it('emails the student and the teacher when a closed session drops a student below a threshold', async () => {
+            await setRules({ minSessions: 1 });
+
+            const sessionId = await createSession();
+            await mark(sessionId);
+            assert.equal(sentMail.length, 0);
+
+            await close(sessionId);
+
+            // student-2 missed the only session: 0% is critical
+            assert.equal(sentMail.length, 2);
+            const toStudent = sentMail.find(({ to }) => to.includes('student-2@test.edu'));
+            assert.match(toStudent.subject, /^\[CS101\] Attendance critical: 0%$/);
+            assert.match(toStudent.text, /0 of 1 sessions/);
+
+            const toTeacher = sentMail.find(({ to }) => to.includes('teacher-1@test.edu'));
+            assert.match(toTeacher.text, /Ben Lee: 0% \(critical\)/);
+            assert.doesNotMatch(toTeacher.text, /Asha Rao/);
+
+            const { body } = await api.request('GET', `/courses/${courseId}/alerts`, { user: teacher });
+            assert.deepEqual(body.flagged.map(({ studentId, level }) => [studentId, level]), [['student-2', 'critical']]);
+            assert.equal(body.log.length, 2);
+            assert.ok(body.log.every(({ status, transport }) => status === 'sent' && transport === 'memory'));
+        });
+
+        it('does not repeat an alert until the level gets worse again', async () => {
+            await setRules({ minSessions: 1 });
+
+            const first = await createSession();
+            await close(first);
+            assert.equal(sentMail.length, 3);
+
+            const second = await createSession();
+            await close(second);
+            assert.equal(sentMail.length, 3);
+
+            const check = await api.request('POST', `/courses/${courseId}/alerts/check`, { user: teacher });
+            assert.equal(check.body.alerts, 0);
+            assert.equal(sentMail.length, 3);
+        });
+
+        it('alerts again after the student recovers and drops', async () => {
+            await setRules({ minSessions: 1, warning: 75, critical: 40 });
+
+            const first = await createSession();
+            await close(first);
+            sentMail.length = 0;
+
+            // student-1 recovers to 100%: saved quietly, no email
+            await api.request('PUT', `/attendance/records/${first}/student-1`, {
+                user: teacher,
+                body: { status: 'present', reason: 'Signed the paper register' }
+            });
+            await alertChecksSettled();
+            assert.equal(sentMail.length, 0);
+
+            const { body } = await api.request('GET', `/courses/${courseId}/alerts`, { user: teacher });
+            assert.deepEqual(body.flagged.map(({ studentId }) => studentId), ['student-2']);
+
+            // student-1: 1 of 2 = 50%, a warning (worse than ok)
+            const second = await createSession();
+            await close(second);
+            assert.ok(sentMail.some(({ to, subject }) => to.includes('student-1@test.edu') && /warning: 50%/.test(subject)));
+        });
+
+        it('answers before the alert emails are sent', async () => {
+            await setRules({ minSessions: 1 });
+            const sessionId = await createSession();
+
+            // A mail server that takes its time
+            const transport = getMailTransport();
+            const { send } = transport;
+            let release;
+            const slow = new Promise((resolve) => { release = resolve; });
+            transport.send = async (message) => {
+                await slow;
+                return send(message);
+            };
+
+            try {
+                const { status } = await api.request('PATCH', `/attendance/session/${sessionId}`, { user: teacher, body: { action: 'close' } });
+                assert.equal(status, 200);
+                assert.equal(sentMail.length, 0);
+
+                release();
+                await alertChecksSettled();
+                assert.equal(sentMail.length, 3);
+            } finally {
+                release();
+                transport.send = send;
+            }
+        });
+
+        it('waits for the minimum number of sessions', async () => {
+            const sessionId = await createSession();
+            await close(sessionId);
+            assert.equal(sentMail.length, 0);
+        });
+
+        it('sends nothing when alerts are switched off', async () => {
+            await setRules({ minSessions: 1, enabled: false });
+            const sessionId = await createSession();
+            await close(sessionId);
+            assert.equal(sentMail.length, 0);
+        });
+
+        it('checks courses whose sessions ended on their own', async () => {
+            await setRules({ minSessions: 1 });
+            const sessionId = await createSession();
+            const expiresAt = new Date(Date.now() - 60000).toISOString();
+            await store.update('sessions', sessionId, { expiresAt });
+
+            const checked = await runAlertChecks(new Date(Date.now() - 5 * 60000));
+            assert.equal(checked, 1);
+            assert.equal(sentMail.length, 3);
+        });
+
+        it('is only for the owning teacher', async () => {
+            const other = await createUser({ uid: 'teacher-2', role: 'teacher' });
+            assert.equal((await api.request('GET', `/courses/${courseId}/alerts`, { user: other })).status, 403);
+            assert.equal((await api.request('POST', `/courses/${courseId}/alerts/check`, { user: student })).status, 403);
+        });
+    });
+
+    describe('SMTP transport', () => {
+        let catcher;
+
+        before(async () => {
+            catcher = await startMailCatcher();
+        });
+
+        after(() => catcher.close());
+
+        beforeEach(() => {
+            catcher.messages.length = 0;
+            catcher.commands.length = 0;
+        });
+
+        it('delivers a message to a mail catcher', async () => {
+            const transport = createSmtpTransport({ host: '127.0.0.1', port: catcher.port, user: 'app', pass: 'secret', allowInsecureAuth: true });
+            const { messageId } = await transport.send({
+                from: 'Smart Attendance <alerts@test.edu>',
+                to: ['student-1@test.edu'],
+                subject: 'Attendance warning: 70%',
+                text: 'Hello\n.\nBye'
+            });
+
+            assert.match(messageId, /^<[0-9a-f]+@test\.edu>$/);
+            assert.deepEqual(catcher.commands.slice(1), [
+                `AUTH PLAIN ${Buffer.from('\0app\0secret').toString('base64')}`,
+                'MAIL FROM:<alerts@test.edu>',
+                'RCPT TO:<student-1@test.edu>',
+                'DATA',
+                'QUIT'
+            ]);
+
+            const [raw] = catcher.messages;
+            const [headers, body] = raw.split('\r\n\r\n');
+            assert.match(headers, /^Subject: Attendance warning: 70%$/m);
+            assert.match(headers, /^To: student-1@test\.edu$/m);
+            assert.equal(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString(), 'Hello\r\n.\r\nBye');
+        });
+
+        it('does not send a password without TLS unless allowed', async () => {
+            const transport = createSmtpTransport({ host: '127.0.0.1', port: catcher.port, user: 'app', pass: 'secret' });
+            await assert.rejects(
+                transport.send({ from: 'alerts@test.edu', to: ['student-1@test.edu'], subject: 'x', text: 'y' }),
+                /no TLS/
+            );
+            assert.ok(catcher.commands.every((line) => !line.startsWith('AUTH')));
+            assert.equal(catcher.messages.length, 0);
+        });
+
+        it('reports a refused recipient', async () => {
+            const transport = createSmtpTransport({ host: '127.0.0.1', port: catcher.port });
+            await assert.rejects(
+                transport.send({ from: 'alerts@test.edu', to: ['nobody@test.edu'], subject: 'x', text: 'y' }),
+                /RCPT TO refused: 550/
+            );
+        });
+
+        it('reports a server that cannot be reached', async () => {
+            const transport = createSmtpTransport({ host: '127.0.0.1', port: 1 });
+            await assert.rejects(transport.send({ from: 'alerts@test.edu', to: ['a@test.edu'], subject: 'x', text: 'y' }));
+        });
+
+        it('doubles dots at the start of lines', () => {
+            assert.equal(dotStuff('.a\r\nb\r\n..c'), '..a\r\nb\r\n...c');
+        });
+    });
+});
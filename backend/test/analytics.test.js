@@ -0,0 +1,195 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, resetStore, store } from './helpers.js';
+import { weekStart, classifyStatus } from '../src/services/analyticsService.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.97163, longitude: 77.59464 };
+
+describe('attendance analytics', () => {
+    let api;
+    let teacher;
+    let otherTeacher;
+    let admin;
+    let student;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        otherTeacher = await createUser({ uid: 'teacher-2', role: 'teacher' });
+        admin = await createUser({ uid: 'admin-1', role: 'admin' });
+        student = await createUser({ uid: 'student-1', role: 'student', name: 'Asha Rao' });
+        await createUser({ uid: 'student-2', role: 'student', name: 'Ben Lee' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1', 'student-2'] }
+        });
+        await store.update('courses', courseId, { rollNumbers: { 'student-1': '2', 'student-2': '10' } });
+    });
+
+    async function createSession() {
+        const { body } = await api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: { courseId, location: CLASSROOM, expiresAt: new Date(Date.now() + 15 * 60000).toISOString() }
+        });
+        return body.sessionId;
+    }
+
+    async function mark(sessionId) {
+        const qr = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+        return api.request('POST', '/attendance/mark', {
+            user: student,
+            body: { qrData: qr.body.qrData, location: INSIDE },
+            headers: { 'X-Device-Id': student.deviceId }
+        });
+    }
+
+    function close(sessionId) {
+        return api.request('PATCH', `/attendance/session/${sessionId}`, { user: teacher, body: { action: 'close' } });
+    }
+
+    function override(sessionId, studentId, status) {
+        return api.request('PUT', `/attendance/records/${sessionId}/${studentId}`, {
+            user: teacher,
+            body: { status, reason: 'Checked with the class register' }
+        });
+    }
+
+    describe('GET /courses/:courseId', () => {
+        it('leaves a running session out of percentages until it is closed', async () => {
+            const sessionId = await createSession();
+            await mark(sessionId);
+
+            let { status, body } = await api.request('GET', `/analytics/courses/${courseId}`, { user: teacher });
+            assert.equal(status, 200);
+            assert.equal(body.sessions.length, 1);
+            assert.equal(body.sessions[0].final, false);
+            assert.equal(body.sessions[0].attended, 1);
+            assert.equal(body.summary.sessionsHeld, 0);
+            assert.deepEqual(body.students.map(({ held, percentage }) => [held, percentage]), [[0, null], [0, null]]);
+            assert.deepEqual(body.trend, []);
+
+            await close(sessionId);
+
+            ({ body } = await api.request('GET', `/analytics/courses/${courseId}`, { user: teacher }));
+            assert.equal(body.sessions[0].state, 'closed');
+            assert.equal(body.sessions[0].turnout, 50);
+            assert.equal(body.summary.turnout, 50);
+            assert.deepEqual(body.students.map(({ studentId, rollNumber, percentage }) => [studentId, rollNumber, percentage]), [
+                ['student-1', '2', 100],
+                ['student-2', '10', 0]
+            ]);
+            assert.equal(body.students[0].name, 'Asha Rao');
+            assert.deepEqual(body.trend.map(({ sessions, attended, expected, turnout }) => [sessions, attended, expected, turnout]), [
+                [1, 1, 2, 50]
+            ]);
+        });
+
+        it('reflects overrides on the next request', async () => {
+            const first = await createSession();
+            await mark(first);
+            await close(first);
+            const second = await createSession();
+            await close(second);
+
+            await override(second, 'student-2', 'excused');
+            await override(second, 'student-1', 'late');
+            await override(first, 'student-2', 'present');
+
+            const { body } = await api.request('GET', `/analytics/courses/${courseId}`, { user: teacher });
+            const [asha, ben] = body.students;
+
+            assert.deepEqual([asha.held, asha.attended, asha.late, asha.percentage], [2, 2, 1, 100]);
+            assert.deepEqual([ben.held, ben.attended, ben.excused, ben.percentage], [2, 1, 1, 100]);
+            assert.deepEqual(body.sessions.map(({ turnout }) => turnout), [100, 100]);
+            assert.equal(body.summary.averagePercentage, 100);
+        });
+
+        it('limits sessions to the requested dates', async () => {
+            const sessionId = await createSession();
+            await close(sessionId);
+            await store.update('sessions', sessionId, { createdAt: '2026-01-05T09:00:00.000Z' });
+
+            const inRange = await api.request('GET', `/analytics/courses/${courseId}?from=2026-01-01&to=2026-01-31`, { user: teacher });
+            assert.equal(inRange.body.sessions.length, 1);
+            assert.equal(inRange.body.trend[0].weekStart, '2026-01-05');
+
+            const outOfRange = await api.request('GET', `/analytics/courses/${courseId}?from=2026-02-01`, { user: teacher });
+            assert.equal(outOfRange.body.sessions.length, 0);
+
+            const invalid = await api.request('GET', `/analytics/courses/${courseId}?from=2026-02-01&to=2026-01-01`, { user: teacher });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('is only for the owning teacher or an admin', async () => {
+            const other = await api.request('GET', `/analytics/courses/${courseId}`, { user: otherTeacher });
+            assert.equal(other.status, 403);
+
+            const asStudent = await api.request('GET', `/analytics/courses/${courseId}`, { user: student });
+            assert.equal(asStudent.status, 403);
+
+            const asAdmin = await api.request('GET', `/analytics/courses/${courseId}`, { user: admin });
+            assert.equal(asAdmin.status, 200);
+
+            const missing = await api.request('GET', '/analytics/courses/nope', { user: teacher });
+            assert.equal(missing.status, 404);
+        });
+    });
+
+    describe('GET /me', () => {
+        it('gives the student a percentage per course and overall', async () => {
+            const first = await createSession();
+            await mark(first);
+            await close(first);
+            const second = await createSession();
+            await close(second);
+            await createSession();
+
+            const { status, body } = await api.request('GET', '/analytics/me', { user: student });
+            assert.equal(status, 200);
+            assert.deepEqual(body.courses.map(({ code, held, attended, absent, percentage }) => [code, held, attended, absent, percentage]), [
+                ['CS101', 2, 1, 1, 50]
+            ]);
+            assert.equal(body.overall.percentage, 50);
+
+            await override(second, 'student-1', 'excused');
+
+            const after = await api.request('GET', '/analytics/me', { user: student });
+            assert.equal(after.body.overall.percentage, 100);
+            assert.equal(after.body.overall.excused, 1);
+        });
+
+        it('is for students only', async () => {
+            const { status } = await api.request('GET', '/analytics/me', { user: teacher });
+            assert.equal(status, 403);
+        });
+    });
+
+    describe('helpers', () => {
+        it('classifies statuses', () => {
+            assert.deepEqual(
+                ['present', 'late', 'suspicious', 'excused', 'rejected', 'absent', undefined].map(classifyStatus),
+                ['attended', 'attended', 'attended', 'excused', 'absent', 'absent', 'absent']
+            );
+        });
+
+        it('starts weeks on Monday (UTC)', () => {
+            assert.equal(weekStart('2026-10-19T08:00:00.000Z'), '2026-10-19');
+            assert.equal(weekStart('2026-10-25T23:59:00.000Z'), '2026-10-19');
+        });
+    });
+});
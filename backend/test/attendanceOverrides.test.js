@@ -0,0 +1,226 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, resetStore } from './helpers.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.97163, longitude: 77.59464 };
+
+describe('manual attendance overrides', () => {
+    let api;
+    let teacher;
+    let otherTeacher;
+    let student;
+    let classmate;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        otherTeacher = await createUser({ uid: 'teacher-2', role: 'teacher' });
+        student = await createUser({ uid: 'student-1', role: 'student' });
+        classmate = await createUser({ uid: 'student-2', role: 'student' });
+        await createUser({ uid: 'student-3', role: 'student' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1', 'student-2'] }
+        });
+    });
+
+    async function createSession() {
+        const { body } = await api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: { courseId, location: CLASSROOM, expiresAt: new Date(Date.now() + 15 * 60000).toISOString() }
+        });
+        return body.sessionId;
+    }
+
+    async function mark(sessionId, user = student) {
+        const qr = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+        return api.request('POST', '/attendance/mark', {
+            user,
+            body: { qrData: qr.body.qrData, location: INSIDE },
+            headers: { 'X-Device-Id': user.deviceId }
+        });
+    }
+
+    function override(sessionId, studentId, body, user = teacher) {
+        return api.request('PUT', `/attendance/records/${sessionId}/${studentId}`, { user, body });
+    }
+
+    function revoke(sessionId, studentId, body, user = teacher) {
+        return api.request('DELETE', `/attendance/records/${sessionId}/${studentId}`, { user, body });
+    }
+
+    async function report(sessionId) {
+        const { body } = await api.request('GET', `/attendance/records/${sessionId}`, { user: teacher });
+        return body;
+    }
+
+    async function audit(sessionId, user = teacher) {
+        return api.request('GET', `/attendance/records/${sessionId}/audit`, { user });
+    }
+
+    it('marks a student without a record present by hand', async () => {
+        const sessionId = await createSession();
+
+        const { status, body } = await override(sessionId, 'student-1', { status: 'present', reason: 'Phone battery died' });
+        assert.equal(status, 200);
+        assert.equal(body.record.source, 'manual');
+        assert.equal(body.record.studentEmail, 'student-1@test.edu');
+        assert.equal(body.record.override.reason, 'Phone battery died');
+
+        const { present } = await report(sessionId);
+        assert.deepEqual(present.map(({ studentId, source }) => [studentId, source]), [['student-1', 'manual']]);
+
+        // The student cannot add a second record by scanning afterwards
+        const scan = await mark(sessionId);
+        assert.equal(scan.status, 400);
+    });
+
+    it('records late and excused students', async () => {
+        const sessionId = await createSession();
+        await override(sessionId, 'student-1', { status: 'late', reason: 'Arrived 20 minutes late' });
+        await override(sessionId, 'student-2', { status: 'excused', reason: 'Medical certificate' });
+
+        const { present, absent, summary } = await report(sessionId);
+        assert.deepEqual(present.map(({ studentId, status }) => [studentId, status]), [['student-1', 'late']]);
+        assert.deepEqual(absent.map(({ studentId, status, source }) => [studentId, status, source]), [
+            ['student-2', 'excused', 'manual']
+        ]);
+        assert.deepEqual(summary, { enrolled: 2, present: 1, absent: 1 });
+    });
+
+    it('overrides a scanned check-in and keeps its scan details', async () => {
+        const sessionId = await createSession();
+        await mark(sessionId);
+
+        const { status, body } = await override(sessionId, 'student-1', { status: 'absent', reason: 'Left after the roll call' });
+        assert.equal(status, 200);
+        assert.equal(body.record.status, 'absent');
+        assert.equal(body.record.source, 'manual');
+        assert.ok(body.record.location);
+
+        const { present, absent } = await report(sessionId);
+        assert.equal(present.length, 0);
+        assert.deepEqual(absent.map(({ studentId, status }) => [studentId, status]), [
+            ['student-1', 'absent'],
+            ['student-2', 'absent']
+        ]);
+    });
+
+    it('keeps an override when a classmate later checks in from the same coordinates', async () => {
+        const sessionId = await createSession();
+        await mark(sessionId);
+        await override(sessionId, 'student-1', { status: 'late', reason: 'Arrived 20 minutes late' });
+
+        const scan = await mark(sessionId, classmate);
+        assert.equal(scan.body.status, 'suspicious');
+
+        const { present } = await report(sessionId);
+        const record = present.find(({ studentId }) => studentId === 'student-1');
+        assert.equal(record.status, 'late');
+        assert.equal(record.override.reason, 'Arrived 20 minutes late');
+    });
+
+    it('revokes a record so the student can mark again from their phone', async () => {
+        const sessionId = await createSession();
+        await mark(sessionId);
+
+        const { status } = await revoke(sessionId, 'student-1', { reason: 'Marked by a friend' });
+        assert.equal(status, 200);
+        assert.equal((await report(sessionId)).present.length, 0);
+
+        const again = await mark(sessionId);
+        assert.equal(again.status, 200);
+        assert.equal(again.body.status, 'present');
+    });
+
+    it('writes an audit entry for every change', async () => {
+        const sessionId = await createSession();
+        await mark(sessionId);
+        await override(sessionId, 'student-1', { status: 'late', reason: 'Came in after the QR was shown' });
+        await override(sessionId, 'student-2', { status: 'present', reason: 'GPS failed' });
+        await revoke(sessionId, 'student-2', { reason: 'Entered by mistake' });
+
+        const { status, body } = await audit(sessionId);
+        assert.equal(status, 200);
+        assert.equal(body.count, 3);
+
+        const [revoked, added, changed] = body.entries;
+        assert.equal(revoked.action, 'revoke');
+        assert.equal(revoked.reason, 'Entered by mistake');
+        assert.equal(revoked.before.status, 'present');
+        assert.equal(revoked.after, null);
+
+        assert.equal(added.before, null);
+        assert.deepEqual({ status: added.after.status, source: added.after.source }, { status: 'present', source: 'manual' });
+
+        assert.equal(changed.actorId, 'teacher-1');
+        assert.equal(changed.actorEmail, 'teacher-1@test.edu');
+        assert.ok(changed.at);
+        assert.deepEqual({ status: changed.before.status, source: changed.before.source }, { status: 'present', source: 'qr' });
+        assert.deepEqual({ status: changed.after.status, source: changed.after.source }, { status: 'late', source: 'manual' });
+    });
+
+    it('audits reviews of flagged check-ins', async () => {
+        const sessionId = await createSession();
+        await mark(sessionId);
+        await mark(sessionId, classmate);
+
+        await api.request('PATCH', `/attendance/records/${sessionId}/student-2/review`, {
+            user: teacher,
+            body: { decision: 'reject', note: 'Same coordinates as a friend' }
+        });
+
+        const { body } = await audit(sessionId);
+        assert.deepEqual(body.entries.map(({ action, studentId, reason }) => [action, studentId, reason]), [
+            ['review', 'student-2', 'Same coordinates as a friend']
+        ]);
+        assert.equal(body.entries[0].before.status, 'suspicious');
+        assert.equal(body.entries[0].after.status, 'rejected');
+    });
+
+    it('validates overrides', async () => {
+        const sessionId = await createSession();
+
+        const noReason = await override(sessionId, 'student-1', { status: 'present', reason: '  ' });
+        assert.equal(noReason.status, 400);
+
+        const badStatus = await override(sessionId, 'student-1', { status: 'suspicious', reason: 'Test' });
+        assert.equal(badStatus.status, 400);
+
+        const notEnrolled = await override(sessionId, 'student-3', { status: 'present', reason: 'Test' });
+        assert.equal(notEnrolled.status, 404);
+
+        const wrongTeacher = await override(sessionId, 'student-1', { status: 'present', reason: 'Test' }, otherTeacher);
+        assert.equal(wrongTeacher.status, 403);
+
+        const asStudent = await override(sessionId, 'student-1', { status: 'present', reason: 'Test' }, student);
+        assert.equal(asStudent.status, 403);
+
+        const nothingToRevoke = await revoke(sessionId, 'student-1', { reason: 'Test' });
+        assert.equal(nothingToRevoke.status, 404);
+
+        await mark(sessionId);
+        const revokeWithoutReason = await revoke(sessionId, 'student-1', {});
+        assert.equal(revokeWithoutReason.status, 400);
+
+        const otherAudit = await audit(sessionId, otherTeacher);
+        assert.equal(otherAudit.status, 403);
+
+        assert.equal((await audit(sessionId)).body.count, 0);
+    });
+});
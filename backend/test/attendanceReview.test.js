@@ -0,0 +1,194 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, resetStore } from './helpers.js';
+import { ANOMALY_CODES } from '../src/services/anomalyService.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.97163, longitude: 77.59464 };
+const NEAR_INSIDE = { latitude: 12.97158, longitude: 77.59457 };
+// About 290km away (Chennai)
+const OTHER_CITY = { latitude: 13.0827, longitude: 80.2707, radiusMeters: 50 };
+
+describe('suspicious check-ins', () => {
+    let api;
+    let teacher;
+    let otherTeacher;
+    let student;
+    let classmate;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        otherTeacher = await createUser({ uid: 'teacher-2', role: 'teacher' });
+        student = await createUser({ uid: 'student-1', role: 'student' });
+        classmate = await createUser({ uid: 'student-2', role: 'student' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1', 'student-2'] }
+        });
+    });
+
+    async function createSession(location = CLASSROOM) {
+        const { body } = await api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: { courseId, location, expiresAt: new Date(Date.now() + 15 * 60000).toISOString() }
+        });
+        return body.sessionId;
+    }
+
+    async function mark(sessionId, location, user = student) {
+        const qr = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+        return api.request('POST', '/attendance/mark', {
+            user,
+            body: { qrData: qr.body.qrData, location },
+            headers: { 'X-Device-Id': user.deviceId }
+        });
+    }
+
+    async function records(sessionId) {
+        const { body } = await api.request('GET', `/attendance/records/${sessionId}`, { user: teacher });
+        return body;
+    }
+
+    function codes(record) {
+        return record.anomalies.map(({ code }) => code);
+    }
+
+    describe('detection', () => {
+        it('saves ordinary check-ins as present', async () => {
+            const sessionId = await createSession();
+            const { body } = await mark(sessionId, INSIDE);
+
+            assert.equal(body.status, 'present');
+            assert.deepEqual((await records(sessionId)).records[0].anomalies, []);
+        });
+
+        it('flags every student who sent exactly the same coordinates', async () => {
+            const sessionId = await createSession();
+            await mark(sessionId, INSIDE);
+
+            const { status, body } = await mark(sessionId, INSIDE, classmate);
+            assert.equal(status, 200);
+            assert.equal(body.status, 'suspicious');
+            assert.equal(body.anomalies, undefined);
+
+            const report = await records(sessionId);
+            assert.equal(report.present.length, 2);
+            for (const record of report.present) {
+                assert.equal(record.status, 'suspicious');
+                assert.deepEqual(codes(record), [ANOMALY_CODES.SHARED_COORDINATES]);
+            }
+        });
+
+        it('flags coordinates exactly on the classroom centre', async () => {
+            const sessionId = await createSession();
+            const { body } = await mark(sessionId, { latitude: CLASSROOM.latitude, longitude: CLASSROOM.longitude });
+
+            assert.equal(body.status, 'suspicious');
+            assert.deepEqual(codes((await records(sessionId)).records[0]), [ANOMALY_CODES.CLASSROOM_CENTRE]);
+        });
+
+        it('flags impossible travel between consecutive check-ins', async () => {
+            const first = await createSession();
+            await mark(first, INSIDE);
+
+            const second = await createSession(OTHER_CITY);
+            const { body } = await mark(second, { latitude: 13.08272, longitude: 80.27073 });
+            assert.equal(body.status, 'suspicious');
+
+            const [record] = (await records(second)).records;
+            assert.deepEqual(codes(record), [ANOMALY_CODES.IMPOSSIBLE_TRAVEL]);
+            assert.equal(record.anomalies[0].previousSessionId, first);
+            assert.ok(record.anomalies[0].distance > 250000);
+        });
+
+        it('does not flag nearby check-ins in consecutive sessions', async () => {
+            const first = await createSession();
+            await mark(first, INSIDE);
+
+            const second = await createSession();
+            const { body } = await mark(second, NEAR_INSIDE);
+            assert.equal(body.status, 'present');
+        });
+    });
+
+    describe('review queue', () => {
+        async function flaggedSession() {
+            const sessionId = await createSession();
+            await mark(sessionId, INSIDE);
+            await mark(sessionId, INSIDE, classmate);
+            return sessionId;
+        }
+
+        function review(sessionId, studentId, body, user = teacher) {
+            return api.request('PATCH', `/attendance/records/${sessionId}/${studentId}/review`, { user, body });
+        }
+
+        it('lists the teacher\'s flagged check-ins', async () => {
+            await flaggedSession();
+
+            const { status, body } = await api.request('GET', '/attendance/review', { user: teacher });
+            assert.equal(status, 200);
+            assert.equal(body.count, 2);
+            assert.deepEqual(body.records.map(({ studentId }) => studentId), ['student-1', 'student-2']);
+
+            const other = await api.request('GET', '/attendance/review', { user: otherTeacher });
+            assert.equal(other.body.count, 0);
+
+            const asStudent = await api.request('GET', '/attendance/review', { user: student });
+            assert.equal(asStudent.status, 403);
+        });
+
+        it('confirms a check-in as present and rejects another as absent', async () => {
+            const sessionId = await flaggedSession();
+
+            const confirmed = await review(sessionId, 'student-1', { decision: 'confirm', note: 'Seen in class' });
+            assert.equal(confirmed.status, 200);
+            assert.equal(confirmed.body.record.status, 'present');
+            assert.equal(confirmed.body.record.review.by, 'teacher-1');
+
+            const rejected = await review(sessionId, 'student-2', { decision: 'reject' });
+            assert.equal(rejected.status, 200);
+
+            const report = await records(sessionId);
+            assert.deepEqual(report.present.map(({ studentId }) => studentId), ['student-1']);
+            assert.deepEqual(report.absent.map(({ studentId, status }) => [studentId, status]), [['student-2', 'rejected']]);
+            assert.equal(report.summary.absent, 1);
+
+            const queue = await api.request('GET', '/attendance/review', { user: teacher });
+            assert.equal(queue.body.count, 0);
+        });
+
+        it('validates reviews', async () => {
+            const sessionId = await flaggedSession();
+
+            const wrongTeacher = await review(sessionId, 'student-1', { decision: 'confirm' }, otherTeacher);
+            assert.equal(wrongTeacher.status, 403);
+
+            const badDecision = await review(sessionId, 'student-1', { decision: 'maybe' });
+            assert.equal(badDecision.status, 400);
+
+            const missing = await review(sessionId, 'student-3', { decision: 'confirm' });
+            assert.equal(missing.status, 404);
+
+            const ordinary = await createSession();
+            await mark(ordinary, NEAR_INSIDE);
+            const unflagged = await review(ordinary, 'student-1', { decision: 'reject' });
+            assert.equal(unflagged.status, 400);
+        });
+    });
+});
@@ -0,0 +1,599 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, resetStore, store } from './helpers.js';
+import { buildQrPayload, QR_ERRORS } from '../src/services/qrTokenService.js';
+import { LOCATION_ERRORS, DEFAULT_MAX_ACCURACY_METERS } from '../src/services/locationService.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.9716, longitude: 77.5947 };
+const FAR_AWAY = { latitude: 12.9816, longitude: 77.5946 };
+// Rectangular hall around CLASSROOM, about 65m by 44m (GeoJSON is [longitude, latitude])
+const LECTURE_HALL = {
+    type: 'Polygon',
+    name: 'Lecture Hall',
+    coordinates: [[[77.5944, 12.9714], [77.5950, 12.9714], [77.5950, 12.9718], [77.5944, 12.9718]]]
+};
+
+describe('attendance routes', () => {
+    let api;
+    let teacher;
+    let otherTeacher;
+    let student;
+    let classmate;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        otherTeacher = await createUser({ uid: 'teacher-2', role: 'teacher' });
+        student = await createUser({ uid: 'student-1', role: 'student' });
+        classmate = await createUser({ uid: 'student-2', role: 'student' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1', 'student-2'] }
+        });
+    });
+
+    async function createSession(overrides = {}) {
+        const { body } = await api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: {
+                courseId,
+                location: CLASSROOM,
+                expiresAt: new Date(Date.now() + 15 * 60000).toISOString(),
+                ...overrides
+            }
+        });
+        return body.sessionId;
+    }
+
+    // Sessions can only be created to end in the future: expire one afterwards
+    async function createExpiredSession() {
+        const sessionId = await createSession();
+        await store.update('sessions', sessionId, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+        return sessionId;
+    }
+
+    async function currentQr(sessionId) {
+        const { body } = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+        return body.qrData;
+    }
+
+    async function mark(qrData, location = INSIDE, user = student, headers = {}) {
+        return api.request('POST', '/attendance/mark', {
+            user,
+            body: { qrData, location },
+            headers: { 'X-Device-Id': user.deviceId, ...headers }
+        });
+    }
+
+    describe('POST /session', () => {
+        it('creates a session owned by the calling teacher', async () => {
+            const { status, body } = await api.request('POST', '/attendance/session', {
+                user: teacher,
+                body: {
+                    sessionId: 'SESSION_123',
+                    courseId,
+                    location: CLASSROOM,
+                    expiresAt: new Date(Date.now() + 60000).toISOString(),
+                    qrRotationSeconds: 5
+                }
+            });
+
+            assert.equal(status, 200);
+            assert.match(body.sessionId, /^[0-9a-f]{32}$/);
+            assert.equal(body.qrRotationSeconds, 10);
+            assert.equal(body.maxAccuracyMeters, DEFAULT_MAX_ACCURACY_METERS);
+
+            const session = await api.request('GET', `/attendance/session/${body.sessionId}`, { user: teacher });
+            assert.equal(session.body.session.teacherId, 'teacher-1');
+            assert.equal(session.body.session.courseName, 'Computer Science 101');
+            assert.equal(session.body.session.courseCode, 'CS101');
+            assert.equal(session.body.session.active, true);
+        });
+
+        it('only allows the teacher\'s own courses', async () => {
+            const { status } = await api.request('POST', '/attendance/session', {
+                user: otherTeacher,
+                body: { courseId, location: CLASSROOM }
+            });
+            assert.equal(status, 404);
+        });
+
+        it('only allows teachers', async () => {
+            const { status } = await api.request('POST', '/attendance/session', {
+                user: student,
+                body: { courseId, location: CLASSROOM }
+            });
+            assert.equal(status, 403);
+        });
+
+        it('requires course and location', async () => {
+            const { status } = await api.request('POST', '/attendance/session', {
+                user: teacher,
+                body: { courseId }
+            });
+            assert.equal(status, 400);
+        });
+
+        it('requires an end time in the future', async () => {
+            for (const expiresAt of [undefined, 'tomorrow', 1893456000000, new Date(Date.now() - 1000).toISOString()]) {
+                const { status, body } = await api.request('POST', '/attendance/session', {
+                    user: teacher,
+                    body: { courseId, location: CLASSROOM, expiresAt }
+                });
+                assert.equal(status, 400, String(expiresAt));
+                assert.match(body.message, /expiresAt/);
+            }
+        });
+
+        it('requires authentication', async () => {
+            const { status } = await api.request('POST', '/attendance/session', { body: {} });
+            assert.equal(status, 401);
+        });
+    });
+
+    describe('GET /session/:sessionId', () => {
+        it('returns 404 for an unknown session', async () => {
+            const { status } = await api.request('GET', '/attendance/session/missing', { user: teacher });
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('GET /sessions', () => {
+        it('lists the teacher\'s sessions with their real state', async () => {
+            const activeId = await createSession();
+            const expiredId = await createExpiredSession();
+            await createSession({}); // second active session
+            await api.request('POST', '/attendance/session', {
+                user: otherTeacher,
+                body: { courseId, location: CLASSROOM, expiresAt: new Date(Date.now() + 60000).toISOString() }
+            });
+
+            const { status, body } = await api.request('GET', '/attendance/sessions', { user: teacher });
+
+            assert.equal(status, 200);
+            assert.equal(body.sessions.length, 3);
+            const states = Object.fromEntries(body.sessions.map(({ id, state }) => [id, state]));
+            assert.equal(states[activeId], 'active');
+            assert.equal(states[expiredId], 'expired');
+        });
+
+        it('is limited to teachers', async () => {
+            const { status } = await api.request('GET', '/attendance/sessions', { user: student });
+            assert.equal(status, 403);
+        });
+    });
+
+    describe('PATCH /session/:sessionId', () => {
+        async function changeSession(sessionId, body, user = teacher) {
+            return api.request('PATCH', `/attendance/session/${sessionId}`, { user, body });
+        }
+
+        it('closes a session immediately and stops marking', async () => {
+            const sessionId = await createSession();
+            const qrData = await currentQr(sessionId);
+
+            const { status, body } = await changeSession(sessionId, { action: 'close' });
+
+            assert.equal(status, 200);
+            assert.equal(body.session.state, 'closed');
+            assert.equal(body.session.active, false);
+            assert.equal(body.session.history.length, 1);
+            assert.equal(body.session.history[0].action, 'close');
+            assert.equal(body.session.history[0].by, 'teacher-1');
+
+            const marked = await mark(qrData);
+            assert.equal(marked.status, 400);
+            assert.equal(marked.body.message, 'Session has been closed');
+
+            const qr = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+            assert.equal(qr.status, 400);
+        });
+
+        it('extends an active session from its current expiry', async () => {
+            const expiresAt = new Date(Date.now() + 5 * 60000);
+            const sessionId = await createSession({ expiresAt: expiresAt.toISOString() });
+
+            const { status, body } = await changeSession(sessionId, { action: 'extend', minutes: 15 });
+
+            assert.equal(status, 200);
+            assert.equal(new Date(body.session.expiresAt).getTime(), expiresAt.getTime() + 15 * 60000);
+            assert.equal(body.session.history[0].expiresAt, body.session.expiresAt);
+        });
+
+        it('reopens an expired session for late students', async () => {
+            const sessionId = await createExpiredSession();
+
+            const extend = await changeSession(sessionId, { action: 'extend' });
+            assert.equal(extend.status, 400);
+
+            const { status, body } = await changeSession(sessionId, { action: 'reopen', minutes: 5 });
+            assert.equal(status, 200);
+            assert.equal(body.session.state, 'active');
+
+            const marked = await mark(await currentQr(sessionId));
+            assert.equal(marked.status, 200);
+        });
+
+        it('refuses to extend a session without a valid end time', async () => {
+            const sessionId = await createSession();
+            await store.update('sessions', sessionId, { expiresAt: 'soon' });
+
+            const { status, body } = await changeSession(sessionId, { action: 'extend' });
+            assert.equal(status, 400);
+            assert.match(body.message, /no valid end time/);
+            assert.equal((await changeSession(sessionId, { action: 'close' })).status, 200);
+        });
+
+        it('keeps the full change history', async () => {
+            const sessionId = await createSession();
+
+            await changeSession(sessionId, { action: 'close' });
+            await changeSession(sessionId, { action: 'reopen' });
+            const { body } = await changeSession(sessionId, { action: 'extend', minutes: 5 });
+
+            assert.deepEqual(body.session.history.map(({ action }) => action), ['close', 'reopen', 'extend']);
+
+            const stored = await api.request('GET', `/attendance/session/${sessionId}`, { user: teacher });
+            assert.equal(stored.body.session.history.length, 3);
+        });
+
+        it('rejects unknown actions and invalid minutes', async () => {
+            const sessionId = await createSession();
+
+            assert.equal((await changeSession(sessionId, { action: 'pause' })).status, 400);
+            assert.equal((await changeSession(sessionId, { action: 'extend', minutes: 0 })).status, 400);
+            assert.equal((await changeSession(sessionId, { action: 'extend', minutes: 1000 })).status, 400);
+            assert.equal((await changeSession(sessionId, { action: 'reopen' })).status, 400);
+        });
+
+        it('only allows the owning teacher', async () => {
+            const sessionId = await createSession();
+
+            const { status } = await changeSession(sessionId, { action: 'close' }, otherTeacher);
+            assert.equal(status, 403);
+
+            const missing = await changeSession('missing', { action: 'close' });
+            assert.equal(missing.status, 404);
+        });
+    });
+
+    describe('GET /session/:sessionId/qr', () => {
+        it('returns a signed payload to the owning teacher', async () => {
+            const sessionId = await createSession();
+            const { status, body } = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+
+            assert.equal(status, 200);
+            assert.ok(body.qrData.startsWith(`v1.${sessionId}.`));
+            assert.ok(body.expiresInSeconds > 0);
+        });
+
+        it('refuses other teachers', async () => {
+            const sessionId = await createSession();
+            const { status } = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: otherTeacher });
+            assert.equal(status, 403);
+        });
+
+        it('stops issuing codes once the session expired', async () => {
+            const sessionId = await createExpiredSession();
+            const { status } = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('POST /mark', () => {
+        it('marks attendance for the student in the token', async () => {
+            const sessionId = await createSession();
+            const { status, body } = await mark(await currentQr(sessionId));
+
+            assert.equal(status, 200);
+            assert.equal(body.success, true);
+            assert.equal(body.courseName, 'Computer Science 101');
+
+            const records = await api.request('GET', `/attendance/records/${sessionId}`, { user: teacher });
+            assert.equal(records.body.count, 1);
+            assert.equal(records.body.records[0].studentId, 'student-1');
+            assert.equal(records.body.records[0].studentEmail, 'student-1@test.edu');
+            assert.equal(records.body.records[0].rollNumber, null);
+        });
+
+        it('rejects a second mark by the same student', async () => {
+            const sessionId = await createSession();
+            const qrData = await currentQr(sessionId);
+            await mark(qrData);
+
+            const { status, body } = await mark(qrData);
+            assert.equal(status, 400);
+            assert.match(body.message, /already marked/);
+        });
+
+        it('creates a single record for concurrent marks', async () => {
+            const sessionId = await createSession();
+            const qrData = await currentQr(sessionId);
+
+            const results = await Promise.all([mark(qrData), mark(qrData), mark(qrData)]);
+            assert.equal(results.filter(({ status }) => status === 200).length, 1);
+
+            const records = await api.request('GET', `/attendance/records/${sessionId}`, { user: teacher });
+            assert.equal(records.body.count, 1);
+            assert.equal(records.body.records[0].id, `${sessionId}_student-1`);
+        });
+
+        it('replays the original response for a retry with the same Idempotency-Key', async () => {
+            const sessionId = await createSession();
+            const qrData = await currentQr(sessionId);
+            const headers = { 'Idempotency-Key': 'scan-attempt-1' };
+
+            const first = await mark(qrData, INSIDE, student, headers);
+            const retry = await mark(qrData, INSIDE, student, headers);
+
+            assert.equal(retry.status, 200);
+            assert.deepEqual(retry.body, first.body);
+            assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+
+            const otherKey = await mark(qrData, INSIDE, student, { 'Idempotency-Key': 'scan-attempt-2' });
+            assert.equal(otherKey.status, 400);
+        });
+
+        it('rejects students who are not enrolled in the course', async () => {
+            const sessionId = await createSession();
+            const outsider = await createUser({ uid: 'student-3' });
+
+            const { status, body } = await mark(await currentQr(sessionId), INSIDE, outsider);
+            assert.equal(status, 403);
+            assert.equal(body.code, 'NOT_ENROLLED');
+        });
+
+        it('rejects students outside the radius', async () => {
+            const sessionId = await createSession();
+            const { status, body } = await mark(await currentQr(sessionId), FAR_AWAY);
+
+            assert.equal(status, 400);
+            const geofence = body.verification.find(({ verifier }) => verifier === 'geofence');
+            assert.equal(geofence.status, 'failed');
+            assert.ok(geofence.details.distance > CLASSROOM.radiusMeters);
+        });
+
+        it('rejects GPS fixes less accurate than the session allows', async () => {
+            const sessionId = await createSession({ maxAccuracyMeters: 30 });
+
+            const vague = await mark(await currentQr(sessionId), { ...INSIDE, accuracy: 120 });
+            assert.equal(vague.status, 400);
+            assert.equal(vague.body.code, LOCATION_ERRORS.LOW_ACCURACY);
+            assert.equal(vague.body.maxAccuracyMeters, 30);
+
+            const precise = await mark(await currentQr(sessionId), { ...INSIDE, accuracy: 12 });
+            assert.equal(precise.status, 200);
+        });
+
+        it('stores the confidence of being inside on the record', async () => {
+            const sessionId = await createSession();
+
+            const centre = await mark(await currentQr(sessionId), { ...INSIDE, accuracy: 10 });
+            assert.equal(centre.body.confidence, 1);
+
+            // About 45m from the centre of a 50m circle: inside, but close to the edge
+            const edge = await mark(await currentQr(sessionId), { latitude: 12.97200, longitude: 77.5946, accuracy: 40 }, classmate);
+            assert.equal(edge.status, 200);
+            assert.ok(edge.body.confidence > 0.5 && edge.body.confidence < 0.8, String(edge.body.confidence));
+
+            const records = await api.request('GET', `/attendance/records/${sessionId}`, { user: teacher });
+            const byStudent = Object.fromEntries(records.body.records.map((record) => [record.studentId, record]));
+            assert.equal(byStudent['student-1'].confidence, 1);
+            assert.equal(byStudent['student-1'].location.accuracy, 10);
+            assert.equal(byStudent['student-2'].confidence, edge.body.confidence);
+        });
+
+        it('leaves confidence empty when the client sends no accuracy', async () => {
+            const sessionId = await createSession();
+            const { body } = await mark(await currentQr(sessionId));
+            assert.equal(body.confidence, null);
+
+            const invalid = await mark(await currentQr(sessionId), { ...INSIDE, accuracy: -5 }, classmate);
+            assert.equal(invalid.status, 400);
+        });
+
+        it('rejects malformed coordinates', async () => {
+            const sessionId = await createSession();
+
+            for (const location of [
+                { latitude: '12.9716', longitude: 77.5946 },
+                { latitude: null, longitude: 77.5946 },
+                { latitude: 12.9716 },
+                { latitude: 91, longitude: 77.5946 },
+                { latitude: 12.9716, longitude: -181 }
+            ]) {
+                const { status, body } = await mark(await currentQr(sessionId), location);
+                assert.equal(status, 400, JSON.stringify(location));
+                assert.match(body.message, /latitude and location\.longitude/);
+            }
+        });
+
+        it('accepts students inside any zone of a multi-zone geofence', async () => {
+            const sessionId = await createSession({
+                location: { zones: [LECTURE_HALL, { name: 'Annexe', ...FAR_AWAY, radiusMeters: 30 }] }
+            });
+
+            const hall = await mark(await currentQr(sessionId), INSIDE);
+            assert.equal(hall.status, 200);
+
+            const annexe = await mark(await currentQr(sessionId), FAR_AWAY, classmate);
+            assert.equal(annexe.status, 200);
+        });
+
+        it('excludes polygon holes', async () => {
+            const courtyard = [[77.59465, 12.97155], [77.59475, 12.97155], [77.59475, 12.97165], [77.59465, 12.97165]];
+            const sessionId = await createSession({
+                location: { ...LECTURE_HALL, coordinates: [...LECTURE_HALL.coordinates, courtyard] }
+            });
+
+            const { status, body } = await mark(await currentQr(sessionId), { latitude: 12.9716, longitude: 77.5947 });
+            assert.equal(status, 400);
+            assert.equal(body.nearestZone.type, 'Polygon');
+        });
+
+        it('reports the nearest zone when outside every zone', async () => {
+            const sessionId = await createSession({
+                location: {
+                    zones: [
+                        { name: 'Library', latitude: 12.9916, longitude: 77.5946, radiusMeters: 30 },
+                        LECTURE_HALL
+                    ]
+                }
+            });
+
+            // About 44m north of the lecture hall's north wall
+            const { status, body } = await mark(await currentQr(sessionId), { latitude: 12.9722, longitude: 77.5947 });
+
+            assert.equal(status, 400);
+            assert.deepEqual(
+                { index: body.nearestZone.index, name: body.nearestZone.name, type: body.nearestZone.type },
+                { index: 1, name: 'Lecture Hall', type: 'Polygon' }
+            );
+            assert.ok(body.nearestZone.distance > 40 && body.nearestZone.distance < 50);
+            assert.match(body.message, /outside Lecture Hall/);
+        });
+
+        it('validates geofences when the session is created', async () => {
+            const invalid = [
+                { type: 'Polygon', coordinates: [[[77.5944, 12.9714], [77.5950, 12.9714]]] },
+                { type: 'Polygon', coordinates: [[[77.5944, 12.9714], [77.5950, 12.9714], ['east', 12.9718]]] },
+                { type: 'Hexagon' },
+                { zones: [] },
+                { zones: [CLASSROOM, { latitude: 12.9716 }] }
+            ];
+
+            for (const location of invalid) {
+                const { status } = await api.request('POST', '/attendance/session', {
+                    user: teacher,
+                    body: { courseId, location }
+                });
+                assert.equal(status, 400, JSON.stringify(location));
+            }
+        });
+
+        it('rejects unsigned payloads', async () => {
+            const sessionId = await createSession();
+            const { status, body } = await mark(sessionId);
+
+            assert.equal(status, 400);
+            assert.equal(body.code, QR_ERRORS.UNSIGNED);
+        });
+
+        it('rejects tampered payloads', async () => {
+            const sessionId = await createSession();
+            const otherSessionId = await createSession();
+            const tampered = (await currentQr(sessionId)).replace(sessionId, otherSessionId);
+
+            const { status, body } = await mark(tampered);
+            assert.equal(status, 400);
+            assert.equal(body.code, QR_ERRORS.TAMPERED);
+        });
+
+        it('rejects stale payloads', async () => {
+            const sessionId = await createSession();
+            const stale = buildQrPayload(sessionId, 'old-token', Date.now() - 10 * 60000);
+
+            const { status, body } = await mark(stale);
+            assert.equal(status, 400);
+            assert.equal(body.code, QR_ERRORS.STALE);
+        });
+
+        it('rejects a wrong rotating token', async () => {
+            const sessionId = await createSession();
+            const { status, body } = await mark(buildQrPayload(sessionId, 'wrong-token'));
+
+            assert.equal(status, 400);
+            assert.equal(body.code, QR_ERRORS.TOKEN_EXPIRED);
+        });
+
+        it('rejects expired sessions', async () => {
+            const sessionId = await createExpiredSession();
+            const { status, body } = await mark(buildQrPayload(sessionId, 'any-token'));
+
+            assert.equal(status, 400);
+            assert.match(body.message, /expired/);
+        });
+
+        it('returns 404 for a signed payload of an unknown session', async () => {
+            const { status } = await mark(buildQrPayload('missing', 'token'));
+            assert.equal(status, 404);
+        });
+
+        it('requires qrData and location', async () => {
+            const { status } = await api.request('POST', '/attendance/mark', { user: student, body: {} });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('GET /records/:sessionId', () => {
+        it('forbids teachers who do not own the session', async () => {
+            const sessionId = await createSession();
+            const { status } = await api.request('GET', `/attendance/records/${sessionId}`, { user: otherTeacher });
+            assert.equal(status, 403);
+        });
+
+        it('returns 404 for an unknown session', async () => {
+            const { status } = await api.request('GET', '/attendance/records/missing', { user: teacher });
+            assert.equal(status, 404);
+        });
+
+        it('includes roll numbers from the course roster', async () => {
+            await api.request('POST', `/courses/${courseId}/roster`, {
+                user: teacher,
+                body: { csv: 'roll,name,email\nCS-01,Student One,student-1@test.edu' }
+            });
+            const sessionId = await createSession();
+            await mark(await currentQr(sessionId));
+
+            const { body } = await api.request('GET', `/attendance/records/${sessionId}`, { user: teacher });
+            assert.equal(body.records[0].rollNumber, 'CS-01');
+        });
+
+        it('lists enrolled students without a record as absent', async () => {
+            const sessionId = await createSession();
+            await mark(await currentQr(sessionId));
+
+            const { body } = await api.request('GET', `/attendance/records/${sessionId}`, { user: teacher });
+
+            assert.equal(body.sessionState, 'active');
+            assert.equal(body.final, false);
+            assert.deepEqual(body.present.map(({ studentId }) => studentId), ['student-1']);
+            assert.deepEqual(body.absent.map(({ studentId, status }) => [studentId, status]), [['student-2', 'absent']]);
+            assert.deepEqual(body.summary, { enrolled: 2, present: 1, absent: 1 });
+        });
+
+        it('marks the absent list final once the session expired', async () => {
+            const sessionId = await createExpiredSession();
+            const { body } = await api.request('GET', `/attendance/records/${sessionId}`, { user: teacher });
+
+            assert.equal(body.sessionState, 'expired');
+            assert.equal(body.final, true);
+            assert.equal(body.absent.length, 2);
+        });
+
+        it('honours the limit parameter', async () => {
+            const sessionId = await createSession();
+            const qrData = await currentQr(sessionId);
+            await mark(qrData, INSIDE, student);
+            await mark(qrData, INSIDE, classmate);
+
+            const { body } = await api.request('GET', `/attendance/records/${sessionId}?limit=1`, { user: teacher });
+            assert.equal(body.count, 1);
+        });
+    });
+});
@@ -0,0 +1,170 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, tokenFor, resetStore } from './helpers.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.97163, longitude: 77.59464 };
+
+describe('audit log', () => {
+    let api;
+    let admin;
+    let otherAdmin;
+    let teacher;
+    let student;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        admin = await createUser({ uid: 'admin-1', role: 'admin' });
+        otherAdmin = await createUser({ uid: 'admin-2', role: 'admin', institutionId: 'other-college' });
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        student = await createUser({ uid: 'student-1', role: 'student' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1'] }
+        });
+    });
+
+    async function createSession() {
+        const { body } = await api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: { courseId, location: CLASSROOM, expiresAt: new Date(Date.now() + 15 * 60000).toISOString() }
+        });
+        return body.sessionId;
+    }
+
+    async function mark(sessionId, headers = {}) {
+        const qr = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+        return api.request('POST', '/attendance/mark', {
+            user: student,
+            body: { qrData: qr.body.qrData, location: INSIDE },
+            headers: { 'X-Device-Id': student.deviceId, ...headers }
+        });
+    }
+
+    function query(params = {}, user = admin) {
+        return api.request('GET', `/audit?${new URLSearchParams(params)}`, { user });
+    }
+
+    it('records who registered a profile', async () => {
+        const newcomer = tokenFor('teacher-9');
+        await api.request('POST', '/auth/register', {
+            user: newcomer,
+            body: { name: 'New Teacher', role: 'teacher' }
+        });
+
+        const { status, body } = await query({ targetType: 'user' });
+        assert.equal(status, 200);
+        assert.equal(body.count, 1);
+
+        const [event] = body.events;
+        assert.equal(event.actorId, 'teacher-9');
+        assert.equal(event.actorRole, 'teacher');
+        assert.equal(event.action, 'create');
+        assert.equal(event.targetId, 'teacher-9');
+        assert.equal(event.route, 'POST /api/auth/register');
+        assert.deepEqual(event.diff.role, { before: null, after: 'teacher' });
+    });
+
+    it('records session and attendance changes with the actor, IP and diff', async () => {
+        const sessionId = await createSession();
+        await mark(sessionId, { 'X-Forwarded-For': '203.0.113.7' });
+        await api.request('PATCH', `/attendance/session/${sessionId}`, { user: teacher, body: { action: 'close' } });
+
+        const sessions = await query({ targetType: 'session' });
+        assert.deepEqual(sessions.body.events.map(({ action }) => action), ['update', 'create']);
+
+        const [closed, created] = sessions.body.events;
+        assert.equal(created.actorId, 'teacher-1');
+        assert.equal(created.actorRole, 'teacher');
+        assert.equal(created.targetId, sessionId);
+        assert.deepEqual(closed.diff.active, { before: true, after: false });
+        assert.ok(!('courseId' in closed.diff));
+
+        const marks = await query({ targetType: 'attendance', actorId: 'student-1' });
+        assert.equal(marks.body.count, 1);
+        assert.equal(marks.body.events[0].actorRole, 'student');
+        assert.equal(marks.body.events[0].ip, '203.0.113.7');
+        assert.equal(marks.body.events[0].targetId, `${sessionId}_student-1`);
+        assert.deepEqual(marks.body.events[0].diff.status, { before: null, after: 'present' });
+    });
+
+    it('records manual overrides and revocations', async () => {
+        const sessionId = await createSession();
+        await mark(sessionId);
+        await api.request('PUT', `/attendance/records/${sessionId}/student-1`, {
+            user: teacher,
+            body: { status: 'late', reason: 'Arrived late' }
+        });
+        await api.request('DELETE', `/attendance/records/${sessionId}/student-1`, {
+            user: teacher,
+            body: { reason: 'Entered by mistake' }
+        });
+
+        const { body } = await query({ targetType: 'attendance', actorId: 'teacher-1' });
+        assert.deepEqual(body.events.map(({ action }) => action), ['delete', 'update']);
+        assert.deepEqual(body.events[1].diff.status, { before: 'present', after: 'late' });
+        assert.deepEqual(body.events[0].diff.status, { before: 'late', after: null });
+    });
+
+    it('does not record rejected requests', async () => {
+        const sessionId = await createSession();
+        await api.request('PATCH', `/attendance/session/${sessionId}`, { user: teacher, body: { action: 'pause' } });
+
+        const { body } = await query({ action: 'update' });
+        assert.equal(body.count, 0);
+    });
+
+    it('filters by time and pages with a cursor', async () => {
+        const start = new Date().toISOString();
+        await createSession();
+        await createSession();
+        await createSession();
+
+        const first = await query({ limit: 2, from: start });
+        assert.equal(first.body.count, 2);
+        assert.ok(first.body.nextCursor);
+
+        const second = await query({ limit: 2, from: start, cursor: first.body.nextCursor });
+        assert.equal(second.body.count, 1);
+        assert.equal(second.body.nextCursor, null);
+
+        const ids = [...first.body.events, ...second.body.events].map(({ id }) => id);
+        assert.equal(new Set(ids).size, 3);
+
+        const future = await query({ from: new Date(Date.now() + 60000).toISOString() });
+        assert.equal(future.body.count, 0);
+    });
+
+    it('is limited to admins of the same institution', async () => {
+        await createSession();
+
+        const asTeacher = await query({}, teacher);
+        assert.equal(asTeacher.status, 403);
+
+        const elsewhere = await query({}, otherAdmin);
+        assert.equal(elsewhere.status, 200);
+        assert.equal(elsewhere.body.count, 0);
+    });
+
+    it('validates filters', async () => {
+        assert.equal((await query({ action: 'read' })).status, 400);
+        assert.equal((await query({ targetType: 'course' })).status, 400);
+        assert.equal((await query({ from: 'yesterday' })).status, 400);
+        assert.equal((await query({ limit: 500 })).status, 400);
+        assert.equal((await query({ cursor: 'nonsense' })).status, 400);
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, tokenFor, resetStore, store } from './helpers.js';
+
+describe('auth routes', () => {
+    let api;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(() => resetStore());
+
+    describe('authentication', () => {
+        it('rejects requests without a bearer token', async () => {
+            const { status, body } = await api.request('GET', '/auth/user/anyone');
+            assert.equal(status, 401);
+            assert.equal(body.success, false);
+        });
+
+        it('rejects invalid tokens', async () => {
+            const { status } = await api.request('GET', '/auth/user/anyone', {
+                user: { token: 'not-a-real-token' }
+            });
+            assert.equal(status, 401);
+        });
+    });
+
+    describe('POST /register', () => {
+        it('stores the profile under the uid from the token', async () => {
+            const caller = tokenFor('new-user', 'new@test.edu');
+            const { status, body } = await api.request('POST', '/auth/register', {
+                user: caller,
+                body: { uid: 'someone-else', email: 'spoof@test.edu', name: 'New User', role: 'student' }
+            });
+
+            assert.equal(status, 200);
+            assert.equal(body.success, true);
+
+            const profile = await store.get('users', 'new-user');
+            assert.equal(profile.email, 'new@test.edu');
+            assert.equal(profile.role, 'student');
+            assert.equal(await store.get('users', 'someone-else'), null);
+        });
+
+        it('requires name and role', async () => {
+            const { status } = await api.request('POST', '/auth/register', {
+                user: tokenFor('new-user'),
+                body: { name: 'No Role' }
+            });
+            assert.equal(status, 400);
+        });
+
+        it('refuses self-assigned privileged roles', async () => {
+            const { status } = await api.request('POST', '/auth/register', {
+                user: tokenFor('new-user'),
+                body: { name: 'Sneaky', role: 'admin' }
+            });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('GET /user/:uid', () => {
+        it('returns the caller\'s own profile', async () => {
+            const student = await createUser({ uid: 'student-1' });
+            const { status, body } = await api.request('GET', '/auth/user/student-1', { user: student });
+
+            assert.equal(status, 200);
+            assert.equal(body.user.uid, 'student-1');
+        });
+
+        it('forbids reading another user\'s profile', async () => {
+            const student = await createUser({ uid: 'student-1' });
+            await createUser({ uid: 'student-2' });
+
+            const { status } = await api.request('GET', '/auth/user/student-2', { user: student });
+            assert.equal(status, 403);
+        });
+
+        it('lets admins read any profile', async () => {
+            const admin = await createUser({ uid: 'admin-1', role: 'admin' });
+            await createUser({ uid: 'student-2' });
+
+            const { status, body } = await api.request('GET', '/auth/user/student-2', { user: admin });
+            assert.equal(status, 200);
+            assert.equal(body.user.uid, 'student-2');
+        });
+
+        it('returns 404 for a missing profile', async () => {
+            const { status } = await api.request('GET', '/auth/user/ghost', { user: tokenFor('ghost') });
+            assert.equal(status, 404);
+        });
+    });
+});
@@ -0,0 +1,276 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, tokenFor, resetStore, store } from './helpers.js';
+import { claimInvites } from '../src/services/rosterService.js';
+
+describe('course routes', () => {
+    let api;
+    let teacher;
+    let otherTeacher;
+    let student;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        otherTeacher = await createUser({ uid: 'teacher-2', role: 'teacher' });
+        student = await createUser({ uid: 'student-1', role: 'student', email: 'alice@test.edu' });
+    });
+
+    async function createCourse(body = { code: 'cs101', title: 'Computer Science 101' }) {
+        return api.request('POST', '/courses', { user: teacher, body });
+    }
+
+    describe('POST /', () => {
+        it('creates a course owned by the teacher', async () => {
+            const { status, body } = await createCourse();
+
+            assert.equal(status, 201);
+            assert.equal(body.course.code, 'CS101');
+            assert.equal(body.course.teacherId, 'teacher-1');
+            assert.deepEqual(body.course.studentIds, []);
+        });
+
+        it('rejects duplicate codes for the same teacher', async () => {
+            await createCourse();
+            const { status } = await createCourse({ code: 'CS101', title: 'Again' });
+            assert.equal(status, 409);
+        });
+
+        it('only allows teachers', async () => {
+            const { status } = await api.request('POST', '/courses', {
+                user: student,
+                body: { code: 'X1', title: 'Nope' }
+            });
+            assert.equal(status, 403);
+        });
+
+        it('requires code and title', async () => {
+            const { status } = await createCourse({ code: 'X1' });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('enrollment', () => {
+        it('enrolls students by email and reports unknown ones', async () => {
+            const { body: created } = await createCourse();
+            const courseId = created.course.id;
+
+            const { status, body } = await api.request('POST', `/courses/${courseId}/enrollments`, {
+                user: teacher,
+                body: { emails: ['ALICE@test.edu', 'nobody@test.edu'] }
+            });
+
+            assert.equal(status, 200);
+            assert.deepEqual(body.enrolled, ['student-1']);
+            assert.deepEqual(body.notFound, ['nobody@test.edu']);
+
+            const students = await api.request('GET', `/courses/${courseId}/students`, { user: teacher });
+            assert.deepEqual(students.body.students, [{ uid: 'student-1', rollNumber: null, name: 'student-1', email: 'alice@test.edu' }]);
+        });
+
+        it('does not enroll teachers or enroll twice', async () => {
+            const { body: created } = await createCourse();
+            const courseId = created.course.id;
+            await api.request('POST', `/courses/${courseId}/enrollments`, { user: teacher, body: { studentIds: ['student-1'] } });
+
+            const { body } = await api.request('POST', `/courses/${courseId}/enrollments`, {
+                user: teacher,
+                body: { studentIds: ['student-1', 'teacher-2'] }
+            });
+
+            assert.deepEqual(body.enrolled, []);
+            assert.deepEqual(body.alreadyEnrolled, ['student-1']);
+            assert.deepEqual(body.notFound, ['teacher-2']);
+        });
+
+        it('removes a student', async () => {
+            const { body: created } = await createCourse();
+            const courseId = created.course.id;
+            await api.request('POST', `/courses/${courseId}/enrollments`, { user: teacher, body: { studentIds: ['student-1'] } });
+
+            const removed = await api.request('DELETE', `/courses/${courseId}/enrollments/student-1`, { user: teacher });
+            assert.equal(removed.status, 200);
+
+            const again = await api.request('DELETE', `/courses/${courseId}/enrollments/student-1`, { user: teacher });
+            assert.equal(again.status, 404);
+        });
+
+        it('is limited to the owning teacher', async () => {
+            const { body: created } = await createCourse();
+            const courseId = created.course.id;
+
+            const { status } = await api.request('POST', `/courses/${courseId}/enrollments`, {
+                user: otherTeacher,
+                body: { studentIds: ['student-1'] }
+            });
+            assert.equal(status, 403);
+        });
+    });
+
+    describe('reading courses', () => {
+        it('lists taught courses for teachers and enrolled courses for students', async () => {
+            const { body: created } = await createCourse();
+            const courseId = created.course.id;
+            await api.request('POST', `/courses/${courseId}/enrollments`, { user: teacher, body: { studentIds: ['student-1'] } });
+
+            const taught = await api.request('GET', '/courses', { user: teacher });
+            assert.equal(taught.body.count, 1);
+
+            const enrolled = await api.request('GET', '/courses', { user: student });
+            assert.equal(enrolled.body.count, 1);
+            assert.equal(enrolled.body.courses[0].studentIds, undefined);
+            assert.equal(enrolled.body.courses[0].studentCount, 1);
+
+            const none = await api.request('GET', '/courses', { user: otherTeacher });
+            assert.equal(none.body.count, 0);
+        });
+
+        it('hides a course from students who are not enrolled', async () => {
+            const { body: created } = await createCourse();
+            const { status } = await api.request('GET', `/courses/${created.course.id}`, { user: student });
+            assert.equal(status, 403);
+        });
+
+        it('updates code and title', async () => {
+            const { body: created } = await createCourse();
+            const { status, body } = await api.request('PATCH', `/courses/${created.course.id}`, {
+                user: teacher,
+                body: { title: 'Intro to CS' }
+            });
+
+            assert.equal(status, 200);
+            assert.equal(body.course.title, 'Intro to CS');
+            assert.equal(body.course.code, 'CS101');
+        });
+
+        it('returns 404 for unknown courses', async () => {
+            const { status } = await api.request('GET', '/courses/missing', { user: teacher });
+            assert.equal(status, 404);
+        });
+    });
+
+    describe('POST /:courseId/roster', () => {
+        let courseId;
+
+        beforeEach(async () => {
+            const { body } = await createCourse();
+            courseId = body.course.id;
+        });
+
+        async function uploadRoster(csv, user = teacher) {
+            return api.request('POST', `/courses/${courseId}/roster`, {
+                user,
+                body: csv,
+                headers: { 'Content-Type': 'text/csv' }
+            });
+        }
+
+        it('enrolls registered students, invites the rest and reports row errors', async () => {
+            await createUser({ uid: 'teacher-3', role: 'teacher', email: 'prof@test.edu' });
+            const csv = [
+                'Roll No,Name,Email,Section',
+                '1,Alice,Alice@test.edu,A',
+                '2,Bob,bob@test.edu,A',
+                '3,Carol,not-an-email,A',
+                '4,Alice Again,alice@test.edu,A',
+                '2,Dup Roll,dave@test.edu,A',
+                '5,Prof,prof@test.edu,A'
+            ].join('\r\n');
+
+            const { status, body } = await uploadRoster(csv);
+
+            assert.equal(status, 200);
+            assert.deepEqual(body.enrolled, [{ row: 2, uid: 'student-1', email: 'alice@test.edu', rollNumber: '1' }]);
+            assert.deepEqual(body.invited, [{ row: 3, email: 'bob@test.edu', rollNumber: '2' }]);
+            assert.deepEqual(body.errors.map(({ row }) => row), [1, 4, 5, 6, 7]);
+            assert.match(body.errors[0].message, /Unknown column "Section"/);
+
+            const roster = await api.request('GET', `/courses/${courseId}/students`, { user: teacher });
+            assert.equal(roster.body.students[0].rollNumber, '1');
+            assert.deepEqual(roster.body.pendingInvites, [{ rollNumber: '2', name: 'Bob', email: 'bob@test.edu' }]);
+        });
+
+        it('accepts JSON bodies and quoted fields', async () => {
+            const { body } = await api.request('POST', `/courses/${courseId}/roster`, {
+                user: teacher,
+                body: { csv: 'roll_number,name,email\n"A-1","Doe, Jane",alice@test.edu\n' }
+            });
+
+            assert.equal(body.enrolled.length, 1);
+            assert.equal(body.enrolled[0].rollNumber, 'A-1');
+        });
+
+        it('rejects files without the required columns', async () => {
+            const { status, body } = await uploadRoster('name,email\nAlice,alice@test.edu');
+            assert.equal(status, 400);
+            assert.match(body.message, /rollNumber/);
+        });
+
+        it('refuses roll numbers already taken by another student', async () => {
+            await uploadRoster('roll,name,email\n1,Alice,alice@test.edu');
+            await createUser({ uid: 'student-2', email: 'bob@test.edu' });
+
+            const { body } = await uploadRoster('roll,name,email\n1,Bob,bob@test.edu');
+            assert.equal(body.enrolled.length, 0);
+            assert.match(body.errors[0].message, /already assigned/);
+        });
+
+        it('enrolls invited students when they register', async () => {
+            await uploadRoster('roll,name,email\n7,Bob,bob@test.edu');
+
+            const { body } = await api.request('POST', '/auth/register', {
+                user: tokenFor('student-2', 'bob@test.edu'),
+                body: { name: 'Bob', role: 'student' }
+            });
+            assert.deepEqual(body.joinedCourses, [courseId]);
+
+            const roster = await api.request('GET', `/courses/${courseId}/students`, { user: teacher });
+            assert.deepEqual(roster.body.students, [{ uid: 'student-2', rollNumber: '7', name: 'Bob', email: 'bob@test.edu' }]);
+            assert.deepEqual(roster.body.pendingInvites, []);
+        });
+
+        it('keeps the invite until the student has verified their email', async () => {
+            await uploadRoster('roll,name,email\n7,Bob,bob@test.edu');
+
+            const unverified = await api.request('POST', '/auth/register', {
+                user: tokenFor('student-2', 'bob@test.edu', false),
+                body: { name: 'Bob', role: 'student' }
+            });
+            assert.deepEqual(unverified.body.joinedCourses, []);
+
+            const roster = await api.request('GET', `/courses/${courseId}/students`, { user: teacher });
+            assert.deepEqual(roster.body.students, []);
+            assert.equal(roster.body.pendingInvites.length, 1);
+
+            const verified = await api.request('POST', '/auth/register', {
+                user: tokenFor('student-2', 'bob@test.edu'),
+                body: { name: 'Bob', role: 'student' }
+            });
+            assert.deepEqual(verified.body.joinedCourses, [courseId]);
+        });
+
+        it('keeps every student who claims an invite at the same time', async () => {
+            await uploadRoster('roll,name,email\n7,Bob,bob@test.edu\n8,Cara,cara@test.edu');
+
+            await Promise.all([
+                claimInvites('student-2', 'bob@test.edu'),
+                claimInvites('student-3', 'cara@test.edu')
+            ]);
+
+            const course = await store.get('courses', courseId);
+            assert.deepEqual([...course.studentIds].sort(), ['student-2', 'student-3']);
+            assert.deepEqual(course.rollNumbers, { 'student-2': '7', 'student-3': '8' });
+        });
+
+        it('is limited to the owning teacher', async () => {
+            const { status } = await uploadRoster('roll,name,email\n1,Alice,alice@test.edu', otherTeacher);
+            assert.equal(status, 403);
+        });
+    });
+});
@@ -0,0 +1,218 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, resetStore, store } from './helpers.js';
+import { DEVICE_ERRORS } from '../src/services/deviceService.js';
+import { createAttendance } from '../src/repositories/attendanceRepository.js';
+import { STORE_ERRORS } from '../src/repositories/storeTypes.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.97163, longitude: 77.59464 };
+const NEW_PHONE = 'new-phone-0000000000000001';
+const FAR_AWAY = { latitude: 12.9816, longitude: 77.5946 };
+
+describe('device routes', () => {
+    let api;
+    let teacher;
+    let otherTeacher;
+    let admin;
+    let student;
+    let classmate;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        otherTeacher = await createUser({ uid: 'teacher-2', role: 'teacher' });
+        admin = await createUser({ uid: 'admin-1', role: 'admin' });
+        student = await createUser({ uid: 'student-1', role: 'student' });
+        classmate = await createUser({ uid: 'student-2', role: 'student' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1', 'student-2'] }
+        });
+    });
+
+    async function createSession() {
+        const { body } = await api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: { courseId, location: CLASSROOM, expiresAt: new Date(Date.now() + 15 * 60000).toISOString() }
+        });
+        return body.sessionId;
+    }
+
+    async function mark(sessionId, user, deviceId = user.deviceId, location = INSIDE) {
+        const qr = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+        return api.request('POST', '/attendance/mark', {
+            user,
+            body: { qrData: qr.body.qrData, location },
+            headers: deviceId ? { 'X-Device-Id': deviceId } : {}
+        });
+    }
+
+    function requestRebind(user, deviceId) {
+        return api.request('POST', '/devices/rebind-requests', { user, headers: { 'X-Device-Id': deviceId } });
+    }
+
+    function decide(studentId, decision, user = teacher) {
+        return api.request('PATCH', `/devices/rebind-requests/${studentId}`, { user, body: { decision } });
+    }
+
+    describe('marking', () => {
+        it('requires a device id', async () => {
+            const sessionId = await createSession();
+            const { status, body } = await mark(sessionId, student, null);
+
+            assert.equal(status, 400);
+            assert.equal(body.code, DEVICE_ERRORS.MISSING);
+        });
+
+        it('registers the first device and refuses others', async () => {
+            await mark(await createSession(), student);
+
+            const me = await api.request('GET', '/devices/me', { user: student, headers: { 'X-Device-Id': student.deviceId } });
+            assert.equal(me.body.registered, true);
+            assert.equal(me.body.thisDevice, true);
+
+            const { status, body } = await mark(await createSession(), student, NEW_PHONE);
+            assert.equal(status, 403);
+            assert.equal(body.code, DEVICE_ERRORS.MISMATCH);
+        });
+
+        it('registers nothing when the first check-in is blocked', async () => {
+            const sessionId = await createSession();
+
+            const blocked = await mark(sessionId, student, NEW_PHONE, FAR_AWAY);
+            assert.equal(blocked.status, 400);
+
+            const me = await api.request('GET', '/devices/me', { user: student, headers: { 'X-Device-Id': NEW_PHONE } });
+            assert.equal(me.body.registered, false);
+
+            assert.equal((await mark(sessionId, student)).status, 200);
+        });
+
+        it('saves no check-in when another phone was registered in the meantime', async () => {
+            const sessionId = await createSession();
+            // Registered by another first check-in after this one passed the device check
+            await store.set('deviceBindings', 'student-1', { deviceId: NEW_PHONE, boundAt: new Date().toISOString(), approvedBy: null });
+
+            const record = { sessionId, studentId: 'student-1', deviceId: student.deviceId, markedAt: new Date().toISOString() };
+            await assert.rejects(
+                createAttendance(record, { bindDevice: { deviceId: student.deviceId, boundAt: record.markedAt, approvedBy: null } }),
+                { code: STORE_ERRORS.ALREADY_EXISTS }
+            );
+
+            assert.equal(await store.get('attendance', `${sessionId}_student-1`), null);
+            assert.equal((await store.get('deviceBindings', 'student-1')).deviceId, NEW_PHONE);
+        });
+
+        it('allows one student per device per session and reports the conflict', async () => {
+            const sessionId = await createSession();
+            // The classmate's account has been used on the student's phone before
+            await api.request('POST', '/devices/rebind-requests', {
+                user: classmate,
+                headers: { 'X-Device-Id': student.deviceId }
+            });
+
+            assert.equal((await mark(sessionId, student)).status, 200);
+
+            const { status, body } = await mark(sessionId, classmate, student.deviceId, { latitude: 12.97158, longitude: 77.59457 });
+            assert.equal(status, 409);
+            assert.equal(body.code, DEVICE_ERRORS.SHARED);
+
+            const conflicts = await api.request('GET', '/devices/conflicts', { user: teacher });
+            assert.equal(conflicts.body.count, 1);
+            assert.equal(conflicts.body.conflicts[0].studentId, 'student-2');
+            assert.equal(conflicts.body.conflicts[0].markedStudentId, 'student-1');
+
+            const records = await api.request('GET', `/attendance/records/${sessionId}`, { user: teacher });
+            assert.equal(records.body.count, 1);
+            assert.equal(records.body.deviceConflicts.length, 1);
+
+            const otherConflicts = await api.request('GET', '/devices/conflicts', { user: otherTeacher });
+            assert.equal(otherConflicts.body.count, 0);
+        });
+    });
+
+    describe('rebinding', () => {
+        it('moves the account to a new device once a teacher approves', async () => {
+            await mark(await createSession(), student);
+
+            const requested = await requestRebind(student, NEW_PHONE);
+            assert.equal(requested.status, 202);
+
+            const me = await api.request('GET', '/devices/me', { user: student, headers: { 'X-Device-Id': NEW_PHONE } });
+            assert.equal(me.body.thisDevice, false);
+            assert.deepEqual([me.body.request.status, me.body.request.thisDevice], ['pending', true]);
+
+            const pending = await api.request('GET', '/devices/rebind-requests', { user: teacher });
+            assert.equal(pending.body.count, 1);
+            assert.equal(pending.body.requests[0].studentId, 'student-1');
+
+            // Still refused until approved
+            const sessionId = await createSession();
+            assert.equal((await mark(sessionId, student, NEW_PHONE)).status, 403);
+
+            const approved = await decide('student-1', 'approve');
+            assert.equal(approved.status, 200);
+            assert.equal(approved.body.request.status, 'approved');
+
+            assert.equal((await mark(sessionId, student, NEW_PHONE)).status, 200);
+            assert.equal((await mark(await createSession(), student)).status, 403);
+
+            const after = await api.request('GET', '/devices/rebind-requests', { user: teacher });
+            assert.equal(after.body.count, 0);
+        });
+
+        it('keeps the old device when a request is rejected', async () => {
+            await mark(await createSession(), student);
+            await requestRebind(student, NEW_PHONE);
+
+            assert.equal((await decide('student-1', 'reject')).status, 200);
+            assert.equal((await decide('student-1', 'approve')).status, 400);
+
+            assert.equal((await mark(await createSession(), student)).status, 200);
+        });
+
+        it('lets only the student\'s teachers or an admin decide', async () => {
+            await mark(await createSession(), student);
+            await requestRebind(student, NEW_PHONE);
+
+            const others = await api.request('GET', '/devices/rebind-requests', { user: otherTeacher });
+            assert.equal(others.body.count, 0);
+            assert.equal((await decide('student-1', 'approve', otherTeacher)).status, 403);
+
+            const adminList = await api.request('GET', '/devices/rebind-requests', { user: admin });
+            assert.equal(adminList.body.count, 1);
+            assert.equal((await decide('student-1', 'approve', admin)).status, 200);
+
+            assert.equal((await decide('student-9', 'approve')).status, 404);
+        });
+
+        it('registers a first device directly and rejects pointless requests', async () => {
+            const first = await requestRebind(student, NEW_PHONE);
+            assert.equal(first.status, 200);
+
+            const again = await requestRebind(student, NEW_PHONE);
+            assert.equal(again.status, 400);
+
+            const invalid = await requestRebind(student, 'x');
+            assert.equal(invalid.status, 400);
+
+            const asTeacher = await requestRebind(teacher, NEW_PHONE);
+            assert.equal(asTeacher.status, 403);
+        });
+    });
+});
@@ -0,0 +1,287 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { startServer, createUser, resetStore, store } from './helpers.js';
+import {
+    evaluateEligibility,
+    normalizeEligibilityRules,
+    DEFAULT_ELIGIBILITY_RULES
+} from '../src/services/eligibilityService.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+
+describe('exam eligibility', () => {
+    let api;
+    let teacher;
+    let admin;
+    let student;
+    let courseId;
+    let sessionIds;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        admin = await createUser({ uid: 'admin-1', role: 'admin' });
+        student = await createUser({ uid: 'student-1', role: 'student', name: 'Asha Rao' });
+        await createUser({ uid: 'student-2', role: 'student', name: 'Ben Lee' });
+        await createUser({ uid: 'student-3', role: 'student', name: 'Chen Wu' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1', 'student-2', 'student-3'] }
+        });
+        await store.update('courses', courseId, { rollNumbers: { 'student-1': '1', 'student-2': '2', 'student-3': '3' } });
+
+        // Three finished sessions:
+        // student-1 present at all three (100%), student-2 at two (66.7%),
+        // student-3 present once and excused once (66.7%, or 33.3% without the excused one)
+        const statuses = {
+            'student-1': ['present', 'present', 'present'],
+            'student-2': ['present', 'present', 'absent'],
+            'student-3': ['present', 'excused', 'absent']
+        };
+
+        sessionIds = [];
+        for (let index = 0; index < 3; index++) {
+            const sessionId = await createSession();
+            await close(sessionId);
+            for (const [studentId, list] of Object.entries(statuses)) {
+                await override(sessionId, studentId, list[index]);
+            }
+            sessionIds.push(sessionId);
+        }
+    });
+
+    async function createSession() {
+        const { body } = await api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: { courseId, location: CLASSROOM, expiresAt: new Date(Date.now() + 15 * 60000).toISOString() }
+        });
+        return body.sessionId;
+    }
+
+    function close(sessionId) {
+        return api.request('PATCH', `/attendance/session/${sessionId}`, { user: teacher, body: { action: 'close' } });
+    }
+
+    function override(sessionId, studentId, status) {
+        return api.request('PUT', `/attendance/records/${sessionId}/${studentId}`, {
+            user: teacher,
+            body: { status, reason: 'Checked with the class register' }
+        });
+    }
+
+    async function report(user = teacher) {
+        const { body } = await api.request('GET', `/eligibility/courses/${courseId}`, { user });
+        return body.report;
+    }
+
+    function results(list) {
+        return list.students.map(({ studentId, percentage, result }) => [studentId, percentage, result]);
+    }
+
+    describe('report', () => {
+        it('sorts students into eligible, condonable and ineligible with a reason', async () => {
+            const list = await report();
+
+            assert.deepEqual(results(list), [
+                ['student-1', 100, 'eligible'],
+                ['student-2', 66.7, 'condonable'],
+                ['student-3', 66.7, 'condonable']
+            ]);
+            assert.deepEqual(list.summary, { eligible: 1, condonable: 2, ineligible: 0 });
+            assert.deepEqual(list.rules, DEFAULT_ELIGIBILITY_RULES);
+            assert.match(list.students[0].reason, /Attended 3 of 3 sessions, 100%; meets the 75% minimum/);
+            assert.match(list.students[2].reason, /1 excused absence\(s\) counted as present/);
+            assert.match(list.students[2].reason, /medical certificate/);
+        });
+
+        it('applies the course rules', async () => {
+            const { status } = await api.request('PATCH', `/courses/${courseId}`, {
+                user: teacher,
+                body: { eligibilityRules: { excusedAsPresent: false, medicalCondonation: 5 } }
+            });
+            assert.equal(status, 200);
+
+            assert.deepEqual(results(await report()), [
+                ['student-1', 100, 'eligible'],
+                ['student-2', 66.7, 'ineligible'],
+                ['student-3', 33.3, 'ineligible']
+            ]);
+        });
+
+        it('rejects invalid rules', async () => {
+            for (const eligibilityRules of [{ minPercentage: 120 }, { medicalCondonation: 80 }, { excusedAsPresent: 'yes' }, { grace: 5 }, [75]]) {
+                const { status } = await api.request('PATCH', `/courses/${courseId}`, { user: teacher, body: { eligibilityRules } });
+                assert.equal(status, 400, JSON.stringify(eligibilityRules));
+            }
+        });
+
+        it('keeps the rules not being changed', () => {
+            const { rules } = normalizeEligibilityRules({ minPercentage: 80 }, { ...DEFAULT_ELIGIBILITY_RULES, excusedAsPresent: false });
+            assert.deepEqual(rules, { minPercentage: 80, excusedAsPresent: false, medicalCondonation: 10 });
+        });
+
+        it('treats a student with no sessions held as eligible', () => {
+            const decision = evaluateEligibility({ held: 0, attended: 0, excused: 0 }, DEFAULT_ELIGIBILITY_RULES);
+            assert.equal(decision.result, 'eligible');
+            assert.equal(decision.percentage, null);
+            assert.match(decision.reason, /No sessions were held/);
+        });
+
+        it('makes a waived student eligible until the waiver is removed', async () => {
+            const path = `/eligibility/courses/${courseId}/waivers/student-2`;
+
+            assert.equal((await api.request('PUT', path, { user: teacher, body: {} })).status, 400);
+
+            const { status } = await api.request('PUT', path, { user: teacher, body: { reason: 'Represented the university at nationals' } });
+            assert.equal(status, 200);
+
+            let [, waived] = (await report()).students;
+            assert.equal(waived.result, 'eligible');
+            assert.equal(waived.waived, true);
+            assert.match(waived.reason, /waived by teacher-1@test\.edu: Represented the university at nationals/);
+
+            assert.equal((await api.request('DELETE', path, { user: teacher })).status, 200);
+            [, waived] = (await report()).students;
+            assert.equal(waived.result, 'condonable');
+
+            const audit = await store.query('auditLog', { where: [['targetType', '==', 'eligibility']] });
+            assert.equal(audit.length, 2);
+        });
+
+        it('refuses a waiver for a student not on the course', async () => {
+            const { status } = await api.request('PUT', `/eligibility/courses/${courseId}/waivers/student-9`, {
+                user: teacher,
+                body: { reason: 'Not enrolled' }
+            });
+            assert.equal(status, 404);
+        });
+
+        it('is only for the owning teacher, or an admin reading it', async () => {
+            const other = await createUser({ uid: 'teacher-2', role: 'teacher' });
+
+            assert.equal((await api.request('GET', `/eligibility/courses/${courseId}`, { user: other })).status, 403);
+            assert.equal((await api.request('GET', `/eligibility/courses/${courseId}`, { user: student })).status, 403);
+            assert.equal((await api.request('GET', `/eligibility/courses/${courseId}`, { user: admin })).status, 200);
+            assert.equal((await api.request('POST', `/eligibility/courses/${courseId}/sign-off`, { user: admin, body: {} })).status, 403);
+        });
+    });
+
+    describe('export', () => {
+        it('downloads the list as CSV', async () => {
+            const { status, headers, buffer } = await api.download(`/eligibility/courses/${courseId}/export`, { user: teacher });
+
+            assert.equal(status, 200);
+            assert.match(headers.get('content-disposition'), /CS101-eligibility-draft\.csv/);
+
+            const lines = buffer.toString().replace(/^﻿/, '').trim().split('\r\n');
+            assert.equal(lines[0], 'Roll Number,Name,Email,Sessions,Attended,Excused,Attendance %,Result,Waived,Reason');
+            assert.match(lines[2], /^2,Ben Lee,student-2@test\.edu,3,2,0,66\.7,condonable,,/);
+        });
+
+        it('downloads the list as a PDF', async () => {
+            const { status, headers, buffer } = await api.download(`/eligibility/courses/${courseId}/export?format=pdf`, { user: teacher });
+
+            assert.equal(status, 200);
+            assert.equal(headers.get('content-type'), 'application/pdf');
+
+            const text = buffer.toString('latin1');
+            assert.ok(text.startsWith('%PDF-1.4'));
+            assert.ok(text.trimEnd().endsWith('%%EOF'));
+            assert.match(text, /Exam Eligibility Report - CS101 Computer Science 101/);
+            assert.match(text, /DRAFT generated/);
+            assert.match(text, /Page 1 of 1/);
+
+            // The cross-reference table points at every object
+            const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+            assert.equal(text.slice(xref, xref + 4), 'xref');
+            const offsets = [...text.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(([, offset]) => Number(offset));
+            offsets.forEach((offset, index) => assert.ok(text.startsWith(`${index + 1} 0 obj`, offset)));
+        });
+
+        it('rejects an unknown format', async () => {
+            const { status } = await api.download(`/eligibility/courses/${courseId}/export?format=docx`, { user: teacher });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('sign-off', () => {
+        function signOff(body = {}) {
+            return api.request('POST', `/eligibility/courses/${courseId}/sign-off`, { user: teacher, body });
+        }
+
+        it('stores the list and serves it as signed', async () => {
+            const { status, body } = await signOff({ statement: 'Checked against the class registers' });
+            assert.equal(status, 200);
+            assert.equal(body.report.signedBy, 'teacher-1');
+            assert.equal(body.report.dataHash, createHash('sha256').update(JSON.stringify(body.report.students)).digest('hex'));
+
+            const { body: fetched } = await api.request('GET', `/eligibility/courses/${courseId}`, { user: teacher });
+            assert.equal(fetched.signedOff, true);
+            assert.deepEqual(fetched.report, body.report);
+
+            const pdf = await api.download(`/eligibility/courses/${courseId}/export?format=pdf`, { user: admin });
+            const text = pdf.buffer.toString('latin1');
+            assert.match(text, /Signed off by teacher-1@test\.edu/);
+            assert.match(text, new RegExp(`SHA-256 ${body.report.dataHash}`));
+            assert.match(pdf.headers.get('content-disposition'), /CS101-eligibility\.pdf/);
+        });
+
+        it('freezes the rules, the waivers and the attendance of the term', async () => {
+            await signOff();
+
+            assert.equal((await override(sessionIds[0], 'student-2', 'absent')).status, 409);
+            assert.equal((await api.request('DELETE', `/attendance/records/${sessionIds[0]}/student-1`, {
+                user: teacher,
+                body: { reason: 'Wrong student' }
+            })).status, 409);
+            assert.equal((await api.request('PATCH', `/attendance/session/${sessionIds[2]}`, {
+                user: teacher,
+                body: { action: 'reopen', minutes: 5 }
+            })).status, 409);
+            assert.equal((await api.request('PATCH', `/courses/${courseId}`, {
+                user: teacher,
+                body: { eligibilityRules: { minPercentage: 60 } }
+            })).status, 409);
+            assert.equal((await api.request('PUT', `/eligibility/courses/${courseId}/waivers/student-3`, {
+                user: teacher,
+                body: { reason: 'Too late' }
+            })).status, 409);
+            assert.equal((await signOff()).status, 409);
+
+            const record = await store.get('attendance', `${sessionIds[0]}_student-2`);
+            assert.equal(record.status, 'present');
+
+            // Sessions after the sign-off belong to the next term
+            const next = await createSession();
+            await close(next);
+            assert.equal((await override(next, 'student-2', 'present')).status, 200);
+        });
+
+        it('waits for running sessions and pending reviews', async () => {
+            const running = await createSession();
+            const { status, body } = await signOff();
+            assert.equal(status, 409);
+            assert.match(body.message, /still running/);
+
+            await close(running);
+            await store.update('attendance', `${sessionIds[0]}_student-1`, { status: 'suspicious' });
+            const pending = await signOff();
+            assert.equal(pending.status, 409);
+            assert.match(pending.body.message, /waiting for review/);
+        });
+    });
+});
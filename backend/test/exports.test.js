@@ -0,0 +1,277 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { randomBytes } from 'crypto';
+import { Writable } from 'stream';
+import { startServer, createUser, resetStore, store } from './helpers.js';
+import { createTableWriter } from '../src/services/exportService.js';
+import { STREAM_ERRORS } from '../src/utils/streams.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.97163, longitude: 77.59464 };
+
+/**
+ * Read the files of a ZIP archive from its central directory
+ * @returns Map of name -> content (string)
+ */
+function unzip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let position = buffer.readUInt32LE(end + 16);
+    const files = new Map();
+
+    for (let i = 0; i < count; i++) {
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const offset = buffer.readUInt32LE(position + 42);
+        const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+
+        const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+        files.set(name, zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize)).toString());
+        position += 46 + nameLength;
+    }
+
+    return files;
+}
+
+function csvLines(buffer) {
+    return buffer.toString().replace(/^\uFEFF/, '').trim().split('\r\n');
+}
+
+describe('attendance exports', () => {
+    let api;
+    let teacher;
+    let otherTeacher;
+    let student;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        otherTeacher = await createUser({ uid: 'teacher-2', role: 'teacher' });
+        student = await createUser({ uid: 'student-1', role: 'student', name: 'Asha Rao' });
+        await createUser({ uid: 'student-2', role: 'student', name: 'Ben "B" Lee' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1', 'student-2'] }
+        });
+        await store.update('courses', courseId, { rollNumbers: { 'student-1': '2', 'student-2': '10' } });
+    });
+
+    async function createSession() {
+        const { body } = await api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: { courseId, location: CLASSROOM, expiresAt: new Date(Date.now() + 15 * 60000).toISOString() }
+        });
+        return body.sessionId;
+    }
+
+    function closeSession(sessionId) {
+        return api.request('PATCH', `/attendance/session/${sessionId}`, { user: teacher, body: { action: 'close' } });
+    }
+
+    async function mark(sessionId) {
+        const qr = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+        return api.request('POST', '/attendance/mark', {
+            user: student,
+            body: { qrData: qr.body.qrData, location: INSIDE },
+            headers: { 'X-Device-Id': student.deviceId }
+        });
+    }
+
+    describe('session export', () => {
+        it('downloads every student of a session as CSV in roll number order', async () => {
+            const sessionId = await createSession();
+            await mark(sessionId);
+
+            const { status, headers, buffer } = await api.download(`/attendance/records/${sessionId}/export`, { user: teacher });
+            assert.equal(status, 200);
+            assert.match(headers.get('content-type'), /^text\/csv/);
+            assert.match(headers.get('content-disposition'), /attachment; filename="CS101-\d{4}-\d{2}-\d{2}\.csv"/);
+            assert.equal(buffer.toString().charCodeAt(0), 0xFEFF);
+
+            const [header, first, second] = csvLines(buffer);
+            assert.equal(header, 'Roll Number,Name,Email,Status,Marked At,Distance (m),Source');
+
+            const fields = first.split(',');
+            assert.deepEqual(fields.slice(0, 4), ['2', 'Asha Rao', 'student-1@test.edu', 'present']);
+            assert.ok(!Number.isNaN(Date.parse(fields[4])));
+            assert.ok(Number(fields[5]) >= 0);
+            assert.equal(fields[6], 'qr');
+
+            assert.equal(second, '10,"Ben ""B"" Lee",student-2@test.edu,absent,,,');
+        });
+
+        it('includes students removed from the course after they marked', async () => {
+            const sessionId = await createSession();
+            await mark(sessionId);
+            await api.request('DELETE', `/courses/${courseId}/enrollments/student-1`, { user: teacher });
+
+            const lines = csvLines((await api.download(`/attendance/records/${sessionId}/export`, { user: teacher })).buffer);
+            assert.equal(lines.length, 3);
+            assert.match(lines[1], /^10,/);
+            assert.match(lines[2], /^,Asha Rao,student-1@test\.edu,present,/);
+        });
+
+        it('downloads a session as an XLSX workbook', async () => {
+            const sessionId = await createSession();
+            await mark(sessionId);
+
+            const { status, headers, buffer } = await api.download(
+                `/attendance/records/${sessionId}/export?format=xlsx`,
+                { user: teacher }
+            );
+            assert.equal(status, 200);
+            assert.equal(headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+            const files = unzip(buffer);
+            assert.deepEqual([...files.keys()].sort(), [
+                '[Content_Types].xml',
+                '_rels/.rels',
+                'xl/_rels/workbook.xml.rels',
+                'xl/styles.xml',
+                'xl/workbook.xml',
+                'xl/worksheets/sheet1.xml'
+            ]);
+
+            const sheet = files.get('xl/worksheets/sheet1.xml');
+            assert.equal((sheet.match(/<row /g) || []).length, 3);
+            assert.ok(sheet.includes('<t xml:space="preserve">Asha Rao</t>'));
+            assert.ok(sheet.includes('<t xml:space="preserve">Ben &quot;B&quot; Lee</t>'));
+        });
+
+        it('streams large classes', async () => {
+            const studentIds = Array.from({ length: 450 }, (_, i) => `bulk-${i}`);
+            await store.update('courses', courseId, { studentIds });
+            const sessionId = await createSession();
+
+            const csv = await api.download(`/attendance/records/${sessionId}/export`, { user: teacher });
+            assert.equal(csvLines(csv.buffer).length, 451);
+
+            const xlsx = await api.download(`/attendance/records/${sessionId}/export?format=xlsx`, { user: teacher });
+            const sheet = unzip(xlsx.buffer).get('xl/worksheets/sheet1.xml');
+            assert.equal((sheet.match(/<row /g) || []).length, 451);
+        });
+
+        it('stops writing when the client goes away in the middle', { timeout: 5000 }, async () => {
+            for (const format of ['csv', 'xlsx']) {
+                // A client that stopped reading, then disconnected
+                const output = new Writable({ highWaterMark: 1024, write() {} });
+                const writer = createTableWriter(format, output, { sheetName: 'Attendance' });
+
+                const writing = (async () => {
+                    for (let i = 0; i < 10000; i++) {
+                        await writer.writeRow([i, randomBytes(32).toString('hex')]);
+                    }
+                    await writer.end();
+                })();
+                setTimeout(() => output.destroy(), 50);
+
+                await assert.rejects(writing, { code: STREAM_ERRORS.CLOSED }, format);
+            }
+        });
+
+        it('validates session exports', async () => {
+            const sessionId = await createSession();
+
+            const wrongTeacher = await api.download(`/attendance/records/${sessionId}/export`, { user: otherTeacher });
+            assert.equal(wrongTeacher.status, 403);
+
+            const badFormat = await api.download(`/attendance/records/${sessionId}/export?format=pdf`, { user: teacher });
+            assert.equal(badFormat.status, 400);
+
+            const missing = await api.download('/attendance/records/nope/export', { user: teacher });
+            assert.equal(missing.status, 404);
+        });
+    });
+
+    describe('course matrix', () => {
+        it('downloads a student-by-session matrix with totals', async () => {
+            const first = await createSession();
+            await mark(first);
+            const second = await createSession();
+            await api.request('PUT', `/attendance/records/${second}/student-2`, {
+                user: teacher,
+                body: { status: 'late', reason: 'Bus delayed' }
+            });
+            await closeSession(first);
+            await closeSession(second);
+
+            const { status, headers, buffer } = await api.download(`/courses/${courseId}/attendance/export`, { user: teacher });
+            assert.equal(status, 200);
+            assert.match(headers.get('content-disposition'), /filename="CS101-attendance\.csv"/);
+
+            const [header, asha, ben] = csvLines(buffer).map((line) => line.split(','));
+            const today = new Date().toISOString().slice(0, 10);
+            assert.deepEqual(header.slice(0, 3), ['Roll Number', 'Name', 'Email']);
+            // Two sessions on the same day are told apart by their start time
+            assert.match(header[3], new RegExp(`^${today} \\d{2}:\\d{2}$`));
+            assert.deepEqual(header.slice(5), ['Attended', 'Sessions', 'Attendance %']);
+
+            assert.deepEqual(asha.slice(3), ['present', 'absent', '1', '2', '50']);
+            assert.deepEqual(ben.slice(3), ['absent', 'late', '1', '2', '50']);
+        });
+
+        it('counts finished sessions only and leaves excused ones out, like the analytics', async () => {
+            const first = await createSession();
+            await mark(first);
+            const second = await createSession();
+            await api.request('PUT', `/attendance/records/${second}/student-1`, {
+                user: teacher,
+                body: { status: 'excused', reason: 'Medical certificate' }
+            });
+            const third = await createSession();
+            await closeSession(first);
+            await closeSession(second);
+            // Still running: shown, but not counted yet
+            await mark(third);
+
+            const { buffer } = await api.download(`/courses/${courseId}/attendance/export`, { user: teacher });
+            const [, asha, ben] = csvLines(buffer).map((line) => line.split(','));
+            assert.deepEqual(asha.slice(3), ['present', 'excused', 'present', '1', '2', '100']);
+            assert.deepEqual(ben.slice(3), ['absent', 'absent', 'absent', '0', '2', '0']);
+
+            const { body } = await api.request('GET', `/analytics/courses/${courseId}`, { user: teacher });
+            const analytics = new Map(body.students.map((row) => [row.studentId, row]));
+            assert.equal(Number(asha[8]), analytics.get('student-1').percentage);
+            assert.equal(Number(ben[8]), analytics.get('student-2').percentage);
+        });
+
+        it('limits the matrix to the requested term', async () => {
+            await createSession();
+
+            const future = await api.download(`/courses/${courseId}/attendance/export?from=2999-01-01`, { user: teacher });
+            const [header, row] = csvLines(future.buffer).map((line) => line.split(','));
+            assert.deepEqual(header, ['Roll Number', 'Name', 'Email', 'Attended', 'Sessions', 'Attendance %']);
+            assert.deepEqual(row.slice(3), ['0', '0', '']);
+
+            const xlsx = await api.download(`/courses/${courseId}/attendance/export?format=xlsx&to=2999-12-31`, { user: teacher });
+            assert.equal(xlsx.status, 200);
+            assert.match(unzip(xlsx.buffer).get('xl/workbook.xml'), /<sheet name="CS101"/);
+        });
+
+        it('validates course exports', async () => {
+            const wrongTeacher = await api.download(`/courses/${courseId}/attendance/export`, { user: otherTeacher });
+            assert.equal(wrongTeacher.status, 403);
+
+            const badRange = await api.download(`/courses/${courseId}/attendance/export?from=2026-05-01&to=2026-01-01`, { user: teacher });
+            assert.equal(badRange.status, 400);
+
+            const badDate = await api.download(`/courses/${courseId}/attendance/export?from=soon`, { user: teacher });
+            assert.equal(badDate.status, 400);
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Test Helpers
+ * 
+ * Starts the Express app on a random port with the in-memory storage
+ * adapter and local auth tokens, so tests need no Firebase credentials.
+ */
+
+import { once } from 'events';
+
+// Must be set before any backend module is imported
+process.env.STORAGE_ADAPTER = 'memory';
+process.env.AUTH_PROVIDER = 'local';
+process.env.LOCAL_AUTH_SECRET = 'test-local-auth-secret';
+process.env.QR_SIGNING_SECRET = 'test-qr-signing-secret';
+// Tests connect from the loopback address, which stands in for the campus proxy
+process.env.CAMPUS_NETWORKS = '10.20.0.0/16, 2001:db8:20::/48';
+process.env.TRUSTED_PROXIES = '127.0.0.1, ::1';
+// The webhook receiver in the tests listens on the loopback address
+process.env.WEBHOOK_ALLOWED_NETWORKS = '127.0.0.1';
+// Emails are kept in memory (see sentMail)
+process.env.MAIL_TRANSPORT = 'memory';
+
+const { default: app } = await import('../src/app.js');
+const { store } = await import('../src/repositories/store.js');
+const { signLocalToken } = await import('../src/utils/localAuth.js');
+const { getMailTransport } = await import('../src/services/mail/index.js');
+
+export { store };
+
+// Every email sent since the last resetStore()
+export const sentMail = getMailTransport().sent;
+
+/**
+ * Start the app on a random port
+ * @returns { request, download, close }
+ */
+export async function startServer() {
+    const server = app.listen(0);
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    /**
+     * Call the API as a user (or anonymously when user is omitted)
+     * @returns { status, body }
+     */
+    async function request(method, path, { user, body, headers = {} } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(user ? { Authorization: `Bearer ${user.token}` } : {}),
+                ...headers
+            },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null, headers: response.headers };
+    }
+
+    /**
+     * Download a file as a user
+     * @returns { status, headers, buffer }
+     */
+    async function download(path, { user } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            headers: user ? { Authorization: `Bearer ${user.token}` } : {}
+        });
+
+        return { status: response.status, headers: response.headers, buffer: Buffer.from(await response.arrayBuffer()) };
+    }
+
+    return {
+        request,
+        download,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Create a user profile directly in the store and return it with a token
+ * and the id of "their phone" (sent as X-Device-Id when marking attendance)
+ */
+export async function createUser({ uid, role = 'student', email = `${uid}@test.edu`, name = uid, ...extra }) {
+    const profile = { uid, email, name, role, ...extra, createdAt: new Date().toISOString() };
+    await store.set('users', uid, profile);
+    return { ...profile, token: signLocalToken({ uid, email }), deviceId: `test-device-${uid}` };
+}
+
+/**
+ * Token for a Firebase-authenticated user who has no profile yet
+ */
+export function tokenFor(uid, email = `${uid}@test.edu`, emailVerified = true) {
+    return { uid, email, token: signLocalToken({ uid, email, emailVerified }) };
+}
+
+/**
+ * Remove all stored data and sent emails between tests
+ */
+export function resetStore() {
+    store.clear();
+    sentMail.length = 0;
+}
@@ -0,0 +1,227 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, resetStore, store } from './helpers.js';
+import { LOCATION_ERRORS } from '../src/services/locationService.js';
+import { NETWORK_ERRORS, getClientIp, normalizeIp, parseCidrList } from '../src/services/presenceService.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.97163, longitude: 77.59464 };
+const FAR_AWAY = { latitude: 12.9816, longitude: 77.5946 };
+const CAMPUS_IP = '10.20.4.17';
+const HOME_IP = '203.0.113.9';
+
+// A request as Express sees it: forwarded by the proxy at `remoteAddress`
+function fakeRequest(forwardedFor, remoteAddress = '127.0.0.1') {
+    return {
+        headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+        socket: { remoteAddress }
+    };
+}
+
+describe('presence checks', () => {
+    let api;
+    let teacher;
+    let student;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        student = await createUser({ uid: 'student-1', role: 'student' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1'] }
+        });
+    });
+
+    async function createSession(presenceMode, overrides = {}) {
+        return api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: {
+                courseId,
+                location: CLASSROOM,
+                expiresAt: new Date(Date.now() + 15 * 60000).toISOString(),
+                presenceMode,
+                ...overrides
+            }
+        });
+    }
+
+    async function mark(sessionId, { ip, location } = {}) {
+        const qr = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+        return api.request('POST', '/attendance/mark', {
+            user: student,
+            body: { qrData: qr.body.qrData, location },
+            headers: { 'X-Device-Id': student.deviceId, ...(ip ? { 'X-Forwarded-For': ip } : {}) }
+        });
+    }
+
+    describe('client IP', () => {
+        it('skips trusted proxies in X-Forwarded-For', () => {
+            assert.equal(getClientIp(fakeRequest(`${CAMPUS_IP}, 127.0.0.1`)), CAMPUS_IP);
+            assert.equal(getClientIp(fakeRequest(CAMPUS_IP, '::ffff:127.0.0.1')), CAMPUS_IP);
+            assert.equal(getClientIp(fakeRequest(null)), '127.0.0.1');
+        });
+
+        it('ignores addresses added before an untrusted hop', () => {
+            // The student wrote a campus address into the header themselves
+            assert.equal(getClientIp(fakeRequest(`${CAMPUS_IP}, ${HOME_IP}`)), HOME_IP);
+            // Not sent through our proxy at all
+            assert.equal(getClientIp(fakeRequest(CAMPUS_IP, HOME_IP)), HOME_IP);
+            assert.equal(getClientIp(fakeRequest('not-an-ip')), null);
+        });
+
+        it('normalizes mapped addresses and ports', () => {
+            assert.equal(normalizeIp('::ffff:10.20.0.1'), '10.20.0.1');
+            assert.equal(normalizeIp('10.20.0.1:5000'), '10.20.0.1');
+            assert.equal(normalizeIp('[2001:db8:20::1]:443'), '2001:db8:20::1');
+            assert.equal(normalizeIp('localhost'), null);
+        });
+
+        it('rejects invalid ranges', () => {
+            assert.equal(parseCidrList('10.0.0.0/8, 2001:db8::/32, 192.0.2.1').length, 3);
+            assert.throws(() => parseCidrList('10.0.0.0/33'));
+            assert.throws(() => parseCidrList('campus'));
+        });
+    });
+
+    describe('POST /session', () => {
+        it('stores the presence mode, defaulting to GPS', async () => {
+            const gps = await createSession(undefined);
+            assert.equal(gps.body.presenceMode, 'gps');
+
+            const either = await createSession('either');
+            assert.equal(either.status, 200);
+            assert.equal(either.body.presenceMode, 'either');
+        });
+
+        it('needs no classroom location for network-only sessions', async () => {
+            const network = await createSession('network', { location: undefined });
+            assert.equal(network.status, 200);
+
+            const both = await createSession('both', { location: undefined });
+            assert.equal(both.status, 400);
+        });
+
+        it('refuses a geofence check for a session without a location', async () => {
+            const session = await createSession('network', { location: undefined, verificationPolicy: { geofence: 'warn' } });
+            assert.equal(session.status, 400);
+            assert.match(session.body.message, /no location/);
+
+            await api.request('PATCH', `/courses/${courseId}`, { user: teacher, body: { verificationPolicy: { geofence: 'block' } } });
+            assert.equal((await createSession('network', { location: undefined })).status, 400);
+        });
+
+        it('refuses a course policy that would check the geofence of a running network-only session', async () => {
+            await createSession('network', { location: undefined });
+
+            const { status } = await api.request('PATCH', `/courses/${courseId}`, {
+                user: teacher,
+                body: { verificationPolicy: { geofence: 'warn' } }
+            });
+            assert.equal(status, 400);
+        });
+
+        it('validates the presence mode', async () => {
+            const { status } = await createSession('bluetooth');
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('POST /mark', () => {
+        it('accepts the campus network without GPS in network mode', async () => {
+            const { body: session } = await createSession('network', { location: undefined });
+
+            const offCampus = await mark(session.sessionId, { ip: HOME_IP, location: INSIDE });
+            assert.equal(offCampus.status, 400);
+            assert.equal(offCampus.body.code, NETWORK_ERRORS.OFF_CAMPUS);
+
+            const { status, body } = await mark(session.sessionId, { ip: CAMPUS_IP });
+            assert.equal(status, 200);
+            assert.equal(body.distance, null);
+
+            const record = await store.get('attendance', `${session.sessionId}_student-1`);
+            assert.deepEqual(record.presence, {
+                mode: 'network',
+                gps: null,
+                network: { valid: true, ip: CAMPUS_IP, range: '10.20.0.0/16' }
+            });
+            assert.equal(record.location, null);
+        });
+
+        it('reports a missing classroom location instead of failing', async () => {
+            const { body: session } = await createSession('network', { location: undefined });
+            // Saved before policies were checked against the location
+            await store.update('sessions', session.sessionId, { verificationPolicy: { geofence: 'block' } });
+
+            const { status, body } = await mark(session.sessionId, { ip: CAMPUS_IP, location: INSIDE });
+            assert.equal(status, 400);
+            assert.equal(body.code, LOCATION_ERRORS.MISSING);
+        });
+
+        it('falls back to GPS off the campus network in either mode', async () => {
+            const { body: session } = await createSession('either');
+
+            const noLocation = await mark(session.sessionId, { ip: HOME_IP });
+            assert.equal(noLocation.status, 400);
+            assert.equal(noLocation.body.code, LOCATION_ERRORS.MISSING);
+
+            const outside = await mark(session.sessionId, { ip: HOME_IP, location: FAR_AWAY });
+            assert.equal(outside.status, 400);
+            assert.match(outside.body.message, /campus Wi-Fi/);
+
+            const { status } = await mark(session.sessionId, { ip: HOME_IP, location: INSIDE });
+            assert.equal(status, 200);
+
+            const record = await store.get('attendance', `${session.sessionId}_student-1`);
+            assert.equal(record.presence.network.valid, false);
+            assert.equal(record.presence.gps.valid, true);
+        });
+
+        it('skips GPS on the campus network in either mode', async () => {
+            const { body: session } = await createSession('either');
+            const { status } = await mark(session.sessionId, { ip: '2001:db8:20::42', location: FAR_AWAY });
+            assert.equal(status, 200);
+        });
+
+        it('needs the network and GPS in both mode', async () => {
+            const { body: session } = await createSession('both');
+
+            const offCampus = await mark(session.sessionId, { ip: HOME_IP, location: INSIDE });
+            assert.equal(offCampus.body.code, NETWORK_ERRORS.OFF_CAMPUS);
+
+            const outside = await mark(session.sessionId, { ip: CAMPUS_IP, location: FAR_AWAY });
+            assert.equal(outside.body.code, LOCATION_ERRORS.OUTSIDE_GEOFENCE);
+
+            const { status } = await mark(session.sessionId, { ip: CAMPUS_IP, location: INSIDE });
+            assert.equal(status, 200);
+
+            const record = await store.get('attendance', `${session.sessionId}_student-1`);
+            assert.equal(record.presence.mode, 'both');
+            assert.equal(record.presence.network.valid, true);
+            assert.equal(record.presence.gps.valid, true);
+        });
+
+        it('records GPS-only presence for default sessions', async () => {
+            const { body: session } = await createSession(undefined);
+            await mark(session.sessionId, { ip: CAMPUS_IP, location: INSIDE });
+
+            const record = await store.get('attendance', `${session.sessionId}_student-1`);
+            assert.equal(record.presence.mode, 'gps');
+            assert.equal(record.presence.network, null);
+        });
+    });
+});
@@ -0,0 +1,219 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, resetStore } from './helpers.js';
+import { WEEKDAYS } from '../src/services/timetableService.js';
+
+const HALL = { building: 'Main Block', roomNumber: '101', latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.9716, longitude: 77.5947 };
+// About 1.1 km north of the hall
+const ANNEXE = { latitude: 12.9816, longitude: 77.5946 };
+
+describe('room routes', () => {
+    let api;
+    let teacher;
+    let otherTeacher;
+    let student;
+    let admin;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        otherTeacher = await createUser({ uid: 'teacher-2', role: 'teacher' });
+        student = await createUser({ uid: 'student-1', role: 'student' });
+        admin = await createUser({ uid: 'admin-1', role: 'admin' });
+    });
+
+    async function createRoom(overrides = {}, user = teacher) {
+        return api.request('POST', '/rooms', { user, body: { ...HALL, ...overrides } });
+    }
+
+    describe('POST / and GET /', () => {
+        it('adds a room shared with the institution', async () => {
+            const { status, body } = await createRoom({ notes: 'Enter from the east stairs' });
+
+            assert.equal(status, 201);
+            assert.equal(body.room.building, 'Main Block');
+            assert.equal(body.room.institutionId, 'default');
+            assert.equal(body.room.notes, 'Enter from the east stairs');
+
+            const list = await api.request('GET', '/rooms', { user: otherTeacher });
+            assert.equal(list.body.count, 1);
+            assert.equal(list.body.rooms[0].id, body.room.id);
+        });
+
+        it('validates rooms and rejects duplicates', async () => {
+            assert.equal((await createRoom({ building: '' })).status, 400);
+            assert.equal((await createRoom({ latitude: 91 })).status, 400);
+            assert.equal((await createRoom({ longitude: 'east' })).status, 400);
+            assert.equal((await createRoom({ radiusMeters: 0 })).status, 400);
+
+            assert.equal((await createRoom()).status, 201);
+            assert.equal((await createRoom({ building: 'main block' }, otherTeacher)).status, 409);
+        });
+
+        it('keeps institutions apart', async () => {
+            const outsider = await createUser({ uid: 'teacher-3', role: 'teacher', institutionId: 'other-college' });
+            const { body } = await createRoom();
+
+            const list = await api.request('GET', '/rooms', { user: outsider });
+            assert.equal(list.body.count, 0);
+
+            const room = await api.request('GET', `/rooms/${body.room.id}`, { user: outsider });
+            assert.equal(room.status, 404);
+        });
+
+        it('is limited to teachers and admins', async () => {
+            const { status } = await api.request('GET', '/rooms', { user: student });
+            assert.equal(status, 403);
+        });
+    });
+
+    describe('PATCH /:roomId and DELETE /:roomId', () => {
+        it('lets the creator or an admin change a room', async () => {
+            const { body } = await createRoom();
+            const path = `/rooms/${body.room.id}`;
+
+            const other = await api.request('PATCH', path, { user: otherTeacher, body: { radiusMeters: 80 } });
+            assert.equal(other.status, 403);
+
+            const own = await api.request('PATCH', path, { user: teacher, body: { radiusMeters: 80 } });
+            assert.equal(own.status, 200);
+            assert.equal(own.body.room.radiusMeters, 80);
+            assert.equal(own.body.room.building, 'Main Block');
+
+            const byAdmin = await api.request('PATCH', path, { user: admin, body: { notes: 'Renovated' } });
+            assert.equal(byAdmin.status, 200);
+            assert.equal(byAdmin.body.room.updatedBy, 'admin-1');
+
+            assert.equal((await api.request('DELETE', path, { user: otherTeacher })).status, 403);
+            assert.equal((await api.request('DELETE', path, { user: teacher })).status, 200);
+            assert.equal((await api.request('GET', path, { user: teacher })).status, 404);
+        });
+
+        it('rejects invalid updates', async () => {
+            const { body } = await createRoom();
+            const { status } = await api.request('PATCH', `/rooms/${body.room.id}`, {
+                user: teacher,
+                body: { latitude: 200 }
+            });
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('sessions in a saved room', () => {
+        let courseId;
+
+        beforeEach(async () => {
+            const { body } = await api.request('POST', '/courses', {
+                user: teacher,
+                body: { code: 'CS101', title: 'Computer Science 101' }
+            });
+            courseId = body.course.id;
+
+            await api.request('POST', `/courses/${courseId}/enrollments`, {
+                user: teacher,
+                body: { studentIds: ['student-1'] }
+            });
+        });
+
+        async function createSession(roomId) {
+            const { status, body } = await api.request('POST', '/attendance/session', {
+                user: teacher,
+                body: { courseId, roomId, expiresAt: new Date(Date.now() + 15 * 60000).toISOString() }
+            });
+            assert.equal(status, 200);
+            return body.sessionId;
+        }
+
+        async function mark(sessionId, location) {
+            const { body } = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+            return api.request('POST', '/attendance/mark', {
+                user: student,
+                body: { qrData: body.qrData, location },
+                headers: { 'X-Device-Id': student.deviceId }
+            });
+        }
+
+        it('stores the room reference on the session', async () => {
+            const room = (await createRoom()).body.room;
+            const sessionId = await createSession(room.id);
+
+            const { body } = await api.request('GET', `/attendance/session/${sessionId}`, { user: teacher });
+            assert.equal(body.session.roomId, room.id);
+            assert.equal(body.session.location.name, 'Main Block 101');
+        });
+
+        it('uses the room\'s current coordinates when marking', async () => {
+            const room = (await createRoom()).body.room;
+            const sessionId = await createSession(room.id);
+
+            const before = await mark(sessionId, ANNEXE);
+            assert.equal(before.status, 400);
+
+            // The room was entered at the wrong building - fixing it fixes the session
+            await api.request('PATCH', `/rooms/${room.id}`, { user: teacher, body: ANNEXE });
+
+            const after = await mark(sessionId, ANNEXE);
+            assert.equal(after.status, 200);
+        });
+
+        it('falls back to the session\'s copy when the room is deleted', async () => {
+            const room = (await createRoom()).body.room;
+            const sessionId = await createSession(room.id);
+
+            await api.request('DELETE', `/rooms/${room.id}`, { user: teacher });
+
+            const { status } = await mark(sessionId, INSIDE);
+            assert.equal(status, 200);
+        });
+
+        it('rejects unknown rooms', async () => {
+            const { status } = await api.request('POST', '/attendance/session', {
+                user: teacher,
+                body: { courseId, roomId: 'missing', expiresAt: new Date(Date.now() + 60000).toISOString() }
+            });
+            assert.equal(status, 404);
+        });
+
+        it('lets timetable slots use a saved room', async () => {
+            const room = (await createRoom()).body.room;
+            const now = new Date();
+            const year = now.getUTCFullYear();
+
+            const created = await api.request('POST', '/timetables', {
+                user: teacher,
+                body: {
+                    name: 'Term',
+                    timezone: 'UTC',
+                    termStart: `${year - 1}-01-01`,
+                    termEnd: `${year + 1}-12-31`,
+                    slots: [{ courseId, day: WEEKDAYS[now.getUTCDay()], startTime: '00:00', durationMinutes: 60, roomId: room.id }]
+                }
+            });
+            assert.equal(created.status, 201);
+            const timetable = created.body.timetable;
+
+            const today = await api.request('GET', '/timetables/today', { user: teacher });
+            assert.equal(today.body.classes[0].room.name, 'Main Block 101');
+
+            const { body } = await api.request(
+                'POST',
+                `/timetables/${timetable.id}/slots/${timetable.slots[0].id}/start`,
+                { user: teacher }
+            );
+            assert.equal(body.session.roomId, room.id);
+
+            const unknown = await api.request('POST', '/timetables', {
+                user: teacher,
+                body: { ...created.body.timetable, slots: [{ ...timetable.slots[0], roomId: 'missing' }] }
+            });
+            assert.equal(unknown.status, 400);
+        });
+    });
+});
@@ -0,0 +1,256 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, resetStore, store } from './helpers.js';
+import { runScheduledSessions, SCHEDULER_ACTOR_ID } from '../src/services/timetableScheduler.js';
+import { WEEKDAYS } from '../src/services/timetableService.js';
+
+const ROOM = { name: 'Hall A', latitude: 12.9716, longitude: 77.5946, radiusMeters: 40 };
+
+// Monday 19 October 2026, 09:40 in Asia/Kolkata
+const MONDAY_MORNING = new Date('2026-10-19T04:10:00Z');
+
+describe('timetable routes', () => {
+    let api;
+    let teacher;
+    let otherTeacher;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        otherTeacher = await createUser({ uid: 'teacher-2', role: 'teacher' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+    });
+
+    function timetableBody(overrides = {}) {
+        return {
+            name: 'Odd semester',
+            timezone: 'Asia/Kolkata',
+            termStart: '2026-08-01',
+            termEnd: '2026-12-15',
+            holidays: ['2026-10-20'],
+            slots: [
+                { courseId, day: 'monday', startTime: '09:00', durationMinutes: 60, room: ROOM },
+                { courseId, day: 'tuesday', startTime: '09:00', durationMinutes: 60, room: ROOM }
+            ],
+            ...overrides
+        };
+    }
+
+    async function createTimetable(overrides = {}) {
+        const { body } = await api.request('POST', '/timetables', { user: teacher, body: timetableBody(overrides) });
+        return body.timetable;
+    }
+
+    // A timetable with one slot happening today (UTC), so the real clock can be used
+    async function createTodayTimetable() {
+        const now = new Date();
+        const year = now.getUTCFullYear();
+        return createTimetable({
+            timezone: 'UTC',
+            termStart: `${year - 1}-01-01`,
+            termEnd: `${year + 1}-12-31`,
+            holidays: [],
+            slots: [{ courseId, day: WEEKDAYS[now.getUTCDay()], startTime: '00:00', durationMinutes: 60, room: ROOM }]
+        });
+    }
+
+    describe('POST /', () => {
+        it('creates a timetable with slot ids', async () => {
+            const { status, body } = await api.request('POST', '/timetables', { user: teacher, body: timetableBody() });
+
+            assert.equal(status, 201);
+            assert.equal(body.timetable.teacherId, 'teacher-1');
+            assert.equal(body.timetable.slots.length, 2);
+            assert.ok(body.timetable.slots.every(({ id }) => id));
+            assert.equal(body.timetable.slots[0].room.radiusMeters, 40);
+        });
+
+        it('validates the timetable', async () => {
+            const invalid = [
+                { timezone: 'Mars/Olympus' },
+                { termStart: '2026-13-01' },
+                { termEnd: '2026-07-01' },
+                { holidays: ['tomorrow'] },
+                { slots: [] },
+                { slots: [{ courseId, day: 'someday', startTime: '09:00', durationMinutes: 60, room: ROOM }] },
+                { slots: [{ courseId, day: 'monday', startTime: '9am', durationMinutes: 60, room: ROOM }] },
+                { slots: [{ courseId, day: 'monday', startTime: '09:00', durationMinutes: 0, room: ROOM }] },
+                { slots: [{ courseId, day: 'monday', startTime: '09:00', durationMinutes: 60, room: {} }] },
+                { slots: [{ courseId, day: 'monday', startTime: '09:00', durationMinutes: 60, room: ROOM, presenceMode: 'bluetooth' }] }
+            ];
+
+            for (const overrides of invalid) {
+                const { status } = await api.request('POST', '/timetables', {
+                    user: teacher,
+                    body: timetableBody(overrides)
+                });
+                assert.equal(status, 400, JSON.stringify(overrides));
+            }
+        });
+
+        it('only allows the teacher\'s own courses', async () => {
+            const { status } = await api.request('POST', '/timetables', {
+                user: otherTeacher,
+                body: timetableBody()
+            });
+            assert.equal(status, 400);
+        });
+
+        it('is limited to teachers', async () => {
+            const student = await createUser({ uid: 'student-1', role: 'student' });
+            const { status } = await api.request('POST', '/timetables', { user: student, body: timetableBody() });
+            assert.equal(status, 403);
+        });
+    });
+
+    describe('PUT /:timetableId and DELETE /:timetableId', () => {
+        it('replaces a timetable and keeps slot ids that are sent back', async () => {
+            const timetable = await createTimetable();
+            const [monday] = timetable.slots;
+
+            const { status, body } = await api.request('PUT', `/timetables/${timetable.id}`, {
+                user: teacher,
+                body: timetableBody({ slots: [{ ...monday, startTime: '10:00' }] })
+            });
+
+            assert.equal(status, 200);
+            assert.equal(body.timetable.slots.length, 1);
+            assert.equal(body.timetable.slots[0].id, monday.id);
+            assert.equal(body.timetable.slots[0].startTime, '10:00');
+        });
+
+        it('only allows the owning teacher', async () => {
+            const timetable = await createTimetable();
+
+            const update = await api.request('PUT', `/timetables/${timetable.id}`, {
+                user: otherTeacher,
+                body: timetableBody()
+            });
+            assert.equal(update.status, 403);
+
+            const removed = await api.request('DELETE', `/timetables/${timetable.id}`, { user: otherTeacher });
+            assert.equal(removed.status, 403);
+
+            const own = await api.request('DELETE', `/timetables/${timetable.id}`, { user: teacher });
+            assert.equal(own.status, 200);
+
+            const { body } = await api.request('GET', '/timetables', { user: teacher });
+            assert.equal(body.count, 0);
+        });
+    });
+
+    describe('start today\'s class', () => {
+        it('lists today\'s classes and starts one without re-entering details', async () => {
+            const timetable = await createTodayTimetable();
+
+            const today = await api.request('GET', '/timetables/today', { user: teacher });
+            assert.equal(today.body.count, 1);
+            assert.equal(today.body.classes[0].courseCode, 'CS101');
+            assert.equal(today.body.classes[0].sessionId, null);
+
+            const { status, body } = await api.request(
+                'POST',
+                `/timetables/${timetable.id}/slots/${timetable.slots[0].id}/start`,
+                { user: teacher }
+            );
+
+            assert.equal(status, 201);
+            assert.equal(body.session.courseName, 'Computer Science 101');
+            assert.equal(body.session.location.radiusMeters, 40);
+            assert.equal(body.session.timetableId, timetable.id);
+            assert.ok(new Date(body.session.expiresAt) > new Date());
+
+            const qr = await api.request('GET', `/attendance/session/${body.session.sessionId}/qr`, { user: teacher });
+            assert.equal(qr.status, 200);
+
+            const after = await api.request('GET', '/timetables/today', { user: teacher });
+            assert.equal(after.body.classes[0].sessionId, body.session.sessionId);
+        });
+
+        it('returns the same session when started twice', async () => {
+            const timetable = await createTodayTimetable();
+            const path = `/timetables/${timetable.id}/slots/${timetable.slots[0].id}/start`;
+
+            const first = await api.request('POST', path, { user: teacher });
+            const second = await api.request('POST', path, { user: teacher });
+
+            assert.equal(second.status, 200);
+            assert.equal(second.body.session.sessionId, first.body.session.sessionId);
+        });
+
+        it('refuses classes not scheduled today', async () => {
+            const timetable = await createTimetable({ termStart: '2020-01-01', termEnd: '2020-06-30' });
+
+            const { status } = await api.request(
+                'POST',
+                `/timetables/${timetable.id}/slots/${timetable.slots[0].id}/start`,
+                { user: teacher }
+            );
+            assert.equal(status, 400);
+        });
+    });
+
+    describe('scheduler', () => {
+        it('creates a session for a class in progress, once', async () => {
+            const timetable = await createTimetable();
+
+            assert.equal(await runScheduledSessions(MONDAY_MORNING), 1);
+            assert.equal(await runScheduledSessions(MONDAY_MORNING), 0);
+
+            const { body } = await api.request('GET', '/attendance/sessions', { user: teacher });
+            assert.equal(body.sessions.length, 1);
+            assert.equal(body.sessions[0].slotId, timetable.slots[0].id);
+            assert.equal(body.sessions[0].occurrenceDate, '2026-10-19');
+            // Ends at 10:00 IST
+            assert.equal(body.sessions[0].expiresAt, '2026-10-19T04:30:00.000Z');
+        });
+
+        it('audits the session and announces it to webhooks', async () => {
+            const admin = await createUser({ uid: 'admin-1', role: 'admin' });
+            const webhook = await api.request('POST', '/webhooks', {
+                user: admin,
+                body: { url: 'http://127.0.0.1:9/hooks', events: ['session.created'] }
+            });
+            assert.equal(webhook.status, 201);
+            await createTimetable();
+
+            assert.equal(await runScheduledSessions(MONDAY_MORNING), 1);
+            const [session] = await store.query('sessions');
+
+            const audit = await api.request('GET', `/audit?targetType=session&targetId=${session.id}`, { user: admin });
+            assert.deepEqual(audit.body.events.map(({ action, actorId, actorRole }) => [action, actorId, actorRole]), [
+                ['create', SCHEDULER_ACTOR_ID, 'system']
+            ]);
+
+            const deliveries = await store.query('webhookDeliveries');
+            assert.equal(deliveries.length, 1);
+            assert.equal(deliveries[0].webhookId, webhook.body.webhook.id);
+            const event = JSON.parse(deliveries[0].payload);
+            assert.equal(event.type, 'session.created');
+            assert.equal(event.data.sessionId, session.id);
+        });
+
+        it('skips holidays, other times and finished terms', async () => {
+            await createTimetable();
+
+            // Tuesday 20 October is a holiday
+            assert.equal(await runScheduledSessions(new Date('2026-10-20T04:10:00Z')), 0);
+            // Monday, before the class starts
+            assert.equal(await runScheduledSessions(new Date('2026-10-19T03:00:00Z')), 0);
+            // Monday after the term ended
+            assert.equal(await runScheduledSessions(new Date('2026-12-21T04:10:00Z')), 0);
+        });
+    });
+});
@@ -0,0 +1,172 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, createUser, resetStore, store } from './helpers.js';
+import { LOCATION_ERRORS } from '../src/services/locationService.js';
+import { VERIFIER_NAMES } from '../src/services/verification/index.js';
+import { TIME_WINDOW_ERRORS } from '../src/services/verification/timeWindowVerifier.js';
+
+const CLASSROOM = { latitude: 12.9716, longitude: 77.5946, radiusMeters: 50 };
+const INSIDE = { latitude: 12.97163, longitude: 77.59464 };
+const FAR_AWAY = { latitude: 12.9816, longitude: 77.5946 };
+
+describe('verification policy', () => {
+    let api;
+    let teacher;
+    let student;
+    let classmate;
+    let courseId;
+
+    before(async () => {
+        api = await startServer();
+    });
+
+    after(() => api.close());
+
+    beforeEach(async () => {
+        resetStore();
+        teacher = await createUser({ uid: 'teacher-1', role: 'teacher' });
+        student = await createUser({ uid: 'student-1', role: 'student' });
+        classmate = await createUser({ uid: 'student-2', role: 'student' });
+
+        const { body } = await api.request('POST', '/courses', {
+            user: teacher,
+            body: { code: 'CS101', title: 'Computer Science 101' }
+        });
+        courseId = body.course.id;
+
+        await api.request('POST', `/courses/${courseId}/enrollments`, {
+            user: teacher,
+            body: { studentIds: ['student-1', 'student-2'] }
+        });
+    });
+
+    async function createSession(overrides = {}) {
+        return api.request('POST', '/attendance/session', {
+            user: teacher,
+            body: {
+                courseId,
+                location: CLASSROOM,
+                expiresAt: new Date(Date.now() + 15 * 60000).toISOString(),
+                ...overrides
+            }
+        });
+    }
+
+    async function mark(sessionId, { user = student, location = INSIDE, deviceId = user.deviceId } = {}) {
+        const qr = await api.request('GET', `/attendance/session/${sessionId}/qr`, { user: teacher });
+        return api.request('POST', '/attendance/mark', {
+            user,
+            body: { qrData: qr.body.qrData, location },
+            headers: { 'X-Device-Id': deviceId }
+        });
+    }
+
+    function setCoursePolicy(verificationPolicy) {
+        return api.request('PATCH', `/courses/${courseId}`, { user: teacher, body: { verificationPolicy } });
+    }
+
+    const resultOf = (body, name) => body.verification.find(({ verifier }) => verifier === name);
+
+    it('lists the result of every verifier in order', async () => {
+        const { body: session } = await createSession();
+        const { status, body } = await mark(session.sessionId);
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.verification.map(({ verifier }) => verifier), VERIFIER_NAMES);
+        assert.equal(resultOf(body, 'token').status, 'passed');
+        assert.equal(resultOf(body, 'network').status, 'skipped');
+        assert.equal(resultOf(body, 'geofence').details.zone.type, 'circle');
+
+        const record = await store.get('attendance', `${session.sessionId}_student-1`);
+        assert.deepEqual(record.verification, body.verification);
+    });
+
+    it('stops at a blocking failure and skips the rest', async () => {
+        const { body: session } = await createSession();
+        const { status, body } = await mark(session.sessionId, { location: FAR_AWAY });
+
+        assert.equal(status, 400);
+        assert.equal(body.code, LOCATION_ERRORS.OUTSIDE_GEOFENCE);
+        assert.equal(resultOf(body, 'geofence').level, 'block');
+
+        const outsider = await createUser({ uid: 'student-3' });
+        const refused = await mark(session.sessionId, { user: outsider });
+        assert.equal(refused.status, 403);
+        assert.equal(resultOf(refused.body, 'enrollment').status, 'failed');
+        assert.equal(resultOf(refused.body, 'geofence').status, 'skipped');
+        assert.equal(resultOf(refused.body, 'geofence').message, 'Not checked');
+    });
+
+    it('flags a warning-level failure for review instead of refusing it', async () => {
+        const policy = await setCoursePolicy({ geofence: 'warn' });
+        assert.equal(policy.status, 200);
+
+        const { body: session } = await createSession();
+        const { status, body } = await mark(session.sessionId, { location: FAR_AWAY });
+
+        assert.equal(status, 200);
+        assert.equal(body.status, 'suspicious');
+        assert.equal(resultOf(body, 'geofence').status, 'failed');
+
+        const review = await api.request('GET', '/attendance/review', { user: teacher });
+        assert.equal(review.body.records[0].anomalies[0].code, LOCATION_ERRORS.OUTSIDE_GEOFENCE);
+        assert.equal(review.body.records[0].anomalies[0].verifier, 'geofence');
+    });
+
+    it('lets a session override its course', async () => {
+        await setCoursePolicy({ geofence: 'warn' });
+
+        const { body: session } = await createSession({ verificationPolicy: { geofence: 'block' } });
+        assert.deepEqual(session.verificationPolicy, { geofence: 'block' });
+
+        const { status } = await mark(session.sessionId, { location: FAR_AWAY });
+        assert.equal(status, 400);
+    });
+
+    it('does not claim the device when the device check is off', async () => {
+        const { body: session } = await createSession({ verificationPolicy: { device: 'off' } });
+
+        const first = await mark(session.sessionId, { deviceId: 'shared-tablet-000000000001' });
+        const second = await mark(session.sessionId, { user: classmate, deviceId: 'shared-tablet-000000000001' });
+
+        assert.equal(first.status, 200);
+        assert.equal(second.status, 200);
+        assert.equal(resultOf(second.body, 'device').status, 'skipped');
+    });
+
+    it('limits check-in to the session\'s time window', async () => {
+        const { body: session } = await createSession({ checkInWindowMinutes: 5 });
+        assert.equal(session.checkInWindowMinutes, 5);
+
+        // Started ten minutes ago
+        await store.update('sessions', session.sessionId, {
+            createdAt: new Date(Date.now() - 10 * 60000).toISOString()
+        });
+
+        const late = await mark(session.sessionId);
+        assert.equal(late.status, 400);
+        assert.equal(late.body.code, TIME_WINDOW_ERRORS.CLOSED);
+
+        await store.update('sessions', session.sessionId, { verificationPolicy: { timeWindow: 'warn' } });
+        const flagged = await mark(session.sessionId);
+        assert.equal(flagged.status, 200);
+        assert.equal(flagged.body.status, 'suspicious');
+    });
+
+    it('validates policies', async () => {
+        const invalid = [
+            { verificationPolicy: { geofence: 'sometimes' } },
+            { verificationPolicy: { bluetooth: 'block' } },
+            { verificationPolicy: ['geofence'] },
+            { checkInWindowMinutes: 0 }
+        ];
+
+        for (const overrides of invalid) {
+            const { status } = await createSession(overrides);
+            assert.equal(status, 400, JSON.stringify(overrides));
+        }
+
+        const { status } = await setCoursePolicy({ token: 'maybe' });
+        assert.equal(status, 400);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Bar Chart Component
+ * 
+ * PURPOSE:
+ * Horizontal percentage bars for the attendance analytics (per course,
+ * per session, per week)
+ * 
+ * GREEN CODING:
+ * - Plain elements and CSS widths: no chart library in the bundle
+ * 
+ * VIVA EXPLANATION:
+ * Every bar is a percentage, so the width is the value itself. Bars under
+ * the warning threshold (75% is the usual attendance requirement) are shown
+ * in red so a shortfall stands out.
+ */
+
+const DEFAULT_THRESHOLD = 75;
+
+function barColor(value, threshold) {
+    return value >= threshold ? 'var(--success-gradient)' : '#ff6b8a';
+}
+
+/**
+ * @param {Array} items - [{ key, label, value (0-100 or null), detail }]
+ */
+function BarChart({ items, threshold = DEFAULT_THRESHOLD, emptyText = 'No data yet' }) {
+    if (items.length === 0) {
+        return <p style={{ color: 'var(--text-secondary)' }}>{emptyText}</p>;
+    }
+
+    return (
+        <div style={{ display: 'grid', gap: 'var(--spacing-xs)' }}>
+            {items.map(({ key, label, value, detail }) => (
+                <div
+                    key={key}
+                    style={{ display: 'grid', gridTemplateColumns: 'minmax(6rem, 1fr) 3fr 4rem', gap: 'var(--spacing-sm)', alignItems: 'center' }}
+                    title={detail}
+                >
+                    <span style={{ fontSize: 'var(--font-size-sm)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {label}
+                    </span>
+                    <div style={{ height: '0.75rem', background: 'rgba(255, 255, 255, 0.06)', borderRadius: 'var(--radius-sm)' }}>
+                        {value !== null && (
+                            <div style={{
+                                width: `${Math.min(100, Math.max(0, value))}%`,
+                                height: '100%',
+                                background: barColor(value, threshold),
+                                borderRadius: 'var(--radius-sm)'
+                            }} />
+                        )}
+                    </div>
+                    <span style={{ fontSize: 'var(--font-size-sm)', textAlign: 'right', color: 'var(--text-secondary)' }}>
+                        {value === null ? '-' : `${value}%`}
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default BarChart;
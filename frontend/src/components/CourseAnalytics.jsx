@@ -0,0 +1,309 @@
+/**
+ * Course Analytics Component (Teacher)
+ * 
+ * PURPOSE:
+ * Attendance charts for one course over a date range: turnout of each
+ * session, turnout per week and each student's attendance percentage.
+ * Also the course's low-attendance alert rules and the alert emails sent.
+ * 
+ * GREEN CODING:
+ * - Fetched only when a course is picked (or the dates change)
+ * - Charts drawn with plain elements (see BarChart)
+ * 
+ * VIVA EXPLANATION:
+ * The backend works the figures out from the records on every request, so
+ * after closing a session or correcting a student's record the teacher just
+ * presses refresh. Sessions still running are listed but not counted.
+ * Students below the warning threshold are emailed once when they drop
+ * (see the backend's alertService); the log shows every email.
+ */
+
+import { useState, useEffect } from 'react';
+import { FiBarChart2, FiRefreshCw, FiBell } from 'react-icons/fi';
+import { apiFetch } from '../services/api';
+import BarChart from './BarChart';
+
+function CourseAnalytics({ courses }) {
+    const [courseId, setCourseId] = useState('');
+    const [range, setRange] = useState({ from: '', to: '' });
+    const [analytics, setAnalytics] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [alerts, setAlerts] = useState(null);
+    const [rulesForm, setRulesForm] = useState(null);
+    const [alertMessage, setAlertMessage] = useState(null);
+
+    const fetchAlerts = async (courseId) => {
+        if (!courseId) return;
+
+        try {
+            const response = await apiFetch(`/courses/${courseId}/alerts`);
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setAlerts(data);
+                setRulesForm({
+                    enabled: data.rules.enabled,
+                    warning: String(data.rules.warning),
+                    critical: String(data.rules.critical),
+                    minSessions: String(data.rules.minSessions)
+                });
+            }
+        } catch (error) {
+            console.error('Error fetching alerts:', error);
+        }
+    };
+
+    const handleSaveRules = async (e) => {
+        e.preventDefault();
+        setAlertMessage(null);
+
+        try {
+            const response = await apiFetch(`/courses/${courseId}`, {
+                method: 'PATCH',
+                body: {
+                    alertRules: {
+                        enabled: rulesForm.enabled,
+                        warning: parseFloat(rulesForm.warning),
+                        critical: parseFloat(rulesForm.critical),
+                        minSessions: parseInt(rulesForm.minSessions)
+                    }
+                }
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to save alert rules');
+            }
+
+            setAlertMessage({ type: 'success', text: 'Alert rules saved' });
+            fetchAlerts(courseId);
+        } catch (error) {
+            setAlertMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleCheckNow = async () => {
+        setAlertMessage(null);
+
+        try {
+            const response = await apiFetch(`/courses/${courseId}/alerts/check`, { method: 'POST' });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to check alerts');
+            }
+
+            setAlertMessage({ type: 'success', text: data.message });
+            fetchAlerts(courseId);
+        } catch (error) {
+            setAlertMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const fetchAnalytics = async (courseId, range) => {
+        if (!courseId) return;
+        setLoading(true);
+        setError('');
+
+        try {
+            const params = new URLSearchParams(Object.entries(range).filter(([, value]) => value));
+            const response = await apiFetch(`/analytics/courses/${courseId}?${params}`);
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to load analytics');
+            }
+
+            setAnalytics(data);
+        } catch (error) {
+            setError(error.message);
+            setAnalytics(null);
+        }
+
+        setLoading(false);
+    };
+
+    useEffect(() => {
+        fetchAnalytics(courseId, range);
+    }, [courseId, range]);
+
+    useEffect(() => {
+        setAlerts(null);
+        fetchAlerts(courseId);
+    }, [courseId]);
+
+    const threshold = alerts?.rules.warning;
+
+    if (courses.length === 0) return null;
+
+    return (
+        <div className="glass-card mb-lg">
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--spacing-md)' }}>
+                <h3>
+                    <FiBarChart2 style={{ display: 'inline', marginRight: '0.5rem' }} />
+                    Attendance Analytics
+                </h3>
+                <button onClick={() => fetchAnalytics(courseId, range)} className="btn btn-secondary" disabled={!courseId || loading}>
+                    <FiRefreshCw />
+                </button>
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: 'var(--spacing-md)' }}>
+                <select className="input-field" value={courseId} onChange={(e) => setCourseId(e.target.value)}>
+                    <option value="">Select a course</option>
+                    {courses.map((course) => (
+                        <option key={course.id} value={course.id}>{course.code} - {course.title}</option>
+                    ))}
+                </select>
+                <input
+                    type="date"
+                    className="input-field"
+                    title="From"
+                    value={range.from}
+                    onChange={(e) => setRange({ ...range, from: e.target.value })}
+                />
+                <input
+                    type="date"
+                    className="input-field"
+                    title="To"
+                    value={range.to}
+                    onChange={(e) => setRange({ ...range, to: e.target.value })}
+                />
+            </div>
+
+            {error && <div className="alert alert-error mt-lg">{error}</div>}
+
+            {analytics && (
+                <div style={{ display: 'grid', gap: 'var(--spacing-lg)', marginTop: 'var(--spacing-lg)' }}>
+                    <p style={{ color: 'var(--text-secondary)' }}>
+                        {analytics.summary.enrolled} students · {analytics.summary.sessionsHeld} sessions held
+                        {' · '}turnout {analytics.summary.turnout ?? '-'}%
+                        {' · '}average attendance {analytics.summary.averagePercentage ?? '-'}%
+                    </p>
+
+                    <div>
+                        <h4 style={{ marginBottom: 'var(--spacing-sm)' }}>Turnout by Session</h4>
+                        <BarChart
+                            emptyText="No sessions in this period"
+                            items={analytics.sessions.map((session) => ({
+                                key: session.sessionId,
+                                label: `${session.date}${session.final ? '' : ' (running)'}`,
+                                value: session.turnout,
+                                detail: `${session.attended} attended (${session.late} late, ${session.pending} pending review), ${session.excused} excused, ${session.absent} absent`
+                            }))}
+                        />
+                    </div>
+
+                    <div>
+                        <h4 style={{ marginBottom: 'var(--spacing-sm)' }}>Weekly Trend</h4>
+                        <BarChart
+                            emptyText="No finished sessions in this period"
+                            items={analytics.trend.map((week) => ({
+                                key: week.weekStart,
+                                label: `Week of ${week.weekStart}`,
+                                value: week.turnout,
+                                detail: `${week.sessions} sessions, ${week.attended} of ${week.expected} attendances`
+                            }))}
+                        />
+                    </div>
+
+                    <div>
+                        <h4 style={{ marginBottom: 'var(--spacing-sm)' }}>Students</h4>
+                        <BarChart
+                            threshold={threshold}
+                            emptyText="No students enrolled"
+                            items={analytics.students.map((student) => ({
+                                key: student.studentId,
+                                label: `${student.rollNumber ? `${student.rollNumber} ` : ''}${student.name || student.email || student.studentId}`,
+                                value: student.percentage,
+                                detail: `${student.attended} of ${student.held - student.excused} sessions (${student.excused} excused)`
+                            }))}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {alerts && rulesForm && (
+                <div style={{ marginTop: 'var(--spacing-lg)' }}>
+                    <h4 style={{ marginBottom: 'var(--spacing-sm)' }}>
+                        <FiBell style={{ display: 'inline', marginRight: '0.5rem' }} />
+                        Low-Attendance Alerts
+                    </h4>
+
+                    {alertMessage && (
+                        <div className={`alert alert-${alertMessage.type} mb-lg`}>
+                            {alertMessage.text}
+                        </div>
+                    )}
+
+                    <form
+                        onSubmit={handleSaveRules}
+                        style={{ display: 'grid', gridTemplateColumns: 'auto 1fr 1fr 1fr auto auto', gap: 'var(--spacing-sm)', alignItems: 'end' }}
+                    >
+                        <label className="input-label" style={{ display: 'flex', gap: '0.25rem', alignItems: 'center' }}>
+                            <input
+                                type="checkbox"
+                                checked={rulesForm.enabled}
+                                onChange={(e) => setRulesForm({ ...rulesForm, enabled: e.target.checked })}
+                            />
+                            Email alerts
+                        </label>
+                        <div className="input-group">
+                            <label className="input-label">Warning below (%)</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="100"
+                                className="input-field"
+                                value={rulesForm.warning}
+                                onChange={(e) => setRulesForm({ ...rulesForm, warning: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="input-group">
+                            <label className="input-label">Critical below (%)</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="100"
+                                className="input-field"
+                                value={rulesForm.critical}
+                                onChange={(e) => setRulesForm({ ...rulesForm, critical: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="input-group">
+                            <label className="input-label">After sessions</label>
+                            <input
+                                type="number"
+                                min="1"
+                                className="input-field"
+                                value={rulesForm.minSessions}
+                                onChange={(e) => setRulesForm({ ...rulesForm, minSessions: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <button type="submit" className="btn btn-secondary">Save</button>
+                        <button type="button" className="btn btn-secondary" onClick={handleCheckNow}>Check Now</button>
+                    </form>
+
+                    {alerts.log.length === 0 ? (
+                        <p style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-sm)' }}>No alert emails sent yet</p>
+                    ) : (
+                        <ul style={{ listStyle: 'none', fontSize: 'var(--font-size-sm)', display: 'grid', gap: '0.25rem' }}>
+                            {alerts.log.slice(0, 10).map((entry) => (
+                                <li key={entry.id} style={{ color: entry.status === 'failed' ? '#ff6b8a' : 'var(--text-secondary)' }}>
+                                    {new Date(entry.sentAt).toLocaleString()} · {entry.to} · {entry.subject}
+                                    {entry.status === 'failed' && ` (not sent: ${entry.error})`}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default CourseAnalytics;
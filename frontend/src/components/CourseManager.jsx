@@ -0,0 +1,225 @@
+/**
+ * Course Manager Component (Teacher)
+ * 
+ * PURPOSE:
+ * Create courses and enroll registered students by email
+ * 
+ * GREEN CODING:
+ * - Course list owned by the parent dashboard (fetched once, shared with the session form)
+ * - Enrollment sent as one request for a whole list of emails
+ * 
+ * VIVA EXPLANATION:
+ * Sessions belong to a course, and only students enrolled in that course
+ * can mark attendance. Teachers paste a list of student emails here to enroll them.
+ * Each course's attendance for the term (student-by-date matrix) can be
+ * downloaded as CSV or XLSX.
+ */
+
+import { useState } from 'react';
+import { FiBookOpen, FiPlus, FiUserPlus, FiDownload } from 'react-icons/fi';
+import { apiFetch, downloadFile } from '../services/api';
+
+function CourseManager({ courses, onCoursesChanged }) {
+    const [courseForm, setCourseForm] = useState({ code: '', title: '' });
+    const [selectedCourseId, setSelectedCourseId] = useState('');
+    const [emailList, setEmailList] = useState('');
+    const [message, setMessage] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const handleCreateCourse = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setMessage(null);
+
+        try {
+            const response = await apiFetch('/courses', { method: 'POST', body: courseForm });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to create course');
+            }
+
+            setCourseForm({ code: '', title: '' });
+            setMessage({ type: 'success', text: `Course ${data.course.code} created` });
+            onCoursesChanged();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+
+        setLoading(false);
+    };
+
+    const handleEnroll = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setMessage(null);
+
+        // Accept emails separated by commas, spaces or new lines
+        const emails = emailList.split(/[\s,;]+/).filter(Boolean);
+
+        try {
+            const response = await apiFetch(`/courses/${selectedCourseId}/enrollments`, {
+                method: 'POST',
+                body: { emails }
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to enroll students');
+            }
+
+            let text = `${data.enrolled.length} enrolled, ${data.alreadyEnrolled.length} already enrolled`;
+            if (data.notFound.length) {
+                text += `. Not registered as students: ${data.notFound.join(', ')}`;
+            }
+
+            setEmailList('');
+            setMessage({ type: data.notFound.length ? 'error' : 'success', text });
+            onCoursesChanged();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+
+        setLoading(false);
+    };
+
+    const handleDownload = async (course, format) => {
+        setMessage(null);
+
+        try {
+            await downloadFile(`/courses/${course.id}/attendance/export?format=${format}`);
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    return (
+        <div className="glass-card mb-lg">
+            <h3 style={{ marginBottom: 'var(--spacing-md)' }}>
+                <FiBookOpen style={{ display: 'inline', marginRight: '0.5rem' }} />
+                My Courses
+            </h3>
+
+            {message && (
+                <div className={`alert alert-${message.type} mb-lg`}>
+                    {message.text}
+                </div>
+            )}
+
+            {/* Existing courses */}
+            {courses.length === 0 ? (
+                <p style={{ color: 'var(--text-secondary)', marginBottom: 'var(--spacing-md)' }}>
+                    No courses yet. Create one to start taking attendance.
+                </p>
+            ) : (
+                <div style={{ display: 'grid', gap: 'var(--spacing-sm)', marginBottom: 'var(--spacing-md)' }}>
+                    {courses.map((course) => (
+                        <div
+                            key={course.id}
+                            className="flex justify-between items-center"
+                            style={{
+                                padding: 'var(--spacing-sm) var(--spacing-md)',
+                                background: 'rgba(255, 255, 255, 0.03)',
+                                borderRadius: 'var(--radius-md)',
+                                border: '1px solid var(--glass-border)'
+                            }}
+                        >
+                            <span>
+                                <strong>{course.code}</strong> - {course.title}
+                            </span>
+                            <span className="flex items-center" style={{ gap: 'var(--spacing-xs)' }}>
+                                <span style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+                                    {course.studentIds?.length || 0} students
+                                </span>
+                                <button
+                                    onClick={() => handleDownload(course, 'csv')}
+                                    className="btn btn-secondary"
+                                    title="Download the term's attendance as CSV"
+                                >
+                                    <FiDownload /> CSV
+                                </button>
+                                <button
+                                    onClick={() => handleDownload(course, 'xlsx')}
+                                    className="btn btn-secondary"
+                                    title="Download the term's attendance as Excel"
+                                >
+                                    <FiDownload /> XLSX
+                                </button>
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Create course */}
+            <form onSubmit={handleCreateCourse}>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr auto', gap: 'var(--spacing-md)', alignItems: 'end' }}>
+                    <div className="input-group">
+                        <label className="input-label">Course Code</label>
+                        <input
+                            type="text"
+                            className="input-field"
+                            placeholder="e.g., CS101"
+                            value={courseForm.code}
+                            onChange={(e) => setCourseForm({ ...courseForm, code: e.target.value })}
+                            required
+                        />
+                    </div>
+                    <div className="input-group">
+                        <label className="input-label">Course Title</label>
+                        <input
+                            type="text"
+                            className="input-field"
+                            placeholder="e.g., Computer Science 101"
+                            value={courseForm.title}
+                            onChange={(e) => setCourseForm({ ...courseForm, title: e.target.value })}
+                            required
+                        />
+                    </div>
+                    <div className="input-group">
+                        <button type="submit" className="btn btn-secondary" disabled={loading}>
+                            <FiPlus /> Add Course
+                        </button>
+                    </div>
+                </div>
+            </form>
+
+            {/* Enroll students */}
+            {courses.length > 0 && (
+                <form onSubmit={handleEnroll}>
+                    <div className="input-group">
+                        <label className="input-label">Enroll Students</label>
+                        <select
+                            className="input-field"
+                            value={selectedCourseId}
+                            onChange={(e) => setSelectedCourseId(e.target.value)}
+                            required
+                        >
+                            <option value="">Select a course</option>
+                            {courses.map((course) => (
+                                <option key={course.id} value={course.id}>
+                                    {course.code} - {course.title}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="input-group">
+                        <textarea
+                            className="input-field"
+                            rows="3"
+                            placeholder="Student emails, separated by commas or new lines"
+                            value={emailList}
+                            onChange={(e) => setEmailList(e.target.value)}
+                            required
+                        />
+                    </div>
+                    <button type="submit" className="btn btn-secondary" disabled={loading} style={{ width: '100%' }}>
+                        <FiUserPlus /> Enroll
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default CourseManager;
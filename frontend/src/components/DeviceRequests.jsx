@@ -0,0 +1,153 @@
+/**
+ * Device Requests Component (Teacher)
+ * 
+ * PURPOSE:
+ * Approve or reject students' requests to mark attendance from a new phone,
+ * and show devices that tried to mark two students in one session
+ * 
+ * GREEN CODING:
+ * - Fetched once when the dashboard opens, and again on request
+ * - Hidden when there is nothing to show
+ * 
+ * VIVA EXPLANATION:
+ * Each student account is registered to one device. A lost or replaced
+ * phone needs the teacher's approval, so a friend can't simply log in on
+ * their own phone and mark attendance for an absent classmate.
+ */
+
+import { useState, useEffect } from 'react';
+import { FiSmartphone, FiCheck, FiX, FiRefreshCw } from 'react-icons/fi';
+import { apiFetch } from '../services/api';
+
+const rowStyle = {
+    padding: 'var(--spacing-sm) var(--spacing-md)',
+    background: 'rgba(255, 255, 255, 0.03)',
+    borderRadius: 'var(--radius-md)',
+    border: '1px solid var(--glass-border)'
+};
+
+function DeviceRequests() {
+    const [requests, setRequests] = useState([]);
+    const [conflicts, setConflicts] = useState([]);
+    const [decidingId, setDecidingId] = useState(null);
+    const [error, setError] = useState('');
+
+    const fetchDeviceActivity = async () => {
+        try {
+            const [requestsResponse, conflictsResponse] = await Promise.all([
+                apiFetch('/devices/rebind-requests'),
+                apiFetch('/devices/conflicts?limit=10')
+            ]);
+            const requestsData = await requestsResponse.json();
+            const conflictsData = await conflictsResponse.json();
+
+            if (requestsResponse.ok && requestsData.success) {
+                setRequests(requestsData.requests);
+            }
+            if (conflictsResponse.ok && conflictsData.success) {
+                setConflicts(conflictsData.conflicts);
+            }
+        } catch (error) {
+            console.error('Error fetching device requests:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchDeviceActivity();
+    }, []);
+
+    const handleDecision = async (request, decision) => {
+        setDecidingId(request.id);
+        setError('');
+
+        try {
+            const response = await apiFetch(`/devices/rebind-requests/${request.studentId}`, {
+                method: 'PATCH',
+                body: { decision }
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to save decision');
+            }
+
+            setRequests((current) => current.filter(({ id }) => id !== request.id));
+        } catch (error) {
+            setError(error.message);
+        }
+
+        setDecidingId(null);
+    };
+
+    // Nothing to decide or report - keep the dashboard uncluttered
+    if (requests.length === 0 && conflicts.length === 0) return null;
+
+    return (
+        <div className="glass-card mb-lg">
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--spacing-md)' }}>
+                <h3>
+                    <FiSmartphone style={{ display: 'inline', marginRight: '0.5rem' }} />
+                    Student Devices
+                </h3>
+                <button onClick={fetchDeviceActivity} className="btn btn-secondary">
+                    <FiRefreshCw />
+                </button>
+            </div>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {requests.length > 0 && (
+                <>
+                    <h4 style={{ marginBottom: 'var(--spacing-sm)' }}>New Devices to Approve</h4>
+                    <div style={{ display: 'grid', gap: 'var(--spacing-sm)', marginBottom: 'var(--spacing-md)' }}>
+                        {requests.map((request) => (
+                            <div key={request.id} className="flex justify-between items-center" style={rowStyle}>
+                                <div>
+                                    <strong>{request.studentEmail || request.studentId}</strong>
+                                    <span style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+                                        {' '}asked {new Date(request.requestedAt).toLocaleString()}
+                                    </span>
+                                </div>
+                                <div className="flex" style={{ gap: 'var(--spacing-xs)' }}>
+                                    <button
+                                        onClick={() => handleDecision(request, 'approve')}
+                                        className="btn btn-secondary"
+                                        disabled={decidingId === request.id}
+                                    >
+                                        <FiCheck /> Approve
+                                    </button>
+                                    <button
+                                        onClick={() => handleDecision(request, 'reject')}
+                                        className="btn btn-secondary"
+                                        disabled={decidingId === request.id}
+                                    >
+                                        <FiX /> Reject
+                                    </button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {conflicts.length > 0 && (
+                <>
+                    <h4 style={{ marginBottom: 'var(--spacing-sm)' }}>Shared Devices</h4>
+                    <div style={{ display: 'grid', gap: 'var(--spacing-sm)' }}>
+                        {conflicts.map((conflict) => (
+                            <div key={conflict.id} style={{ ...rowStyle, fontSize: 'var(--font-size-sm)' }}>
+                                <strong>{conflict.studentEmail || conflict.studentId}</strong> tried to mark{' '}
+                                {conflict.courseName} from the device {conflict.markedStudentId} had already used
+                                <span style={{ color: 'var(--text-muted)' }}>
+                                    {' '}· {new Date(conflict.detectedAt).toLocaleString()}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default DeviceRequests;
@@ -0,0 +1,288 @@
+/**
+ * Eligibility Report Component (Teacher)
+ * 
+ * PURPOSE:
+ * The exam eligibility list of a course: each student is eligible,
+ * condonable (with a medical certificate) or ineligible, with the reason.
+ * The teacher sets the rules, waives the requirement for individual students,
+ * downloads the list (CSV, Excel or PDF) and signs it off.
+ * 
+ * GREEN CODING:
+ * - Fetched only when a course is picked (or the dates change)
+ * - After sign-off the stored list is shown, nothing is recomputed
+ * 
+ * VIVA EXPLANATION:
+ * Until it is signed off the list is a draft worked out from the records
+ * (see the backend's eligibilityService). Signing off stores it and
+ * freezes the term: rules, waivers and the attendance of its sessions can
+ * no longer be changed, so the list handed to the exam office stays true.
+ */
+
+import { useState, useEffect } from 'react';
+import { FiAward, FiRefreshCw, FiDownload, FiCheckSquare } from 'react-icons/fi';
+import { apiFetch, downloadFile } from '../services/api';
+
+const RESULT_COLORS = {
+    eligible: '#4facfe',
+    condonable: '#f5a623',
+    ineligible: '#ff6b8a'
+};
+
+function EligibilityReport({ courses }) {
+    const [courseId, setCourseId] = useState('');
+    const [range, setRange] = useState({ from: '', to: '' });
+    const [data, setData] = useState(null);
+    const [rulesForm, setRulesForm] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const fetchReport = async (courseId, range) => {
+        if (!courseId) return;
+        setLoading(true);
+
+        try {
+            const params = new URLSearchParams(Object.entries(range).filter(([, value]) => value));
+            const response = await apiFetch(`/eligibility/courses/${courseId}?${params}`);
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || 'Failed to load eligibility list');
+            }
+
+            setData(result);
+            setRulesForm({
+                minPercentage: String(result.report.rules.minPercentage),
+                excusedAsPresent: result.report.rules.excusedAsPresent,
+                medicalCondonation: String(result.report.rules.medicalCondonation)
+            });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+            setData(null);
+        }
+
+        setLoading(false);
+    };
+
+    useEffect(() => {
+        setMessage(null);
+        setData(null);
+        fetchReport(courseId, range);
+    }, [courseId, range]);
+
+    // Runs a change, then reloads the list
+    const change = async (path, options, successText) => {
+        setMessage(null);
+
+        try {
+            const response = await apiFetch(path, options);
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.message || 'Request failed');
+            }
+
+            setMessage({ type: 'success', text: successText });
+            fetchReport(courseId, range);
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleSaveRules = (e) => {
+        e.preventDefault();
+        change(`/courses/${courseId}`, {
+            method: 'PATCH',
+            body: {
+                eligibilityRules: {
+                    minPercentage: parseFloat(rulesForm.minPercentage),
+                    excusedAsPresent: rulesForm.excusedAsPresent,
+                    medicalCondonation: parseFloat(rulesForm.medicalCondonation)
+                }
+            }
+        }, 'Eligibility rules saved');
+    };
+
+    const handleWaive = (student) => {
+        const label = student.name || student.email || student.studentId;
+        const reason = window.prompt(`Reason for waiving the attendance requirement for ${label}:`);
+        if (reason === null) return;
+
+        change(`/eligibility/courses/${courseId}/waivers/${student.studentId}`, {
+            method: 'PUT',
+            body: { reason }
+        }, `Requirement waived for ${label}`);
+    };
+
+    const handleRemoveWaiver = (student) => {
+        change(`/eligibility/courses/${courseId}/waivers/${student.studentId}`, { method: 'DELETE' }, 'Waiver removed');
+    };
+
+    const handleSignOff = () => {
+        if (!window.confirm('Sign off this eligibility list? The rules, waivers and attendance of this period can no longer be changed afterwards.')) return;
+
+        const statement = window.prompt('Statement to include with the sign-off (optional):');
+        if (statement === null) return;
+
+        change(`/eligibility/courses/${courseId}/sign-off`, {
+            method: 'POST',
+            body: { ...Object.fromEntries(Object.entries(range).filter(([, value]) => value)), statement }
+        }, 'Eligibility list signed off');
+    };
+
+    const handleDownload = async (format) => {
+        try {
+            const params = new URLSearchParams({ format, ...Object.fromEntries(Object.entries(range).filter(([, value]) => value)) });
+            await downloadFile(`/eligibility/courses/${courseId}/export?${params}`);
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    if (courses.length === 0) return null;
+
+    const report = data?.report;
+    const signedOff = data?.signedOff;
+
+    return (
+        <div className="glass-card mb-lg">
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--spacing-md)' }}>
+                <h3>
+                    <FiAward style={{ display: 'inline', marginRight: '0.5rem' }} />
+                    Exam Eligibility
+                </h3>
+                <div className="flex" style={{ gap: 'var(--spacing-xs)' }}>
+                    {['csv', 'xlsx', 'pdf'].map((format) => (
+                        <button key={format} onClick={() => handleDownload(format)} className="btn btn-secondary" disabled={!report}>
+                            <FiDownload /> {format.toUpperCase()}
+                        </button>
+                    ))}
+                    <button onClick={() => fetchReport(courseId, range)} className="btn btn-secondary" disabled={!courseId || loading}>
+                        <FiRefreshCw />
+                    </button>
+                </div>
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: 'var(--spacing-md)' }}>
+                <select className="input-field" value={courseId} onChange={(e) => setCourseId(e.target.value)}>
+                    <option value="">Select a course</option>
+                    {courses.map((course) => (
+                        <option key={course.id} value={course.id}>{course.code} - {course.title}</option>
+                    ))}
+                </select>
+                <input
+                    type="date"
+                    className="input-field"
+                    title="From"
+                    value={range.from}
+                    disabled={signedOff}
+                    onChange={(e) => setRange({ ...range, from: e.target.value })}
+                />
+                <input
+                    type="date"
+                    className="input-field"
+                    title="To"
+                    value={range.to}
+                    disabled={signedOff}
+                    onChange={(e) => setRange({ ...range, to: e.target.value })}
+                />
+            </div>
+
+            {message && <div className={`alert alert-${message.type} mt-lg`}>{message.text}</div>}
+
+            {report && rulesForm && (
+                <div style={{ display: 'grid', gap: 'var(--spacing-md)', marginTop: 'var(--spacing-lg)' }}>
+                    <form
+                        onSubmit={handleSaveRules}
+                        style={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto auto', gap: 'var(--spacing-sm)', alignItems: 'end' }}
+                    >
+                        <div className="input-group">
+                            <label className="input-label">Minimum attendance (%)</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="100"
+                                step="0.1"
+                                className="input-field"
+                                value={rulesForm.minPercentage}
+                                disabled={signedOff}
+                                onChange={(e) => setRulesForm({ ...rulesForm, minPercentage: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="input-group">
+                            <label className="input-label">Medical condonation (%)</label>
+                            <input
+                                type="number"
+                                min="0"
+                                max="100"
+                                step="0.1"
+                                className="input-field"
+                                value={rulesForm.medicalCondonation}
+                                disabled={signedOff}
+                                onChange={(e) => setRulesForm({ ...rulesForm, medicalCondonation: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <label className="input-label" style={{ display: 'flex', gap: '0.25rem', alignItems: 'center' }}>
+                            <input
+                                type="checkbox"
+                                checked={rulesForm.excusedAsPresent}
+                                disabled={signedOff}
+                                onChange={(e) => setRulesForm({ ...rulesForm, excusedAsPresent: e.target.checked })}
+                            />
+                            Excused counts as present
+                        </label>
+                        <button type="submit" className="btn btn-secondary" disabled={signedOff}>Save</button>
+                    </form>
+
+                    <div className="flex justify-between items-center">
+                        <p style={{ color: 'var(--text-secondary)' }}>
+                            {report.sessionsHeld} sessions held · {report.summary.eligible} eligible
+                            {' · '}{report.summary.condonable} condonable · {report.summary.ineligible} ineligible
+                        </p>
+                        {signedOff ? (
+                            <span style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-sm)' }}>
+                                Signed off by {report.signedByEmail || report.signedBy} on {new Date(report.signedAt).toLocaleString()}
+                            </span>
+                        ) : (
+                            <button onClick={handleSignOff} className="btn btn-primary">
+                                <FiCheckSquare /> Sign Off
+                            </button>
+                        )}
+                    </div>
+
+                    <div style={{ display: 'grid', gap: 'var(--spacing-xs)' }}>
+                        {report.students.map((student) => (
+                            <div
+                                key={student.studentId}
+                                className="flex justify-between items-center"
+                                style={{ gap: 'var(--spacing-md)', padding: 'var(--spacing-xs) 0', borderBottom: '1px solid rgba(255, 255, 255, 0.1)' }}
+                            >
+                                <div>
+                                    <strong>
+                                        {student.rollNumber ? `${student.rollNumber} ` : ''}{student.name || student.email || student.studentId}
+                                    </strong>
+                                    {' '}
+                                    <span style={{ color: RESULT_COLORS[student.result], fontWeight: 600 }}>
+                                        {student.result}{student.waived && ' (waived)'}
+                                    </span>
+                                    <div style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-sm)' }}>{student.reason}</div>
+                                </div>
+                                {!signedOff && (student.waived ? (
+                                    <button onClick={() => handleRemoveWaiver(student)} className="btn btn-secondary">Remove Waiver</button>
+                                ) : (
+                                    <button onClick={() => handleWaive(student)} className="btn btn-secondary">Waive</button>
+                                ))}
+                            </div>
+                        ))}
+                        {report.students.length === 0 && (
+                            <p style={{ color: 'var(--text-secondary)' }}>No students enrolled</p>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default EligibilityReport;
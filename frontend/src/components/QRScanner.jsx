@@ -6,60 +6,126 @@
  * 
  * GREEN CODING OPTIMIZATIONS:
  * 1. Lazy loaded using React.lazy() - only loaded when needed
- * 2. GPS fetched ONCE on component mount (not continuously)
+ * 2. GPS watched only until the fix is accurate enough (at most 15s), then stopped
  * 3. Camera stream stopped after successful scan (saves battery)
  * 4. Single API call to backend for verification
  * 
  * VIVA EXPLANATION:
  * This component uses the html5-qrcode library to scan QR codes.
- * When mounted, it fetches the user's GPS coordinates once and caches them.
- * After scanning, it sends the QR data + location to the backend for verification.
+ * When mounted, it samples GPS fixes until one is accurate enough and caches it.
+ * After scanning, it sends the QR data + location (with its accuracy) to the backend
+ * for verification,
+ * authenticated with the student's Firebase ID token.
  * The lazy loading ensures this component only loads when students need to scan,
  * reducing the initial bundle size significantly.
  */
 
 import { useEffect, useState, useRef } from 'react';
 import { Html5QrcodeScanner } from 'html5-qrcode';
-import { useAuth } from '../contexts/AuthContext';
+import { apiFetch } from '../services/api';
+import { getDeviceHeaders } from '../services/device';
 import { FiMapPin, FiCheckCircle, FiXCircle } from 'react-icons/fi';
 
+// Stop sampling once a fix is this accurate (metres)...
+const TARGET_ACCURACY_METERS = 30;
+// ...or after this long, keeping the best fix so far (the server has the final say)
+const LOCATION_WAIT_MS = 15000;
+
+/**
+ * Watch GPS fixes until one is accurate enough, then stop the watch
+ * @returns {Function} Stops sampling early (e.g. on unmount)
+ */
+function sampleLocation(targetAccuracy, { onLocation, onProgress, onError }) {
+    let best = null;
+    let watchId = null;
+    let timer = null;
+
+    const stop = () => {
+        navigator.geolocation.clearWatch(watchId);
+        clearTimeout(timer);
+    };
+
+    watchId = navigator.geolocation.watchPosition(
+        (position) => {
+            const fix = {
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            };
+
+            if (!best || fix.accuracy < best.accuracy) {
+                best = fix;
+                onProgress(fix);
+            }
+
+            if (fix.accuracy <= targetAccuracy) {
+                stop();
+                onLocation(fix);
+            }
+        },
+        (error) => {
+            // Timeouts are retried by the watch; a refused permission is final
+            if (error.code === error.PERMISSION_DENIED) {
+                stop();
+                onError(error);
+            }
+        },
+        {
+            enableHighAccuracy: true,
+            maximumAge: 0
+        }
+    );
+
+    timer = setTimeout(() => {
+        stop();
+        if (best) {
+            onLocation(best);
+        } else {
+            onError(new Error('No GPS fix'));
+        }
+    }, LOCATION_WAIT_MS);
+
+    return stop;
+}
+
 function QRScanner({ onSuccess, onError }) {
-    const { user } = useAuth();
     const [scanning, setScanning] = useState(true);
     const [location, setLocation] = useState(null);
     const [locationError, setLocationError] = useState(null);
+    // Best fix while sampling, shown so the student knows to wait
+    const [pendingFix, setPendingFix] = useState(null);
+    // A new object re-samples the location (e.g. when the server wants a better fix)
+    const [locationRequest, setLocationRequest] = useState({ targetAccuracy: TARGET_ACCURACY_METERS });
     const scannerRef = useRef(null);
     const scannerInitialized = useRef(false);
+    // One key per attendance attempt: repeated scans and retries replay the
+    // original success instead of failing with "already marked"
+    const idempotencyKey = useRef(crypto.randomUUID());
 
     /**
-     * GREEN CODING: Fetch GPS coordinates ONCE when component mounts
-     * Not continuously polling - single fetch saves battery and processing
+     * GREEN CODING: Sample GPS only until the fix is accurate enough
+     * Not continuously polling - the watch stops as soon as a good fix arrives
      */
     useEffect(() => {
-        if (navigator.geolocation) {
-            navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    setLocation({
-                        latitude: position.coords.latitude,
-                        longitude: position.coords.longitude,
-                        accuracy: position.coords.accuracy
-                    });
-                    console.log('Location acquired:', position.coords);
-                },
-                (error) => {
-                    console.error('Geolocation error:', error);
-                    setLocationError('Unable to get your location. Please enable location services.');
-                },
-                {
-                    enableHighAccuracy: true,
-                    timeout: 10000,
-                    maximumAge: 0
-                }
-            );
-        } else {
-            setLocationError('Geolocation is not supported by your browser');
+        if (!navigator.geolocation) {
+            setLocationError('Geolocation is not supported by your browser (classes that accept the campus Wi-Fi can still be scanned)');
+            return undefined;
         }
 
+        return sampleLocation(locationRequest.targetAccuracy, {
+            onLocation: (fix) => {
+                setLocation(fix);
+                console.log('Location acquired:', fix);
+            },
+            onProgress: setPendingFix,
+            onError: (error) => {
+                console.error('Geolocation error:', error);
+                setLocationError('Unable to get your location. Please enable location services (classes that accept the campus Wi-Fi can still be scanned).');
+            }
+        });
+    }, [locationRequest]);
+
+    useEffect(() => {
         // Cleanup: Stop scanner when component unmounts
         return () => {
             if (scannerRef.current) {
@@ -70,13 +136,14 @@ function QRScanner({ onSuccess, onError }) {
 
     /**
      * Initialize QR Scanner after location is acquired
+     * (or has failed: the server decides whether the campus network is enough)
      */
     useEffect(() => {
-        if (location && !scannerInitialized.current) {
+        if ((location || locationError) && !scannerInitialized.current) {
             initializeScanner();
             scannerInitialized.current = true;
         }
-    }, [location]);
+    }, [location, locationError]);
 
     const initializeScanner = () => {
         const scanner = new Html5QrcodeScanner(
@@ -93,6 +160,24 @@ function QRScanner({ onSuccess, onError }) {
         scannerRef.current = scanner;
     };
 
+    /**
+     * Ask the student's teacher to approve this device
+     * @returns Message for the student
+     */
+    const requestThisDevice = async () => {
+        try {
+            const response = await apiFetch('/devices/rebind-requests', {
+                method: 'POST',
+                headers: getDeviceHeaders()
+            });
+            const data = await response.json();
+            return data.message;
+        } catch (error) {
+            console.error('Error requesting device approval:', error);
+            return 'Could not send the approval request. Please try again.';
+        }
+    };
+
     const onScanSuccess = async (decodedText, decodedResult) => {
         console.log('QR Code scanned:', decodedText);
         setScanning(false);
@@ -104,20 +189,18 @@ function QRScanner({ onSuccess, onError }) {
 
         // Send attendance data to backend for verification
         try {
-            const response = await fetch('http://localhost:3000/api/attendance/mark', {
+            // Student identity is taken from the ID token on the server
+            const response = await apiFetch('/attendance/mark', {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    sessionId: decodedText,
-                    studentId: user.uid,
-                    studentEmail: user.email,
-                    location: {
+                headers: { 'Idempotency-Key': idempotencyKey.current, ...getDeviceHeaders() },
+                body: {
+                    qrData: decodedText,
+                    location: location ? {
                         latitude: location.latitude,
-                        longitude: location.longitude
-                    }
-                })
+                        longitude: location.longitude,
+                        accuracy: location.accuracy
+                    } : null
+                }
             });
 
             const data = await response.json();
@@ -127,9 +210,34 @@ function QRScanner({ onSuccess, onError }) {
             } else {
                 // Enhanced error message with debug info
                 let errorMsg = data.message || 'Failed to mark attendance';
-                if (data.debug) {
-                    errorMsg += `\n\nDebug Info:\nYour location: ${data.debug.yourLocation}\nClassroom: ${data.debug.classLocation}\nDistance: ${data.debug.distance}m (need: ${data.debug.required}m)`;
+                const geofence = data.verification?.find(({ verifier }) => verifier === 'geofence');
+                if (geofence?.details) {
+                    const { details } = geofence;
+                    // Polygon zones have no radius, only a distance to their edge
+                    const distance = details.required
+                        ? `${details.distance}m (need: ${details.required}m)`
+                        : `${details.distance}m outside`;
+                    errorMsg += `\n\nDebug Info:\nYour location: ${details.yourLocation}\nClassroom: ${details.classLocation}\nDistance: ${distance}`;
+                }
+
+                if (data.code === 'LOCATION_LOW_ACCURACY') {
+                    // Re-sample until the fix meets the session's limit; the scanner
+                    // restarts by itself once the new location arrives
+                    onError && onError(`${errorMsg}\n\nRe-checking your location...`);
+                    scannerInitialized.current = false;
+                    setLocation(null);
+                    setPendingFix(null);
+                    setLocationRequest({
+                        targetAccuracy: Math.min(TARGET_ACCURACY_METERS, data.maxAccuracyMeters)
+                    });
+                    setScanning(true);
+                    return;
                 }
+
+                if (data.code === 'DEVICE_MISMATCH') {
+                    errorMsg += `\n\n${await requestThisDevice()}`;
+                }
+
                 onError && onError(errorMsg);
                 // Restart scanner for retry
                 setScanning(true);
@@ -178,7 +286,9 @@ function QRScanner({ onSuccess, onError }) {
                         </span>
                     ) : (
                         <span style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
-                            Getting your location...
+                            {pendingFix
+                                ? `Improving GPS accuracy (±${Math.round(pendingFix.accuracy)}m)...`
+                                : 'Getting your location...'}
                         </span>
                     )}
                 </div>
@@ -197,7 +307,7 @@ function QRScanner({ onSuccess, onError }) {
             </div>
 
             {/* QR Scanner Element */}
-            {location && scanning && (
+            {(location || locationError) && scanning && (
                 <div id="qr-reader" style={{
                     borderRadius: 'var(--radius-md)',
                     overflow: 'hidden'
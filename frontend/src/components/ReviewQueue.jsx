@@ -0,0 +1,131 @@
+/**
+ * Review Queue Component (Teacher)
+ * 
+ * PURPOSE:
+ * List check-ins flagged as suspicious (possible fake GPS) so the teacher
+ * can confirm them (present) or reject them (absent)
+ * 
+ * GREEN CODING:
+ * - Fetched once when the dashboard opens, and again on request
+ * - Hidden when there is nothing to review
+ * 
+ * VIVA EXPLANATION:
+ * The backend flags check-ins with identical coordinates from several
+ * students, coordinates exactly on the classroom centre, or an impossible
+ * speed since the student's previous check-in. The record is kept, and the
+ * teacher decides here, since only they know who was really in the room.
+ */
+
+import { useState, useEffect } from 'react';
+import { FiAlertTriangle, FiCheck, FiX, FiRefreshCw } from 'react-icons/fi';
+import { apiFetch } from '../services/api';
+
+function ReviewQueue() {
+    const [records, setRecords] = useState([]);
+    const [reviewingId, setReviewingId] = useState(null);
+    const [error, setError] = useState('');
+
+    const fetchQueue = async () => {
+        try {
+            const response = await apiFetch('/attendance/review');
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setRecords(data.records);
+            }
+        } catch (error) {
+            console.error('Error fetching review queue:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchQueue();
+    }, []);
+
+    const handleReview = async (record, decision) => {
+        setReviewingId(record.id);
+        setError('');
+
+        try {
+            const response = await apiFetch(
+                `/attendance/records/${record.sessionId}/${record.studentId}/review`,
+                { method: 'PATCH', body: { decision } }
+            );
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to review check-in');
+            }
+
+            setRecords((current) => current.filter(({ id }) => id !== record.id));
+        } catch (error) {
+            setError(error.message);
+        }
+
+        setReviewingId(null);
+    };
+
+    // Nothing flagged - keep the dashboard uncluttered
+    if (records.length === 0) return null;
+
+    return (
+        <div className="glass-card mb-lg">
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--spacing-md)' }}>
+                <h3>
+                    <FiAlertTriangle style={{ display: 'inline', marginRight: '0.5rem' }} />
+                    Check-ins to Review ({records.length})
+                </h3>
+                <button onClick={fetchQueue} className="btn btn-secondary">
+                    <FiRefreshCw />
+                </button>
+            </div>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            <div style={{ display: 'grid', gap: 'var(--spacing-sm)' }}>
+                {records.map((record) => (
+                    <div
+                        key={record.id}
+                        className="flex justify-between items-center"
+                        style={{
+                            padding: 'var(--spacing-sm) var(--spacing-md)',
+                            background: 'rgba(255, 255, 255, 0.03)',
+                            borderRadius: 'var(--radius-md)',
+                            border: '1px solid var(--glass-border)'
+                        }}
+                    >
+                        <div>
+                            <strong>{record.studentEmail || record.studentId}</strong>
+                            <span style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+                                {' '}{record.courseName} · {new Date(record.markedAt).toLocaleString()}
+                            </span>
+                            <ul style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', margin: '0.25rem 0 0 1rem' }}>
+                                {record.anomalies.map((anomaly) => (
+                                    <li key={anomaly.code}>{anomaly.message}</li>
+                                ))}
+                            </ul>
+                        </div>
+                        <div className="flex" style={{ gap: 'var(--spacing-xs)' }}>
+                            <button
+                                onClick={() => handleReview(record, 'confirm')}
+                                className="btn btn-secondary"
+                                disabled={reviewingId === record.id}
+                            >
+                                <FiCheck /> Present
+                            </button>
+                            <button
+                                onClick={() => handleReview(record, 'reject')}
+                                className="btn btn-secondary"
+                                disabled={reviewingId === record.id}
+                            >
+                                <FiX /> Reject
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default ReviewQueue;
@@ -0,0 +1,274 @@
+/**
+ * Room Manager Component (Teacher)
+ * 
+ * PURPOSE:
+ * Keep a library of named classrooms (building, room number, centre
+ * coordinates, radius, notes) shared by the whole institution
+ * 
+ * GREEN CODING:
+ * - Room list owned by the parent dashboard (fetched once, shared with the session form)
+ * - Coordinates entered once per room instead of once per lecture
+ * 
+ * VIVA EXPLANATION:
+ * Sessions reference a room instead of copying coordinates, so correcting a
+ * room here fixes every future session held in it.
+ */
+
+import { useState } from 'react';
+import { FiHome, FiPlus, FiEdit2, FiTrash2, FiMapPin } from 'react-icons/fi';
+import { apiFetch } from '../services/api';
+
+const emptyForm = {
+    building: '',
+    roomNumber: '',
+    latitude: '',
+    longitude: '',
+    radiusMeters: '50',
+    notes: ''
+};
+
+function RoomManager({ rooms, onRoomsChanged }) {
+    const [form, setForm] = useState(emptyForm);
+    const [editingId, setEditingId] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const openForm = (room = null) => {
+        setEditingId(room?.id || null);
+        setForm(room ? {
+            building: room.building,
+            roomNumber: room.roomNumber,
+            latitude: String(room.latitude),
+            longitude: String(room.longitude),
+            radiusMeters: String(room.radiusMeters),
+            notes: room.notes || ''
+        } : emptyForm);
+        setShowForm(true);
+        setMessage(null);
+    };
+
+    const fillCurrentLocation = () => {
+        if (!navigator.geolocation) {
+            alert('Geolocation is not supported by your browser');
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                setForm((current) => ({
+                    ...current,
+                    latitude: position.coords.latitude.toFixed(6),
+                    longitude: position.coords.longitude.toFixed(6)
+                }));
+            },
+            (error) => {
+                console.error('Geolocation error:', error);
+                alert('Could not get your location. Please enter manually.');
+            }
+        );
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setMessage(null);
+
+        const room = {
+            building: form.building,
+            roomNumber: form.roomNumber,
+            latitude: parseFloat(form.latitude),
+            longitude: parseFloat(form.longitude),
+            radiusMeters: parseInt(form.radiusMeters),
+            notes: form.notes
+        };
+
+        try {
+            const response = await apiFetch(editingId ? `/rooms/${editingId}` : '/rooms', {
+                method: editingId ? 'PATCH' : 'POST',
+                body: room
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to save room');
+            }
+
+            setShowForm(false);
+            setMessage({ type: 'success', text: `${data.room.building} ${data.room.roomNumber} saved` });
+            onRoomsChanged();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+
+        setLoading(false);
+    };
+
+    const handleDelete = async (room) => {
+        if (!window.confirm(`Delete ${room.building} ${room.roomNumber}?`)) return;
+
+        try {
+            const response = await apiFetch(`/rooms/${room.id}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to delete room');
+            }
+
+            onRoomsChanged();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    return (
+        <div className="glass-card mb-lg">
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--spacing-md)' }}>
+                <h3>
+                    <FiHome style={{ display: 'inline', marginRight: '0.5rem' }} />
+                    Rooms
+                </h3>
+                <button
+                    onClick={() => (showForm ? setShowForm(false) : openForm())}
+                    className="btn btn-secondary"
+                >
+                    <FiPlus /> {showForm ? 'Cancel' : 'Add Room'}
+                </button>
+            </div>
+
+            {message && (
+                <div className={`alert alert-${message.type} mb-lg`}>
+                    {message.text}
+                </div>
+            )}
+
+            {rooms.length === 0 && !showForm && (
+                <p style={{ color: 'var(--text-secondary)' }}>
+                    No rooms saved yet. Save each classroom once and pick it when creating a session.
+                </p>
+            )}
+
+            <div style={{ display: 'grid', gap: 'var(--spacing-sm)', marginBottom: showForm ? 'var(--spacing-md)' : 0 }}>
+                {rooms.map((room) => (
+                    <div
+                        key={room.id}
+                        className="flex justify-between items-center"
+                        style={{
+                            padding: 'var(--spacing-sm) var(--spacing-md)',
+                            background: 'rgba(255, 255, 255, 0.03)',
+                            borderRadius: 'var(--radius-md)',
+                            border: '1px solid var(--glass-border)'
+                        }}
+                    >
+                        <div>
+                            <strong>{room.building} {room.roomNumber}</strong>
+                            <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                                {room.latitude.toFixed(6)}, {room.longitude.toFixed(6)} · {room.radiusMeters}m
+                                {room.notes && ` · ${room.notes}`}
+                            </p>
+                        </div>
+                        <div className="flex" style={{ gap: 'var(--spacing-xs)' }}>
+                            <button onClick={() => openForm(room)} className="btn btn-secondary">
+                                <FiEdit2 />
+                            </button>
+                            <button onClick={() => handleDelete(room)} className="btn btn-secondary">
+                                <FiTrash2 />
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {showForm && (
+                <form onSubmit={handleSave}>
+                    <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: 'var(--spacing-md)' }}>
+                        <div className="input-group">
+                            <label className="input-label">Building</label>
+                            <input
+                                type="text"
+                                className="input-field"
+                                placeholder="e.g., Main Block"
+                                value={form.building}
+                                onChange={(e) => setForm({ ...form, building: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="input-group">
+                            <label className="input-label">Room Number</label>
+                            <input
+                                type="text"
+                                className="input-field"
+                                placeholder="e.g., 101"
+                                value={form.roomNumber}
+                                onChange={(e) => setForm({ ...form, roomNumber: e.target.value })}
+                                required
+                            />
+                        </div>
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 'var(--spacing-md)' }}>
+                        <div className="input-group">
+                            <label className="input-label">Centre Latitude</label>
+                            <input
+                                type="number"
+                                step="any"
+                                className="input-field"
+                                value={form.latitude}
+                                onChange={(e) => setForm({ ...form, latitude: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="input-group">
+                            <label className="input-label">Centre Longitude</label>
+                            <input
+                                type="number"
+                                step="any"
+                                className="input-field"
+                                value={form.longitude}
+                                onChange={(e) => setForm({ ...form, longitude: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="input-group">
+                            <label className="input-label">Radius (meters)</label>
+                            <input
+                                type="number"
+                                min="1"
+                                className="input-field"
+                                value={form.radiusMeters}
+                                onChange={(e) => setForm({ ...form, radiusMeters: e.target.value })}
+                                required
+                            />
+                        </div>
+                    </div>
+
+                    <button
+                        type="button"
+                        onClick={fillCurrentLocation}
+                        className="btn btn-secondary"
+                        style={{ width: '100%', marginBottom: 'var(--spacing-md)' }}
+                    >
+                        <FiMapPin /> Use My Current Location
+                    </button>
+
+                    <div className="input-group">
+                        <label className="input-label">Notes (optional)</label>
+                        <input
+                            type="text"
+                            className="input-field"
+                            placeholder="e.g., Second floor, east wing"
+                            value={form.notes}
+                            onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                        />
+                    </div>
+
+                    <button type="submit" className="btn btn-primary" disabled={loading} style={{ width: '100%' }}>
+                        {loading ? 'Saving...' : editingId ? 'Update Room' : 'Save Room'}
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default RoomManager;
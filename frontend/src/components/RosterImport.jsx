@@ -0,0 +1,169 @@
+/**
+ * Roster Import Component (Teacher)
+ * 
+ * PURPOSE:
+ * Upload a class list CSV (roll number, name, email) into a course and
+ * view the resulting roster with roll numbers
+ * 
+ * GREEN CODING:
+ * - CSV read locally with the File API and sent as one request
+ * - Roster fetched only when a course is selected
+ * 
+ * VIVA EXPLANATION:
+ * The backend validates every row, enrolls students who already have an
+ * account and invites the others. Each problem row is listed with its row
+ * number so the teacher can fix the spreadsheet and upload it again.
+ */
+
+import { useState } from 'react';
+import { FiUpload, FiList } from 'react-icons/fi';
+import { apiFetch } from '../services/api';
+
+function RosterImport({ courses, onCoursesChanged }) {
+    const [courseId, setCourseId] = useState('');
+    const [file, setFile] = useState(null);
+    const [result, setResult] = useState(null);
+    const [roster, setRoster] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const fetchRoster = async (selectedCourseId) => {
+        setRoster(null);
+        if (!selectedCourseId) return;
+
+        try {
+            const response = await apiFetch(`/courses/${selectedCourseId}/students`);
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setRoster(data);
+            }
+        } catch (error) {
+            console.error('Error fetching roster:', error);
+        }
+    };
+
+    const handleCourseChange = (e) => {
+        setCourseId(e.target.value);
+        setResult(null);
+        fetchRoster(e.target.value);
+    };
+
+    const handleUpload = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        setResult(null);
+
+        try {
+            const response = await apiFetch(`/courses/${courseId}/roster`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/csv' },
+                body: await file.text()
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to import roster');
+            }
+
+            setResult(data);
+            fetchRoster(courseId);
+            onCoursesChanged();
+        } catch (error) {
+            setError(error.message);
+        }
+
+        setLoading(false);
+    };
+
+    return (
+        <div className="glass-card mb-lg">
+            <h3 style={{ marginBottom: 'var(--spacing-md)' }}>
+                <FiUpload style={{ display: 'inline', marginRight: '0.5rem' }} />
+                Import Class Roster
+            </h3>
+
+            <p style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-sm)', marginBottom: 'var(--spacing-md)' }}>
+                CSV with the columns <code>Roll Number, Name, Email</code>. Students who have not
+                registered yet are invited and enrolled automatically when they sign up.
+            </p>
+
+            {error && (
+                <div className="alert alert-error mb-lg">
+                    {error}
+                </div>
+            )}
+
+            <form onSubmit={handleUpload}>
+                <div className="input-group">
+                    <label className="input-label">Course</label>
+                    <select className="input-field" value={courseId} onChange={handleCourseChange} required>
+                        <option value="">Select a course</option>
+                        {courses.map((course) => (
+                            <option key={course.id} value={course.id}>
+                                {course.code} - {course.title}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="input-group">
+                    <input
+                        type="file"
+                        accept=".csv,text/csv"
+                        className="input-field"
+                        onChange={(e) => setFile(e.target.files[0] || null)}
+                        required
+                    />
+                </div>
+
+                <button type="submit" className="btn btn-secondary" disabled={loading || !file} style={{ width: '100%' }}>
+                    {loading ? 'Importing...' : 'Import Roster'}
+                </button>
+            </form>
+
+            {/* Import summary with per-row errors */}
+            {result && (
+                <div style={{ marginTop: 'var(--spacing-md)' }}>
+                    <div className={`alert alert-${result.errors.length ? 'error' : 'success'}`}>
+                        {result.message}
+                    </div>
+                    {result.errors.length > 0 && (
+                        <ul style={{ marginTop: 'var(--spacing-sm)', paddingLeft: '1.25rem', fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+                            {result.errors.map((rowError, index) => (
+                                <li key={index}>Row {rowError.row}: {rowError.message}</li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            {/* Current roster */}
+            {roster && (
+                <div style={{ marginTop: 'var(--spacing-md)' }}>
+                    <h4 style={{ marginBottom: 'var(--spacing-sm)' }}>
+                        <FiList style={{ display: 'inline', marginRight: '0.5rem' }} />
+                        Roster ({roster.count} enrolled, {roster.pendingInvites.length} invited)
+                    </h4>
+                    <div style={{ display: 'grid', gap: '0.25rem', fontSize: 'var(--font-size-sm)' }}>
+                        {roster.students.map((student) => (
+                            <div key={student.uid} className="flex justify-between">
+                                <span>{student.rollNumber || '—'} · {student.name}</span>
+                                <span style={{ color: 'var(--text-secondary)' }}>{student.email}</span>
+                            </div>
+                        ))}
+                        {roster.pendingInvites.map((invite) => (
+                            <div key={invite.email} className="flex justify-between" style={{ color: 'var(--text-muted)' }}>
+                                <span>{invite.rollNumber} · {invite.name} (invited)</span>
+                                <span>{invite.email}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default RosterImport;
@@ -0,0 +1,374 @@
+/**
+ * Session Attendance Component (Teacher)
+ * 
+ * PURPOSE:
+ * Show who was present and who was absent for one session, side by side
+ * 
+ * GREEN CODING:
+ * - Fetched only when the teacher opens a session (no polling)
+ * - Absent list computed by the backend from the roster, not stored
+ * - Change history only fetched when the teacher opens it
+ * 
+ * VIVA EXPLANATION:
+ * The backend compares the course roster with the attendance records.
+ * While the session is still active the right-hand list means "not marked yet";
+ * once it is closed or expired the list is final.
+ * The teacher can also set a student's attendance by hand (present, late,
+ * excused, absent) or revoke a record, always giving a reason; every such
+ * change appears in the session's history. The whole list can be downloaded
+ * as CSV or XLSX for the registrar.
+ */
+
+import { useState, useEffect } from 'react';
+import { FiCheckCircle, FiXCircle, FiX, FiClock, FiDownload } from 'react-icons/fi';
+import { apiFetch, downloadFile } from '../services/api';
+
+// Statuses a teacher can set by hand (see backend overrideService)
+const MANUAL_STATUSES = ['present', 'late', 'excused', 'absent'];
+
+const AUDIT_ACTION_LABELS = {
+    override: 'Changed',
+    revoke: 'Revoked',
+    review: 'Reviewed'
+};
+
+const listItemStyle = {
+    padding: 'var(--spacing-sm)',
+    background: 'rgba(255, 255, 255, 0.03)',
+    borderRadius: 'var(--radius-sm)',
+    border: '1px solid var(--glass-border)',
+    fontSize: 'var(--font-size-sm)'
+};
+
+// Time, distance (or the campus network when GPS wasn't checked) and,
+// when the phone reported its GPS accuracy, how sure the location check was
+function presentDetail(record) {
+    const parts = [
+        new Date(record.markedAt).toLocaleTimeString(),
+        record.distance != null ? `${record.distance}m` : 'campus network'
+    ];
+    if (record.confidence != null) {
+        parts.push(`${Math.round(record.confidence * 100)}% location confidence`);
+    }
+    if (record.status === 'suspicious') {
+        parts.push('⚠ needs review');
+    }
+    if (record.status === 'late') {
+        parts.push('late');
+    }
+    return parts.join(' · ');
+}
+
+function absentDetail(student) {
+    const parts = [student.studentEmail];
+    if (student.status === 'rejected') {
+        parts.push('check-in rejected');
+    } else if (student.status === 'excused') {
+        parts.push('excused');
+    }
+    return parts.filter(Boolean).join(' · ');
+}
+
+// "present" or "present → late" for an audit entry
+function auditChange(entry) {
+    const before = entry.before?.status || 'no record';
+    const after = entry.after?.status || 'no record';
+    return before === after ? after : `${before} → ${after}`;
+}
+
+function StudentRow({ student, detail, actions }) {
+    return (
+        <div style={listItemStyle}>
+            <div className="flex justify-between items-center" style={{ gap: 'var(--spacing-xs)' }}>
+                <div style={{ fontWeight: '500' }}>
+                    {student.rollNumber && <span style={{ color: 'var(--text-muted)' }}>{student.rollNumber} · </span>}
+                    {student.studentName || student.studentEmail || student.studentId}
+                    {student.source === 'manual' && (
+                        <span
+                            title={student.override?.reason}
+                            style={{ marginLeft: '0.5rem', fontSize: 'var(--font-size-xs)', color: '#f6c453' }}
+                        >
+                            manual
+                        </span>
+                    )}
+                </div>
+                {actions}
+            </div>
+            {detail && (
+                <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>{detail}</div>
+            )}
+            {student.source === 'manual' && student.override?.reason && (
+                <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                    Reason: {student.override.reason}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Set-status select and revoke button for one student
+function OverrideActions({ student, hasRecord, busy, onOverride, onRevoke }) {
+    return (
+        <div className="flex" style={{ gap: 'var(--spacing-xs)' }}>
+            <select
+                className="input-field"
+                style={{ padding: '0.25rem', fontSize: 'var(--font-size-xs)', width: 'auto' }}
+                value=""
+                disabled={busy}
+                onChange={(e) => onOverride(student, e.target.value)}
+                aria-label="Set attendance"
+            >
+                <option value="">Set…</option>
+                {MANUAL_STATUSES.map((status) => (
+                    <option key={status} value={status}>{status.charAt(0).toUpperCase() + status.slice(1)}</option>
+                ))}
+            </select>
+            {hasRecord && (
+                <button
+                    className="btn btn-secondary"
+                    style={{ padding: '0.25rem 0.5rem', fontSize: 'var(--font-size-xs)' }}
+                    disabled={busy}
+                    onClick={() => onRevoke(student)}
+                >
+                    Revoke
+                </button>
+            )}
+        </div>
+    );
+}
+
+function SessionAttendance({ session, onClose }) {
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState('');
+    const [history, setHistory] = useState(null);
+    const [showHistory, setShowHistory] = useState(false);
+    const [busyId, setBusyId] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+
+        const fetchReport = async () => {
+            try {
+                const response = await apiFetch(`/attendance/records/${session.id}`);
+                const data = await response.json();
+                if (cancelled) return;
+
+                if (response.ok && data.success) {
+                    setReport(data);
+                } else {
+                    setError(data.message || 'Failed to load attendance');
+                }
+            } catch (error) {
+                console.error('Error fetching attendance report:', error);
+                if (!cancelled) setError('Network error. Please try again.');
+            }
+        };
+
+        fetchReport();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [session.id, reloadKey]);
+
+    useEffect(() => {
+        if (!showHistory) return;
+        let cancelled = false;
+
+        const fetchHistory = async () => {
+            try {
+                const response = await apiFetch(`/attendance/records/${session.id}/audit`);
+                const data = await response.json();
+                if (cancelled) return;
+
+                if (response.ok && data.success) {
+                    setHistory(data.entries);
+                } else {
+                    setError(data.message || 'Failed to load history');
+                }
+            } catch (error) {
+                console.error('Error fetching attendance history:', error);
+                if (!cancelled) setError('Network error. Please try again.');
+            }
+        };
+
+        fetchHistory();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [session.id, showHistory, reloadKey]);
+
+    // Every manual change needs a reason (kept in the audit history)
+    const changeRecord = async (student, method, body) => {
+        const label = student.studentName || student.studentEmail || student.studentId;
+        const reason = window.prompt(`Reason for changing ${label}'s attendance:`);
+        if (reason === null) return;
+        if (!reason.trim()) {
+            setError('A reason is required');
+            return;
+        }
+
+        setBusyId(student.studentId);
+        setError('');
+
+        try {
+            const response = await apiFetch(`/attendance/records/${session.id}/${student.studentId}`, {
+                method,
+                body: { ...body, reason }
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to update attendance');
+            }
+
+            setReloadKey((key) => key + 1);
+        } catch (error) {
+            setError(error.message);
+        }
+
+        setBusyId(null);
+    };
+
+    const handleOverride = (student, status) => {
+        if (status) changeRecord(student, 'PUT', { status });
+    };
+
+    const handleRevoke = (student) => changeRecord(student, 'DELETE', {});
+
+    const handleDownload = async (format) => {
+        try {
+            await downloadFile(`/attendance/records/${session.id}/export?format=${format}`);
+        } catch (error) {
+            setError(error.message);
+        }
+    };
+
+    const actionsFor = (student, hasRecord) => (
+        <OverrideActions
+            student={student}
+            hasRecord={hasRecord}
+            busy={busyId === student.studentId}
+            onOverride={handleOverride}
+            onRevoke={handleRevoke}
+        />
+    );
+
+    return (
+        <div className="glass-card mb-lg">
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--spacing-md)' }}>
+                <h3>Attendance: {session.courseName}</h3>
+                <div className="flex" style={{ gap: 'var(--spacing-xs)' }}>
+                    <button onClick={() => handleDownload('csv')} className="btn btn-secondary" title="Download as CSV">
+                        <FiDownload /> CSV
+                    </button>
+                    <button onClick={() => handleDownload('xlsx')} className="btn btn-secondary" title="Download as Excel">
+                        <FiDownload /> XLSX
+                    </button>
+                    <button onClick={() => setShowHistory(!showHistory)} className="btn btn-secondary">
+                        <FiClock /> {showHistory ? 'Hide History' : 'History'}
+                    </button>
+                    <button onClick={onClose} className="btn btn-secondary">
+                        <FiX /> Close
+                    </button>
+                </div>
+            </div>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            {!report && !error && (
+                <div className="text-center" style={{ padding: 'var(--spacing-lg)' }}>
+                    <div className="spinner" style={{ margin: '0 auto' }}></div>
+                </div>
+            )}
+
+            {report && (
+                <>
+                    <p style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-sm)', marginBottom: 'var(--spacing-md)' }}>
+                        {report.summary.present} present · {report.summary.absent} absent · {report.summary.enrolled} enrolled
+                        {!report.final && ' (session still active - absent list is not final)'}
+                    </p>
+
+                    {report.deviceConflicts?.length > 0 && (
+                        <div className="alert alert-error mb-lg">
+                            {report.deviceConflicts.map((conflict) => (
+                                <div key={conflict.id}>
+                                    {conflict.studentEmail || conflict.studentId} tried to mark from the device
+                                    already used by {conflict.markedStudentId} ({new Date(conflict.detectedAt).toLocaleTimeString()})
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)' }}>
+                        <div>
+                            <h4 style={{ marginBottom: 'var(--spacing-sm)', color: '#4facfe' }}>
+                                <FiCheckCircle style={{ display: 'inline', marginRight: '0.5rem' }} />
+                                Present
+                            </h4>
+                            <div style={{ display: 'grid', gap: 'var(--spacing-xs)' }}>
+                                {report.present.map((record) => (
+                                    <StudentRow
+                                        key={record.id}
+                                        student={record}
+                                        detail={presentDetail(record)}
+                                        actions={actionsFor(record, true)}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+
+                        <div>
+                            <h4 style={{ marginBottom: 'var(--spacing-sm)', color: '#ff6b8a' }}>
+                                <FiXCircle style={{ display: 'inline', marginRight: '0.5rem' }} />
+                                {report.final ? 'Absent' : 'Not Marked Yet'}
+                            </h4>
+                            <div style={{ display: 'grid', gap: 'var(--spacing-xs)' }}>
+                                {report.absent.map((student) => (
+                                    <StudentRow
+                                        key={student.studentId}
+                                        student={student}
+                                        detail={absentDetail(student)}
+                                        actions={actionsFor(student, student.source === 'manual' || student.status === 'rejected')}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+
+                    {showHistory && (
+                        <div style={{ marginTop: 'var(--spacing-md)' }}>
+                            <h4 style={{ marginBottom: 'var(--spacing-sm)' }}>
+                                <FiClock style={{ display: 'inline', marginRight: '0.5rem' }} />
+                                Change History
+                            </h4>
+                            {history?.length === 0 && (
+                                <p style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-sm)' }}>
+                                    No manual changes yet.
+                                </p>
+                            )}
+                            <div style={{ display: 'grid', gap: 'var(--spacing-xs)' }}>
+                                {history?.map((entry) => (
+                                    <div key={entry.id} style={listItemStyle}>
+                                        <div>
+                                            <strong>{AUDIT_ACTION_LABELS[entry.action] || entry.action}</strong>
+                                            {' '}{entry.studentId}: {auditChange(entry)}
+                                        </div>
+                                        <div style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)' }}>
+                                            {new Date(entry.at).toLocaleString()} · {entry.actorEmail || entry.actorId}
+                                            {entry.reason && ` · ${entry.reason}`}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default SessionAttendance;
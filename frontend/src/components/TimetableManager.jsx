@@ -0,0 +1,378 @@
+/**
+ * Timetable Manager Component (Teacher)
+ * 
+ * PURPOSE:
+ * Define the weekly class timetable for a term: slots (day, start time,
+ * duration, room, course), term dates, holidays and time zone
+ * 
+ * GREEN CODING:
+ * - Whole timetable saved in one request
+ * - Timetables fetched once when the dashboard opens
+ * 
+ * VIVA EXPLANATION:
+ * Instead of typing the room coordinates every lecture, the teacher enters
+ * the weekly timetable once. The backend then creates a session for each
+ * class as it starts (or when the teacher presses "Start" on today's class).
+ */
+
+import { useState, useEffect } from 'react';
+import { FiCalendar, FiPlus, FiTrash2, FiSave } from 'react-icons/fi';
+import { apiFetch } from '../services/api';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const emptySlot = () => ({
+    courseId: '',
+    day: 'monday',
+    startTime: '09:00',
+    durationMinutes: '60',
+    roomId: '',
+    latitude: '',
+    longitude: '',
+    radiusMeters: '50'
+});
+
+const emptyForm = () => ({
+    name: '',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    termStart: '',
+    termEnd: '',
+    holidays: '',
+    slots: [emptySlot()]
+});
+
+function TimetableManager({ courses, rooms, onTimetablesChanged }) {
+    const [timetables, setTimetables] = useState([]);
+    const [form, setForm] = useState(emptyForm);
+    const [showForm, setShowForm] = useState(false);
+    const [message, setMessage] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const fetchTimetables = async () => {
+        try {
+            const response = await apiFetch('/timetables');
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setTimetables(data.timetables);
+            }
+        } catch (error) {
+            console.error('Error fetching timetables:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchTimetables();
+    }, []);
+
+    const updateSlot = (index, field, value) => {
+        const slots = form.slots.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot));
+        setForm({ ...form, slots });
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setMessage(null);
+
+        const timetable = {
+            name: form.name,
+            timezone: form.timezone,
+            termStart: form.termStart,
+            termEnd: form.termEnd,
+            // Accept dates separated by commas, spaces or new lines
+            holidays: form.holidays.split(/[\s,;]+/).filter(Boolean),
+            slots: form.slots.map((slot) => ({
+                courseId: slot.courseId,
+                day: slot.day,
+                startTime: slot.startTime,
+                durationMinutes: parseInt(slot.durationMinutes),
+                // A saved room is referenced by id; otherwise send the coordinates
+                ...(slot.roomId ? { roomId: slot.roomId } : {
+                    room: {
+                        latitude: parseFloat(slot.latitude),
+                        longitude: parseFloat(slot.longitude),
+                        radiusMeters: parseInt(slot.radiusMeters)
+                    }
+                })
+            }))
+        };
+
+        try {
+            const response = await apiFetch('/timetables', { method: 'POST', body: timetable });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to save timetable');
+            }
+
+            setForm(emptyForm());
+            setShowForm(false);
+            setMessage({ type: 'success', text: `Timetable "${data.timetable.name}" saved` });
+            fetchTimetables();
+            onTimetablesChanged();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+
+        setLoading(false);
+    };
+
+    const handleDelete = async (timetable) => {
+        if (!window.confirm(`Delete timetable "${timetable.name}"? Sessions already held are kept.`)) return;
+
+        try {
+            const response = await apiFetch(`/timetables/${timetable.id}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to delete timetable');
+            }
+
+            fetchTimetables();
+            onTimetablesChanged();
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const courseLabel = (courseId) => courses.find(({ id }) => id === courseId)?.code || courseId;
+
+    const roomLabel = (slot) => {
+        if (!slot.roomId) return slot.room?.name || '';
+        const room = rooms.find(({ id }) => id === slot.roomId);
+        return room ? `${room.building} ${room.roomNumber}` : '';
+    };
+
+    return (
+        <div className="glass-card mb-lg">
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--spacing-md)' }}>
+                <h3>
+                    <FiCalendar style={{ display: 'inline', marginRight: '0.5rem' }} />
+                    Timetable
+                </h3>
+                <button onClick={() => setShowForm(!showForm)} className="btn btn-secondary">
+                    <FiPlus /> {showForm ? 'Cancel' : 'New Timetable'}
+                </button>
+            </div>
+
+            {message && (
+                <div className={`alert alert-${message.type} mb-lg`}>
+                    {message.text}
+                </div>
+            )}
+
+            {/* Existing timetables */}
+            {timetables.length === 0 && !showForm && (
+                <p style={{ color: 'var(--text-secondary)' }}>
+                    No timetable yet. Add your weekly classes once and start each lecture with one click.
+                </p>
+            )}
+
+            <div style={{ display: 'grid', gap: 'var(--spacing-sm)', marginBottom: showForm ? 'var(--spacing-md)' : 0 }}>
+                {timetables.map((timetable) => (
+                    <div
+                        key={timetable.id}
+                        style={{
+                            padding: 'var(--spacing-sm) var(--spacing-md)',
+                            background: 'rgba(255, 255, 255, 0.03)',
+                            borderRadius: 'var(--radius-md)',
+                            border: '1px solid var(--glass-border)'
+                        }}
+                    >
+                        <div className="flex justify-between items-center">
+                            <span>
+                                <strong>{timetable.name}</strong>
+                                <span style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+                                    {' '}{timetable.termStart} to {timetable.termEnd} ({timetable.timezone})
+                                </span>
+                            </span>
+                            <button onClick={() => handleDelete(timetable)} className="btn btn-secondary">
+                                <FiTrash2 />
+                            </button>
+                        </div>
+                        <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                            {timetable.slots.map((slot) => (
+                                `${courseLabel(slot.courseId)} ${slot.day} ${slot.startTime} (${slot.durationMinutes} min${roomLabel(slot) ? `, ${roomLabel(slot)}` : ''})`
+                            )).join(' · ')}
+                        </p>
+                    </div>
+                ))}
+            </div>
+
+            {/* New timetable */}
+            {showForm && (
+                <form onSubmit={handleSave}>
+                    <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr', gap: 'var(--spacing-md)' }}>
+                        <div className="input-group">
+                            <label className="input-label">Name</label>
+                            <input
+                                type="text"
+                                className="input-field"
+                                placeholder="e.g., Odd Semester 2026"
+                                value={form.name}
+                                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="input-group">
+                            <label className="input-label">Time Zone</label>
+                            <input
+                                type="text"
+                                className="input-field"
+                                value={form.timezone}
+                                onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="input-group">
+                            <label className="input-label">Term Start</label>
+                            <input
+                                type="date"
+                                className="input-field"
+                                value={form.termStart}
+                                onChange={(e) => setForm({ ...form, termStart: e.target.value })}
+                                required
+                            />
+                        </div>
+                        <div className="input-group">
+                            <label className="input-label">Term End</label>
+                            <input
+                                type="date"
+                                className="input-field"
+                                value={form.termEnd}
+                                onChange={(e) => setForm({ ...form, termEnd: e.target.value })}
+                                required
+                            />
+                        </div>
+                    </div>
+
+                    <div className="input-group">
+                        <label className="input-label">Holidays (no classes)</label>
+                        <input
+                            type="text"
+                            className="input-field"
+                            placeholder="YYYY-MM-DD, separated by commas"
+                            value={form.holidays}
+                            onChange={(e) => setForm({ ...form, holidays: e.target.value })}
+                        />
+                    </div>
+
+                    <label className="input-label">Weekly Slots</label>
+                    {form.slots.map((slot, index) => (
+                        <div
+                            key={index}
+                            style={{
+                                display: 'grid',
+                                gridTemplateColumns: '1.5fr 1fr 1fr 0.8fr 1.2fr 1fr 1fr 0.8fr auto',
+                                gap: 'var(--spacing-xs)',
+                                marginBottom: 'var(--spacing-xs)'
+                            }}
+                        >
+                            <select
+                                className="input-field"
+                                value={slot.courseId}
+                                onChange={(e) => updateSlot(index, 'courseId', e.target.value)}
+                                required
+                            >
+                                <option value="">Course</option>
+                                {courses.map((course) => (
+                                    <option key={course.id} value={course.id}>{course.code}</option>
+                                ))}
+                            </select>
+                            <select
+                                className="input-field"
+                                value={slot.day}
+                                onChange={(e) => updateSlot(index, 'day', e.target.value)}
+                            >
+                                {WEEKDAYS.map((day) => (
+                                    <option key={day} value={day}>{day.charAt(0).toUpperCase() + day.slice(1)}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="time"
+                                className="input-field"
+                                value={slot.startTime}
+                                onChange={(e) => updateSlot(index, 'startTime', e.target.value)}
+                                required
+                            />
+                            <input
+                                type="number"
+                                className="input-field"
+                                title="Duration (minutes)"
+                                min="1"
+                                value={slot.durationMinutes}
+                                onChange={(e) => updateSlot(index, 'durationMinutes', e.target.value)}
+                                required
+                            />
+                            <select
+                                className="input-field"
+                                value={slot.roomId}
+                                onChange={(e) => updateSlot(index, 'roomId', e.target.value)}
+                            >
+                                <option value="">Custom location</option>
+                                {rooms.map((room) => (
+                                    <option key={room.id} value={room.id}>{room.building} {room.roomNumber}</option>
+                                ))}
+                            </select>
+                            {/* Coordinates only needed without a saved room */}
+                            <input
+                                type="number"
+                                step="any"
+                                className="input-field"
+                                placeholder="Latitude"
+                                value={slot.latitude}
+                                onChange={(e) => updateSlot(index, 'latitude', e.target.value)}
+                                disabled={Boolean(slot.roomId)}
+                                required={!slot.roomId}
+                            />
+                            <input
+                                type="number"
+                                step="any"
+                                className="input-field"
+                                placeholder="Longitude"
+                                value={slot.longitude}
+                                onChange={(e) => updateSlot(index, 'longitude', e.target.value)}
+                                disabled={Boolean(slot.roomId)}
+                                required={!slot.roomId}
+                            />
+                            <input
+                                type="number"
+                                className="input-field"
+                                title="Radius (meters)"
+                                min="10"
+                                value={slot.radiusMeters}
+                                onChange={(e) => updateSlot(index, 'radiusMeters', e.target.value)}
+                                disabled={Boolean(slot.roomId)}
+                                required={!slot.roomId}
+                            />
+                            <button
+                                type="button"
+                                className="btn btn-secondary"
+                                disabled={form.slots.length === 1}
+                                onClick={() => setForm({ ...form, slots: form.slots.filter((_, i) => i !== index) })}
+                            >
+                                <FiTrash2 />
+                            </button>
+                        </div>
+                    ))}
+
+                    <div className="flex" style={{ gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-sm)' }}>
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={() => setForm({ ...form, slots: [...form.slots, emptySlot()] })}
+                        >
+                            <FiPlus /> Add Slot
+                        </button>
+                        <button type="submit" className="btn btn-primary" disabled={loading}>
+                            <FiSave /> {loading ? 'Saving...' : 'Save Timetable'}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+}
+
+export default TimetableManager;
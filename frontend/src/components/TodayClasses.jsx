@@ -0,0 +1,119 @@
+/**
+ * Today's Classes Component (Teacher)
+ * 
+ * PURPOSE:
+ * "Start today's class" shortcut: lists today's timetable classes and
+ * opens the session for one with a single click (no form to fill in)
+ * 
+ * GREEN CODING:
+ * - Fetched once when the dashboard opens (and after timetable changes)
+ * - Starting a class that already has a session reuses it
+ * 
+ * VIVA EXPLANATION:
+ * The backend works out today's classes from the weekly timetable, skipping
+ * holidays. Pressing "Start" creates the session with the slot's room and
+ * duration, and the dashboard shows its rotating QR code straight away.
+ */
+
+import { useState, useEffect } from 'react';
+import { FiPlay, FiMapPin } from 'react-icons/fi';
+import { apiFetch } from '../services/api';
+
+function TodayClasses({ refreshKey, onSessionStarted }) {
+    const [classes, setClasses] = useState([]);
+    const [startingId, setStartingId] = useState(null);
+    const [error, setError] = useState('');
+
+    const fetchClasses = async () => {
+        try {
+            const response = await apiFetch('/timetables/today');
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setClasses(data.classes);
+            }
+        } catch (error) {
+            console.error('Error fetching today\'s classes:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchClasses();
+    }, [refreshKey]);
+
+    const handleStart = async (todayClass) => {
+        setStartingId(todayClass.slotId);
+        setError('');
+
+        try {
+            const response = await apiFetch(
+                `/timetables/${todayClass.timetableId}/slots/${todayClass.slotId}/start`,
+                { method: 'POST' }
+            );
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to start class');
+            }
+
+            onSessionStarted(data.session);
+            fetchClasses();
+        } catch (error) {
+            setError(error.message);
+        }
+
+        setStartingId(null);
+    };
+
+    // Nothing scheduled today - keep the dashboard uncluttered
+    if (classes.length === 0) return null;
+
+    return (
+        <div className="glass-card mb-lg">
+            <h3 style={{ marginBottom: 'var(--spacing-md)' }}>
+                <FiPlay style={{ display: 'inline', marginRight: '0.5rem' }} />
+                Today's Classes
+            </h3>
+
+            {error && <div className="alert alert-error">{error}</div>}
+
+            <div style={{ display: 'grid', gap: 'var(--spacing-sm)' }}>
+                {classes.map((todayClass) => (
+                    <div
+                        key={`${todayClass.timetableId}-${todayClass.slotId}`}
+                        className="flex justify-between items-center"
+                        style={{
+                            padding: 'var(--spacing-sm) var(--spacing-md)',
+                            background: 'rgba(255, 255, 255, 0.03)',
+                            borderRadius: 'var(--radius-md)',
+                            border: '1px solid var(--glass-border)'
+                        }}
+                    >
+                        <div>
+                            <strong>{todayClass.courseCode}</strong> {todayClass.courseName}
+                            <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+                                {new Date(todayClass.startsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                {' - '}
+                                {new Date(todayClass.endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                {todayClass.room?.name && (
+                                    <>
+                                        {' · '}<FiMapPin style={{ display: 'inline' }} /> {todayClass.room.name}
+                                    </>
+                                )}
+                            </p>
+                        </div>
+                        <button
+                            onClick={() => handleStart(todayClass)}
+                            className="btn btn-primary"
+                            disabled={startingId === todayClass.slotId}
+                        >
+                            <FiPlay /> {todayClass.sessionId ? 'Show QR' : 'Start'}
+                        </button>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default TodayClasses;
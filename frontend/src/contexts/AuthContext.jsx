@@ -23,8 +23,9 @@ import {
     signOut,
     onAuthStateChanged
 } from 'firebase/auth';
-import { doc, setDoc, getDoc } from 'firebase/firestore';
+import { doc, getDoc } from 'firebase/firestore';
 import { auth, db } from '../services/firebase';
+import { apiFetch } from '../services/api';
 
 // Create the authentication context
 const AuthContext = createContext({});
@@ -49,7 +50,8 @@ export function AuthProvider({ children }) {
 
     /**
      * Register a new user
-     * GREEN CODING: Single Firebase call for auth + Firestore write
+     * GREEN CODING: Single Firebase call for auth + one backend call for the profile
+     * The backend also enrolls students in courses whose roster invited their email
      */
     const register = async (email, password, name, role) => {
         try {
@@ -57,14 +59,22 @@ export function AuthProvider({ children }) {
             const result = await createUserWithEmailAndPassword(auth, email, password);
             const userId = result.user.uid;
 
-            // Store user profile in Firestore (role, name, etc.)
-            await setDoc(doc(db, 'users', userId), {
-                uid: userId,
-                email: email,
-                name: name,
-                role: role, // 'teacher' or 'student'
-                createdAt: new Date().toISOString()
+            // Store user profile through the backend (uid and email come from the ID token)
+            const response = await apiFetch('/auth/register', {
+                method: 'POST',
+                body: {
+                    name: name,
+                    role: role // 'teacher' or 'student'
+                }
             });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to save user profile');
+            }
+
+            // The auth listener may have looked for the profile before it existed
+            await fetchUserRole(userId);
 
             return { success: true, user: result.user };
         } catch (error) {
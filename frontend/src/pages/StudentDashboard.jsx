@@ -4,6 +4,7 @@
  * FEATURES:
  * - Lazy-loaded QR scanner (GREEN CODING)
  * - View attendance history
+ * - Attendance percentage in each course (from the backend analytics)
  * - Profile information
  * 
  * GREEN CODING:
@@ -16,13 +17,54 @@ import { useState, useEffect, lazy, Suspense } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { collection, query, where, getDocs, orderBy, limit } from 'firebase/firestore';
 import { db } from '../services/firebase';
-import { FiCamera, FiList, FiUser, FiLogOut, FiCheckCircle } from 'react-icons/fi';
+import { apiFetch } from '../services/api';
+import BarChart from '../components/BarChart';
+import { FiCamera, FiList, FiUser, FiLogOut, FiCheckCircle, FiBarChart2, FiAlertCircle, FiXCircle, FiClock, FiInfo } from 'react-icons/fi';
 import { useNavigate } from 'react-router-dom';
 
 // GREEN CODING: Lazy load QR Scanner component
 // This reduces initial bundle size by ~50KB
 const QRScanner = lazy(() => import('../components/QRScanner'));
 
+// Flagged check-ins wait for the teacher's review before counting;
+// late, excused and absent are set by the teacher by hand
+const STATUS_BADGES = {
+    present: { label: 'Present', icon: FiCheckCircle, background: 'rgba(0, 242, 254, 0.15)', color: '#4facfe' },
+    late: { label: 'Late', icon: FiClock, background: 'rgba(255, 159, 67, 0.15)', color: '#ff9f43' },
+    excused: { label: 'Excused', icon: FiInfo, background: 'rgba(167, 139, 250, 0.15)', color: '#a78bfa' },
+    absent: { label: 'Absent', icon: FiXCircle, background: 'rgba(255, 107, 138, 0.15)', color: '#ff6b8a' },
+    suspicious: { label: 'Pending Review', icon: FiAlertCircle, background: 'rgba(255, 193, 7, 0.15)', color: '#ffc107' },
+    rejected: { label: 'Rejected', icon: FiXCircle, background: 'rgba(255, 107, 138, 0.15)', color: '#ff6b8a' }
+};
+
+/**
+ * Badge for a record's status. Records from before statuses existed have
+ * none and were all scanned check-ins; anything unknown is shown as it is.
+ */
+function StatusBadge({ status = 'present' }) {
+    const badge = STATUS_BADGES[status] || {
+        label: status,
+        icon: FiInfo,
+        background: 'rgba(255, 255, 255, 0.1)',
+        color: 'var(--text-secondary)'
+    };
+    const Icon = badge.icon;
+
+    return (
+        <div style={{
+            padding: '0.5rem 1rem',
+            borderRadius: 'var(--radius-sm)',
+            background: badge.background,
+            color: badge.color,
+            fontSize: 'var(--font-size-xs)',
+            fontWeight: '600'
+        }}>
+            <Icon style={{ display: 'inline', marginRight: '0.25rem' }} />
+            {badge.label}
+        </div>
+    );
+}
+
 function StudentDashboard() {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
@@ -31,6 +73,26 @@ function StudentDashboard() {
     const [attendanceHistory, setAttendanceHistory] = useState([]);
     const [loading, setLoading] = useState(false);
     const [message, setMessage] = useState(null);
+    const [analytics, setAnalytics] = useState(null);
+
+    // Percentages are worked out by the backend, so they count every session
+    // (not just the records loaded here) and follow the teacher's corrections
+    const fetchAnalytics = async () => {
+        try {
+            const response = await apiFetch('/analytics/me');
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setAnalytics(data);
+            }
+        } catch (error) {
+            console.error('Error fetching attendance analytics:', error);
+        }
+    };
+
+    useEffect(() => {
+        fetchAnalytics();
+    }, [activeTab]);
 
     // Fetch attendance history when viewing history tab
     useEffect(() => {
@@ -89,7 +151,9 @@ function StudentDashboard() {
     const handleScanSuccess = (data) => {
         setMessage({
             type: 'success',
-            text: `✓ Attendance marked successfully for ${data.courseName || 'the session'}!`
+            text: data.status === 'suspicious'
+                ? `✓ Attendance recorded for ${data.courseName || 'the session'} - your teacher will review this check-in`
+                : `✓ Attendance marked successfully for ${data.courseName || 'the session'}!`
         });
 
         // Auto-switch to history tab after 2 seconds
@@ -226,17 +290,7 @@ function StudentDashboard() {
                                                 </p>
                                             )}
                                         </div>
-                                        <div style={{
-                                            padding: '0.5rem 1rem',
-                                            borderRadius: 'var(--radius-sm)',
-                                            background: 'rgba(0, 242, 254, 0.15)',
-                                            color: '#4facfe',
-                                            fontSize: 'var(--font-size-xs)',
-                                            fontWeight: '600'
-                                        }}>
-                                            <FiCheckCircle style={{ display: 'inline', marginRight: '0.25rem' }} />
-                                            Present
-                                        </div>
+                                        <StatusBadge status={record.status} />
                                     </div>
                                 </div>
                             ))}
@@ -245,6 +299,25 @@ function StudentDashboard() {
                 </div>
             )}
 
+            {/* Attendance per course */}
+            {analytics && (
+                <div className="glass-card mt-lg">
+                    <h3 style={{ marginBottom: 'var(--spacing-md)' }}>
+                        <FiBarChart2 style={{ display: 'inline', marginRight: '0.5rem' }} />
+                        Attendance by Course
+                    </h3>
+                    <BarChart
+                        emptyText="You are not enrolled in any course yet"
+                        items={analytics.courses.map((course) => ({
+                            key: course.courseId,
+                            label: course.code,
+                            value: course.percentage,
+                            detail: `${course.attended} of ${course.held - course.excused} sessions (${course.excused} excused${course.pending ? `, ${course.pending} pending review` : ''})`
+                        }))}
+                    />
+                </div>
+            )}
+
             {/* Profile Card */}
             <div className="glass-card mt-lg">
                 <h3 style={{ marginBottom: 'var(--spacing-md)' }}>
@@ -268,7 +341,11 @@ function StudentDashboard() {
                         <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
                             Total Attendance
                         </p>
-                        <p style={{ fontWeight: '500' }}>{attendanceHistory.length} sessions</p>
+                        <p style={{ fontWeight: '500' }}>
+                            {analytics?.overall.percentage != null
+                                ? `${analytics.overall.percentage}% (${analytics.overall.attended} of ${analytics.overall.held - analytics.overall.excused} sessions)`
+                                : 'No sessions held yet'}
+                        </p>
                     </div>
                 </div>
             </div>
@@ -2,120 +2,330 @@
  * Teacher Dashboard Component
  * 
  * FEATURES:
- * - Create attendance sessions
- * - Generate QR codes with react-qr-code
- * - Set location constraints (latitude, longitude, radius)
+ * - Manage courses and enroll students
+ * - Import class rosters (CSV with roll numbers)
+ * - Weekly timetable with a "start today's class" shortcut
+ * - Create attendance sessions for a course
+ * - Generate rotating QR codes with react-qr-code (refreshed from the backend)
+ * - Set location constraints from a saved room, or latitude, longitude and radius
+ * - Choose how presence is checked: GPS, the campus network, either or both
+ * - Decide which attendance checks block, only warn, or are switched off
  * - View attendance records for each session
+ * - Review check-ins flagged as possibly fake GPS
+ * - Approve students' new devices and see shared-device conflicts
+ * - Close, extend or reopen sessions (state shown from the backend)
+ * - Attendance analytics: session turnout, weekly trend and student percentages
+ * - Exam eligibility list with condonation, waivers, PDF export and sign-off
  * 
  * GREEN CODING:
- * - QR code generated client-side (no server overhead)
- * - Minimal Firestore writes (only when creating session)
+ * - QR code rendered client-side; a new token is fetched only when the old one rotates
+ * - Minimal writes (only when creating session)
  * - Efficient data fetching with pagination
  */
 
 import { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import QRCode from 'react-qr-code';
-import { collection, setDoc, doc, query, where, getDocs, orderBy, limit } from 'firebase/firestore';
-import { db } from '../services/firebase';
-import { FiPlus, FiMapPin, FiClock, FiUsers, FiLogOut } from 'react-icons/fi';
+import { apiFetch } from '../services/api';
+import CourseManager from '../components/CourseManager';
+import RosterImport from '../components/RosterImport';
+import SessionAttendance from '../components/SessionAttendance';
+import TimetableManager from '../components/TimetableManager';
+import TodayClasses from '../components/TodayClasses';
+import RoomManager from '../components/RoomManager';
+import ReviewQueue from '../components/ReviewQueue';
+import DeviceRequests from '../components/DeviceRequests';
+import CourseAnalytics from '../components/CourseAnalytics';
+import EligibilityReport from '../components/EligibilityReport';
+import { FiPlus, FiMapPin, FiClock, FiUsers, FiLogOut, FiXCircle, FiRefreshCw, FiWifi } from 'react-icons/fi';
 import { useNavigate } from 'react-router-dom';
 
+// Badge colours for the session states computed by the backend
+const STATE_BADGES = {
+    active: { label: 'Active', background: 'rgba(0, 242, 254, 0.15)', color: '#4facfe' },
+    expired: { label: 'Expired', background: 'rgba(255, 255, 255, 0.05)', color: 'var(--text-muted)' },
+    closed: { label: 'Closed', background: 'rgba(255, 107, 138, 0.15)', color: '#ff6b8a' }
+};
+
+// How /mark checks the student is in class (presenceMode on the session)
+const PRESENCE_OPTIONS = [
+    { value: 'gps', label: 'GPS location' },
+    { value: 'network', label: 'Campus Wi-Fi only' },
+    { value: 'either', label: 'Campus Wi-Fi or GPS' },
+    { value: 'both', label: 'Campus Wi-Fi and GPS' }
+];
+
+// Checks /mark runs (backend services/verification); each can block, warn or be off
+const VERIFIERS = [
+    { name: 'enrollment', label: 'Enrollment' },
+    { name: 'expiry', label: 'Session expiry' },
+    { name: 'timeWindow', label: 'Check-in window' },
+    { name: 'token', label: 'Rotating QR' },
+    { name: 'device', label: 'Registered device' },
+    { name: 'network', label: 'Campus Wi-Fi' },
+    { name: 'geofence', label: 'GPS location' }
+];
+
+// Minutes added by "Extend" and granted by "Reopen"
+const SESSION_CHANGE_MINUTES = 10;
+
 function TeacherDashboard() {
     const { user, logout } = useAuth();
     const navigate = useNavigate();
 
     const [showCreateForm, setShowCreateForm] = useState(false);
     const [sessions, setSessions] = useState([]);
+    const [courses, setCourses] = useState([]);
+    const [rooms, setRooms] = useState([]);
     const [activeSession, setActiveSession] = useState(null);
+    const [viewingSession, setViewingSession] = useState(null);
+    const [timetableVersion, setTimetableVersion] = useState(0);
+    const [qrData, setQrData] = useState(null);
     const [loading, setLoading] = useState(false);
 
     // Form state for creating new session
     const [sessionForm, setSessionForm] = useState({
-        courseName: '',
+        courseId: '',
+        roomId: '',
         latitude: '',
         longitude: '',
         radiusMeters: '50',
-        durationMinutes: '15'
+        durationMinutes: '15',
+        qrRotationSeconds: '30',
+        maxAccuracyMeters: '100',
+        presenceMode: 'gps',
+        checkInWindowMinutes: '',
+        // Only the verifiers changed for this session; the rest follow the course
+        verificationPolicy: {}
     });
 
-    // Fetch teacher's sessions
+    /**
+     * Keep the rotating QR code fresh while the session is active
+     * GREEN CODING: Next fetch is scheduled for the moment the current code rotates
+     */
+    useEffect(() => {
+        if (!activeSession) return;
+
+        let cancelled = false;
+        let timerId = null;
+
+        const refreshQrCode = async () => {
+            try {
+                const response = await apiFetch(`/attendance/session/${activeSession.sessionId}/qr`);
+                const data = await response.json();
+                if (cancelled) return;
+
+                if (response.ok && data.success) {
+                    setQrData(data.qrData);
+                    timerId = setTimeout(refreshQrCode, data.expiresInSeconds * 1000);
+                } else {
+                    // Session expired or no longer ours - stop refreshing
+                    setQrData(null);
+                }
+            } catch (error) {
+                console.error('Error refreshing QR code:', error);
+                if (!cancelled) {
+                    timerId = setTimeout(refreshQrCode, 5000);
+                }
+            }
+        };
+
+        refreshQrCode();
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timerId);
+        };
+    }, [activeSession]);
+
+    // Fetch teacher's sessions and courses
     useEffect(() => {
         fetchSessions();
+        fetchCourses();
+        fetchRooms();
     }, [user]);
 
-    const fetchSessions = async () => {
+    const fetchRooms = async () => {
         if (!user) return;
 
         try {
-            const q = query(
-                collection(db, 'sessions'),
-                where('teacherId', '==', user.uid),
-                orderBy('createdAt', 'desc'),
-                limit(10) // GREEN CODING: Limit results to reduce data transfer
-            );
+            const response = await apiFetch('/rooms');
+            const data = await response.json();
 
-            const snapshot = await getDocs(q);
-            const sessionsData = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
+            if (response.ok && data.success) {
+                setRooms(data.rooms);
+            }
+        } catch (error) {
+            console.error('Error fetching rooms:', error);
+        }
+    };
+
+    const fetchCourses = async () => {
+        if (!user) return;
 
-            setSessions(sessionsData);
+        try {
+            const response = await apiFetch('/courses');
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setCourses(data.courses);
+            }
+        } catch (error) {
+            console.error('Error fetching courses:', error);
+        }
+    };
+
+    const fetchSessions = async () => {
+        if (!user) return;
+
+        try {
+            // GREEN CODING: Limit results to reduce data transfer
+            const response = await apiFetch('/attendance/sessions?limit=10');
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                setSessions(data.sessions);
+            }
         } catch (error) {
             console.error('Error fetching sessions:', error);
         }
     };
 
+    /**
+     * Close, extend or reopen a session
+     * The backend records who made the change and when
+     */
+    const handleSessionChange = async (session, action) => {
+        try {
+            const response = await apiFetch(`/attendance/session/${session.id}`, {
+                method: 'PATCH',
+                body: { action, minutes: SESSION_CHANGE_MINUTES }
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to update session');
+            }
+
+            if (data.session.state === 'active') {
+                // Show the QR code again for an extended or reopened session
+                if (activeSession?.sessionId !== data.session.sessionId) {
+                    setQrData(null);
+                    setActiveSession(data.session);
+                }
+            } else if (activeSession?.sessionId === data.session.sessionId) {
+                setActiveSession(null);
+                setQrData(null);
+            }
+
+            fetchSessions();
+        } catch (error) {
+            console.error('Error updating session:', error);
+            alert(`Failed to update session: ${error.message}`);
+        }
+    };
+
+    // Only a campus Wi-Fi session can be created without a classroom location
+    const needsLocation = sessionForm.presenceMode !== 'network';
+
+    // An empty choice removes the verifier from the session's policy
+    const setVerifierLevel = (name, level) => {
+        const { [name]: _previous, ...verificationPolicy } = sessionForm.verificationPolicy;
+        setSessionForm({
+            ...sessionForm,
+            verificationPolicy: level ? { ...verificationPolicy, [name]: level } : verificationPolicy
+        });
+    };
+
     const handleCreateSession = async (e) => {
         e.preventDefault();
         setLoading(true);
 
         try {
-            // Generate unique session ID (timestamp-based)
-            const sessionId = `SESSION_${Date.now()}`;
             const expiryTime = new Date(Date.now() + sessionForm.durationMinutes * 60000);
 
-            // Create session in Firestore with sessionId as document ID
+            const course = courses.find(({ id }) => id === sessionForm.courseId);
+
             const sessionData = {
-                sessionId: sessionId,
-                courseName: sessionForm.courseName,
-                teacherId: user.uid,
-                teacherEmail: user.email,
-                location: {
+                courseId: sessionForm.courseId,
+                expiresAt: expiryTime.toISOString(),
+                qrRotationSeconds: parseInt(sessionForm.qrRotationSeconds),
+                maxAccuracyMeters: parseInt(sessionForm.maxAccuracyMeters),
+                presenceMode: sessionForm.presenceMode,
+                verificationPolicy: sessionForm.verificationPolicy
+            };
+
+            if (sessionForm.checkInWindowMinutes) {
+                sessionData.checkInWindowMinutes = parseInt(sessionForm.checkInWindowMinutes);
+            }
+
+            // A saved room is referenced by id; otherwise send the coordinates
+            // (a campus Wi-Fi only session needs neither)
+            if (needsLocation && sessionForm.roomId) {
+                sessionData.roomId = sessionForm.roomId;
+            } else if (needsLocation) {
+                sessionData.location = {
                     latitude: parseFloat(sessionForm.latitude),
                     longitude: parseFloat(sessionForm.longitude),
                     radiusMeters: parseInt(sessionForm.radiusMeters)
-                },
-                expiresAt: expiryTime.toISOString(),
-                createdAt: new Date().toISOString(),
-                active: true
-            };
+                };
+            }
+
+            // Created through the backend so it can generate an unguessable
+            // session id and the session's QR secret
+            const response = await apiFetch('/attendance/session', {
+                method: 'POST',
+                body: sessionData
+            });
+            const data = await response.json();
 
-            // Use setDoc with doc() to set the document ID to sessionId
-            await setDoc(doc(db, 'sessions', sessionId), sessionData);
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Failed to create session');
+            }
 
             // Set as active session for QR display
-            setActiveSession({ ...sessionData, id: sessionId });
+            setQrData(null);
+            setActiveSession({
+                ...sessionData,
+                courseName: course?.title,
+                id: data.sessionId,
+                sessionId: data.sessionId,
+                qrRotationSeconds: data.qrRotationSeconds
+            });
             setShowCreateForm(false);
             fetchSessions(); // Refresh list
 
             // Reset form
             setSessionForm({
-                courseName: '',
+                courseId: '',
+                roomId: '',
                 latitude: '',
                 longitude: '',
                 radiusMeters: '50',
-                durationMinutes: '15'
+                durationMinutes: '15',
+                qrRotationSeconds: '30',
+                maxAccuracyMeters: '100',
+                presenceMode: 'gps',
+                checkInWindowMinutes: '',
+                verificationPolicy: {}
             });
         } catch (error) {
             console.error('Error creating session:', error);
-            alert('Failed to create session');
+            alert(`Failed to create session: ${error.message}`);
         }
 
         setLoading(false);
     };
 
+    // A timetable class was started (or its existing session reopened on screen)
+    const handleTimetableSession = (session) => {
+        if (activeSession?.sessionId !== session.sessionId) {
+            setQrData(null);
+            setActiveSession(session);
+        }
+        fetchSessions();
+    };
+
     const getCurrentLocation = () => {
         if (navigator.geolocation) {
             navigator.geolocation.getCurrentPosition(
@@ -154,6 +364,27 @@ function TeacherDashboard() {
                 </button>
             </div>
 
+            {/* Start today's class from the timetable */}
+            <TodayClasses refreshKey={timetableVersion} onSessionStarted={handleTimetableSession} />
+
+            {/* Flagged check-ins (possible fake GPS) */}
+            <ReviewQueue />
+
+            {/* New phones to approve and shared-device conflicts */}
+            <DeviceRequests />
+
+            {/* Courses and Enrollment */}
+            <CourseManager courses={courses} onCoursesChanged={fetchCourses} />
+            <CourseAnalytics courses={courses} />
+            <EligibilityReport courses={courses} />
+            <RosterImport courses={courses} onCoursesChanged={fetchCourses} />
+            <RoomManager rooms={rooms} onRoomsChanged={fetchRooms} />
+            <TimetableManager
+                courses={courses}
+                rooms={rooms}
+                onTimetablesChanged={() => setTimetableVersion((version) => version + 1)}
+            />
+
             {/* Create Session Button */}
             <div className="mb-lg">
                 <button
@@ -171,89 +402,198 @@ function TeacherDashboard() {
 
                     <form onSubmit={handleCreateSession}>
                         <div className="input-group">
-                            <label className="input-label">Course Name</label>
-                            <input
-                                type="text"
+                            <label className="input-label">Course</label>
+                            <select
                                 className="input-field"
-                                placeholder="e.g., Computer Science 101"
-                                value={sessionForm.courseName}
-                                onChange={(e) => setSessionForm({ ...sessionForm, courseName: e.target.value })}
+                                value={sessionForm.courseId}
+                                onChange={(e) => setSessionForm({ ...sessionForm, courseId: e.target.value })}
                                 required
-                            />
+                            >
+                                <option value="">Select a course</option>
+                                {courses.map((course) => (
+                                    <option key={course.id} value={course.id}>
+                                        {course.code} - {course.title}
+                                    </option>
+                                ))}
+                            </select>
                         </div>
 
-                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)' }}>
+                        <div className="input-group">
+                            <label className="input-label">
+                                <FiWifi style={{ display: 'inline', marginRight: '0.5rem' }} />
+                                Presence Check
+                            </label>
+                            <select
+                                className="input-field"
+                                value={sessionForm.presenceMode}
+                                onChange={(e) => setSessionForm({ ...sessionForm, presenceMode: e.target.value })}
+                            >
+                                {PRESENCE_OPTIONS.map(({ value, label }) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {needsLocation && (
                             <div className="input-group">
                                 <label className="input-label">
                                     <FiMapPin style={{ display: 'inline', marginRight: '0.5rem' }} />
-                                    Latitude
+                                    Room
                                 </label>
-                                <input
-                                    type="number"
-                                    step="any"
+                                <select
                                     className="input-field"
-                                    placeholder="e.g., 40.7128"
-                                    value={sessionForm.latitude}
-                                    onChange={(e) => setSessionForm({ ...sessionForm, latitude: e.target.value })}
-                                    required
-                                />
+                                    value={sessionForm.roomId}
+                                    onChange={(e) => setSessionForm({ ...sessionForm, roomId: e.target.value })}
+                                >
+                                    <option value="">Custom location (enter coordinates)</option>
+                                    {rooms.map((room) => (
+                                        <option key={room.id} value={room.id}>
+                                            {room.building} {room.roomNumber} ({room.radiusMeters}m)
+                                        </option>
+                                    ))}
+                                </select>
                             </div>
+                        )}
+
+                        {needsLocation && !sessionForm.roomId && (
+                            <>
+                                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)' }}>
+                                    <div className="input-group">
+                                        <label className="input-label">
+                                            <FiMapPin style={{ display: 'inline', marginRight: '0.5rem' }} />
+                                            Latitude
+                                        </label>
+                                        <input
+                                            type="number"
+                                            step="any"
+                                            className="input-field"
+                                            placeholder="e.g., 40.7128"
+                                            value={sessionForm.latitude}
+                                            onChange={(e) => setSessionForm({ ...sessionForm, latitude: e.target.value })}
+                                            required
+                                        />
+                                    </div>
+
+                                    <div className="input-group">
+                                        <label className="input-label">
+                                            <FiMapPin style={{ display: 'inline', marginRight: '0.5rem' }} />
+                                            Longitude
+                                        </label>
+                                        <input
+                                            type="number"
+                                            step="any"
+                                            className="input-field"
+                                            placeholder="e.g., -74.0060"
+                                            value={sessionForm.longitude}
+                                            onChange={(e) => setSessionForm({ ...sessionForm, longitude: e.target.value })}
+                                            required
+                                        />
+                                    </div>
+                                </div>
+
+                                <button
+                                    type="button"
+                                    onClick={getCurrentLocation}
+                                    className="btn btn-secondary"
+                                    style={{ width: '100%', marginBottom: 'var(--spacing-md)' }}
+                                >
+                                    Use My Current Location
+                                </button>
+                            </>
+                        )}
+
+                        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)' }}>
+                            {needsLocation && !sessionForm.roomId && (
+                                <div className="input-group">
+                                    <label className="input-label">Allowed Radius (meters)</label>
+                                    <input
+                                        type="number"
+                                        className="input-field"
+                                        placeholder="50"
+                                        value={sessionForm.radiusMeters}
+                                        onChange={(e) => setSessionForm({ ...sessionForm, radiusMeters: e.target.value })}
+                                        required
+                                    />
+                                </div>
+                            )}
 
                             <div className="input-group">
                                 <label className="input-label">
-                                    <FiMapPin style={{ display: 'inline', marginRight: '0.5rem' }} />
-                                    Longitude
+                                    <FiClock style={{ display: 'inline', marginRight: '0.5rem' }} />
+                                    Duration (minutes)
                                 </label>
                                 <input
                                     type="number"
-                                    step="any"
                                     className="input-field"
-                                    placeholder="e.g., -74.0060"
-                                    value={sessionForm.longitude}
-                                    onChange={(e) => setSessionForm({ ...sessionForm, longitude: e.target.value })}
+                                    placeholder="15"
+                                    value={sessionForm.durationMinutes}
+                                    onChange={(e) => setSessionForm({ ...sessionForm, durationMinutes: e.target.value })}
                                     required
                                 />
                             </div>
                         </div>
 
-                        <button
-                            type="button"
-                            onClick={getCurrentLocation}
-                            className="btn btn-secondary"
-                            style={{ width: '100%', marginBottom: 'var(--spacing-md)' }}
-                        >
-                            Use My Current Location
-                        </button>
-
                         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 'var(--spacing-md)' }}>
                             <div className="input-group">
-                                <label className="input-label">Allowed Radius (meters)</label>
+                                <label className="input-label">QR Code Refresh Interval (seconds)</label>
                                 <input
                                     type="number"
+                                    min="10"
+                                    max="300"
                                     className="input-field"
-                                    placeholder="50"
-                                    value={sessionForm.radiusMeters}
-                                    onChange={(e) => setSessionForm({ ...sessionForm, radiusMeters: e.target.value })}
+                                    placeholder="30"
+                                    value={sessionForm.qrRotationSeconds}
+                                    onChange={(e) => setSessionForm({ ...sessionForm, qrRotationSeconds: e.target.value })}
                                     required
                                 />
                             </div>
-
                             <div className="input-group">
-                                <label className="input-label">
-                                    <FiClock style={{ display: 'inline', marginRight: '0.5rem' }} />
-                                    Duration (minutes)
-                                </label>
+                                <label className="input-label">Worst GPS Accuracy Accepted (meters)</label>
                                 <input
                                     type="number"
+                                    min="10"
+                                    max="500"
                                     className="input-field"
-                                    placeholder="15"
-                                    value={sessionForm.durationMinutes}
-                                    onChange={(e) => setSessionForm({ ...sessionForm, durationMinutes: e.target.value })}
+                                    placeholder="100"
+                                    value={sessionForm.maxAccuracyMeters}
+                                    onChange={(e) => setSessionForm({ ...sessionForm, maxAccuracyMeters: e.target.value })}
                                     required
                                 />
                             </div>
                         </div>
 
+                        <div className="input-group">
+                            <label className="input-label">Check-in Window (minutes after start, optional)</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="240"
+                                className="input-field"
+                                placeholder="Whole session"
+                                value={sessionForm.checkInWindowMinutes}
+                                onChange={(e) => setSessionForm({ ...sessionForm, checkInWindowMinutes: e.target.value })}
+                            />
+                        </div>
+
+                        <label className="input-label">Checks (block refuses the check-in, warn flags it for review)</label>
+                        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))', gap: 'var(--spacing-xs)' }}>
+                            {VERIFIERS.map(({ name, label }) => (
+                                <div key={name} className="input-group" style={{ marginBottom: 0 }}>
+                                    <label className="input-label" style={{ fontSize: 'var(--font-size-xs)' }}>{label}</label>
+                                    <select
+                                        className="input-field"
+                                        value={sessionForm.verificationPolicy[name] || ''}
+                                        onChange={(e) => setVerifierLevel(name, e.target.value)}
+                                    >
+                                        <option value="">Default</option>
+                                        <option value="block">Block</option>
+                                        <option value="warn">Warn</option>
+                                        <option value="off">Off</option>
+                                    </select>
+                                </div>
+                            ))}
+                        </div>
+
                         <div className="flex gap-md" style={{ marginTop: 'var(--spacing-md)' }}>
                             <button type="submit" className="btn btn-primary" disabled={loading} style={{ flex: 1 }}>
                                 {loading ? 'Creating...' : 'Generate QR Code'}
@@ -284,11 +624,18 @@ function TeacherDashboard() {
                         display: 'inline-block',
                         marginBottom: 'var(--spacing-md)'
                     }}>
-                        <QRCode value={activeSession.sessionId} size={256} />
+                        {qrData ? (
+                            <QRCode value={qrData} size={256} />
+                        ) : (
+                            <div style={{ width: 256, height: 256 }} className="flex items-center justify-center">
+                                <div className="spinner"></div>
+                            </div>
+                        )}
                     </div>
 
                     <p style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-sm)' }}>
-                        Students can scan this QR code to mark attendance
+                        Students can scan this QR code to mark attendance.
+                        It refreshes every {activeSession.qrRotationSeconds} seconds, so photos of it stop working.
                     </p>
                     <p style={{ color: 'var(--text-muted)', fontSize: 'var(--font-size-xs)', marginTop: 'var(--spacing-xs)' }}>
                         Session ID: {activeSession.sessionId}
@@ -296,6 +643,15 @@ function TeacherDashboard() {
                 </div>
             )}
 
+            {/* Attendance for the selected session */}
+            {viewingSession && (
+                <SessionAttendance
+                    key={viewingSession.id}
+                    session={viewingSession}
+                    onClose={() => setViewingSession(null)}
+                />
+            )}
+
             {/* Recent Sessions List */}
             <div className="glass-card">
                 <h3 style={{ marginBottom: 'var(--spacing-md)' }}>
@@ -329,14 +685,36 @@ function TeacherDashboard() {
                                     <div style={{
                                         padding: '0.5rem 1rem',
                                         borderRadius: 'var(--radius-sm)',
-                                        background: session.active ? 'rgba(0, 242, 254, 0.15)' : 'rgba(255, 255, 255, 0.05)',
-                                        color: session.active ? '#4facfe' : 'var(--text-muted)',
+                                        background: STATE_BADGES[session.state].background,
+                                        color: STATE_BADGES[session.state].color,
                                         fontSize: 'var(--font-size-xs)',
                                         fontWeight: '600'
                                     }}>
-                                        {session.active ? 'Active' : 'Expired'}
+                                        {STATE_BADGES[session.state].label}
                                     </div>
                                 </div>
+                                <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                                    {session.state === 'active' ? 'Ends' : 'Ended'}: {new Date(session.expiresAt).toLocaleString()}
+                                </p>
+                                <div className="flex" style={{ gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-sm)', flexWrap: 'wrap' }}>
+                                    <button onClick={() => setViewingSession(session)} className="btn btn-secondary">
+                                        <FiUsers /> View Attendance
+                                    </button>
+                                    {session.state === 'active' ? (
+                                        <>
+                                            <button onClick={() => handleSessionChange(session, 'extend')} className="btn btn-secondary">
+                                                <FiClock /> Extend {SESSION_CHANGE_MINUTES} min
+                                            </button>
+                                            <button onClick={() => handleSessionChange(session, 'close')} className="btn btn-secondary">
+                                                <FiXCircle /> Close Now
+                                            </button>
+                                        </>
+                                    ) : (
+                                        <button onClick={() => handleSessionChange(session, 'reopen')} className="btn btn-secondary">
+                                            <FiRefreshCw /> Reopen {SESSION_CHANGE_MINUTES} min
+                                        </button>
+                                    )}
+                                </div>
                             </div>
                         ))}
                     </div>
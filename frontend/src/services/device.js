@@ -0,0 +1,35 @@
+/**
+ * Device Identity
+ * 
+ * PURPOSE:
+ * A random id for this browser/phone, generated once and kept in localStorage
+ * 
+ * VIVA EXPLANATION:
+ * Each student account is registered to one device. The id is sent with
+ * every check-in (X-Device-Id header) so the backend can refuse check-ins
+ * from other phones and stop one phone marking several students.
+ */
+
+const STORAGE_KEY = 'smartAttendanceDeviceId';
+
+export const DEVICE_HEADER = 'X-Device-Id';
+
+export function getDeviceId() {
+    let deviceId = localStorage.getItem(STORAGE_KEY);
+
+    if (!deviceId) {
+        deviceId = crypto.randomUUID();
+        localStorage.setItem(STORAGE_KEY, deviceId);
+    }
+
+    return deviceId;
+}
+
+/**
+ * Header object identifying this device
+ */
+export function getDeviceHeaders() {
+    return { [DEVICE_HEADER]: getDeviceId() };
+}
+
+export default getDeviceId;